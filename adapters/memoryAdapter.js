@@ -0,0 +1,394 @@
+// adapters/memoryAdapter.js
+// =============================================
+// ARIA STORAGE - IN-MEMORY ADAPTER
+// =============================================
+// Tables are arrays of plain objects held in process memory.
+// Nothing survives a restart — meant for tests and throwaway runs.
+// Rows are copied on the way in and out so callers can mutate
+// what they read without touching stored state.
+// =============================================
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Unique columns enforced on insert (mirrors the SQL schema)
+const UNIQUE_KEYS = {
+  aria_token_stats: ['namespace', 'token'],
+  aria_word_pairs: ['namespace', 'pattern_key'],
+  aria_temporal_markers: ['marker'],
+  aria_contrast_pairs: ['word_a', 'word_b'],
+  aria_contrast_candidates: ['namespace', 'word_a', 'word_b'],
+  aria_subclusters: ['namespace', 'cluster_id'],
+  aria_short: ['pattern_key'],
+  aria_medium: ['pattern_key'],
+  aria_long: ['pattern_key'],
+  aria_phrases: ['phrase_key'],
+  aria_pair_archive: ['namespace', 'pattern_key'],
+  aria_global_stats: ['namespace'],
+  aria_message_counter: ['namespace'],
+  aria_snapshots: ['namespace', 'name'],
+  aria_snapshot_rows: ['snapshot_id', 'kind', 'row_key'],
+  aria_source_weights: ['source_type', 'source_id']
+};
+
+// Column defaults the SQL schema would fill in (migration 010)
+const COLUMN_DEFAULTS = Object.fromEntries([
+  'aria_token_stats', 'aria_word_pairs', 'aria_pair_archive', 'aria_token_positions',
+  'aria_purgatory', 'aria_global_stats', 'aria_message_counter', 'aria_snapshots', 'aria_messages',
+  'aria_contrast_candidates', 'aria_subclusters', 'aria_category_history'
+].map(table => [table, { namespace: 'default' }]));
+
+// Lexicons seeded by migrations 003 and 013
+const TEMPORAL_MARKERS = [
+  'then', 'now', 'before', 'after', 'when', 'while', 'during', 'until',
+  'since', 'already', 'soon', 'later', 'earlier', 'yesterday', 'today',
+  'tomorrow', 'always', 'never', 'once', 'first', 'last', 'next',
+  'finally', 'eventually', 'immediately', 'suddenly', 'gradually',
+  'recently', 'formerly', 'meanwhile'
+];
+const CONTRAST_PAIRS = [
+  ['bad', 'good'], ['big', 'small'], ['cold', 'hot'], ['fast', 'slow'],
+  ['new', 'old'], ['high', 'low'], ['dark', 'light'], ['happy', 'sad'],
+  ['strong', 'weak'], ['hard', 'soft'], ['loud', 'quiet'], ['clean', 'dirty'],
+  ['poor', 'rich'], ['dangerous', 'safe'], ['empty', 'full'], ['long', 'short'],
+  ['thick', 'thin'], ['narrow', 'wide'], ['deep', 'shallow'], ['old', 'young']
+];
+
+// Tables seeded like the migrations do
+const SEED_ROWS = {
+  aria_temporal_markers: TEMPORAL_MARKERS.map(marker => ({ marker })),
+  aria_contrast_pairs: CONTRAST_PAIRS.map(([word_a, word_b]) => ({ word_a, word_b })),
+  aria_global_stats: [{
+    id: 1,
+    namespace: 'default',
+    total_contexts_seen: 0,
+    total_adj_windows: 0,
+    max_positional_variance: 1,
+    max_relative_variance: 0,
+    total_tokens_seen: 0
+  }],
+  aria_message_counter: [{ id: 1, namespace: 'default', current_index: 0 }]
+};
+
+// ===============================================
+// FILTER EVALUATION
+// ===============================================
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesCondition(actual, condition) {
+  const value = actual === undefined ? null : actual;
+
+  if (!isOperatorObject(condition)) {
+    return condition === null ? value === null : value === condition;
+  }
+
+  for (const [op, expected] of Object.entries(condition)) {
+    switch (op) {
+      case 'eq':
+        if (!matchesCondition(value, expected)) return false;
+        break;
+      case 'neq':
+        if (expected === null ? value === null : value === null || value === expected) return false;
+        break;
+      case 'in':
+        if (!expected.includes(value)) return false;
+        break;
+      case 'lt':
+        if (value === null || compare(value, expected) >= 0) return false;
+        break;
+      case 'lte':
+        if (value === null || compare(value, expected) > 0) return false;
+        break;
+      case 'gt':
+        if (value === null || compare(value, expected) <= 0) return false;
+        break;
+      case 'gte':
+        if (value === null || compare(value, expected) < 0) return false;
+        break;
+      default:
+        throw new Error(`Unsupported filter operator "${op}"`);
+    }
+  }
+
+  return true;
+}
+
+export function matchesFilters(row, filters = {}) {
+  for (const [column, condition] of Object.entries(filters)) {
+    if (column === '$or') {
+      if (!condition.some(branch => matchesFilters(row, branch))) return false;
+      continue;
+    }
+    if (!matchesCondition(row[column], condition)) return false;
+  }
+  return true;
+}
+
+function sortRows(rows, order) {
+  const entries = Object.entries(order || {});
+  if (entries.length === 0) return rows;
+
+  return rows.sort((a, b) => {
+    for (const [column, direction] of entries) {
+      const result = compare(a[column], b[column]);
+      if (result !== 0) return direction === 'desc' ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function pickColumns(row, columns) {
+  if (!columns || columns.length === 0) return { ...row };
+  const picked = {};
+  for (const column of columns) {
+    picked[column] = row[column] === undefined ? null : row[column];
+  }
+  return picked;
+}
+
+// ===============================================
+// ADAPTER
+// ===============================================
+
+export function createMemoryAdapter() {
+  const tables = new Map();
+
+  for (const [table, rows] of Object.entries(SEED_ROWS)) {
+    tables.set(table, rows.map(row => ({ id: row.id ?? uuidv4(), ...row })));
+  }
+
+  function getTable(table) {
+    if (!tables.has(table)) {
+      tables.set(table, []);
+    }
+    return tables.get(table);
+  }
+
+  function assertUnique(table, row, rows, ignore = null) {
+    const keys = UNIQUE_KEYS[table];
+    if (!keys) return;
+
+    for (const existing of rows) {
+      if (existing === ignore) continue;
+      if (keys.every(key => existing[key] === row[key])) {
+        throw new Error(`duplicate key value violates unique constraint on ${table} (${keys.join(', ')})`);
+      }
+    }
+  }
+
+  async function select(table, options = {}) {
+    const { filters, columns, order, limit, offset = 0 } = options;
+
+    let rows = getTable(table).filter(row => matchesFilters(row, filters));
+    rows = sortRows(rows, order);
+    rows = rows.slice(offset, limit ? offset + limit : undefined);
+
+    return rows.map(row => pickColumns(row, columns));
+  }
+
+  async function selectOne(table, filters = {}) {
+    const [row] = await select(table, { filters, limit: 1 });
+    return row || null;
+  }
+
+  async function count(table, filters = {}) {
+    return getTable(table).filter(row => matchesFilters(row, filters)).length;
+  }
+
+  // Writes are synchronous underneath so batch() runs without
+  // other callers interleaving between its operations
+  function insertRows(table, rowOrRows) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    const now = new Date().toISOString();
+    const prepared = rows.map(row => ({
+      id: uuidv4(),
+      created_at: now,
+      updated_at: now,
+      ...COLUMN_DEFAULTS[table],
+      ...row
+    }));
+
+    // Validate the whole batch before writing any of it
+    const target = getTable(table);
+    const staged = [];
+    for (const row of prepared) {
+      assertUnique(table, row, target);
+      assertUnique(table, row, staged);
+      staged.push(row);
+    }
+
+    target.push(...staged);
+    return staged.map(row => ({ ...row }));
+  }
+
+  // Patches stored rows in place. Not by id: singleton rows share id 1
+  // across namespaces.
+  function patchRows(table, rows, patchFor) {
+    const updated = [];
+    const now = new Date().toISOString();
+
+    for (const row of rows) {
+      const patch = patchFor(row);
+      const next = { ...row, ...patch };
+      if ('updated_at' in row && !('updated_at' in patch)) {
+        next.updated_at = now;
+      }
+      assertUnique(table, next, getTable(table), row);
+
+      Object.assign(row, next);
+      updated.push({ ...row });
+    }
+
+    return updated;
+  }
+
+  function updateRows(table, filters, patch) {
+    return patchRows(table, getTable(table).filter(row => matchesFilters(row, filters)), () => patch);
+  }
+
+  // Counter columns combine with what is stored instead of replacing it
+  function combineCounters(row, values, counters = {}) {
+    const { increment = [], greatest = [] } = counters;
+    const combined = { ...values };
+
+    for (const column of increment) {
+      if (column in values) combined[column] = (row[column] || 0) + values[column];
+    }
+    for (const column of greatest) {
+      if (column in values) combined[column] = Math.max(row[column] || 0, values[column]);
+    }
+
+    return combined;
+  }
+
+  function upsertRows(table, rowOrRows, onConflict, counters) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    const keys = [].concat(onConflict);
+
+    return rows.flatMap(incoming => {
+      // Conflict keys may rely on a column default (namespace)
+      const row = { ...COLUMN_DEFAULTS[table], ...incoming };
+      const existing = getTable(table).find(candidate => keys.every(key => candidate[key] === row[key]));
+      if (!existing) return insertRows(table, row);
+
+      const { id, created_at, ...patch } = row;
+      return patchRows(table, [existing], () => combineCounters(existing, patch, counters));
+    });
+  }
+
+  function incrementRows(table, filters, changes) {
+    const { increments = {}, greatest = {}, patch = {} } = changes;
+
+    return patchRows(table, getTable(table).filter(row => matchesFilters(row, filters)), row => ({
+      ...combineCounters(row, { ...increments, ...greatest }, {
+        increment: Object.keys(increments),
+        greatest: Object.keys(greatest)
+      }),
+      ...patch
+    }));
+  }
+
+  function removeRows(table, filters = {}) {
+    const rows = getTable(table);
+    const kept = rows.filter(row => !matchesFilters(row, filters));
+    const removed = rows.length - kept.length;
+    tables.set(table, kept);
+    return removed;
+  }
+
+  function applyOperation(operation) {
+    switch (operation.type) {
+      case 'insert':
+        return insertRows(operation.table, operation.rows);
+      case 'upsert':
+        return upsertRows(operation.table, operation.rows, operation.onConflict, operation);
+      case 'increment':
+        return incrementRows(operation.table, operation.filters, operation);
+      case 'update':
+        return updateRows(operation.table, operation.filters, operation.patch);
+      case 'remove':
+        return removeRows(operation.table, operation.filters);
+      default:
+        throw new Error(`Unsupported batch operation "${operation.type}"`);
+    }
+  }
+
+  async function insert(table, rowOrRows) {
+    return insertRows(table, rowOrRows);
+  }
+
+  async function upsert(table, rowOrRows, options = {}) {
+    return upsertRows(table, rowOrRows, options.onConflict, options);
+  }
+
+  async function increment(table, filters, changes) {
+    return incrementRows(table, filters, changes);
+  }
+
+  async function update(table, filters, patch) {
+    return updateRows(table, filters, patch);
+  }
+
+  async function remove(table, filters = {}) {
+    return removeRows(table, filters);
+  }
+
+  // All-or-nothing: restore every table if any operation throws
+  async function batch(operations) {
+    const snapshot = new Map(
+      [...tables].map(([table, rows]) => [table, rows.map(row => ({ ...row }))])
+    );
+
+    try {
+      return operations.map(applyOperation);
+    } catch (error) {
+      tables.clear();
+      for (const [table, rows] of snapshot) {
+        tables.set(table, rows);
+      }
+      throw error;
+    }
+  }
+
+  async function incrementMessageCounter(namespace = 'default') {
+    const counters = getTable('aria_message_counter');
+    let counter = counters.find(row => row.namespace === namespace);
+    if (!counter) {
+      counter = { id: 1, namespace, current_index: 0 };
+      counters.push(counter);
+    }
+    counter.current_index += 1;
+    counter.last_updated = new Date().toISOString();
+    return counter.current_index;
+  }
+
+  async function close() {
+    tables.clear();
+  }
+
+  return {
+    kind: 'memory',
+    select,
+    selectOne,
+    count,
+    insert,
+    upsert,
+    increment,
+    update,
+    remove,
+    batch,
+    incrementMessageCounter,
+    close
+  };
+}
+
+export default createMemoryAdapter;
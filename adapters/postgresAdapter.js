@@ -0,0 +1,190 @@
+// adapters/postgresAdapter.js
+// =============================================
+// ARIA STORAGE - DIRECT POSTGRES ADAPTER
+// =============================================
+// Talks to Postgres over a connection string (DATABASE_URL) instead
+// of the Supabase REST API. Works against a Supabase database or any
+// self-hosted Postgres that has the ARIA tables.
+// =============================================
+
+import {
+  buildSelect,
+  buildCount,
+  buildInsert,
+  buildUpsert,
+  buildIncrement,
+  buildUpdate,
+  buildDelete
+} from './sqlBuilder.js';
+
+export function createPostgresAdapter(config = {}) {
+  const { connectionString } = config;
+  let pool = null;
+
+  async function getPool() {
+    if (!pool) {
+      if (!connectionString) {
+        throw new Error('Postgres storage needs DATABASE_URL');
+      }
+
+      pool = (async () => {
+        let pg;
+        try {
+          ({ default: pg } = await import('pg'));
+        } catch (error) {
+          throw new Error(`Postgres storage needs the "pg" package (${error.message})`);
+        }
+        return new pg.Pool({ connectionString });
+      })();
+    }
+    return pool;
+  }
+
+  async function query(statement, client = null) {
+    const target = client || await getPool();
+    const result = await target.query(statement.text, statement.values);
+    return result;
+  }
+
+  // Statement for one batch operation, or null when there is nothing to write
+  function buildOperation(operation) {
+    const rows = [].concat(operation.rows || []);
+
+    switch (operation.type) {
+      case 'insert':
+        return rows.length > 0 ? buildInsert(operation.table, rows, 'postgres') : null;
+      case 'upsert':
+        return rows.length > 0 ? buildUpsert(operation.table, rows, operation.onConflict, 'postgres', operation) : null;
+      case 'increment':
+        return buildIncrement(operation.table, operation.filters, operation, 'postgres');
+      case 'update':
+        return buildUpdate(operation.table, operation.filters, operation.patch, 'postgres');
+      case 'remove':
+        return buildDelete(operation.table, operation.filters, 'postgres');
+      default:
+        throw new Error(`Unsupported batch operation "${operation.type}"`);
+    }
+  }
+
+  async function select(table, options = {}) {
+    const { rows } = await query(buildSelect(table, options, 'postgres'));
+    return rows;
+  }
+
+  async function selectOne(table, filters = {}) {
+    const [row] = await select(table, { filters, limit: 1 });
+    return row || null;
+  }
+
+  async function count(table, filters = {}) {
+    const { rows } = await query(buildCount(table, filters, 'postgres'));
+    return Number(rows[0]?.count || 0);
+  }
+
+  async function insert(table, rowOrRows) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    const result = await query(buildInsert(table, rows, 'postgres'));
+    return result.rows;
+  }
+
+  async function upsert(table, rowOrRows, options = {}) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    const result = await query(buildUpsert(table, rows, options.onConflict, 'postgres', options));
+    return result.rows;
+  }
+
+  async function increment(table, filters, changes) {
+    const { rows } = await query(buildIncrement(table, filters, changes, 'postgres'));
+    return rows;
+  }
+
+  async function update(table, filters, patch) {
+    const { rows } = await query(buildUpdate(table, filters, patch, 'postgres'));
+    return rows;
+  }
+
+  async function remove(table, filters = {}) {
+    const { rowCount } = await query(buildDelete(table, filters, 'postgres'));
+    return rowCount;
+  }
+
+  // One pooled client, one transaction for the whole list
+  async function batch(operations) {
+    const client = await (await getPool()).connect();
+    const results = [];
+
+    try {
+      await client.query('BEGIN');
+      for (const operation of operations) {
+        const statement = buildOperation(operation);
+        if (!statement) {
+          results.push([]);
+          continue;
+        }
+        const result = await query(statement, client);
+        results.push(operation.type === 'remove' ? result.rowCount : result.rows);
+      }
+      await client.query('COMMIT');
+      return results;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Multi-statement SQL in one transaction (migrations)
+  async function runScript(sql) {
+    const client = await (await getPool()).connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function incrementMessageCounter(namespace = 'default') {
+    const { rows } = await query({
+      text: 'SELECT aria_increment_message_counter($1) AS current_index',
+      values: [namespace]
+    });
+    return rows[0].current_index;
+  }
+
+  async function close() {
+    if (pool) {
+      const client = await pool;
+      pool = null;
+      await client.end();
+    }
+  }
+
+  return {
+    kind: 'postgres',
+    select,
+    selectOne,
+    count,
+    insert,
+    upsert,
+    increment,
+    update,
+    remove,
+    batch,
+    runScript,
+    incrementMessageCounter,
+    close
+  };
+}
+
+export default createPostgresAdapter;
@@ -0,0 +1,235 @@
+// adapters/sqlBuilder.js
+// =============================================
+// ARIA STORAGE - SQL STATEMENT BUILDER
+// =============================================
+// Turns the adapter filter/order objects into parameterised SQL.
+// Shared by the Postgres ($1, $2 ...) and SQLite (?) adapters.
+// =============================================
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const COMPARISON_OPERATORS = {
+  lt: '<',
+  lte: '<=',
+  gt: '>',
+  gte: '>='
+};
+
+export function quoteIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid identifier "${name}"`);
+  }
+  return `"${name}"`;
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Collects bound values and hands out placeholders in order
+export function createParams(dialect) {
+  const values = [];
+  return {
+    values,
+    add(value) {
+      values.push(value);
+      return dialect === 'postgres' ? `$${values.length}` : '?';
+    }
+  };
+}
+
+function buildCondition(column, condition, params) {
+  const col = quoteIdentifier(column);
+
+  if (!isOperatorObject(condition)) {
+    return condition === null ? `${col} IS NULL` : `${col} = ${params.add(condition)}`;
+  }
+
+  const parts = [];
+  for (const [op, expected] of Object.entries(condition)) {
+    if (op === 'eq') {
+      parts.push(buildCondition(column, expected, params));
+    } else if (op === 'neq') {
+      parts.push(expected === null ? `${col} IS NOT NULL` : `${col} <> ${params.add(expected)}`);
+    } else if (op === 'in') {
+      if (expected.length === 0) {
+        parts.push('1 = 0');
+      } else {
+        parts.push(`${col} IN (${expected.map(value => params.add(value)).join(', ')})`);
+      }
+    } else if (COMPARISON_OPERATORS[op]) {
+      parts.push(`${col} ${COMPARISON_OPERATORS[op]} ${params.add(expected)}`);
+    } else {
+      throw new Error(`Unsupported filter operator "${op}"`);
+    }
+  }
+
+  return parts.join(' AND ');
+}
+
+export function buildWhere(filters, params) {
+  const clauses = [];
+
+  for (const [column, condition] of Object.entries(filters || {})) {
+    if (column === '$or') {
+      const branches = condition.map(branch => {
+        const inner = buildWhere(branch, params);
+        return inner ? `(${inner.replace(/^WHERE /, '')})` : '1 = 1';
+      });
+      clauses.push(`(${branches.join(' OR ')})`);
+      continue;
+    }
+    clauses.push(buildCondition(column, condition, params));
+  }
+
+  return clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+}
+
+export function buildOrder(order) {
+  const entries = Object.entries(order || {});
+  if (entries.length === 0) return '';
+
+  return 'ORDER BY ' + entries
+    .map(([column, direction]) => `${quoteIdentifier(column)} ${direction === 'desc' ? 'DESC' : 'ASC'}`)
+    .join(', ');
+}
+
+// ===============================================
+// STATEMENTS
+// ===============================================
+
+export function buildSelect(table, options, dialect) {
+  const { filters, columns, order, limit, offset } = options || {};
+  const params = createParams(dialect);
+
+  const columnList = columns && columns.length > 0
+    ? columns.map(quoteIdentifier).join(', ')
+    : '*';
+
+  const parts = [
+    `SELECT ${columnList} FROM ${quoteIdentifier(table)}`,
+    buildWhere(filters, params),
+    buildOrder(order)
+  ];
+
+  if (limit) {
+    parts.push(`LIMIT ${params.add(limit)}`);
+  } else if (offset && dialect === 'sqlite') {
+    // SQLite only accepts OFFSET after a LIMIT clause
+    parts.push('LIMIT -1');
+  }
+  if (offset) parts.push(`OFFSET ${params.add(offset)}`);
+
+  return { text: parts.filter(Boolean).join(' '), values: params.values };
+}
+
+export function buildCount(table, filters, dialect) {
+  const params = createParams(dialect);
+  const where = buildWhere(filters, params);
+  return {
+    text: `SELECT COUNT(*) AS count FROM ${quoteIdentifier(table)} ${where}`.trim(),
+    values: params.values
+  };
+}
+
+export function buildInsert(table, rows, dialect) {
+  const params = createParams(dialect);
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  const tuples = rows.map(row =>
+    `(${columns.map(column => (column in row ? params.add(row[column]) : 'DEFAULT')).join(', ')})`
+  );
+
+  return {
+    text: `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES ${tuples.join(', ')} RETURNING *`,
+    values: params.values
+  };
+}
+
+// Counter expressions evaluated inside the database, so concurrent
+// writers add to the stored value instead of overwriting it
+function incrementExpression(column, operand) {
+  return `COALESCE(${column}, 0) + ${operand}`;
+}
+
+function greatestExpression(column, operand, dialect) {
+  // SQLite spells GREATEST as the two-argument scalar MAX
+  const fn = dialect === 'sqlite' ? 'MAX' : 'GREATEST';
+  return `${fn}(COALESCE(${column}, 0), ${operand})`;
+}
+
+// INSERT ... ON CONFLICT (key) DO UPDATE — same syntax in Postgres and SQLite.
+// Every supplied column except the conflict key and id is overwritten,
+// except `increment` columns (stored + supplied) and `greatest` columns
+// (larger of stored and supplied).
+export function buildUpsert(table, rows, onConflict, dialect, options = {}) {
+  const { increment = [], greatest = [] } = options;
+  const insert = buildInsert(table, rows, dialect);
+  const conflictColumns = [].concat(onConflict);
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    .filter(column => column !== 'id' && column !== 'created_at' && !conflictColumns.includes(column));
+
+  const assignments = columns.map(column => {
+    const stored = `${quoteIdentifier(table)}.${quoteIdentifier(column)}`;
+    const supplied = `EXCLUDED.${quoteIdentifier(column)}`;
+    if (increment.includes(column)) {
+      return `${quoteIdentifier(column)} = ${incrementExpression(stored, supplied)}`;
+    }
+    if (greatest.includes(column)) {
+      return `${quoteIdentifier(column)} = ${greatestExpression(stored, supplied, dialect)}`;
+    }
+    return `${quoteIdentifier(column)} = ${supplied}`;
+  });
+
+  const action = assignments.length > 0
+    ? `DO UPDATE SET ${assignments.join(', ')}`
+    : 'DO NOTHING';
+
+  return {
+    text: insert.text.replace(
+      / RETURNING \*$/,
+      ` ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(', ')}) ${action} RETURNING *`
+    ),
+    values: insert.values
+  };
+}
+
+// UPDATE with counters: { increments: { col: delta }, greatest: { col: value }, patch }
+export function buildIncrement(table, filters, changes, dialect) {
+  const { increments = {}, greatest = {}, patch = {} } = changes;
+  const params = createParams(dialect);
+
+  const assignments = [
+    ...Object.entries(increments).map(([column, delta]) =>
+      `${quoteIdentifier(column)} = ${incrementExpression(quoteIdentifier(column), params.add(delta))}`),
+    ...Object.entries(greatest).map(([column, value]) =>
+      `${quoteIdentifier(column)} = ${greatestExpression(quoteIdentifier(column), params.add(value), dialect)}`),
+    ...Object.entries(patch).map(([column, value]) =>
+      `${quoteIdentifier(column)} = ${params.add(value)}`)
+  ];
+
+  return {
+    text: `UPDATE ${quoteIdentifier(table)} SET ${assignments.join(', ')} ${buildWhere(filters, params)} RETURNING *`,
+    values: params.values
+  };
+}
+
+export function buildUpdate(table, filters, patch, dialect) {
+  const params = createParams(dialect);
+  const assignments = Object.entries(patch)
+    .map(([column, value]) => `${quoteIdentifier(column)} = ${params.add(value)}`)
+    .join(', ');
+
+  return {
+    text: `UPDATE ${quoteIdentifier(table)} SET ${assignments} ${buildWhere(filters, params)} RETURNING *`,
+    values: params.values
+  };
+}
+
+export function buildDelete(table, filters, dialect) {
+  const params = createParams(dialect);
+  return {
+    text: `DELETE FROM ${quoteIdentifier(table)} ${buildWhere(filters, params)}`.trim(),
+    values: params.values
+  };
+}
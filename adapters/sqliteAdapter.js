@@ -0,0 +1,196 @@
+// adapters/sqliteAdapter.js
+// =============================================
+// ARIA STORAGE - SQLITE ADAPTER
+// =============================================
+// Keeps all of ARIA's memory in one SQLite file (ARIA_SQLITE_PATH).
+// No server, no network — runs on a laptop or an air-gapped box.
+// A new, empty file gets the full schema (migrations/sqlite) on first
+// open; existing files are upgraded with `npm run migrate`.
+// =============================================
+
+import { buildFullSchema, SCHEMA_TABLE } from '../ariaMigrations.js';
+import {
+  buildSelect,
+  buildCount,
+  buildInsert,
+  buildUpsert,
+  buildIncrement,
+  buildUpdate,
+  buildDelete
+} from './sqlBuilder.js';
+
+// SQLite only binds numbers, strings, bigints, buffers and null
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+export function createSqliteAdapter(config = {}) {
+  const { sqlitePath = './aria.sqlite' } = config;
+  let connection = null;
+
+  async function open() {
+    if (!connection) {
+      connection = (async () => {
+        let Database;
+        try {
+          ({ default: Database } = await import('better-sqlite3'));
+        } catch (error) {
+          throw new Error(`SQLite storage needs the "better-sqlite3" package (${error.message})`);
+        }
+
+        const db = new Database(sqlitePath);
+        db.pragma('journal_mode = WAL');
+
+        const existing = db.prepare(
+          "SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table' AND name IN (?, 'aria_messages')"
+        ).get(SCHEMA_TABLE);
+        if (existing.count === 0) {
+          db.transaction(() => db.exec(buildFullSchema('sqlite')))();
+        }
+        return db;
+      })();
+    }
+    return connection;
+  }
+
+  async function run(statement, mode = 'all') {
+    const db = await open();
+    const prepared = db.prepare(statement.text);
+    const values = statement.values.map(toSqliteValue);
+    return mode === 'run' ? prepared.run(...values) : prepared.all(...values);
+  }
+
+  async function select(table, options = {}) {
+    return run(buildSelect(table, options, 'sqlite'));
+  }
+
+  async function selectOne(table, filters = {}) {
+    const [row] = await select(table, { filters, limit: 1 });
+    return row || null;
+  }
+
+  async function count(table, filters = {}) {
+    const [row] = await run(buildCount(table, filters, 'sqlite'));
+    return Number(row?.count || 0);
+  }
+
+  function all(db, statement) {
+    return db.prepare(statement.text).all(...statement.values.map(toSqliteValue));
+  }
+
+  // SQLite has no DEFAULT keyword inside VALUES, so rows go one statement each
+  function insertRows(db, table, rows) {
+    return rows.flatMap(row => all(db, buildInsert(table, [row], 'sqlite')));
+  }
+
+  function upsertRows(db, table, rows, onConflict, counters) {
+    return rows.flatMap(row => all(db, buildUpsert(table, [row], onConflict, 'sqlite', counters)));
+  }
+
+  function applyOperation(db, operation) {
+    const rows = [].concat(operation.rows || []);
+
+    switch (operation.type) {
+      case 'insert':
+        return insertRows(db, operation.table, rows);
+      case 'upsert':
+        return upsertRows(db, operation.table, rows, operation.onConflict, operation);
+      case 'increment':
+        return all(db, buildIncrement(operation.table, operation.filters, operation, 'sqlite'));
+      case 'update':
+        return all(db, buildUpdate(operation.table, operation.filters, operation.patch, 'sqlite'));
+      case 'remove': {
+        const statement = buildDelete(operation.table, operation.filters, 'sqlite');
+        return db.prepare(statement.text).run(...statement.values.map(toSqliteValue)).changes;
+      }
+      default:
+        throw new Error(`Unsupported batch operation "${operation.type}"`);
+    }
+  }
+
+  async function insert(table, rowOrRows) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    const db = await open();
+    return db.transaction(() => insertRows(db, table, rows))();
+  }
+
+  async function upsert(table, rowOrRows, options = {}) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    const db = await open();
+    return db.transaction(() => upsertRows(db, table, rows, options.onConflict, options))();
+  }
+
+  async function increment(table, filters, changes) {
+    return run(buildIncrement(table, filters, changes, 'sqlite'));
+  }
+
+  async function update(table, filters, patch) {
+    return run(buildUpdate(table, filters, patch, 'sqlite'));
+  }
+
+  async function remove(table, filters = {}) {
+    const result = await run(buildDelete(table, filters, 'sqlite'), 'run');
+    return result.changes;
+  }
+
+  async function batch(operations) {
+    const db = await open();
+    return db.transaction(() => operations.map(operation => applyOperation(db, operation)))();
+  }
+
+  // Multi-statement SQL in one transaction (migrations)
+  async function runScript(sql) {
+    const db = await open();
+    db.transaction(() => db.exec(sql))();
+  }
+
+  // A namespace's first message creates its counter row
+  async function incrementMessageCounter(namespace = 'default') {
+    const db = await open();
+    const row = db.prepare(`
+      INSERT INTO aria_message_counter (id, namespace, current_index)
+      VALUES (1, ?, 1)
+      ON CONFLICT (namespace) DO UPDATE
+      SET current_index = current_index + 1,
+          last_updated = strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+      RETURNING current_index
+    `).get(namespace);
+    return row.current_index;
+  }
+
+  async function close() {
+    if (connection) {
+      const db = await connection;
+      connection = null;
+      db.close();
+    }
+  }
+
+  return {
+    kind: 'sqlite',
+    select,
+    selectOne,
+    count,
+    insert,
+    upsert,
+    increment,
+    update,
+    remove,
+    batch,
+    runScript,
+    incrementMessageCounter,
+    close
+  };
+}
+
+export default createSqliteAdapter;
@@ -0,0 +1,244 @@
+// adapters/supabaseAdapter.js
+// =============================================
+// ARIA STORAGE - SUPABASE ADAPTER
+// =============================================
+// The original deployment: every table is reached through the
+// Supabase REST client. Needs SUPABASE_URL plus the service role
+// key (falls back to the anon key for read-mostly setups).
+// =============================================
+
+import { createClient } from '@supabase/supabase-js';
+
+// PostgREST filter strings need reserved characters quoted
+function formatFilterValue(value) {
+  if (typeof value === 'string') {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return String(value);
+}
+
+function isOperatorObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// Builds the "col.op.value" form used inside .or(...)
+function formatOrBranch(branch) {
+  const parts = [];
+
+  for (const [column, condition] of Object.entries(branch)) {
+    const ops = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [op, expected] of Object.entries(ops)) {
+      if (expected === null) {
+        parts.push(op === 'neq' ? `${column}.not.is.null` : `${column}.is.null`);
+      } else if (op === 'in') {
+        parts.push(`${column}.in.(${expected.map(formatFilterValue).join(',')})`);
+      } else {
+        parts.push(`${column}.${op}.${formatFilterValue(expected)}`);
+      }
+    }
+  }
+
+  return parts.length === 1 ? parts[0] : `and(${parts.join(',')})`;
+}
+
+function applyFilters(query, filters = {}) {
+  for (const [column, condition] of Object.entries(filters)) {
+    if (column === '$or') {
+      query = query.or(condition.map(formatOrBranch).join(','));
+      continue;
+    }
+
+    const ops = isOperatorObject(condition) ? condition : { eq: condition };
+    for (const [op, expected] of Object.entries(ops)) {
+      switch (op) {
+        case 'eq':
+          query = expected === null ? query.is(column, null) : query.eq(column, expected);
+          break;
+        case 'neq':
+          query = expected === null ? query.not(column, 'is', null) : query.neq(column, expected);
+          break;
+        case 'in':
+          query = query.in(column, expected);
+          break;
+        case 'lt':
+        case 'lte':
+        case 'gt':
+        case 'gte':
+          query = query[op](column, expected);
+          break;
+        default:
+          throw new Error(`Unsupported filter operator "${op}"`);
+      }
+    }
+  }
+  return query;
+}
+
+// aria_apply_batch only understands column = value filters
+export function assertEqualityFilters(filters = {}) {
+  for (const [column, condition] of Object.entries(filters)) {
+    if (column === '$or' || isOperatorObject(condition) || condition === null) {
+      throw new Error(`Batched writes only support equality filters (got "${column}")`);
+    }
+  }
+}
+
+function unwrap({ data, error }) {
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+export function createSupabaseAdapter(config = {}) {
+  const { supabaseUrl, supabaseKey } = config;
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      if (!supabaseUrl || !supabaseKey) {
+        throw new Error('Supabase storage needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY (or SUPABASE_ANON_KEY)');
+      }
+      client = createClient(supabaseUrl, supabaseKey);
+    }
+    return client;
+  }
+
+  async function select(table, options = {}) {
+    const { filters, columns, order, limit, offset } = options;
+
+    let query = getClient()
+      .from(table)
+      .select(columns && columns.length > 0 ? columns.join(', ') : '*');
+
+    query = applyFilters(query, filters);
+
+    for (const [column, direction] of Object.entries(order || {})) {
+      query = query.order(column, { ascending: direction !== 'desc' });
+    }
+
+    if (offset) {
+      query = query.range(offset, offset + (limit || 1000) - 1);
+    } else if (limit) {
+      query = query.limit(limit);
+    }
+
+    return unwrap(await query) || [];
+  }
+
+  async function selectOne(table, filters = {}) {
+    const [row] = await select(table, { filters, limit: 1 });
+    return row || null;
+  }
+
+  async function count(table, filters = {}) {
+    let query = getClient()
+      .from(table)
+      .select('*', { count: 'exact', head: true });
+
+    query = applyFilters(query, filters);
+
+    const { count: total, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+    return total || 0;
+  }
+
+  async function insert(table, rowOrRows) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    return unwrap(await getClient().from(table).insert(rows).select()) || [];
+  }
+
+  async function upsert(table, rowOrRows, options = {}) {
+    const rows = Array.isArray(rowOrRows) ? rowOrRows : [rowOrRows];
+    if (rows.length === 0) return [];
+
+    // Counter columns have to be combined inside the database
+    if (options.increment?.length || options.greatest?.length) {
+      const [written] = await batch([{ ...options, type: 'upsert', table, rows }]);
+      return written;
+    }
+
+    const onConflict = [].concat(options.onConflict).join(',');
+    return unwrap(await getClient().from(table).upsert(rows, { onConflict }).select()) || [];
+  }
+
+  async function increment(table, filters, changes) {
+    const [updated] = await batch([{ ...changes, type: 'increment', table, filters }]);
+    return updated;
+  }
+
+  async function update(table, filters, patch) {
+    const query = applyFilters(getClient().from(table).update(patch), filters);
+    return unwrap(await query.select()) || [];
+  }
+
+  async function remove(table, filters = {}) {
+    const query = applyFilters(getClient().from(table).delete({ count: 'exact' }), filters);
+    const { count: removed, error } = await query;
+    if (error) {
+      throw new Error(error.message);
+    }
+    return removed || 0;
+  }
+
+  // One RPC, one transaction (aria_apply_batch, migrations 005/006)
+  async function batch(operations) {
+    const payload = operations.map(operation => {
+      if (operation.type !== 'insert' && operation.type !== 'upsert') {
+        assertEqualityFilters(operation.filters);
+      }
+      return {
+        ...operation,
+        rows: operation.rows === undefined ? undefined : [].concat(operation.rows),
+        onConflict: operation.onConflict === undefined ? undefined : [].concat(operation.onConflict)
+      };
+    });
+
+    const { data, error } = await getClient().rpc('aria_apply_batch', { operations: payload });
+
+    if (error) {
+      if (error.code === 'PGRST202') {
+        throw new Error('aria_apply_batch not found — run npm run migrate (migrations 005 + 006)');
+      }
+      throw new Error(error.message);
+    }
+
+    return data;
+  }
+
+  // No read-then-write fallback: two processes would hand out the same index
+  async function incrementMessageCounter(namespace = 'default') {
+    const { data, error } = await getClient().rpc('aria_increment_message_counter', { p_namespace: namespace });
+
+    if (error) {
+      throw new Error(`Message counter increment failed (run npm run migrate): ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async function close() {
+    client = null;
+  }
+
+  return {
+    kind: 'supabase',
+    select,
+    selectOne,
+    count,
+    insert,
+    upsert,
+    increment,
+    update,
+    remove,
+    batch,
+    incrementMessageCounter,
+    close
+  };
+}
+
+export default createSupabaseAdapter;
@@ -0,0 +1,264 @@
+// ariaBundle.js
+// =============================================
+// ARIA - MEMORY BUNDLES
+// =============================================
+// Learned state — token stats, word pairs, global stats and the
+// message counter — as a versioned bundle:
+//   ndjson — header line, one record per line, trailer with counts
+//            (streamed both ways; the default)
+//   json   — the same content as a single document
+//   csv    — token stats or word pairs only, for spreadsheets
+// The trailer's counts catch truncated files before anything is written.
+// =============================================
+
+import { createReadStream } from 'fs';
+import { readFile } from 'fs/promises';
+import { createInterface } from 'readline';
+import { getStorage } from './ariaStorage.js';
+import { streamMemoryRecords, importMemoryRecords } from './ariaCorrelator.js';
+
+export const BUNDLE_FORMAT = 'aria-memory';
+export const BUNDLE_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+export const CSV_TABLES = {
+  tokens: 'token',
+  pairs: 'pair'
+};
+
+// JSON document key for each record type
+const JSON_SECTIONS = {
+  token: 'tokens',
+  pair: 'pairs',
+  global: 'globalStats',
+  counter: 'messageCounter'
+};
+
+// ===============================================
+// EXPORT
+// ===============================================
+
+async function* streamBundleRecords() {
+  yield {
+    type: 'header',
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: getStorage().kind,
+    namespace: getStorage().namespace
+  };
+  
+  const counts = {};
+  for await (const record of streamMemoryRecords()) {
+    counts[record.type] = (counts[record.type] || 0) + 1;
+    yield record;
+  }
+  
+  yield { type: 'end', counts };
+}
+
+async function* serializeNdjson() {
+  for await (const record of streamBundleRecords()) {
+    yield `${JSON.stringify(record)}\n`;
+  }
+}
+
+// Written piece by piece so large memories never sit in one string
+async function* serializeJson() {
+  let openArray = false;
+  let firstRow = true;
+  
+  for await (const record of streamBundleRecords()) {
+    const { type, data } = record;
+    
+    // Header fields open the document; the closing brace comes with the counts
+    if (type === 'header') {
+      yield JSON.stringify({ ...record, type: undefined }).slice(0, -1);
+      continue;
+    }
+    
+    if (type === 'token' || type === 'pair') {
+      if (openArray !== JSON_SECTIONS[type]) {
+        yield `${openArray ? '\n]' : ''},\n"${JSON_SECTIONS[type]}":[\n`;
+        openArray = JSON_SECTIONS[type];
+        firstRow = true;
+      }
+      yield `${firstRow ? '' : ',\n'}${JSON.stringify(data)}`;
+      firstRow = false;
+      continue;
+    }
+    
+    if (openArray) {
+      yield '\n]';
+      openArray = false;
+    }
+    
+    yield type === 'end'
+      ? `,\n"counts":${JSON.stringify(record.counts)}}\n`
+      : `,\n"${JSON_SECTIONS[type]}":${JSON.stringify(data)}`;
+  }
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* serializeCsv(table) {
+  const type = CSV_TABLES[table];
+  if (!type) {
+    throw new Error(`CSV export needs table=${Object.keys(CSV_TABLES).join('|')}`);
+  }
+  
+  let columns = null;
+  for await (const { data } of streamMemoryRecords({ types: [type] })) {
+    if (!columns) {
+      columns = Object.keys(data);
+      yield `${columns.join(',')}\n`;
+    }
+    yield `${columns.map(column => csvCell(data[column])).join(',')}\n`;
+  }
+}
+
+// Serialized chunks; the caller pipes them to a response or a file
+export function serializeBundle(format = 'ndjson', options = {}) {
+  switch (format) {
+    case 'ndjson':
+      return serializeNdjson();
+    case 'json':
+      return serializeJson();
+    case 'csv':
+      return serializeCsv(options.table);
+    default:
+      throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+}
+
+// ===============================================
+// IMPORT
+// ===============================================
+
+function assertBundleHeader(header) {
+  if (header?.format !== BUNDLE_FORMAT) {
+    throw new Error(`Not an ARIA memory bundle (format "${header?.format}")`);
+  }
+  if (!Number.isInteger(header.version) || header.version > BUNDLE_VERSION) {
+    throw new Error(`Bundle version ${header.version} is newer than this build reads (${BUNDLE_VERSION})`);
+  }
+}
+
+function assertCounts(expected, actual) {
+  for (const type of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+    if ((expected[type] || 0) !== (actual[type] || 0)) {
+      throw new Error(`Bundle is incomplete: ${actual[type] || 0} ${type} records, trailer says ${expected[type] || 0}`);
+    }
+  }
+}
+
+function parseLine(line, lineNumber) {
+  try {
+    return JSON.parse(line);
+  } catch (error) {
+    throw new Error(`Line ${lineNumber} is not valid JSON: ${error.message}`);
+  }
+}
+
+async function* readJsonBundle(path) {
+  const document = JSON.parse(await readFile(path, 'utf8'));
+  assertBundleHeader(document);
+  
+  const counts = {};
+  const emit = (type, data) => {
+    counts[type] = (counts[type] || 0) + 1;
+    return { type, data };
+  };
+  
+  for (const data of document.tokens || []) yield emit('token', data);
+  for (const data of document.pairs || []) yield emit('pair', data);
+  if (document.globalStats) yield emit('global', document.globalStats);
+  if (document.messageCounter) yield emit('counter', document.messageCounter);
+  
+  assertCounts(document.counts || {}, counts);
+}
+
+// Data records from an NDJSON or JSON bundle file; header and trailer
+// are checked here and not passed on
+export async function* readBundleRecords(path) {
+  const lines = createInterface({ input: createReadStream(path, 'utf8'), crlfDelay: Infinity });
+  
+  let header = null;
+  let trailer = null;
+  let lineNumber = 0;
+  const counts = {};
+  
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    
+    if (!header) {
+      let first = null;
+      try {
+        first = JSON.parse(line);
+      } catch (error) {
+        // Not line-delimited: a JSON document
+      }
+      if (first?.type !== 'header') {
+        lines.close();
+        yield* readJsonBundle(path);
+        return;
+      }
+      assertBundleHeader(first);
+      header = first;
+      continue;
+    }
+    
+    const record = parseLine(line, lineNumber);
+    if (trailer) {
+      throw new Error(`Line ${lineNumber}: records after the end of the bundle`);
+    }
+    if (record.type === 'end') {
+      trailer = record;
+      continue;
+    }
+    
+    counts[record.type] = (counts[record.type] || 0) + 1;
+    yield record;
+  }
+  
+  if (!header) {
+    throw new Error('Bundle is empty');
+  }
+  if (!trailer) {
+    throw new Error('Bundle is incomplete: no end record');
+  }
+  assertCounts(trailer.counts || {}, counts);
+}
+
+// Reads the file twice: a full check first, so a truncated or
+// malformed bundle fails before anything is written
+export async function importBundleFile(path, options = {}) {
+  for await (const record of readBundleRecords(path)) {
+    if (!JSON_SECTIONS[record.type] || record.data === null || typeof record.data !== 'object') {
+      throw new Error(`Invalid bundle record: ${JSON.stringify(record).slice(0, 120)}`);
+    }
+  }
+  
+  return importMemoryRecords(readBundleRecords(path), options);
+}
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  EXPORT_FORMATS,
+  CSV_TABLES,
+  serializeBundle,
+  readBundleRecords,
+  importBundleFile
+};
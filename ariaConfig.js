@@ -0,0 +1,600 @@
+// ariaConfig.js
+// =============================================
+// ARIA - RUNTIME CONFIGURATION
+// =============================================
+// The tunables of the correlator, generator and server, in three
+// layers (later wins):
+//   1. built-in defaults below
+//   2. the config file (ARIA_CONFIG_FILE, default ./aria.config.json)
+//   3. environment variables (ARIA_SNAPSHOT_KEEP=..., or any setting
+//      as ARIA_CONFIG__CORRELATOR__CATEGORY_THRESHOLD=0.2)
+// Every layer is checked against CONFIG_SCHEMA. The modules keep a
+// reference to their section of `config` and read it at call time;
+// changes are copied into those objects, so they apply without a
+// restart. Changes made through PUT /api/config are written to the
+// config file, edits to the file are picked up while the server runs,
+// and both are recorded in aria_config_history.
+// =============================================
+
+import { existsSync, readFileSync, watchFile, unwatchFile } from 'fs';
+import { writeFile, rename } from 'fs/promises';
+import { resolve } from 'path';
+import { getStorage } from './ariaStorage.js';
+
+export const CATEGORY_NAMES = ['stable', 'transition', 'modifier', 'structural', 'unclassified'];
+
+// ===============================================
+// DEFAULTS
+// ===============================================
+
+const DEFAULTS = {
+  correlator: {
+    // Score thresholds for tier promotion
+    THRESHOLDS: {
+      SHORT_MAX: 0.30,
+      MEDIUM_MAX: 0.80,
+      DECAY_MIN: 0.01
+    },
+
+    // Decay configuration per tier
+    DECAY: {
+      short: { interval: 50, rate: 0.15 },
+      medium: { interval: 200, rate: 0.05 },
+      long: { interval: 1000, rate: 0.01 }
+    },
+
+    // Reinforcement rates
+    REINFORCEMENT: {
+      base: 0.02,           // Base reinforcement for pairs
+      tokenBoost: 0.01,     // Token score boost on reinforcement
+      maxScore: 1.0         // Maximum score cap
+    },
+
+    // Adjacency window size for statistics
+    ADJACENCY_WINDOW: 2,
+
+    // Minimum occurrences before category assignment
+    MIN_OCCURRENCES_FOR_CATEGORY: 2,
+
+    // Category score threshold
+    CATEGORY_THRESHOLD: 0.15,
+
+    // Promotion speed modifiers by category
+    PROMOTION_MODIFIERS: {
+      stable: 1.5,          // Faster promotion
+      structural: 0.6,      // Slower promotion
+      transition: 1.0,      // Normal
+      modifier: 1.0,        // Normal
+      unclassified: 0.8     // Slightly slower
+    },
+
+    // Left/right neighbour profiles for similarity (ariaSimilarity.js)
+    NEIGHBORS: {
+      PROFILE_SIZE: 32      // Words kept per side (0 = no profiles)
+    },
+
+    // Positional statistics are running sums on aria_token_stats;
+    // aria_token_positions is only a short, pruned log
+    POSITIONS: {
+      // Variance of position / (length - 1) instead of the raw index,
+      // so long messages don't dominate max_positional_variance
+      NORMALIZE: false,
+      RETENTION_MESSAGES: 1000, // 0 = no log
+      PRUNE_INTERVAL: 100
+    },
+
+    // Pairs that decayed below DECAY_MIN (tier 'decay')
+    GRAVEYARD: {
+      // Scales the reinforcement a dead pair gets when it is seen again:
+      // below 1 penalizes resurrection, above 1 favors remembered pairs
+      RESURRECTION_MODIFIER: 1,
+      // Dead this many messages → moved to aria_pair_archive
+      ARCHIVE_AFTER_MESSAGES: 5000,
+      COMPACT_INTERVAL: 100
+    },
+
+    // Automatic snapshots ("auto-<message index>"); named ones are never pruned
+    SNAPSHOTS: {
+      INTERVAL: 1000, // 0 = off
+      KEEP: 5
+    },
+
+    // Contrast pair candidates from shared contexts (ariaContrasts.js)
+    CONTRAST_DISCOVERY: {
+      INTERVAL: 500,            // 0 = only on request
+      MIN_OCCURRENCES: 5,       // Both words seen at least this often
+      MAX_TOKENS: 500,          // Most frequent tokens compared
+      MIN_SIMILARITY: 0.5,      // Cosine of left/right neighbour counts
+      MAX_ADJACENT_SHARE: 0.1   // Side by side in at most this share
+    },
+
+    // Confirmed category switches are always kept in
+    // aria_category_history; scores are sampled every SAMPLE_EVERY
+    // occurrences of a token
+    CATEGORY_HISTORY: {
+      SAMPLE_EVERY: 25          // 0 = switches only
+    },
+
+    // Subclusters within each category from neighbour profiles
+    // (ariaSubclusters.js); runs in the background every INTERVAL messages
+    SUBCLUSTERS: {
+      INTERVAL: 0,              // 0 = only on request
+      MIN_OCCURRENCES: 5,       // Tokens seen less often stay unclustered
+      MAX_TOKENS: 1000,         // Most frequent tokens per category
+      MIN_SIMILARITY: 0.4,      // Cosine to a cluster's centre to join it
+      MIN_SIZE: 3,              // Smaller groups are dissolved
+      PASSES: 5                 // Refinement passes after the first sweep
+    }
+  },
+
+  generator: {
+    maxWords: 12,              // Maximum words in response
+    minWords: 3,               // Minimum words for valid response
+    maxAttempts: 10,           // Max graph walk attempts
+    strengthThreshold: 0.01,   // Minimum pair strength to follow
+    randomnessFactor: 0.25,    // Chance to pick non-top option
+    // Score multiplier for a next word in the current word's subcluster:
+    // above 1 stays inside subclusters, below 1 moves between them
+    subclusterBias: 1,
+
+    // Category transition preferences
+    // What categories tend to follow what
+    categoryTransitions: {
+      stable: ['modifier', 'transition', 'structural'],
+      modifier: ['stable', 'structural'],
+      transition: ['stable', 'modifier', 'structural'],
+      structural: ['stable', 'modifier', 'transition'],
+      unclassified: ['stable', 'modifier', 'transition', 'structural']
+    },
+
+    // Category weights for starting word selection
+    startingWeights: {
+      stable: 1.5,       // Prefer starting with stable (nouns)
+      transition: 1.0,   // Verbs OK
+      modifier: 0.7,     // Less likely to start with modifiers
+      structural: 0.3,   // Rarely start with structural words
+      unclassified: 0.5
+    }
+  },
+
+  server: {
+    // Trigger patterns (ariaPreprocess.js also keeps them out of
+    // what ARIA learns)
+    triggers: {
+      mentions: ['@aria', 'aria,', 'hey aria', 'aria?', 'yo aria'],
+      commands: ['/aria', '/a'],
+      questions: true,
+      questionChance: 0.3    // Share of questions ARIA answers unprompted
+    },
+
+    // Response settings
+    responseDelay: 50,
+    maxResponseLength: 200
+  }
+};
+
+// ===============================================
+// SCHEMA
+// ===============================================
+
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'integer', min, max });
+const boolean = () => ({ type: 'boolean' });
+const phrases = () => ({ type: 'strings' });
+const categoryList = () => ({ type: 'strings', values: CATEGORY_NAMES.filter(name => name !== 'unclassified') });
+const perCategory = (leaf) => Object.fromEntries(CATEGORY_NAMES.map(name => [name, leaf()]));
+const decayTier = () => ({ interval: integer(1, 1000000), rate: number(0, 1) });
+
+export const CONFIG_SCHEMA = {
+  correlator: {
+    THRESHOLDS: { SHORT_MAX: number(0, 1), MEDIUM_MAX: number(0, 1), DECAY_MIN: number(0, 1) },
+    DECAY: { short: decayTier(), medium: decayTier(), long: decayTier() },
+    REINFORCEMENT: { base: number(0, 1), tokenBoost: number(0, 1), maxScore: number(0, 1) },
+    ADJACENCY_WINDOW: integer(1, 10),
+    MIN_OCCURRENCES_FOR_CATEGORY: integer(1, 1000),
+    CATEGORY_THRESHOLD: number(0, 1),
+    PROMOTION_MODIFIERS: perCategory(() => number(0, 10)),
+    NEIGHBORS: { PROFILE_SIZE: integer(0, 1000) },
+    POSITIONS: { NORMALIZE: boolean(), RETENTION_MESSAGES: integer(0, 10000000), PRUNE_INTERVAL: integer(1, 1000000) },
+    GRAVEYARD: {
+      RESURRECTION_MODIFIER: number(0, 10),
+      ARCHIVE_AFTER_MESSAGES: integer(1, 100000000),
+      COMPACT_INTERVAL: integer(1, 1000000)
+    },
+    SNAPSHOTS: { INTERVAL: integer(0, 100000000), KEEP: integer(0, 1000) },
+    CONTRAST_DISCOVERY: {
+      INTERVAL: integer(0, 100000000),
+      MIN_OCCURRENCES: integer(1, 1000000),
+      MAX_TOKENS: integer(2, 10000),
+      MIN_SIMILARITY: number(0, 1),
+      MAX_ADJACENT_SHARE: number(0, 1)
+    },
+    CATEGORY_HISTORY: { SAMPLE_EVERY: integer(0, 1000000) },
+    SUBCLUSTERS: {
+      INTERVAL: integer(0, 100000000),
+      MIN_OCCURRENCES: integer(1, 1000000),
+      MAX_TOKENS: integer(2, 10000),
+      MIN_SIMILARITY: number(0, 1),
+      MIN_SIZE: integer(1, 10000),
+      PASSES: integer(0, 100)
+    }
+  },
+  generator: {
+    maxWords: integer(1, 100),
+    minWords: integer(1, 100),
+    maxAttempts: integer(1, 100),
+    strengthThreshold: number(0, 1),
+    randomnessFactor: number(0, 10),
+    subclusterBias: number(0, 10),
+    categoryTransitions: perCategory(categoryList),
+    startingWeights: perCategory(() => number(0, 10))
+  },
+  server: {
+    triggers: {
+      mentions: phrases(),
+      commands: phrases(),
+      questions: boolean(),
+      questionChance: number(0, 1)
+    },
+    responseDelay: integer(0, 60000),
+    maxResponseLength: integer(10, 10000)
+  }
+};
+
+// Rules between settings, checked on the merged result
+const CROSS_CHECKS = [
+  [c => c.correlator.THRESHOLDS.DECAY_MIN < c.correlator.THRESHOLDS.SHORT_MAX,
+    'correlator.THRESHOLDS.DECAY_MIN must be below SHORT_MAX'],
+  [c => c.correlator.THRESHOLDS.SHORT_MAX < c.correlator.THRESHOLDS.MEDIUM_MAX,
+    'correlator.THRESHOLDS.SHORT_MAX must be below MEDIUM_MAX'],
+  [c => c.generator.minWords <= c.generator.maxWords,
+    'generator.minWords must not exceed maxWords']
+];
+
+// Variables that predate the config file keep working
+const ENV_SETTINGS = {
+  ARIA_NORMALIZE_POSITIONS: 'correlator.POSITIONS.NORMALIZE',
+  ARIA_POSITION_RETENTION: 'correlator.POSITIONS.RETENTION_MESSAGES',
+  ARIA_RESURRECTION_MODIFIER: 'correlator.GRAVEYARD.RESURRECTION_MODIFIER',
+  ARIA_GRAVEYARD_ARCHIVE_AFTER: 'correlator.GRAVEYARD.ARCHIVE_AFTER_MESSAGES',
+  ARIA_SNAPSHOT_INTERVAL: 'correlator.SNAPSHOTS.INTERVAL',
+  ARIA_SNAPSHOT_KEEP: 'correlator.SNAPSHOTS.KEEP'
+};
+const ENV_PREFIX = 'ARIA_CONFIG__';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isLeaf(schema) {
+  return typeof schema.type === 'string';
+}
+
+function checkValue(path, rule, value) {
+  switch (rule.type) {
+    case 'boolean':
+      if (typeof value !== 'boolean') throw new Error(`${path} must be true or false`);
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value) ||
+          (rule.type === 'integer' && !Number.isInteger(value)) || value < rule.min || value > rule.max) {
+        throw new Error(`${path} must be ${rule.type === 'integer' ? 'an integer' : 'a number'} from ${rule.min} to ${rule.max}`);
+      }
+      break;
+    case 'strings':
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item.trim() === '')) {
+        throw new Error(`${path} must be a list of non-empty strings`);
+      }
+      if (rule.values && value.some(item => !rule.values.includes(item))) {
+        throw new Error(`${path} must only contain ${rule.values.join(', ')}`);
+      }
+      break;
+  }
+}
+
+// Checks a partial settings object (file, env or API patch); null
+// means "unset" and is allowed where allowNull is true
+function checkSettings(settings, schema = CONFIG_SCHEMA, path = '', allowNull = false) {
+  if (!isPlainObject(settings)) {
+    throw new Error(`${path || 'Settings'} must be an object`);
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    const rule = schema[key];
+    if (!rule) {
+      throw new Error(`Unknown setting ${keyPath}`);
+    }
+    if (value === null && allowNull) continue;
+    if (isLeaf(rule)) {
+      checkValue(keyPath, rule, value);
+    } else {
+      checkSettings(value, rule, keyPath, allowNull);
+    }
+  }
+}
+
+function ruleAt(path) {
+  let rule = CONFIG_SCHEMA;
+  for (const key of path.split('.')) {
+    rule = rule?.[key];
+  }
+  return rule && isLeaf(rule) ? rule : null;
+}
+
+// ===============================================
+// LAYERS
+// ===============================================
+
+function setPath(target, path, value) {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node[key] = isPlainObject(node[key]) ? node[key] : {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+// Later layers win; null removes a setting; lists are replaced whole
+function mergeSettings(base, patch) {
+  const merged = structuredClone(base);
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value)) {
+      const child = mergeSettings(isPlainObject(merged[key]) ? merged[key] : {}, value);
+      if (Object.keys(child).length > 0) merged[key] = child; else delete merged[key];
+    } else {
+      merged[key] = structuredClone(value);
+    }
+  }
+  return merged;
+}
+
+function flatten(settings, path = '', out = {}) {
+  for (const [key, value] of Object.entries(settings)) {
+    const keyPath = path ? `${path}.${key}` : key;
+    if (isPlainObject(value)) flatten(value, keyPath, out); else out[keyPath] = value;
+  }
+  return out;
+}
+
+function parseEnvValue(name, path, raw) {
+  const rule = ruleAt(path);
+  if (!rule) {
+    throw new Error(`${name}: unknown setting ${path}`);
+  }
+  if (rule.type === 'boolean') {
+    if (['true', '1'].includes(raw)) return true;
+    if (['false', '0', ''].includes(raw)) return false;
+  } else if (rule.type === 'strings') {
+    return raw.startsWith('[') ? JSON.parse(raw) : raw.split(',').map(item => item.trim()).filter(Boolean);
+  } else if (raw.trim() !== '') {
+    return Number(raw);
+  }
+  throw new Error(`${name}: cannot read "${raw}" as ${rule.type}`);
+}
+
+// Setting paths are matched case-insensitively in ARIA_CONFIG__ names
+function resolveEnvPath(parts) {
+  let schema = CONFIG_SCHEMA;
+  const path = [];
+  for (const part of parts) {
+    const key = Object.keys(schema || {}).find(candidate => candidate.toLowerCase() === part.toLowerCase());
+    if (!key) return parts.join('.');
+    path.push(key);
+    schema = schema[key];
+  }
+  return path.join('.');
+}
+
+function readEnvSettings(env) {
+  const settings = {};
+  const sources = {};
+  const apply = (name, path) => {
+    const value = parseEnvValue(name, path, env[name]);
+    checkValue(path, ruleAt(path), value);
+    setPath(settings, path, value);
+    sources[path] = name;
+  };
+
+  for (const [name, path] of Object.entries(ENV_SETTINGS)) {
+    if (env[name] !== undefined) apply(name, path);
+  }
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(ENV_PREFIX)) {
+      apply(name, resolveEnvPath(name.slice(ENV_PREFIX.length).split('__')));
+    }
+  }
+  return { settings, sources };
+}
+
+function readFileSettings(file) {
+  if (!existsSync(file)) return {};
+  let settings;
+  try {
+    settings = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable config file ${file}: ${error.message}`);
+  }
+  checkSettings(settings);
+  return settings;
+}
+
+function buildConfig(fileSettings, envSettings) {
+  const merged = mergeSettings(mergeSettings(DEFAULTS, fileSettings), envSettings);
+  for (const [check, message] of CROSS_CHECKS) {
+    if (!check(merged)) throw new Error(message);
+  }
+  return merged;
+}
+
+// ===============================================
+// LIVE CONFIG
+// ===============================================
+
+// The objects the modules hold on to; never replaced, only updated
+export const config = structuredClone(DEFAULTS);
+
+const state = {
+  file: null,
+  env: process.env,
+  fileSettings: {},
+  envSources: {},
+  envSettings: {}
+};
+
+// Copies next into target without replacing nested objects
+function assignInPlace(target, next) {
+  for (const [key, value] of Object.entries(next)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      assignInPlace(target[key], value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+function diffConfig(before, after) {
+  const from = flatten(before);
+  const to = flatten(after);
+  return Object.keys(to)
+    .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+    .map(path => ({ path, from: from[path] ?? null, to: to[path] }));
+}
+
+// (Re)reads the file and environment; throws, leaving the live config
+// untouched, if either is invalid. options: file, env
+export function loadConfig(options = {}) {
+  const file = resolve(options.file || process.env.ARIA_CONFIG_FILE || 'aria.config.json');
+  const fileSettings = readFileSettings(file);
+  const source = options.env || process.env;
+  const env = readEnvSettings(source);
+  const next = buildConfig(fileSettings, env.settings);
+
+  const changes = diffConfig(config, next);
+  assignInPlace(config, next);
+  Object.assign(state, { file, env: source, fileSettings, envSources: env.sources, envSettings: env.settings });
+  return changes;
+}
+
+async function recordChange(changes, options) {
+  const { actor = null, source, note = null } = options;
+  try {
+    await getStorage().insert('aria_config_history', { actor, source, changes, note });
+    return true;
+  } catch (error) {
+    console.error('   ❌ Config history error:', error.message);
+    return false;
+  }
+}
+
+// ===============================================
+// API
+// ===============================================
+
+export function getConfig() {
+  return {
+    config: structuredClone(config),
+    file: state.file,
+    fileSettings: structuredClone(state.fileSettings),
+    // Settings pinned by environment variables can't be changed at runtime
+    environment: { ...state.envSources }
+  };
+}
+
+// Every setting with its rule and default, for clients building forms
+export function getConfigSchema() {
+  const defaults = flatten(DEFAULTS);
+  const rules = [];
+  const walk = (schema, path) => {
+    for (const [key, rule] of Object.entries(schema)) {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (isLeaf(rule)) rules.push({ path: keyPath, ...rule, default: defaults[keyPath] });
+      else walk(rule, keyPath);
+    }
+  };
+  walk(CONFIG_SCHEMA, '');
+  return rules;
+}
+
+// patch has the config's shape ({ generator: { maxWords: 8 } }); null
+// resets a setting to its default. Saved to the config file, applied
+// at once and recorded. options: actor, note
+export async function updateConfig(patch, options = {}) {
+  checkSettings(patch, CONFIG_SCHEMA, '', true);
+  for (const path of Object.keys(flatten(patch))) {
+    const pinned = Object.keys(state.envSources).find(envPath => envPath === path || envPath.startsWith(`${path}.`));
+    if (pinned) {
+      throw new Error(`${pinned} is set by environment variable ${state.envSources[pinned]}`);
+    }
+  }
+
+  const fileSettings = mergeSettings(state.fileSettings, patch);
+  const next = buildConfig(fileSettings, state.envSettings);
+  const changes = diffConfig(config, next);
+  if (changes.length === 0) {
+    return { changes, recorded: false };
+  }
+
+  // Written beside the target and renamed, so a crash never leaves half a file
+  const temporary = `${state.file}.tmp`;
+  await writeFile(temporary, `${JSON.stringify(fileSettings, null, 2)}\n`);
+  await rename(temporary, state.file);
+
+  assignInPlace(config, next);
+  state.fileSettings = fileSettings;
+  console.log(`⚙️ Config: ${changes.map(change => `${change.path} ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`).join(', ')}`);
+
+  const recorded = await recordChange(changes, { actor: options.actor ?? null, source: 'api', note: options.note ?? null });
+  return { changes, recorded };
+}
+
+export async function getConfigHistory(options = {}) {
+  const { limit = 50, offset = 0 } = options;
+  const rows = await getStorage().select('aria_config_history', {
+    order: { created_at: 'desc' },
+    limit,
+    offset
+  });
+  // jsonb comes back parsed, SQLite hands back the text
+  return rows.map(row => ({ ...row, changes: typeof row.changes === 'string' ? JSON.parse(row.changes) : row.changes }));
+}
+
+// Polls the config file; an edit that passes the schema is applied and
+// recorded, one that doesn't is logged and ignored. Returns a stop function.
+export function watchConfigFile(options = {}) {
+  const { interval = 2000 } = options;
+  const file = state.file;
+
+  const onChange = async (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      const changes = loadConfig({ file, env: state.env });
+      if (changes.length > 0) {
+        console.log(`⚙️ Reloaded ${file}: ${changes.map(change => change.path).join(', ')}`);
+        await recordChange(changes, { actor: null, source: 'file' });
+      }
+    } catch (error) {
+      console.error(`❌ Config file change ignored: ${error.message}`);
+    }
+  };
+
+  watchFile(file, { interval }, onChange);
+  return () => unwatchFile(file, onChange);
+}
+
+loadConfig();
+
+export default {
+  CATEGORY_NAMES,
+  CONFIG_SCHEMA,
+  config,
+  loadConfig,
+  getConfig,
+  getConfigSchema,
+  updateConfig,
+  getConfigHistory,
+  watchConfigFile
+};
@@ -0,0 +1,290 @@
+// ariaContrasts.js
+// =============================================
+// ARIA - CONTRAST PAIR DISCOVERY
+// =============================================
+// Opposites are interchangeable in a sentence ("the water is hot" /
+// "the water is cold") but rarely sit side by side. Two tokens whose
+// left and right neighbours (from aria_word_pairs) look alike and
+// that are seldom adjacent become a candidate pair:
+//   similarity  cosine of their neighbour counts ("L:is", "R:water"...)
+//   adjacency   how often a→b or b→a was seen, over the rarer token's
+//               occurrences
+//   confidence  similarity × (1 - adjacency)
+// Candidates wait in aria_contrast_candidates (per namespace) for
+// review; approving one adds it to the contrast lexicon
+// (ariaLexicons.js), which is what learning counts.
+// =============================================
+
+import { getStorage, getNamespace } from './ariaStorage.js';
+import { PLACEHOLDERS, normalizeToken } from './ariaTokenizer.js';
+import { config } from './ariaConfig.js';
+import { getLexicons, addContrastPairs, removeContrastPair } from './ariaLexicons.js';
+
+export const CANDIDATE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const TABLE = 'aria_contrast_candidates';
+const PAGE_SIZE = 1000;
+const TOKEN_CHUNK = 100;
+// Pending candidates kept per run, best first
+const MAX_PENDING = 200;
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+async function selectPages(table, options) {
+  const rows = [];
+  for (let offset = 0; ; offset += PAGE_SIZE) {
+    const page = await getStorage().select(table, { ...options, limit: PAGE_SIZE, offset });
+    rows.push(...page);
+    if (page.length < PAGE_SIZE) return rows;
+  }
+}
+
+// ===============================================
+// SCORING
+// ===============================================
+
+// The most frequent tokens worth comparing: function words and
+// placeholders share every context and aren't opposites of anything
+async function loadCandidateTokens(settings) {
+  const rows = await getStorage().select('aria_token_stats', {
+    columns: ['token', 'total_occurrences', 'category'],
+    filters: { total_occurrences: { gte: settings.MIN_OCCURRENCES }, category: { neq: 'structural' } },
+    order: { total_occurrences: 'desc' },
+    limit: settings.MAX_TOKENS + PLACEHOLDERS.length
+  });
+  return new Map(rows
+    .filter(row => !PLACEHOLDERS.includes(row.token))
+    .slice(0, settings.MAX_TOKENS)
+    .map(row => [row.token, Number(row.total_occurrences)]));
+}
+
+// token → Map(context → frequency), plus a→b adjacency counts
+// between candidate tokens
+async function loadContexts(tokens) {
+  const contexts = new Map([...tokens].map(token => [token, new Map()]));
+  const adjacent = new Map();
+  const list = [...tokens];
+
+  const add = (token, context, frequency) => {
+    const counts = contexts.get(token);
+    counts.set(context, (counts.get(context) || 0) + frequency);
+  };
+
+  for (let i = 0; i < list.length; i += TOKEN_CHUNK) {
+    const chunk = list.slice(i, i + TOKEN_CHUNK);
+    // Chunk tokens on the left: their right-hand contexts
+    for (const row of await selectPages('aria_word_pairs', {
+      columns: ['token_a', 'token_b', 'frequency'],
+      filters: { token_a: { in: chunk }, directed: true },
+      order: { pattern_key: 'asc' }
+    })) {
+      const frequency = Number(row.frequency) || 0;
+      add(row.token_a, `R:${row.token_b}`, frequency);
+      if (tokens.has(row.token_b) && row.token_a !== row.token_b) {
+        const key = pairKey(row.token_a, row.token_b);
+        adjacent.set(key, (adjacent.get(key) || 0) + frequency);
+      }
+    }
+    // Chunk tokens on the right: their left-hand contexts
+    for (const row of await selectPages('aria_word_pairs', {
+      columns: ['token_a', 'token_b', 'frequency'],
+      filters: { token_b: { in: chunk }, directed: true },
+      order: { pattern_key: 'asc' }
+    })) {
+      add(row.token_b, `L:${row.token_a}`, Number(row.frequency) || 0);
+    }
+  }
+
+  return { contexts, adjacent };
+}
+
+// Dot products over shared contexts only, through an inverted index
+function scorePairs(contexts) {
+  const byContext = new Map();
+  const norms = new Map();
+  for (const [token, counts] of contexts) {
+    let sum = 0;
+    for (const [context, count] of counts) {
+      sum += count * count;
+      if (!byContext.has(context)) byContext.set(context, []);
+      byContext.get(context).push([token, count]);
+    }
+    norms.set(token, Math.sqrt(sum));
+  }
+
+  const shared = new Map();
+  for (const [context, entries] of byContext) {
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const [a, countA] = entries[i];
+        const [b, countB] = entries[j];
+        // The candidates themselves aren't each other's context
+        if (context.slice(2) === a || context.slice(2) === b) continue;
+        const key = pairKey(a, b);
+        const entry = shared.get(key) || { dot: 0, contexts: 0 };
+        entry.dot += countA * countB;
+        entry.contexts++;
+        shared.set(key, entry);
+      }
+    }
+  }
+
+  return [...shared].map(([key, { dot, contexts: sharedContexts }]) => {
+    const [a, b] = key.split('|');
+    return { a, b, similarity: Math.min(1, dot / (norms.get(a) * norms.get(b) || 1)), sharedContexts };
+  });
+}
+
+// ===============================================
+// DISCOVERY
+// ===============================================
+
+// Scores the current namespace and refreshes its candidates. New
+// ones start pending (or approved when the lexicon already has the
+// pair); pending ones that no longer qualify are dropped, reviewed
+// ones keep their status. options: messageIndex (recorded on rows)
+export async function discoverContrastPairs(options = {}) {
+  const { messageIndex = null } = options;
+  const settings = config.correlator.CONTRAST_DISCOVERY;
+  const db = getStorage();
+
+  const occurrences = await loadCandidateTokens(settings);
+  const { contexts, adjacent } = await loadContexts(new Set(occurrences.keys()));
+
+  const candidates = scorePairs(contexts)
+    .map(pair => {
+      const adjacentCount = adjacent.get(pairKey(pair.a, pair.b)) || 0;
+      const adjacency = Math.min(1, adjacentCount / Math.max(1, Math.min(occurrences.get(pair.a), occurrences.get(pair.b))));
+      return { ...pair, adjacentCount, adjacency, confidence: pair.similarity * (1 - adjacency) };
+    })
+    .filter(pair => pair.sharedContexts >= 2 && pair.similarity >= settings.MIN_SIMILARITY &&
+      pair.adjacency <= settings.MAX_ADJACENT_SHARE)
+    .sort((x, y) => y.confidence - x.confidence)
+    .slice(0, MAX_PENDING);
+
+  const existing = new Map((await selectPages(TABLE, { columns: ['word_a', 'word_b', 'status'] }))
+    .map(row => [pairKey(row.word_a, row.word_b), row]));
+  const { contrast } = await getLexicons();
+  const now = new Date().toISOString();
+
+  const toRow = pair => ({
+    word_a: pair.a,
+    word_b: pair.b,
+    confidence: pair.confidence,
+    similarity: pair.similarity,
+    shared_contexts: pair.sharedContexts,
+    adjacent_count: pair.adjacentCount,
+    message_index: messageIndex,
+    updated_at: now
+  });
+  const refreshed = candidates.filter(pair => existing.has(pairKey(pair.a, pair.b))).map(toRow);
+  const added = candidates.filter(pair => !existing.has(pairKey(pair.a, pair.b)))
+    .map(pair => ({ ...toRow(pair), status: contrast.get(pair.a)?.has(pair.b) ? 'approved' : 'pending' }));
+
+  const found = new Set(candidates.map(pair => pairKey(pair.a, pair.b)));
+  const dropped = [...existing.values()]
+    .filter(row => row.status === 'pending' && !found.has(pairKey(row.word_a, row.word_b)));
+
+  const operations = [];
+  if (added.length > 0) {
+    operations.push({ type: 'upsert', table: TABLE, rows: added, onConflict: ['word_a', 'word_b'] });
+  }
+  if (refreshed.length > 0) {
+    operations.push({ type: 'upsert', table: TABLE, rows: refreshed, onConflict: ['word_a', 'word_b'] });
+  }
+  for (const row of dropped) {
+    operations.push({ type: 'remove', table: TABLE, filters: { word_a: row.word_a, word_b: row.word_b } });
+  }
+  if (operations.length > 0) {
+    await db.batch(operations);
+  }
+
+  console.log(`↔️ Contrast discovery: ${occurrences.size} tokens compared, ${added.length} new, ` +
+    `${refreshed.length} refreshed, ${dropped.length} dropped`);
+  return { tokens: occurrences.size, added: added.length, refreshed: refreshed.length, dropped: dropped.length };
+}
+
+// Namespaces with a discovery in progress
+const running = new Set();
+
+// Starts discoverContrastPairs in the background for the current
+// namespace, so learning doesn't wait on the comparison; the
+// correlator calls this every CONTRAST_DISCOVERY.INTERVAL messages.
+// Returns the run, or null while one is still going.
+export function scheduleContrastDiscovery(options = {}) {
+  const namespace = getNamespace();
+  if (running.has(namespace)) {
+    console.log(`↔️ Contrast discovery in "${namespace}" is still running, skipped`);
+    return null;
+  }
+
+  running.add(namespace);
+  return discoverContrastPairs(options)
+    .catch(error => {
+      console.error('   ❌ Contrast discovery error:', error.message);
+      return null;
+    })
+    .finally(() => running.delete(namespace));
+}
+
+// ===============================================
+// REVIEW
+// ===============================================
+
+// Candidates of the current namespace, most confident first.
+// options: status, limit, offset
+export async function listContrastCandidates(options = {}) {
+  const { status = null, limit = 50, offset = 0 } = options;
+  if (status !== null && !CANDIDATE_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}" (expected ${CANDIDATE_STATUSES.join(', ')})`);
+  }
+  return getStorage().select(TABLE, {
+    filters: status ? { status } : {},
+    order: { confidence: 'desc', word_a: 'asc' },
+    limit,
+    offset
+  });
+}
+
+// Approving adds the pair to the contrast lexicon; taking an approval
+// back removes it. options.recompute recounts contrast_pair_count.
+export async function reviewContrastCandidate(pair, status, options = {}) {
+  if (!CANDIDATE_STATUSES.includes(status)) {
+    throw new Error(`Invalid status "${status}" (expected ${CANDIDATE_STATUSES.join(', ')})`);
+  }
+  const [a, b] = [...pair].map(normalizeToken).sort();
+  const db = getStorage();
+  const row = await db.selectOne(TABLE, { word_a: a, word_b: b });
+  if (!row) {
+    throw new Error(`Contrast candidate "${a}/${b}" not found`);
+  }
+
+  let lexicon = null;
+  if (status === 'approved' && row.status !== 'approved') {
+    lexicon = await addContrastPairs([[a, b]], { recompute: options.recompute });
+  } else if (status !== 'approved' && row.status === 'approved') {
+    try {
+      lexicon = await removeContrastPair([a, b], { recompute: options.recompute });
+    } catch (error) {
+      // Already taken out of the lexicon by hand
+      if (!/not found/.test(error.message)) throw error;
+    }
+  }
+
+  const [updated] = await db.update(TABLE, { word_a: a, word_b: b }, {
+    status,
+    reviewed_at: new Date().toISOString()
+  });
+  console.log(`↔️ Contrast candidate ${a}/${b}: ${row.status} → ${status}`);
+  return { candidate: updated, lexicon };
+}
+
+export default {
+  CANDIDATE_STATUSES,
+  discoverContrastPairs,
+  scheduleContrastDiscovery,
+  listContrastCandidates,
+  reviewContrastCandidate
+};
@@ -12,202 +12,117 @@
 //   structural — function-word-like (sentence glue)
 //
 // ONLY two-word pairs. Longer phrases EMERGE from overlapping pairs.
+// Pairs are DIRECTED: "weather is" and "is weather" are different pairs.
 // =============================================
 
 import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
 import { v4 as uuidv4 } from 'uuid';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+import { getStorage, getNamespace, withNamespace, DEFAULT_NAMESPACE } from './ariaStorage.js';
+import { resolveSourceWeight } from './ariaSources.js';
+import { segment, normalizeToken } from './ariaTokenizer.js';
+import { preprocessMessage } from './ariaPreprocess.js';
+import { config } from './ariaConfig.js';
+import { getLexicons } from './ariaLexicons.js';
+import { scheduleContrastDiscovery } from './ariaContrasts.js';
+import { scheduleSubclustering } from './ariaSubclusters.js';
+import { mergeNeighborProfile, parseNeighborProfile } from './ariaSimilarity.js';
 
 // ===============================================
 // CONFIGURATION
 // ===============================================
 
-const CONFIG = {
-  // Score thresholds for tier promotion
-  THRESHOLDS: {
-    SHORT_MAX: 0.30,
-    MEDIUM_MAX: 0.80,
-    DECAY_MIN: 0.01
-  },
-  
-  // Decay configuration per tier
-  DECAY: {
-    short: { interval: 50, rate: 0.15 },
-    medium: { interval: 200, rate: 0.05 },
-    long: { interval: 1000, rate: 0.01 }
-  },
-  
-  // Reinforcement rates
-  REINFORCEMENT: {
-    base: 0.02,           // Base reinforcement for pairs
-    tokenBoost: 0.01,     // Token score boost on reinforcement
-    maxScore: 1.0         // Maximum score cap
-  },
-  
-  // Adjacency window size for statistics
-  ADJACENCY_WINDOW: 2,
-  
-  // Minimum occurrences before category assignment
-  MIN_OCCURRENCES_FOR_CATEGORY: 2,
-  
-  // Category score threshold
-  CATEGORY_THRESHOLD: 0.15,
-  
-  // Promotion speed modifiers by category
-  PROMOTION_MODIFIERS: {
-    stable: 1.5,          // Faster promotion
-    structural: 0.6,      // Slower promotion
-    transition: 1.0,      // Normal
-    modifier: 1.0,        // Normal
-    unclassified: 0.8     // Slightly slower
-  }
-};
-
-// Temporal markers for detecting transition behavior
-const TEMPORAL_MARKERS = new Set([
-  'then', 'now', 'before', 'after', 'when', 'while', 'during', 'until',
-  'since', 'already', 'soon', 'later', 'earlier', 'yesterday', 'today',
-  'tomorrow', 'always', 'never', 'once', 'first', 'last', 'next',
-  'finally', 'eventually', 'immediately', 'suddenly', 'gradually',
-  'recently', 'formerly', 'meanwhile'
-]);
-
-// Contrast pairs for modifier detection
-const CONTRAST_PAIRS = [
-  ['good', 'bad'], ['big', 'small'], ['hot', 'cold'], ['fast', 'slow'],
-  ['old', 'new'], ['high', 'low'], ['light', 'dark'], ['happy', 'sad'],
-  ['strong', 'weak'], ['hard', 'soft'], ['loud', 'quiet'], ['clean', 'dirty'],
-  ['rich', 'poor'], ['safe', 'dangerous'], ['full', 'empty'], ['long', 'short'],
-  ['thick', 'thin'], ['wide', 'narrow'], ['deep', 'shallow'], ['young', 'old']
-];
-
-// Build contrast lookup
-const CONTRAST_LOOKUP = new Map();
-for (const [a, b] of CONTRAST_PAIRS) {
-  CONTRAST_LOOKUP.set(a, b);
-  CONTRAST_LOOKUP.set(b, a);
-}
-
-// ===============================================
-// TOKENIZATION
-// ===============================================
-
-function tokenizeMessage(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s'-]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .split(' ')
-    .filter(w => w.length >= 2);
-}
+// Live section of ariaConfig.js: read at call time, so runtime
+// changes apply to the next message
+const CONFIG = config.correlator;
 
 // ===============================================
 // MESSAGE COUNTER
 // ===============================================
 
 async function getAndIncrementMessageIndex() {
-  const { data, error } = await supabase.rpc('aria_increment_message_counter');
-  
-  if (error) {
-    const { data: counter } = await supabase
-      .from('aria_message_counter')
-      .select('current_index')
-      .eq('id', 1)
-      .single();
-    
-    const newIndex = (counter?.current_index || 0) + 1;
-    
-    await supabase
-      .from('aria_message_counter')
-      .update({ current_index: newIndex, last_updated: new Date().toISOString() })
-      .eq('id', 1);
-    
-    return newIndex;
-  }
-  
-  return data;
+  return getStorage().incrementMessageCounter();
+}
+
+async function getCurrentMessageIndex() {
+  const counter = await getStorage().selectOne('aria_message_counter', { id: 1 });
+  return counter?.current_index || 0;
 }
 
 // ===============================================
 // GLOBAL STATISTICS
 // ===============================================
 
-let globalStatsCache = null;
-let globalStatsCacheTime = 0;
+const DEFAULT_GLOBAL_STATS = {
+  total_contexts_seen: 0,
+  total_adj_windows: 0,
+  max_positional_variance: 1,
+  max_relative_variance: 0,
+  total_tokens_seen: 0
+};
 
 async function getGlobalStats() {
-  // Cache for 5 seconds
-  if (globalStatsCache && Date.now() - globalStatsCacheTime < 5000) {
-    return globalStatsCache;
-  }
-  
-  const { data, error } = await supabase
-    .from('aria_global_stats')
-    .select('*')
-    .eq('id', 1)
-    .single();
-  
-  if (error || !data) {
-    return {
-      total_contexts_seen: 1,
-      total_adj_windows: 1,
-      max_positional_variance: 1,
-      total_tokens_seen: 1
-    };
+  let data = null;
+  try {
+    data = await getStorage().selectOne('aria_global_stats', { id: 1 });
+  } catch (error) {
+    console.error('   ❌ Global stats read error:', error.message);
   }
   
-  globalStatsCache = data;
-  globalStatsCacheTime = Date.now();
-  return data;
-}
-
-async function updateGlobalStats(updates) {
-  const { addContexts = 0, addAdjWindows = 0, newMaxVariance = null, addTokens = 0 } = updates;
-  
-  await supabase
-    .from('aria_global_stats')
-    .update({
-      total_contexts_seen: supabase.sql`total_contexts_seen + ${addContexts}`,
-      total_adj_windows: supabase.sql`total_adj_windows + ${addAdjWindows}`,
-      max_positional_variance: newMaxVariance 
-        ? supabase.sql`GREATEST(max_positional_variance, ${newMaxVariance})`
-        : supabase.sql`max_positional_variance`,
-      total_tokens_seen: supabase.sql`total_tokens_seen + ${addTokens}`,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', 1);
-  
-  // Invalidate cache
-  globalStatsCache = null;
+  return data || { ...DEFAULT_GLOBAL_STATS };
 }
 
 // ===============================================
-// TOKEN STATISTICS
+// MESSAGE STATE
+// Everything one message touches is read up front in a
+// handful of bulk queries, updated in memory by the steps
+// below, then written back in a single batch.
 // ===============================================
 
-async function getOrCreateTokenStats(token) {
-  const { data: existing } = await supabase
-    .from('aria_token_stats')
-    .select('*')
-    .eq('token', token)
-    .single();
-  
-  if (existing) return existing;
-  
-  // Create new token stats
-  const newStats = {
+// Counter columns are written as deltas and added on the database side,
+// so messages processed in parallel never overwrite each other's counts
+const TOKEN_COUNTERS = [
+  'total_occurrences',
+  'context_count',
+  'bridge_count',
+  'temporal_adj_count',
+  'adjacent_to_stable',
+  'contrast_pair_count',
+  'standalone_count',
+  'position_count',
+  'position_sum',
+  'position_sum_sq',
+  'relative_position_sum',
+  'relative_position_sum_sq'
+];
+const PAIR_COUNTERS = ['frequency', 'reinforcement_count', 'resurrection_count'];
+const GLOBAL_COUNTERS = ['total_contexts_seen', 'total_adj_windows', 'total_tokens_seen'];
+
+function pickCounters(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row?.[column] || 0]));
+}
+
+// Row with each counter replaced by how much it grew since it was loaded
+function withCounterDeltas(row, baseline, columns) {
+  const written = { ...row };
+  for (const column of columns) {
+    written[column] = (row[column] || 0) - (baseline?.[column] || 0);
+  }
+  return written;
+}
+
+function createTokenStats(token, now) {
+  return {
     id: uuidv4(),
     token,
     total_occurrences: 0,
     context_count: 0,
     unique_adjacency_count: 0,
     positional_variance: 0,
+    position_count: 0,
+    position_sum: 0,
+    position_sum_sq: 0,
+    relative_position_sum: 0,
+    relative_position_sum_sq: 0,
     bridge_count: 0,
     temporal_adj_count: 0,
     adjacent_to_stable: 0,
@@ -217,132 +132,238 @@ async function getOrCreateTokenStats(token) {
     transition_score: 0,
     dependency_score: 0,
     structural_score: 0,
-    category: 'unclassified'
+    category: 'unclassified',
+    pending_category: null,
+    pending_count: 0,
+    last_message_index: null,
+    created_at: now,
+    updated_at: now
   };
-  
-  const { data: created, error } = await supabase
-    .from('aria_token_stats')
-    .insert(newStats)
-    .select()
-    .single();
-  
-  if (error) {
-    // Handle race condition - another process might have created it
-    const { data: retry } = await supabase
-      .from('aria_token_stats')
-      .select('*')
-      .eq('token', token)
-      .single();
-    return retry || newStats;
+}
+
+function adjacentPatternKeys(segments) {
+  const keys = new Set();
+  for (const tokens of segments) {
+    for (let i = 0; i < tokens.length - 1; i++) {
+      if (tokens[i] !== tokens[i + 1]) {
+        keys.add(generatePatternKey(tokens[i], tokens[i + 1]));
+      }
+    }
   }
-  
-  return created;
+  return [...keys];
 }
 
-async function updateTokenStats(token, updates) {
-  const { error } = await supabase
-    .from('aria_token_stats')
-    .update({
-      ...updates,
-      updated_at: new Date().toISOString()
-    })
-    .eq('token', token);
+async function loadMessageState(segments, messageIndex) {
+  const db = getStorage();
+  const unique = [...new Set(segments.flat())];
+  const pairKeys = adjacentPatternKeys(segments);
+  const now = new Date().toISOString();
+  
+  const [statsRows, pairRows, archivedRows, dueRows, staleRows, globalStats, lexicons] = await Promise.all([
+    db.select('aria_token_stats', { filters: { token: { in: unique } } }),
+    pairKeys.length > 0
+      ? db.select('aria_word_pairs', { filters: { pattern_key: { in: pairKeys } } })
+      : [],
+    pairKeys.length > 0
+      ? db.select('aria_pair_archive', { filters: { pattern_key: { in: pairKeys } } })
+      : [],
+    db.select('aria_word_pairs', {
+      filters: {
+        decay_at_message: { lte: messageIndex },
+        tier: { neq: 'decay' }
+      }
+    }),
+    db.select('aria_token_stats', {
+      filters: {
+        updated_at: { lt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() } // Older than 24 hours
+      },
+      limit: 100
+    }),
+    getGlobalStats(),
+    // Temporal markers and contrast pairs (ariaLexicons.js)
+    getLexicons()
+  ]);
+  
+  const tokenStats = new Map(statsRows.map(row => [row.token, row]));
+  for (const token of unique) {
+    if (!tokenStats.has(token)) {
+      tokenStats.set(token, createTokenStats(token, now));
+    }
+  }
   
-  if (error) {
-    console.error(`   ❌ Token stats update error for "${token}":`, error.message);
+  // Archived pairs come back into aria_word_pairs as graveyard rows
+  // (no baseline: the whole row is inserted)
+  const pairs = new Map(pairRows.map(row => [row.pattern_key, row]));
+  const unarchived = [];
+  for (const row of archivedRows) {
+    if (!pairs.has(row.pattern_key)) {
+      pairs.set(row.pattern_key, pairFromArchive(row));
+      unarchived.push(row.pattern_key);
+    }
   }
+  
+  return {
+    now,
+    tokenStats,
+    pairs,
+    unarchived,
+    touchedPairs: new Set(),
+    dueForDecay: dueRows,
+    staleTokens: staleRows,
+    globalStats,
+    lexicons,
+    // aria_category_history rows (calculateScoresAndCategories)
+    categoryHistory: [],
+    baseline: {
+      tokens: new Map(statsRows.map(row => [row.token, pickCounters(row, TOKEN_COUNTERS)])),
+      pairs: new Map(pairRows.map(row => [row.pattern_key, pickCounters(row, PAIR_COUNTERS)])),
+      global: pickCounters(globalStats, GLOBAL_COUNTERS)
+    }
+  };
 }
 
 // ===============================================
 // POSITIONAL VARIANCE CALCULATION
+// Every occurrence adds to running sums, so mean and variance
+// cover the token's whole history without re-reading positions.
 // ===============================================
 
-async function calculatePositionalVariance(token) {
-  const { data: positions } = await supabase
-    .from('aria_token_positions')
-    .select('position')
-    .eq('token', token)
-    .limit(100); // Use last 100 positions
-  
-  if (!positions || positions.length < 2) return 0;
-  
-  const values = positions.map(p => p.position);
-  const mean = values.reduce((a, b) => a + b, 0) / values.length;
-  const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
+// Normalized variance tops out at 0.25; this floor does the job
+// Math.max(1, ...) does for raw positions while the maximum is tiny
+const RELATIVE_VARIANCE_FLOOR = 0.05;
+
+// Population variance from running sums: E[x²] - E[x]²
+function varianceFromSums(count, sum, sumSq) {
+  if (!count || count < 2) return 0;
   
-  return variance;
+  const mean = sum / count;
+  return Math.max(0, sumSq / count - mean * mean);
 }
 
-async function recordTokenPosition(token, position, messageIndex) {
-  await supabase
-    .from('aria_token_positions')
-    .insert({
-      id: uuidv4(),
-      token,
-      position,
-      message_index: messageIndex
-    });
+function calculatePositionalVariances(stats) {
+  return {
+    raw: varianceFromSums(stats.position_count, stats.position_sum, stats.position_sum_sq),
+    relative: varianceFromSums(stats.position_count, stats.relative_position_sum, stats.relative_position_sum_sq)
+  };
+}
+
+function getMaxVariance(globalStats) {
+  return CONFIG.POSITIONS.NORMALIZE
+    ? Math.max(RELATIVE_VARIANCE_FLOOR, globalStats.max_relative_variance || 0)
+    : Math.max(1, globalStats.max_positional_variance);
 }
 
 // ===============================================
 // SCORE CALCULATIONS
-// Exactly as specified in the architecture
+// Exactly as specified in the architecture. Each score is a
+// clamped sum of signed ratios; the terms are kept apart so
+// explainTokenScores() can show them.
 // ===============================================
 
 function clamp(value, min = 0, max = 1) {
   return Math.max(min, Math.min(max, value));
 }
 
-function calculateStabilityScore(stats, globalStats) {
+// sign × numerator / max(1, denominator)
+function ratioTerm(name, sign, numerator, denominator) {
+  const [numeratorName, numeratorValue] = numerator;
+  const [denominatorName, denominatorValue] = denominator;
+  const divisor = Math.max(1, denominatorValue);
+  return {
+    name,
+    sign,
+    numerator: { name: numeratorName, value: numeratorValue },
+    denominator: { name: denominatorName, value: divisor },
+    ratio: numeratorValue / divisor
+  };
+}
+
+// positional_variance over the largest variance seen (raw or
+// normalized, see POSITIONS.NORMALIZE)
+function varianceTerm(sign, stats, globalStats) {
+  const maxVariance = getMaxVariance(globalStats);
+  return {
+    name: 'varianceRatio',
+    sign,
+    numerator: { name: 'positional_variance', value: stats.positional_variance },
+    denominator: {
+      name: CONFIG.POSITIONS.NORMALIZE ? 'max_relative_variance' : 'max_positional_variance',
+      value: maxVariance
+    },
+    ratio: stats.positional_variance / maxVariance
+  };
+}
+
+function scoreFromTerms(terms) {
+  return clamp(terms.reduce((sum, term) => sum + term.sign * term.ratio, 0));
+}
+
+function stabilityTerms(stats, globalStats) {
   // StabilityScore = (context_count / totalContextsSeen) 
   //                + (unique_adjacency_count / totalAdjWindows) 
   //                - (positional_variance / maxVariance)
   
-  const contextRatio = stats.context_count / Math.max(1, globalStats.total_contexts_seen);
-  const adjRatio = stats.unique_adjacency_count / Math.max(1, globalStats.total_adj_windows);
-  const varianceRatio = stats.positional_variance / Math.max(1, globalStats.max_positional_variance);
-  
-  return clamp(contextRatio + adjRatio - varianceRatio);
+  return [
+    ratioTerm('contextRatio', 1, ['context_count', stats.context_count], ['total_contexts_seen', globalStats.total_contexts_seen]),
+    ratioTerm('adjRatio', 1, ['unique_adjacency_count', stats.unique_adjacency_count], ['total_adj_windows', globalStats.total_adj_windows]),
+    varianceTerm(-1, stats, globalStats)
+  ];
 }
 
-function calculateTransitionScore(stats, globalStats) {
+function transitionTerms(stats, globalStats) {
   // TransitionScore = (bridge_count / total_occurrences) 
   //                 + (temporal_adj_count / total_occurrences) 
   //                 + (positional_variance / maxVariance)
   
-  const bridgeRatio = stats.bridge_count / Math.max(1, stats.total_occurrences);
-  const temporalRatio = stats.temporal_adj_count / Math.max(1, stats.total_occurrences);
-  const varianceRatio = stats.positional_variance / Math.max(1, globalStats.max_positional_variance);
-  
-  return clamp(bridgeRatio + temporalRatio + varianceRatio);
+  return [
+    ratioTerm('bridgeRatio', 1, ['bridge_count', stats.bridge_count], ['total_occurrences', stats.total_occurrences]),
+    ratioTerm('temporalRatio', 1, ['temporal_adj_count', stats.temporal_adj_count], ['total_occurrences', stats.total_occurrences]),
+    varianceTerm(1, stats, globalStats)
+  ];
 }
 
-function calculateDependencyScore(stats) {
+function dependencyTerms(stats) {
   // DependencyScore = (adjacent_to_stable / total_occurrences) 
   //                 + (contrast_pair_count / total_occurrences) 
   //                 - (standalone_count / total_occurrences)
   
-  const stableRatio = stats.adjacent_to_stable / Math.max(1, stats.total_occurrences);
-  const contrastRatio = stats.contrast_pair_count / Math.max(1, stats.total_occurrences);
-  const standaloneRatio = stats.standalone_count / Math.max(1, stats.total_occurrences);
-  
-  return clamp(stableRatio + contrastRatio - standaloneRatio);
+  return [
+    ratioTerm('stableRatio', 1, ['adjacent_to_stable', stats.adjacent_to_stable], ['total_occurrences', stats.total_occurrences]),
+    ratioTerm('contrastRatio', 1, ['contrast_pair_count', stats.contrast_pair_count], ['total_occurrences', stats.total_occurrences]),
+    ratioTerm('standaloneRatio', -1, ['standalone_count', stats.standalone_count], ['total_occurrences', stats.total_occurrences])
+  ];
 }
 
-function calculateStructuralScore(stats, globalStats) {
+function structuralTerms(stats, globalStats) {
   // StructuralScore = (total_occurrences / totalContextsSeen) 
   //                 + (temporal_adj_count / total_occurrences) 
   //                 - (unique_adjacency_count / totalAdjWindows) 
   //                 - (standalone_count / total_occurrences) 
   //                 - (positional_variance / maxVariance)
   
-  const occurrenceRatio = stats.total_occurrences / Math.max(1, globalStats.total_contexts_seen);
-  const temporalRatio = stats.temporal_adj_count / Math.max(1, stats.total_occurrences);
-  const adjRatio = stats.unique_adjacency_count / Math.max(1, globalStats.total_adj_windows);
-  const standaloneRatio = stats.standalone_count / Math.max(1, stats.total_occurrences);
-  const varianceRatio = stats.positional_variance / Math.max(1, globalStats.max_positional_variance);
-  
-  return clamp(occurrenceRatio + temporalRatio - adjRatio - standaloneRatio - varianceRatio);
+  return [
+    ratioTerm('occurrenceRatio', 1, ['total_occurrences', stats.total_occurrences], ['total_contexts_seen', globalStats.total_contexts_seen]),
+    ratioTerm('temporalRatio', 1, ['temporal_adj_count', stats.temporal_adj_count], ['total_occurrences', stats.total_occurrences]),
+    ratioTerm('adjRatio', -1, ['unique_adjacency_count', stats.unique_adjacency_count], ['total_adj_windows', globalStats.total_adj_windows]),
+    ratioTerm('standaloneRatio', -1, ['standalone_count', stats.standalone_count], ['total_occurrences', stats.total_occurrences]),
+    varianceTerm(-1, stats, globalStats)
+  ];
+}
+
+function calculateStabilityScore(stats, globalStats) {
+  return scoreFromTerms(stabilityTerms(stats, globalStats));
+}
+
+function calculateTransitionScore(stats, globalStats) {
+  return scoreFromTerms(transitionTerms(stats, globalStats));
+}
+
+function calculateDependencyScore(stats) {
+  return scoreFromTerms(dependencyTerms(stats));
+}
+
+function calculateStructuralScore(stats, globalStats) {
+  return scoreFromTerms(structuralTerms(stats, globalStats));
 }
 
 // ===============================================
@@ -350,6 +371,9 @@ function calculateStructuralScore(stats, globalStats) {
 // Exactly as specified in the architecture
 // ===============================================
 
+// Contexts in a row a new category must win before a token switches
+const CATEGORY_INERTIA = 3;
+
 function assignCategory(stats) {
   if (stats.total_occurrences < CONFIG.MIN_OCCURRENCES_FOR_CATEGORY) {
     return 'unclassified';
@@ -388,7 +412,15 @@ function assignCategory(stats) {
 // PATTERN KEY GENERATION
 // ===============================================
 
-function generatePatternKey(word1, word2) {
+// Directed key in message order: "weather->is".
+// v1/v2.0 keys were sorted "is_weather" — those rows carry directed = false
+// until rebuildDirectedPairs() splits them using the purgatory log.
+export function generatePatternKey(word1, word2) {
+  return `${word1.toLowerCase()}->${word2.toLowerCase()}`;
+}
+
+// Legacy undirected key (sorted, underscore-joined)
+function generateLegacyPatternKey(word1, word2) {
   const sorted = [word1.toLowerCase(), word2.toLowerCase()].sort();
   return sorted.join('_');
 }
@@ -397,7 +429,7 @@ function generatePatternKey(word1, word2) {
 // TIER MANAGEMENT
 // ===============================================
 
-function getTierForScore(score) {
+export function getTierForScore(score) {
   if (score >= CONFIG.THRESHOLDS.MEDIUM_MAX) return 'long';
   if (score >= CONFIG.THRESHOLDS.SHORT_MAX) return 'medium';
   return 'short';
@@ -407,14 +439,18 @@ function getTierForScore(score) {
 // STEP 1: PROCESS TOKEN STATISTICS
 // ===============================================
 
-async function processTokenStatistics(tokens, messageIndex, isStandalone) {
+// Occurrences, context counts and contrast pairs cover the whole
+// message; positions, adjacency and bridges stay inside one segment.
+// weight scales every counter increment (per-source learning weight)
+function processTokenStatistics(state, segments, messageIndex, isStandalone, weight = 1) {
   console.log('\n📊 Processing token statistics...');
   
-  const globalStats = await getGlobalStats();
+  const { tokenStats, globalStats } = state;
+  const tokens = segments.flat();
   const tokenSet = new Set(tokens);
   const adjacencyData = new Map();
   
-  // Collect all updates in local structure for batching
+  // Collect all updates in local structure, applied once per token
   const tokenUpdates = new Map();
   
   // Track stable tokens for bridge detection
@@ -422,7 +458,7 @@ async function processTokenStatistics(tokens, messageIndex, isStandalone) {
   
   // First pass: Get existing categories to identify stable tokens
   for (const token of tokenSet) {
-    const stats = await getOrCreateTokenStats(token);
+    const stats = tokenStats.get(token);
     if (stats.category === 'stable') {
       stableTokensInMessage.add(token);
     }
@@ -435,78 +471,96 @@ async function processTokenStatistics(tokens, messageIndex, isStandalone) {
       adjacent_to_stable_add: 0,
       contrast_pair_count_add: 0,
       standalone_count_add: 0,
+      // Left / right neighbour counts for the similarity profile
+      neighbors_add: { l: new Map(), r: new Map() },
+      position_count_add: 0,
+      position_sum_add: 0,
+      position_sum_sq_add: 0,
+      relative_position_sum_add: 0,
+      relative_position_sum_sq_add: 0,
       currentStats: stats
     });
   }
   
-  // Process each token occurrence
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
-    const updates = tokenUpdates.get(token);
-    const stats = updates.currentStats;
-    
-    // Update basic occurrence (count each occurrence)
-    updates.total_occurrences_add++;
-    
-    // FIX 2: Check if this is a NEW message (not seen before by this token)
-    // Only increment context_count for genuinely new messages
-    if (stats.last_message_index !== messageIndex && updates.context_count_add === 0) {
-      updates.context_count_add = 1;
-    }
-    
-    // Record position
-    await recordTokenPosition(token, i, messageIndex);
-    
-    // Calculate adjacency window (±2)
-    const neighbors = new Set();
-    for (let j = Math.max(0, i - CONFIG.ADJACENCY_WINDOW); j <= Math.min(tokens.length - 1, i + CONFIG.ADJACENCY_WINDOW); j++) {
-      if (j !== i) {
-        neighbors.add(tokens[j]);
+  // Process each token occurrence, one segment at a time
+  for (const segment of segments) {
+    for (let i = 0; i < segment.length; i++) {
+      const token = segment[i];
+      const updates = tokenUpdates.get(token);
+      const stats = updates.currentStats;
+      
+      // Update basic occurrence (count each occurrence)
+      updates.total_occurrences_add++;
+      
+      // FIX 2: Check if this is a NEW message (not seen before by this token)
+      // Only increment context_count for genuinely new messages
+      if (stats.last_message_index !== messageIndex && updates.context_count_add === 0) {
+        updates.context_count_add = 1;
       }
-    }
-    
-    // Track unique adjacencies
-    if (!adjacencyData.has(token)) {
-      adjacencyData.set(token, new Set());
-    }
-    for (const neighbor of neighbors) {
-      adjacencyData.get(token).add(neighbor);
-    }
-    
-    // Detect transition behavior: token between two stable tokens
-    if (i > 0 && i < tokens.length - 1) {
-      const prevToken = tokens[i - 1];
-      const nextToken = tokens[i + 1];
-      if (stableTokensInMessage.has(prevToken) && stableTokensInMessage.has(nextToken)) {
-        updates.bridge_count_add++;
+      
+      // Record position (raw index and share of the segment length)
+      const relativePosition = segment.length > 1 ? i / (segment.length - 1) : 0;
+      updates.position_count_add++;
+      updates.position_sum_add += i;
+      updates.position_sum_sq_add += i * i;
+      updates.relative_position_sum_add += relativePosition;
+      updates.relative_position_sum_sq_add += relativePosition * relativePosition;
+      
+      // Calculate adjacency window (±2)
+      const neighbors = new Set();
+      for (let j = Math.max(0, i - CONFIG.ADJACENCY_WINDOW); j <= Math.min(segment.length - 1, i + CONFIG.ADJACENCY_WINDOW); j++) {
+        if (j !== i) {
+          neighbors.add(segment[j]);
+          const side = updates.neighbors_add[j < i ? 'l' : 'r'];
+          side.set(segment[j], (side.get(segment[j]) || 0) + 1);
+        }
+      }
+      
+      // Track unique adjacencies
+      if (!adjacencyData.has(token)) {
+        adjacencyData.set(token, new Set());
       }
-    }
-    
-    // Detect temporal adjacency (count once per token per message)
-    if (updates.temporal_adj_count_add === 0) {
       for (const neighbor of neighbors) {
-        if (TEMPORAL_MARKERS.has(neighbor)) {
-          updates.temporal_adj_count_add = 1;
-          break;
+        adjacencyData.get(token).add(neighbor);
+      }
+      
+      // Detect transition behavior: token between two stable tokens
+      if (i > 0 && i < segment.length - 1) {
+        const prevToken = segment[i - 1];
+        const nextToken = segment[i + 1];
+        if (stableTokensInMessage.has(prevToken) && stableTokensInMessage.has(nextToken)) {
+          updates.bridge_count_add++;
         }
       }
-    }
-    
-    // Detect modifier behavior: adjacent to stable token (count once per token per message)
-    if (updates.adjacent_to_stable_add === 0) {
-      for (const neighbor of neighbors) {
-        if (stableTokensInMessage.has(neighbor)) {
-          updates.adjacent_to_stable_add = 1;
-          break;
+      
+      // Detect temporal adjacency (count once per token per message)
+      if (updates.temporal_adj_count_add === 0) {
+        for (const neighbor of neighbors) {
+          if (state.lexicons.temporal.has(neighbor)) {
+            updates.temporal_adj_count_add = 1;
+            break;
+          }
         }
       }
-    }
-    
-    // Detect contrast pair membership (count once per token per message)
-    if (updates.contrast_pair_count_add === 0 && CONTRAST_LOOKUP.has(token)) {
-      const contrast = CONTRAST_LOOKUP.get(token);
-      if (tokenSet.has(contrast)) {
-        updates.contrast_pair_count_add = 1;
+      
+      // Detect modifier behavior: adjacent to stable token (count once per token per message)
+      if (updates.adjacent_to_stable_add === 0) {
+        for (const neighbor of neighbors) {
+          if (stableTokensInMessage.has(neighbor)) {
+            updates.adjacent_to_stable_add = 1;
+            break;
+          }
+        }
+      }
+      
+      // Detect contrast pair membership (count once per token per message)
+      if (updates.contrast_pair_count_add === 0 && state.lexicons.contrast.has(token)) {
+        for (const contrast of state.lexicons.contrast.get(token)) {
+          if (tokenSet.has(contrast)) {
+            updates.contrast_pair_count_add = 1;
+            break;
+          }
+        }
       }
     }
   }
@@ -518,7 +572,7 @@ async function processTokenStatistics(tokens, messageIndex, isStandalone) {
     }
   }
   
-  // BATCH UPDATE: Perform one database update per token
+  // Apply the collected updates to the in-memory rows
   for (const [token, updates] of tokenUpdates) {
     const stats = updates.currentStats;
     
@@ -527,30 +581,34 @@ async function processTokenStatistics(tokens, messageIndex, isStandalone) {
       ? Math.max(stats.unique_adjacency_count || 0, adjacencyData.get(token).size)
       : stats.unique_adjacency_count || 0;
     
-    // Single batched update per token
-    await updateTokenStats(token, {
-      total_occurrences: (stats.total_occurrences || 0) + updates.total_occurrences_add,
-      context_count: (stats.context_count || 0) + updates.context_count_add,
+    Object.assign(stats, {
+      total_occurrences: (stats.total_occurrences || 0) + updates.total_occurrences_add * weight,
+      context_count: (stats.context_count || 0) + updates.context_count_add * weight,
       unique_adjacency_count: newUniqueAdjacencyCount,
-      bridge_count: (stats.bridge_count || 0) + updates.bridge_count_add,
-      temporal_adj_count: (stats.temporal_adj_count || 0) + updates.temporal_adj_count_add,
-      adjacent_to_stable: (stats.adjacent_to_stable || 0) + updates.adjacent_to_stable_add,
-      contrast_pair_count: (stats.contrast_pair_count || 0) + updates.contrast_pair_count_add,
-      standalone_count: (stats.standalone_count || 0) + updates.standalone_count_add,
-      last_message_index: messageIndex
+      bridge_count: (stats.bridge_count || 0) + updates.bridge_count_add * weight,
+      temporal_adj_count: (stats.temporal_adj_count || 0) + updates.temporal_adj_count_add * weight,
+      adjacent_to_stable: (stats.adjacent_to_stable || 0) + updates.adjacent_to_stable_add * weight,
+      contrast_pair_count: (stats.contrast_pair_count || 0) + updates.contrast_pair_count_add * weight,
+      standalone_count: (stats.standalone_count || 0) + updates.standalone_count_add * weight,
+      position_count: (stats.position_count || 0) + updates.position_count_add * weight,
+      position_sum: (stats.position_sum || 0) + updates.position_sum_add * weight,
+      position_sum_sq: (stats.position_sum_sq || 0) + updates.position_sum_sq_add * weight,
+      relative_position_sum: (stats.relative_position_sum || 0) + updates.relative_position_sum_add * weight,
+      relative_position_sum_sq: (stats.relative_position_sum_sq || 0) + updates.relative_position_sum_sq_add * weight,
+      last_message_index: messageIndex,
+      updated_at: state.now
     });
+    
+    if (CONFIG.NEIGHBORS.PROFILE_SIZE > 0) {
+      const scaled = side => new Map([...updates.neighbors_add[side]].map(([word, count]) => [word, count * weight]));
+      stats.neighbors = mergeNeighborProfile(stats.neighbors, { l: scaled('l'), r: scaled('r') }, CONFIG.NEIGHBORS.PROFILE_SIZE);
+    }
   }
   
-  // Update global stats (single update)
-  await supabase
-    .from('aria_global_stats')
-    .update({
-      total_contexts_seen: globalStats.total_contexts_seen + 1,
-      total_adj_windows: globalStats.total_adj_windows + Math.max(0, tokens.length - 1),
-      total_tokens_seen: globalStats.total_tokens_seen + tokens.length,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', 1);
+  // Global stats
+  globalStats.total_contexts_seen += 1;
+  globalStats.total_adj_windows += segments.reduce((sum, segment) => sum + Math.max(0, segment.length - 1), 0);
+  globalStats.total_tokens_seen += tokens.length;
   
   console.log(`   ✅ ${tokenSet.size} unique tokens processed`);
   return tokenSet.size;
@@ -560,43 +618,46 @@ async function processTokenStatistics(tokens, messageIndex, isStandalone) {
 // STEP 2: CALCULATE SCORES & ASSIGN CATEGORIES
 // ===============================================
 
-async function calculateScoresAndCategories(tokens) {
+// One aria_category_history row: kind 'change' for a confirmed
+// switch, 'sample' for the periodic score record
+function categoryHistoryRow(stats, kind, oldCategory, messageIndex) {
+  return {
+    token: stats.token,
+    message_index: messageIndex,
+    kind,
+    old_category: oldCategory,
+    new_category: stats.category,
+    stability_score: stats.stability_score,
+    transition_score: stats.transition_score,
+    dependency_score: stats.dependency_score,
+    structural_score: stats.structural_score,
+    total_occurrences: stats.total_occurrences
+  };
+}
+
+function calculateScoresAndCategories(state, tokens, messageIndex) {
   console.log('\n🧮 Calculating scores and categories...');
   
-  let globalStats = await getGlobalStats();
+  const { tokenStats, globalStats, baseline } = state;
+  const sampleEvery = CONFIG.CATEGORY_HISTORY.SAMPLE_EVERY;
   const tokenSet = new Set(tokens);
   let categorized = 0;
   
   // FIRST PASS: Calculate all variances and update max variance BEFORE score calculations
   const varianceMap = new Map();
-  let maxVarianceFound = globalStats.max_positional_variance;
   
+  // Both maxima are kept so ARIA_NORMALIZE_POSITIONS can be switched later
   for (const token of tokenSet) {
-    const variance = await calculatePositionalVariance(token);
-    varianceMap.set(token, variance);
-    if (variance > maxVarianceFound) {
-      maxVarianceFound = variance;
-    }
-  }
-  
-  // Update global max variance if needed (before score calculations)
-  if (maxVarianceFound > globalStats.max_positional_variance) {
-    await supabase
-      .from('aria_global_stats')
-      .update({ 
-        max_positional_variance: maxVarianceFound,
-        updated_at: new Date().toISOString()
-      })
-      .eq('id', 1);
-    
-    // Refresh global stats with updated max variance
-    globalStats = { ...globalStats, max_positional_variance: maxVarianceFound };
-    globalStatsCache = null; // Invalidate cache
+    const variances = calculatePositionalVariances(tokenStats.get(token));
+    varianceMap.set(token, CONFIG.POSITIONS.NORMALIZE ? variances.relative : variances.raw);
+    globalStats.max_positional_variance = Math.max(globalStats.max_positional_variance, variances.raw);
+    globalStats.max_relative_variance = Math.max(globalStats.max_relative_variance || 0, variances.relative);
   }
   
   // SECOND PASS: Calculate scores using updated max variance
   for (const token of tokenSet) {
-    const stats = await getOrCreateTokenStats(token);
+    const stats = tokenStats.get(token);
+    const previousCategory = stats.category || 'unclassified';
     const variance = varianceMap.get(token);
     
     // Update stats with variance
@@ -617,8 +678,8 @@ async function calculateScoresAndCategories(tokens) {
     // Determine new category
     const newCategory = assignCategory(stats);
     
-    // CATEGORY INERTIA: Require 3 consecutive contexts before switching
-    let finalCategory = stats.category || 'unclassified';
+    // CATEGORY INERTIA: Require CATEGORY_INERTIA consecutive contexts before switching
+    let finalCategory = previousCategory;
     let pendingCategory = stats.pending_category || null;
     let pendingCount = stats.pending_count || 0;
     
@@ -627,12 +688,12 @@ async function calculateScoresAndCategories(tokens) {
       if (newCategory === pendingCategory) {
         // Same pending category - increment count
         pendingCount++;
-        if (pendingCount >= 3) {
+        if (pendingCount >= CATEGORY_INERTIA) {
           // Threshold reached - switch category
           finalCategory = newCategory;
           pendingCategory = null;
           pendingCount = 0;
-          console.log(`   🏷️ "${token}" → ${finalCategory} (confirmed after 3 contexts)`);
+          console.log(`   🏷️ "${token}" → ${finalCategory} (confirmed after ${CATEGORY_INERTIA} contexts)`);
         }
       } else {
         // New pending category - start counting
@@ -645,22 +706,24 @@ async function calculateScoresAndCategories(tokens) {
       pendingCount = 0;
     }
     
-    // Update in database
-    await updateTokenStats(token, {
-      positional_variance: variance,
-      stability_score: stabilityScore,
-      transition_score: transitionScore,
-      dependency_score: dependencyScore,
-      structural_score: structuralScore,
-      category: finalCategory,
-      pending_category: pendingCategory,
-      pending_count: pendingCount
-    });
+    stats.category = finalCategory;
+    stats.pending_category = pendingCategory;
+    stats.pending_count = pendingCount;
     
-    if (finalCategory !== 'unclassified' && finalCategory !== stats.category) {
+    if (finalCategory !== 'unclassified' && finalCategory !== previousCategory) {
       categorized++;
       console.log(`   🏷️ "${token}" → ${finalCategory} (S:${stabilityScore.toFixed(2)} T:${transitionScore.toFixed(2)} D:${dependencyScore.toFixed(2)} St:${structuralScore.toFixed(2)})`);
     }
+    
+    // A switch records its scores anyway; otherwise sample when the
+    // occurrence count crosses a multiple of SAMPLE_EVERY
+    const seenBefore = baseline.tokens.get(token)?.total_occurrences || 0;
+    if (finalCategory !== previousCategory) {
+      state.categoryHistory.push(categoryHistoryRow(stats, 'change', previousCategory, messageIndex));
+    } else if (sampleEvery > 0 &&
+        Math.floor(stats.total_occurrences / sampleEvery) > Math.floor(seenBefore / sampleEvery)) {
+      state.categoryHistory.push(categoryHistoryRow(stats, 'sample', previousCategory, messageIndex));
+    }
   }
   
   console.log(`   ✅ ${categorized}/${tokenSet.size} tokens categorized`);
@@ -672,132 +735,146 @@ async function calculateScoresAndCategories(tokens) {
 // ONLY adjacent tokens form pairs
 // ===============================================
 
-async function processWordPairs(tokens, messageIndex) {
+function processWordPairs(state, segments, messageIndex, weight = 1) {
   console.log('\n🔗 Processing two-word pairs...');
   
-  if (tokens.length < 2) {
+  // Adjacent tokens within a segment; "today. the" is not a pair
+  const adjacent = segments.flatMap(segment => segment.slice(1).map((token, i) => [segment[i], token]));
+  
+  if (adjacent.length === 0) {
     console.log('   Not enough tokens for pairs');
-    return { newPairs: 0, reinforced: 0, promoted: 0 };
+    return { newPairs: 0, reinforced: 0, promoted: 0, resurrected: 0 };
   }
   
   let newPairs = 0;
   let reinforced = 0;
   let promoted = 0;
+  let resurrected = 0;
   
   // Process ONLY adjacent pairs
-  for (let i = 0; i < tokens.length - 1; i++) {
-    const tokenA = tokens[i];
-    const tokenB = tokens[i + 1];
-    
+  for (const [tokenA, tokenB] of adjacent) {
     // Skip if same token
     if (tokenA === tokenB) continue;
     
     const patternKey = generatePatternKey(tokenA, tokenB);
     
-    // FIX 1: Always fetch FRESH categories from token_stats
+    // FIX 1: Always use FRESH categories from token_stats (as just scored)
     // Do NOT rely on stored category_pattern from aria_word_pairs
     // category_pattern is stored for reference only, never used for logic
-    const statsA = await getOrCreateTokenStats(tokenA);
-    const statsB = await getOrCreateTokenStats(tokenB);
+    const statsA = state.tokenStats.get(tokenA);
+    const statsB = state.tokenStats.get(tokenB);
     const categoryPattern = `${statsA.category}->${statsB.category}`;
     
     // Use fresh categories for promotion modifiers
     const categoryModifierA = CONFIG.PROMOTION_MODIFIERS[statsA.category] || 1;
     const categoryModifierB = CONFIG.PROMOTION_MODIFIERS[statsB.category] || 1;
     
-    // Check for existing pair
-    const { data: existing } = await supabase
-      .from('aria_word_pairs')
-      .select('*')
-      .eq('pattern_key', patternKey)
-      .single();
+    // Check for existing pair (loaded up front, or created earlier in this message)
+    const existing = state.pairs.get(patternKey);
+    state.touchedPairs.add(patternKey);
     
     if (existing) {
       // REINFORCE existing pair using FRESH categories (not stored category_pattern)
       const categoryModifier = Math.max(categoryModifierA, categoryModifierB);
       
-      const addStrength = CONFIG.REINFORCEMENT.base * categoryModifier;
+      // A graveyard pair comes back to life; its decay history stays on the row
+      const resurrecting = existing.tier === 'decay';
+      const lifecycleModifier = resurrecting ? CONFIG.GRAVEYARD.RESURRECTION_MODIFIER : 1;
+      
+      const addStrength = CONFIG.REINFORCEMENT.base * weight * categoryModifier * lifecycleModifier;
       const newStrength = Math.min(CONFIG.REINFORCEMENT.maxScore, existing.strength + addStrength);
       const newTier = getTierForScore(newStrength);
+      const previousTier = existing.tier;
       
-      await supabase
-        .from('aria_word_pairs')
-        .update({
-          frequency: existing.frequency + 1,
-          strength: newStrength,
-          category_pattern: categoryPattern,
-          reinforcement_count: existing.reinforcement_count + 1,
-          tier: newTier,
-          decay_at_message: messageIndex + CONFIG.DECAY[newTier].interval,
-          last_seen_message_index: messageIndex,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', existing.id);
+      Object.assign(existing, {
+        frequency: existing.frequency + 1,
+        strength: newStrength,
+        category_pattern: categoryPattern,
+        reinforcement_count: existing.reinforcement_count + 1,
+        tier: newTier,
+        decay_at_message: messageIndex + CONFIG.DECAY[newTier].interval,
+        last_seen_message_index: messageIndex,
+        updated_at: state.now
+      });
       
       reinforced++;
       
+      if (resurrecting) {
+        existing.resurrection_count = (existing.resurrection_count || 0) + 1;
+        existing.resurrected_at_message = messageIndex;
+        resurrected++;
+        console.log(`   🪦 ${patternKey} resurrected → ${newTier} (${newStrength.toFixed(3)}, x${existing.resurrection_count})`);
+        
       // Check for tier promotion
-      if (newTier !== existing.tier) {
+      } else if (newTier !== previousTier) {
         promoted++;
-        console.log(`   📈 ${patternKey}: ${existing.tier} → ${newTier} (${newStrength.toFixed(3)})`);
+        console.log(`   📈 ${patternKey}: ${previousTier} → ${newTier} (${newStrength.toFixed(3)})`);
       }
       
     } else {
-      // CREATE new pair
+      // CREATE new pair (token_a always precedes token_b)
       const tier = 'short';
-      const sorted = [tokenA, tokenB].sort();
       
-      const newPair = {
+      state.pairs.set(patternKey, {
         id: uuidv4(),
         pattern_key: patternKey,
-        token_a: sorted[0],
-        token_b: sorted[1],
+        token_a: tokenA,
+        token_b: tokenB,
+        directed: true,
         frequency: 1,
-        strength: CONFIG.REINFORCEMENT.base,
+        strength: CONFIG.REINFORCEMENT.base * weight,
         category_pattern: categoryPattern,
         reinforcement_count: 1,
         decay_count: 0,
         tier: tier,
         decay_at_message: messageIndex + CONFIG.DECAY[tier].interval,
-        last_seen_message_index: messageIndex
-      };
-      
-      const { error } = await supabase
-        .from('aria_word_pairs')
-        .insert(newPair);
+        last_seen_message_index: messageIndex,
+        graveyard_count: 0,
+        decayed_at_message: null,
+        resurrection_count: 0,
+        resurrected_at_message: null,
+        created_at: state.now,
+        updated_at: state.now
+      });
       
-      if (!error) {
-        newPairs++;
-        console.log(`   ✨ ${patternKey} [${categoryPattern}]`);
-      }
+      newPairs++;
+      console.log(`   ✨ ${patternKey} [${categoryPattern}]`);
     }
   }
   
-  console.log(`   ✅ ${newPairs} new, ${reinforced} reinforced, ${promoted} promoted`);
-  return { newPairs, reinforced, promoted };
+  console.log(`   ✅ ${newPairs} new, ${reinforced} reinforced, ${promoted} promoted, ${resurrected} resurrected`);
+  return { newPairs, reinforced, promoted, resurrected };
 }
 
 // ===============================================
 // STEP 4: DECAY PROCESSING
 // ===============================================
 
-async function processDecay(currentMessageIndex) {
+function processDecay(state, currentMessageIndex) {
   console.log('\n📉 Processing decay...');
   
   let totalDecayed = 0;
   let totalRemoved = 0;
   
-  // Get pairs due for decay
-  const { data: dueForDecay } = await supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .lte('decay_at_message', currentMessageIndex)
-    .neq('tier', 'decay');
-  
-  if (!dueForDecay || dueForDecay.length === 0) {
-    console.log('   No pairs due for decay');
-    return { decayed: 0, removed: 0 };
-  }
+  // Pairs reinforced by this message were rescheduled in step 3
+  const dueForDecay = state.dueForDecay.filter(pair => !state.touchedPairs.has(pair.pattern_key));
+  const decayedPairs = [];
+  
+  // Only the decayed columns are written; decay_count and
+  // graveyard_count are increments
+  const decayedPairRow = (pair, changes) => ({
+    pattern_key: pair.pattern_key,
+    token_a: pair.token_a,
+    token_b: pair.token_b,
+    decay_at_message: pair.decay_at_message,
+    last_seen_message_index: pair.last_seen_message_index,
+    decay_count: 1,
+    graveyard_count: 0,
+    decayed_at_message: pair.decayed_at_message ?? null,
+    decayed_from: pair.decayed_from ?? null,
+    updated_at: state.now,
+    ...changes
+  });
   
   for (const pair of dueForDecay) {
     const config = CONFIG.DECAY[pair.tier] || CONFIG.DECAY.short;
@@ -805,15 +882,13 @@ async function processDecay(currentMessageIndex) {
     
     if (newStrength < CONFIG.THRESHOLDS.DECAY_MIN) {
       // Move to decay tier (graveyard)
-      await supabase
-        .from('aria_word_pairs')
-        .update({
-          tier: 'decay',
-          strength: newStrength,
-          decay_count: pair.decay_count + 1,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', pair.id);
+      decayedPairs.push(decayedPairRow(pair, {
+        tier: 'decay',
+        strength: newStrength,
+        graveyard_count: 1,
+        decayed_at_message: currentMessageIndex,
+        decayed_from: pair.tier
+      }));
       
       totalRemoved++;
       
@@ -821,130 +896,460 @@ async function processDecay(currentMessageIndex) {
       // Apply decay
       const newTier = getTierForScore(newStrength);
       
-      await supabase
-        .from('aria_word_pairs')
-        .update({
-          strength: newStrength,
-          tier: newTier,
-          decay_count: pair.decay_count + 1,
-          decay_at_message: currentMessageIndex + CONFIG.DECAY[newTier].interval,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', pair.id);
+      decayedPairs.push(decayedPairRow(pair, {
+        strength: newStrength,
+        tier: newTier,
+        decay_at_message: currentMessageIndex + CONFIG.DECAY[newTier].interval
+      }));
       
       totalDecayed++;
     }
   }
   
-  // Also process token stats decay (reduce scores slightly)
-  const { data: tokensDue } = await supabase
-    .from('aria_token_stats')
-    .select('*')
-    .lt('updated_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()) // Older than 24 hours
-    .limit(100);
-  
-  if (tokensDue && tokensDue.length > 0) {
-    for (const token of tokensDue) {
-      await supabase
-        .from('aria_token_stats')
-        .update({
-          stability_score: token.stability_score * 0.99,
-          transition_score: token.transition_score * 0.99,
-          dependency_score: token.dependency_score * 0.99,
-          structural_score: token.structural_score * 0.99,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', token.id);
-    }
-  }
+  // Also process token stats decay (reduce scores slightly).
+  // Tokens in this message were just rescored, so they are not stale.
+  const decayedTokens = state.staleTokens
+    .filter(token => !state.tokenStats.has(token.token))
+    .map(token => ({
+      token: token.token,
+      stability_score: token.stability_score * 0.99,
+      transition_score: token.transition_score * 0.99,
+      dependency_score: token.dependency_score * 0.99,
+      structural_score: token.structural_score * 0.99,
+      updated_at: state.now
+    }));
   
   if (totalDecayed + totalRemoved > 0) {
     console.log(`   ✅ ${totalDecayed} decayed, ${totalRemoved} removed to graveyard`);
+  } else {
+    console.log('   No pairs due for decay');
   }
   
-  return { decayed: totalDecayed, removed: totalRemoved };
+  return { decayed: totalDecayed, removed: totalRemoved, decayedPairs, decayedTokens };
+}
+
+// ===============================================
+// STEP 5: WRITE BACK (one batch per message)
+// ===============================================
+
+async function writeMessageState(state, writes) {
+  const { purgatoryRows, positionRows, decayedPairs, decayedTokens } = writes;
+  const { baseline, globalStats } = state;
+  
+  const tokenRows = [...state.tokenStats.values()].map(stats =>
+    withCounterDeltas(stats, baseline.tokens.get(stats.token), TOKEN_COUNTERS));
+  const pairRows = [...state.touchedPairs].map(key =>
+    withCounterDeltas(state.pairs.get(key), baseline.pairs.get(key), PAIR_COUNTERS));
+  
+  await getStorage().batch([
+    { type: 'insert', table: 'aria_purgatory', rows: purgatoryRows },
+    { type: 'insert', table: 'aria_token_positions', rows: positionRows },
+    { type: 'insert', table: 'aria_category_history', rows: state.categoryHistory },
+    {
+      type: 'upsert',
+      table: 'aria_token_stats',
+      rows: tokenRows,
+      onConflict: 'token',
+      increment: TOKEN_COUNTERS,
+      greatest: ['unique_adjacency_count']
+    },
+    { type: 'upsert', table: 'aria_token_stats', rows: decayedTokens, onConflict: 'token' },
+    {
+      type: 'upsert',
+      table: 'aria_word_pairs',
+      rows: pairRows,
+      onConflict: 'pattern_key',
+      increment: PAIR_COUNTERS
+    },
+    {
+      type: 'upsert',
+      table: 'aria_word_pairs',
+      rows: decayedPairs,
+      onConflict: 'pattern_key',
+      increment: ['decay_count', 'graveyard_count']
+    },
+    ...state.unarchived.map(patternKey => ({
+      type: 'remove',
+      table: 'aria_pair_archive',
+      filters: { pattern_key: patternKey }
+    })),
+    // Upserted so a namespace's first message creates its row
+    {
+      type: 'upsert',
+      table: 'aria_global_stats',
+      rows: [{
+        id: 1,
+        ...pickCounters(withCounterDeltas(globalStats, baseline.global, GLOBAL_COUNTERS), GLOBAL_COUNTERS),
+        max_positional_variance: globalStats.max_positional_variance,
+        max_relative_variance: globalStats.max_relative_variance,
+        updated_at: state.now
+      }],
+      onConflict: 'namespace',
+      increment: GLOBAL_COUNTERS,
+      greatest: ['max_positional_variance', 'max_relative_variance']
+    }
+  ]);
 }
 
 // ===============================================
-// LEGACY SUPPORT: Process old-style purgatory
+// POSITION LOG RETENTION
+// Variance no longer reads aria_token_positions, so the log
+// only keeps the last RETENTION_MESSAGES messages for inspection.
 // ===============================================
 
-async function wordsToPurgatory(messageText, messageId, userId, messageIndex) {
-  const tokens = tokenizeMessage(messageText);
+export async function pruneTokenPositions(options = {}) {
+  const { keepMessages = CONFIG.POSITIONS.RETENTION_MESSAGES } = options;
+  const db = getStorage();
   
-  if (tokens.length === 0) return [];
+  const messageIndex = options.messageIndex ?? await getCurrentMessageIndex();
+  const cutoff = messageIndex - keepMessages;
+  if (cutoff <= 0) return 0;
   
-  const words = tokens.map((word, index) => ({
-    id: uuidv4(),
-    word,
-    position: index,
-    message_id: messageId,
-    message_index: messageIndex,
-    user_id: userId
-  }));
+  const removed = await db.remove('aria_token_positions', { message_index: { lte: cutoff } });
+  if (removed > 0) {
+    console.log(`   🧹 Pruned ${removed} positions up to message #${cutoff}`);
+  }
+  return removed;
+}
+
+// ===============================================
+// GRAVEYARD
+// Pairs below DECAY_MIN stay in aria_word_pairs as tier 'decay'
+// and come back when seen again. Long-dead ones are compacted
+// into aria_pair_archive, which keeps their counts and history.
+// ===============================================
+
+const GRAVEYARD_PAGE_SIZE = 500;
+
+function toArchiveRow(pair, messageIndex) {
+  return {
+    id: pair.id,
+    pattern_key: pair.pattern_key,
+    token_a: pair.token_a,
+    token_b: pair.token_b,
+    directed: pair.directed ?? true,
+    frequency: pair.frequency || 0,
+    strength: pair.strength || 0,
+    category_pattern: pair.category_pattern || 'unclassified->unclassified',
+    reinforcement_count: pair.reinforcement_count || 0,
+    decay_count: pair.decay_count || 0,
+    graveyard_count: pair.graveyard_count || 0,
+    resurrection_count: pair.resurrection_count || 0,
+    decayed_at_message: pair.decayed_at_message ?? pair.last_seen_message_index,
+    decayed_from: pair.decayed_from ?? null,
+    last_seen_message_index: pair.last_seen_message_index,
+    created_at: pair.created_at || new Date().toISOString(),
+    archived_at_message: messageIndex
+  };
+}
+
+// Archived row as the graveyard pair it was before compaction
+function pairFromArchive(row) {
+  const { archived_at_message, archived_at, ...pair } = row;
+  return {
+    ...pair,
+    tier: 'decay',
+    decay_at_message: pair.last_seen_message_index,
+    resurrected_at_message: null
+  };
+}
+
+function deadSinceFilters(cutoff) {
+  return {
+    tier: 'decay',
+    $or: [
+      { decayed_at_message: { lte: cutoff } },
+      // Graveyard rows from before decay history was recorded
+      { decayed_at_message: null, last_seen_message_index: { lte: cutoff } }
+    ]
+  };
+}
+
+export async function compactGraveyard(options = {}) {
+  const { olderThan = CONFIG.GRAVEYARD.ARCHIVE_AFTER_MESSAGES } = options;
+  const db = getStorage();
+  
+  const messageIndex = options.messageIndex ?? await getCurrentMessageIndex();
+  const cutoff = messageIndex - olderThan;
+  if (cutoff <= 0) return 0;
+  
+  let archived = 0;
+  for (;;) {
+    const dead = await db.select('aria_word_pairs', {
+      filters: deadSinceFilters(cutoff),
+      limit: GRAVEYARD_PAGE_SIZE
+    });
+    if (dead.length === 0) break;
+    
+    await db.batch([
+      {
+        type: 'upsert',
+        table: 'aria_pair_archive',
+        rows: dead.map(pair => toArchiveRow(pair, messageIndex)),
+        onConflict: 'pattern_key'
+      },
+      ...dead.map(pair => ({ type: 'remove', table: 'aria_word_pairs', filters: { id: pair.id } }))
+    ]);
+    
+    archived += dead.length;
+    if (dead.length < GRAVEYARD_PAGE_SIZE) break;
+  }
   
-  const { error } = await supabase
-    .from('aria_purgatory')
-    .insert(words);
+  if (archived > 0) {
+    console.log(`   ⚰️ Archived ${archived} pairs dead since message #${cutoff} or earlier`);
+  }
+  return archived;
+}
+
+// Graveyard pairs (or archived ones), most recently dead first
+export async function getGraveyard(options = {}) {
+  const { limit = 50, offset = 0, word = null, archived = false } = options;
+  const db = getStorage();
+  const table = archived ? 'aria_pair_archive' : 'aria_word_pairs';
+  
+  const filters = archived ? {} : { tier: 'decay' };
+  if (word) {
+    const normalized = normalizeToken(word);
+    filters.$or = [{ token_a: normalized }, { token_b: normalized }];
+  }
   
-  if (error) {
-    console.error('   ❌ Purgatory error:', error.message);
-    return [];
+  const [pairs, total] = await Promise.all([
+    db.select(table, {
+      filters,
+      order: { decayed_at_message: 'desc', last_seen_message_index: 'desc' },
+      limit,
+      offset
+    }),
+    db.count(table, filters)
+  ]);
+  
+  return { archived, total, pairs };
+}
+
+// Brings pairs back from the graveyard or the archive with a fresh
+// decay schedule; counts and decay history are kept
+export async function restoreGraveyardPairs(patternKeys, options = {}) {
+  const { strength = CONFIG.REINFORCEMENT.base } = options;
+  const db = getStorage();
+  const keys = [...new Set(patternKeys)];
+  
+  const result = { restored: [], alive: [], notFound: [] };
+  if (keys.length === 0) return result;
+  
+  const [stored, archived, messageIndex] = await Promise.all([
+    db.select('aria_word_pairs', { filters: { pattern_key: { in: keys } } }),
+    db.select('aria_pair_archive', { filters: { pattern_key: { in: keys } } }),
+    getCurrentMessageIndex()
+  ]);
+  
+  const tier = getTierForScore(strength);
+  const revived = {
+    strength,
+    tier,
+    decay_at_message: messageIndex + CONFIG.DECAY[tier].interval,
+    resurrected_at_message: messageIndex,
+    updated_at: new Date().toISOString()
+  };
+  
+  const storedByKey = new Map(stored.map(pair => [pair.pattern_key, pair]));
+  const archivedByKey = new Map(archived.map(row => [row.pattern_key, row]));
+  const operations = [];
+  
+  for (const key of keys) {
+    const pair = storedByKey.get(key);
+    
+    if (pair && pair.tier !== 'decay') {
+      result.alive.push(key);
+    } else if (pair) {
+      operations.push({
+        type: 'increment',
+        table: 'aria_word_pairs',
+        filters: { id: pair.id },
+        increments: { resurrection_count: 1 },
+        patch: revived
+      });
+      result.restored.push(key);
+    } else if (archivedByKey.has(key)) {
+      const restored = pairFromArchive(archivedByKey.get(key));
+      operations.push(
+        {
+          type: 'insert',
+          table: 'aria_word_pairs',
+          rows: [{ ...restored, ...revived, resurrection_count: (restored.resurrection_count || 0) + 1 }]
+        },
+        { type: 'remove', table: 'aria_pair_archive', filters: { pattern_key: key } }
+      );
+      result.restored.push(key);
+    } else {
+      result.notFound.push(key);
+    }
+  }
+  
+  if (operations.length > 0) {
+    await db.batch(operations);
+    console.log(`   🪦 Restored ${result.restored.length} pairs to ${tier}`);
   }
   
-  return words;
+  return result;
+}
+
+// ===============================================
+// LEGACY SUPPORT: Old-style purgatory rows
+// ===============================================
+
+// Segment and weight let ariaLexicons.js recount from the log
+function buildPurgatoryRows(segments, messageId, userId, messageIndex, weight) {
+  return segments
+    .flatMap((tokens, segmentIndex) => tokens.map(word => ({ word, segment: segmentIndex })))
+    .map(({ word, segment }, index) => ({
+      id: uuidv4(),
+      word,
+      position: index,
+      segment,
+      weight,
+      message_id: messageId,
+      message_index: messageIndex,
+      user_id: userId
+    }));
 }
 
 // ===============================================
 // MAIN: PROCESS MESSAGE
 // ===============================================
 
-export async function processMessage(messageText, messageId, userId) {
-  if (!messageText || !userId) {
+// options: namespace (learn into that namespace instead of the active
+// one), botId / role (author details for the source weight lookup),
+// weight (skips the lookup) and preprocess (stage toggles for
+// ariaPreprocess.js, or false to learn the raw text)
+export async function processMessage(messageText, messageId, userId, options = {}) {
+  if (options.namespace) {
+    const { namespace, ...rest } = options;
+    return withNamespace(namespace, () => processMessage(messageText, messageId, userId, rest));
+  }
+  
+  const { botId = null, role = null } = options;
+  if (!messageText || (!userId && !botId)) {
     return { processed: false, reason: 'Empty message or no user' };
   }
   
+  // Triggers, commands, code and quotes out; URLs, numbers... → <url>, <num>
+  const text = preprocessMessage(messageText, options.preprocess);
+  if (!text) {
+    return { processed: false, reason: 'Nothing left after preprocessing' };
+  }
+  
+  const source = options.weight !== undefined
+    ? { weight: Number(options.weight), source: 'explicit' }
+    : await resolveSourceWeight({ userId, botId, role });
+  if (!(source.weight > 0)) {
+    return { processed: false, reason: `Source weight is 0 (${source.source})`, weight: 0, source: source.source };
+  }
+  
   console.log(`\n╔════════════════════════════════════════════════╗`);
-  console.log(`║ ARIA PROCESSING: "${messageText.substring(0, 35)}..."`);
+  console.log(`║ ARIA PROCESSING: "${text.substring(0, 35)}..."`);
   console.log(`╚════════════════════════════════════════════════╝`);
   
   const messageIndex = await getAndIncrementMessageIndex();
-  console.log(`Message #${messageIndex}`);
+  const namespace = getNamespace();
+  console.log(`Message #${messageIndex}${namespace === DEFAULT_NAMESPACE ? '' : ` [${namespace}]`}`);
+  if (source.weight !== 1) {
+    console.log(`⚖️ Source weight ${source.weight} (${source.source})`);
+  }
   
-  // Tokenize
-  const tokens = tokenizeMessage(messageText);
+  // Tokenize into sentences / clauses (ariaTokenizer.js); pairs,
+  // adjacency, bridges and positions never cross a segment
+  const segments = segment(text);
+  const tokens = segments.flat();
   
   if (tokens.length === 0) {
-    return { processed: true, messageIndex, reason: 'No tokens' };
+    return { processed: true, messageIndex, weight: source.weight, reason: 'No tokens' };
   }
   
   const isStandalone = tokens.length === 1;
   
-  // Legacy: Store in purgatory for backward compatibility
-  await wordsToPurgatory(messageText, messageId, userId, messageIndex);
+  // Bulk read: token stats, pairs, decay candidates, global stats
+  const state = await loadMessageState(segments, messageIndex);
   
   // Step 1: Process token statistics
-  const tokensProcessed = await processTokenStatistics(tokens, messageIndex, isStandalone);
+  const tokensProcessed = processTokenStatistics(state, segments, messageIndex, isStandalone, source.weight);
   
   // Step 2: Calculate scores and assign categories
-  const categorized = await calculateScoresAndCategories(tokens);
+  const categorized = calculateScoresAndCategories(state, tokens, messageIndex);
   
   // Step 3: Create/reinforce two-word pairs
-  const pairResult = await processWordPairs(tokens, messageIndex);
+  const pairResult = processWordPairs(state, segments, messageIndex, source.weight);
   
   // Step 4: Process decay
-  const decayResult = await processDecay(messageIndex);
+  const decayResult = processDecay(state, messageIndex);
+  
+  // Step 5: One transactional write for the whole message
+  try {
+    await writeMessageState(state, {
+      // Legacy: Store in purgatory for backward compatibility
+      purgatoryRows: buildPurgatoryRows(segments, messageId, userId, messageIndex, source.weight),
+      // Positions within the segment, like the running sums
+      positionRows: CONFIG.POSITIONS.RETENTION_MESSAGES > 0
+        ? segments.flatMap(segment => segment.map((token, position) => ({
+          id: uuidv4(),
+          token,
+          position,
+          message_index: messageIndex
+        })))
+        : [],
+      decayedPairs: decayResult.decayedPairs,
+      decayedTokens: decayResult.decayedTokens
+    });
+  } catch (error) {
+    console.error('   ❌ Write error:', error.message);
+    return { processed: false, messageIndex, reason: error.message };
+  }
+  
+  if (messageIndex % CONFIG.POSITIONS.PRUNE_INTERVAL === 0) {
+    try {
+      await pruneTokenPositions({ messageIndex });
+    } catch (error) {
+      console.error('   ❌ Position prune error:', error.message);
+    }
+  }
+  
+  if (messageIndex % CONFIG.GRAVEYARD.COMPACT_INTERVAL === 0) {
+    try {
+      await compactGraveyard({ messageIndex });
+    } catch (error) {
+      console.error('   ❌ Graveyard compaction error:', error.message);
+    }
+  }
+  
+  if (CONFIG.SNAPSHOTS.INTERVAL > 0 && messageIndex % CONFIG.SNAPSHOTS.INTERVAL === 0) {
+    try {
+      await createAutoSnapshot({ messageIndex });
+    } catch (error) {
+      console.error('   ❌ Auto snapshot error:', error.message);
+    }
+  }
+  
+  // Not awaited: comparing contexts or regrouping every category
+  // takes longer than a message
+  if (CONFIG.CONTRAST_DISCOVERY.INTERVAL > 0 && messageIndex % CONFIG.CONTRAST_DISCOVERY.INTERVAL === 0) {
+    scheduleContrastDiscovery({ messageIndex });
+  }
+  if (CONFIG.SUBCLUSTERS.INTERVAL > 0 && messageIndex % CONFIG.SUBCLUSTERS.INTERVAL === 0) {
+    scheduleSubclustering({ messageIndex });
+  }
   
   console.log(`\n📊 SUMMARY: ${tokensProcessed} tokens, ${categorized} categorized, ${pairResult.newPairs} new pairs, ${pairResult.reinforced} reinforced`);
   
   return {
     processed: true,
     messageIndex,
+    weight: source.weight,
+    source: source.source,
     tokensProcessed,
     categorized,
     newPairs: pairResult.newPairs,
     reinforced: pairResult.reinforced,
     promoted: pairResult.promoted,
+    resurrected: pairResult.resurrected,
     decayed: decayResult.decayed,
     removed: decayResult.removed
   };
@@ -955,34 +1360,18 @@ export async function processMessage(messageText, messageId, userId) {
 // ===============================================
 
 export async function getMemoryStats() {
-  const { count: shortCount } = await supabase
-    .from('aria_word_pairs')
-    .select('*', { count: 'exact', head: true })
-    .eq('tier', 'short');
-  
-  const { count: mediumCount } = await supabase
-    .from('aria_word_pairs')
-    .select('*', { count: 'exact', head: true })
-    .eq('tier', 'medium');
-  
-  const { count: longCount } = await supabase
-    .from('aria_word_pairs')
-    .select('*', { count: 'exact', head: true })
-    .eq('tier', 'long');
-  
-  const { count: decayCount } = await supabase
-    .from('aria_word_pairs')
-    .select('*', { count: 'exact', head: true })
-    .eq('tier', 'decay');
-  
-  const { count: tokenCount } = await supabase
-    .from('aria_token_stats')
-    .select('*', { count: 'exact', head: true });
-  
-  const { data: categoryCounts } = await supabase
-    .from('aria_token_stats')
-    .select('category')
-    .not('category', 'eq', 'unclassified');
+  const db = getStorage();
+  
+  const shortCount = await db.count('aria_word_pairs', { tier: 'short' });
+  const mediumCount = await db.count('aria_word_pairs', { tier: 'medium' });
+  const longCount = await db.count('aria_word_pairs', { tier: 'long' });
+  const decayCount = await db.count('aria_word_pairs', { tier: 'decay' });
+  const tokenCount = await db.count('aria_token_stats');
+  
+  const categoryCounts = await db.select('aria_token_stats', {
+    filters: { category: { neq: 'unclassified' } },
+    columns: ['category']
+  });
   
   const categories = {
     stable: 0,
@@ -991,28 +1380,22 @@ export async function getMemoryStats() {
     structural: 0
   };
   
-  if (categoryCounts) {
-    for (const row of categoryCounts) {
-      if (categories[row.category] !== undefined) {
-        categories[row.category]++;
-      }
+  for (const row of categoryCounts) {
+    if (categories[row.category] !== undefined) {
+      categories[row.category]++;
     }
   }
   
-  const { data: counter } = await supabase
-    .from('aria_message_counter')
-    .select('current_index')
-    .eq('id', 1)
-    .single();
+  const counter = await db.selectOne('aria_message_counter', { id: 1 });
   
   return {
     tiers: {
-      short: shortCount || 0,
-      medium: mediumCount || 0,
-      long: longCount || 0
+      short: shortCount,
+      medium: mediumCount,
+      long: longCount
     },
-    decay: decayCount || 0,
-    tokens: tokenCount || 0,
+    decay: decayCount,
+    tokens: tokenCount,
     categories,
     messagesProcessed: counter?.current_index || 0
   };
@@ -1020,88 +1403,100 @@ export async function getMemoryStats() {
 
 export async function getMemoryContext(options = {}) {
   const { limit = 50 } = options;
-  
-  const { data: shortPairs } = await supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .eq('tier', 'short')
-    .order('strength', { ascending: false })
-    .limit(limit);
-  
-  const { data: mediumPairs } = await supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .eq('tier', 'medium')
-    .order('strength', { ascending: false })
-    .limit(limit);
-  
-  const { data: longPairs } = await supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .eq('tier', 'long')
-    .order('strength', { ascending: false })
-    .limit(limit);
+  const db = getStorage();
+  
+  const [shortPairs, mediumPairs, longPairs] = await Promise.all(
+    ['short', 'medium', 'long'].map(tier =>
+      db.select('aria_word_pairs', {
+        filters: { tier },
+        order: { strength: 'desc' },
+        limit
+      })
+    )
+  );
   
   return {
-    short: shortPairs || [],
-    medium: mediumPairs || [],
-    long: longPairs || []
+    short: shortPairs,
+    medium: mediumPairs,
+    long: longPairs
   };
 }
 
 export async function searchByWord(word) {
-  const normalized = word.toLowerCase();
+  const normalized = normalizeToken(word);
   
-  const { data: pairs } = await supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .or(`token_a.eq.${normalized},token_b.eq.${normalized}`)
-    .neq('tier', 'decay')
-    .order('strength', { ascending: false });
-  
-  return pairs || [];
+  return getStorage().select('aria_word_pairs', {
+    filters: {
+      $or: [{ token_a: normalized }, { token_b: normalized }],
+      tier: { neq: 'decay' }
+    },
+    order: { strength: 'desc' }
+  });
 }
 
 export async function getTokenStats(token) {
-  const { data } = await supabase
-    .from('aria_token_stats')
-    .select('*')
-    .eq('token', token.toLowerCase())
-    .single();
-  
-  return data;
+  const stats = await getStorage().selectOne('aria_token_stats', { token: normalizeToken(token) });
+  return stats && { ...stats, neighbors: parseNeighborProfile(stats.neighbors) };
+}
+
+// Batch lookup: token → stats row for every known token in the list
+export async function getTokenStatsMany(tokens, columns = null) {
+  const unique = [...new Set(tokens)];
+  if (unique.length === 0) return [];
+  
+  return getStorage().select('aria_token_stats', {
+    filters: { token: { in: unique } },
+    columns
+  });
 }
 
 export async function getTokensByCategory(category, limit = 50) {
-  const { data } = await supabase
-    .from('aria_token_stats')
-    .select('*')
-    .eq('category', category)
-    .order('total_occurrences', { ascending: false })
-    .limit(limit);
-  
-  return data || [];
+  return getStorage().select('aria_token_stats', {
+    filters: { category },
+    order: { total_occurrences: 'desc' },
+    limit
+  });
 }
 
 export async function getTopPairs(options = {}) {
   const { limit = 100, tier = null } = options;
   
-  let query = supabase
-    .from('aria_word_pairs')
-    .select('*')
-    .neq('tier', 'decay')
-    .order('strength', { ascending: false })
-    .limit(limit);
+  const filters = { tier: tier ? tier : { neq: 'decay' } };
   
-  if (tier) {
-    query = query.eq('tier', tier);
+  return getStorage().select('aria_word_pairs', {
+    filters,
+    order: { strength: 'desc' },
+    limit
+  });
+}
+
+// Pairs that can be followed from a word in the given direction.
+// forward: word is token_a (word → next); backward: word is token_b (prev → word).
+// Legacy undirected rows are followed either way.
+export async function getDirectedPairs(word, direction = 'forward') {
+  const normalized = normalizeToken(word);
+  const [from, to] = direction === 'backward' ? ['token_b', 'token_a'] : ['token_a', 'token_b'];
+  
+  return getStorage().select('aria_word_pairs', {
+    filters: {
+      $or: [{ [from]: normalized }, { [to]: normalized, directed: false }],
+      tier: { neq: 'decay' }
+    },
+    order: { strength: 'desc' }
+  });
+}
+
+// The word reached by following a pair away from currentWord
+function followPair(pair, currentWord, direction) {
+  if (!pair.directed) {
+    return pair.token_a === currentWord ? pair.token_b : pair.token_a;
   }
-  
-  const { data } = await query;
-  return data || [];
+  return direction === 'backward' ? pair.token_a : pair.token_b;
 }
 
-export async function getEmergentChains(startWord, maxLength = 5) {
+export async function getEmergentChains(startWord, maxLength = 5, options = {}) {
+  const { direction = 'forward' } = options;
+  
   // Find chains by following overlapping pairs
   const chains = [];
   const visited = new Set();
@@ -1112,11 +1507,11 @@ export async function getEmergentChains(startWord, maxLength = 5) {
       return;
     }
     
-    // Find pairs containing this word
-    const pairs = await searchByWord(currentWord);
+    // Find pairs continuing from this word
+    const pairs = await getDirectedPairs(currentWord, direction);
     
     for (const pair of pairs.slice(0, 5)) {
-      const nextWord = pair.token_a === currentWord ? pair.token_b : pair.token_a;
+      const nextWord = followPair(pair, currentWord, direction);
       
       if (!visited.has(nextWord)) {
         visited.add(nextWord);
@@ -1135,7 +1530,1032 @@ export async function getEmergentChains(startWord, maxLength = 5) {
   visited.add(startWord);
   await buildChain(startWord, [startWord]);
   
-  return chains;
+  // Backward chains are collected from the start word outwards;
+  // flip them so every chain reads in message order
+  return direction === 'backward'
+    ? chains.map(chain => [...chain].reverse())
+    : chains;
+}
+
+// ===============================================
+// CATEGORY HISTORY
+// ===============================================
+
+const HISTORY_KINDS = ['change', 'sample'];
+const HISTORY_COLUMNS = [
+  'message_index', 'kind', 'old_category', 'new_category', 'stability_score',
+  'transition_score', 'dependency_score', 'structural_score', 'total_occurrences', 'created_at'
+];
+
+function checkHistoryKind(kind) {
+  if (kind !== null && !HISTORY_KINDS.includes(kind)) {
+    throw new Error(`Invalid kind "${kind}" (expected ${HISTORY_KINDS.join(', ')})`);
+  }
+}
+
+// A token's classification over time, oldest first.
+// options: kind ('change' | 'sample'), limit, offset
+export async function getTokenHistory(token, options = {}) {
+  const { kind = null, limit = 100, offset = 0 } = options;
+  checkHistoryKind(kind);
+  const word = normalizeToken(token);
+  const db = getStorage();
+
+  const stats = await db.selectOne('aria_token_stats', { token: word });
+  if (!stats) {
+    throw new Error(`Token "${word}" not found`);
+  }
+  const history = await db.select('aria_category_history', {
+    columns: HISTORY_COLUMNS,
+    filters: kind ? { token: word, kind } : { token: word },
+    order: { message_index: 'asc' },
+    limit,
+    offset
+  });
+
+  return { token: word, category: stats.category, pending_category: stats.pending_category, history };
+}
+
+// Confirmed switches of every token, newest first.
+// options: category (switched to), limit, offset
+export async function getCategoryChanges(options = {}) {
+  const { category = null, limit = 50, offset = 0 } = options;
+  return getStorage().select('aria_category_history', {
+    columns: ['token', ...HISTORY_COLUMNS.filter(column => column !== 'kind')],
+    filters: category ? { kind: 'change', new_category: category } : { kind: 'change' },
+    order: { message_index: 'desc', token: 'asc' },
+    limit,
+    offset
+  });
+}
+
+// ===============================================
+// SCORE EXPLANATION
+// ===============================================
+
+const EXPLAINED_COUNTERS = [
+  'total_occurrences', 'context_count', 'unique_adjacency_count', 'bridge_count', 'temporal_adj_count',
+  'adjacent_to_stable', 'contrast_pair_count', 'standalone_count', 'position_count'
+];
+
+function explainScore(terms, stored) {
+  return {
+    value: scoreFromTerms(terms),
+    // Before clamping to 0..1
+    sum: terms.reduce((sum, term) => sum + term.sign * term.ratio, 0),
+    stored,
+    terms
+  };
+}
+
+// How a token's four scores and its category come about: every term
+// with the counter and denominator it divides, the threshold test of
+// assignCategory and the inertia state. Scores are recomputed from the
+// namespace's current global stats, which move with every message, so
+// they can differ from the stored ones until the token is seen again.
+export async function explainTokenScores(token) {
+  const word = normalizeToken(token);
+  const [row, globalStats] = await Promise.all([
+    getStorage().selectOne('aria_token_stats', { token: word }),
+    getGlobalStats()
+  ]);
+  if (!row) {
+    throw new Error(`Token "${word}" not found`);
+  }
+
+  const variances = calculatePositionalVariances(row);
+  const stats = { ...row, positional_variance: CONFIG.POSITIONS.NORMALIZE ? variances.relative : variances.raw };
+  const scores = {
+    stability: explainScore(stabilityTerms(stats, globalStats), row.stability_score),
+    transition: explainScore(transitionTerms(stats, globalStats), row.transition_score),
+    dependency: explainScore(dependencyTerms(stats), row.dependency_score),
+    structural: explainScore(structuralTerms(stats, globalStats), row.structural_score)
+  };
+
+  const candidates = {
+    stable: scores.stability.value,
+    transition: scores.transition.value,
+    modifier: scores.dependency.value,
+    structural: scores.structural.value
+  };
+  const result = assignCategory({
+    ...stats,
+    stability_score: candidates.stable,
+    transition_score: candidates.transition,
+    dependency_score: candidates.modifier,
+    structural_score: candidates.structural
+  });
+  const pendingCategory = row.pending_category ?? null;
+  const pendingCount = row.pending_count || 0;
+
+  return {
+    token: word,
+    category: row.category,
+    last_message_index: row.last_message_index,
+    counters: Object.fromEntries(EXPLAINED_COUNTERS.map(name => [name, row[name] ?? 0])),
+    global: {
+      total_contexts_seen: globalStats.total_contexts_seen,
+      total_adj_windows: globalStats.total_adj_windows,
+      max_positional_variance: globalStats.max_positional_variance,
+      max_relative_variance: globalStats.max_relative_variance || 0
+    },
+    variance: { normalized: CONFIG.POSITIONS.NORMALIZE, ...variances },
+    scores,
+    assignment: {
+      min_occurrences: CONFIG.MIN_OCCURRENCES_FOR_CATEGORY,
+      enough_occurrences: stats.total_occurrences >= CONFIG.MIN_OCCURRENCES_FOR_CATEGORY,
+      threshold: CONFIG.CATEGORY_THRESHOLD,
+      candidates: Object.fromEntries(Object.entries(candidates).map(([category, score]) =>
+        [category, { score, above_threshold: score > CONFIG.CATEGORY_THRESHOLD }])),
+      result
+    },
+    inertia: {
+      pending_category: pendingCategory,
+      pending_count: pendingCount,
+      required: CATEGORY_INERTIA,
+      // Messages in a row that must still assign `result` before the
+      // token switches to it (0 = already there)
+      remaining: result === row.category ? 0 : CATEGORY_INERTIA - (pendingCategory === result ? pendingCount : 0)
+    }
+  };
+}
+
+// ===============================================
+// MEMORY EXPORT / IMPORT
+// The data side of ariaBundle.js. Records are { type, data }
+// with type token | pair | global | counter. Ids are left out:
+// they differ per backend (uuid vs hex) and are reissued on import.
+// ===============================================
+
+const MEMORY_PAGE_SIZE = 500;
+
+const MEMORY_TABLES = {
+  token: { table: 'aria_token_stats', key: 'token' },
+  pair: { table: 'aria_word_pairs', key: 'pattern_key' }
+};
+
+// Bundles carry no namespace: they import into whichever one is active
+function toExportRow(type, { id, namespace, ...row }) {
+  // SQLite hands booleans back as 0/1
+  return type === 'pair' ? { ...row, directed: Boolean(row.directed) } : row;
+}
+
+// Pages by unique key; rows written while the export runs may or may not be included
+export async function* streamMemoryRecords(options = {}) {
+  const { types = ['token', 'pair', 'global', 'counter'] } = options;
+  const db = getStorage();
+  
+  for (const [type, { table, key }] of Object.entries(MEMORY_TABLES)) {
+    if (!types.includes(type)) continue;
+    
+    for (let offset = 0; ; offset += MEMORY_PAGE_SIZE) {
+      const rows = await db.select(table, { order: { [key]: 'asc' }, limit: MEMORY_PAGE_SIZE, offset });
+      for (const row of rows) {
+        yield { type, data: toExportRow(type, row) };
+      }
+      if (rows.length < MEMORY_PAGE_SIZE) break;
+    }
+  }
+  
+  if (types.includes('global')) {
+    yield { type: 'global', data: toExportRow('global', await getGlobalStats()) };
+  }
+  if (types.includes('counter')) {
+    yield { type: 'counter', data: { current_index: await getCurrentMessageIndex() } };
+  }
+}
+
+// Counters add up; scores and category stay until the token is next seen
+function mergeTokenRows(existing, incoming) {
+  const merged = {};
+  for (const column of TOKEN_COUNTERS) {
+    merged[column] = (existing[column] || 0) + (incoming[column] || 0);
+  }
+  
+  const variances = calculatePositionalVariances(merged);
+  return {
+    ...merged,
+    unique_adjacency_count: Math.max(existing.unique_adjacency_count || 0, incoming.unique_adjacency_count || 0),
+    positional_variance: CONFIG.POSITIONS.NORMALIZE ? variances.relative : variances.raw,
+    last_message_index: Math.max(existing.last_message_index || 0, incoming.last_message_index || 0) || null,
+    updated_at: new Date().toISOString()
+  };
+}
+
+async function importMemoryPage(type, rows, mode, report, operations) {
+  const { table, key } = MEMORY_TABLES[type];
+  const counts = report[`${type}s`];
+  
+  const existing = mode === 'merge'
+    ? new Map((await getStorage().select(table, {
+      filters: { [key]: { in: rows.map(row => row[key]) } }
+    })).map(row => [row[key], row]))
+    : new Map();
+  
+  const inserts = [];
+  for (const row of rows) {
+    const current = existing.get(row[key]);
+    if (!current) {
+      counts.created++;
+      inserts.push({ ...row, id: uuidv4() });
+      continue;
+    }
+    
+    counts.merged++;
+    operations.push({
+      type: 'update',
+      table,
+      filters: { id: current.id },
+      patch: type === 'token' ? mergeTokenRows(current, row) : mergePairRows(current, row)
+    });
+  }
+  
+  if (inserts.length > 0) {
+    operations.unshift({ type: 'insert', table, rows: inserts });
+  }
+}
+
+// Reads the records and writes them page by page into report
+async function writeMemoryRecords(records, mode, dryRun, report) {
+  const db = getStorage();
+  const pages = { token: [], pair: [] };
+  let globalStats = null;
+  let counter = null;
+  
+  const flush = async (type) => {
+    const rows = pages[type];
+    if (rows.length === 0) return;
+    pages[type] = [];
+    
+    const operations = [];
+    await importMemoryPage(type, rows, mode, report, operations);
+    if (!dryRun && operations.length > 0) {
+      await db.batch(operations);
+    }
+  };
+  
+  for await (const record of records) {
+    switch (record.type) {
+      case 'token':
+      case 'pair':
+        pages[record.type].push(record.data);
+        if (pages[record.type].length >= MEMORY_PAGE_SIZE) {
+          await flush(record.type);
+        }
+        break;
+      case 'global':
+        globalStats = record.data;
+        break;
+      case 'counter':
+        counter = record.data;
+        break;
+      default:
+        throw new Error(`Unknown memory record type "${record.type}"`);
+    }
+  }
+  await flush('token');
+  await flush('pair');
+  
+  const operations = [];
+  if (globalStats) {
+    const { updated_at, ...values } = globalStats;
+    operations.push(mode === 'replace'
+      ? { type: 'upsert', table: 'aria_global_stats', rows: [{ ...values, id: 1 }], onConflict: 'namespace' }
+      : {
+        type: 'upsert',
+        table: 'aria_global_stats',
+        rows: [{
+          id: 1,
+          ...pickCounters(values, GLOBAL_COUNTERS),
+          max_positional_variance: values.max_positional_variance || 0,
+          max_relative_variance: values.max_relative_variance || 0
+        }],
+        onConflict: 'namespace',
+        increment: GLOBAL_COUNTERS,
+        greatest: ['max_positional_variance', 'max_relative_variance']
+      });
+    report.globalStats = true;
+  }
+  if (counter) {
+    operations.push({
+      type: 'upsert',
+      table: 'aria_message_counter',
+      rows: [{ id: 1, current_index: counter.current_index }],
+      onConflict: 'namespace',
+      greatest: mode === 'replace' ? [] : ['current_index']
+    });
+    report.messageCounter = counter.current_index;
+  }
+  if (!dryRun && operations.length > 0) {
+    await db.batch(operations);
+  }
+}
+
+// replace: wipe token stats, pairs and the pair archive first, take
+// global stats and the counter as given. merge: add counts onto what is stored, recompute
+// tiers, keep the larger message counter.
+// A replace takes a "before-import-..." snapshot before the wipe and
+// rolls back to it if reading or writing the records fails, so a
+// stream that breaks off never leaves memory half-restored.
+export async function importMemoryRecords(records, options = {}) {
+  const { mode = 'merge', dryRun = false } = options;
+  if (!['merge', 'replace'].includes(mode)) {
+    throw new Error(`Unknown import mode "${mode}" (expected merge or replace)`);
+  }
+  
+  const db = getStorage();
+  console.log(`\n📥 Importing memory (${mode}${dryRun ? ', dry run' : ''})...`);
+  
+  const report = {
+    mode,
+    dryRun,
+    backup: null,
+    tokens: { created: 0, merged: 0 },
+    pairs: { created: 0, merged: 0 },
+    globalStats: false,
+    messageCounter: null
+  };
+  
+  // The archive is not part of a bundle, but would resurrect old pairs
+  if (mode === 'replace' && !dryRun) {
+    report.backup = `before-import-${Date.now()}`;
+    await createSnapshot(report.backup);
+    await db.remove('aria_pair_archive', { id: { neq: null } });
+    await db.remove('aria_word_pairs', { id: { neq: null } });
+    await db.remove('aria_token_stats', { id: { neq: null } });
+  }
+  
+  try {
+    await writeMemoryRecords(records, mode, dryRun, report);
+  } catch (error) {
+    if (!report.backup) throw error;
+    console.error(`   ❌ Import failed, restoring snapshot "${report.backup}"`);
+    await rollbackToSnapshot(report.backup, { backup: false });
+    throw new Error(`${error.message} (memory restored from snapshot "${report.backup}")`);
+  }
+  
+  console.log(`   ✅ tokens: ${report.tokens.created} created, ${report.tokens.merged} merged`);
+  console.log(`      pairs:  ${report.pairs.created} created, ${report.pairs.merged} merged`);
+  return report;
+}
+
+// ===============================================
+// SNAPSHOTS
+// Named copies of token stats, pairs, the pair archive and global
+// stats in aria_snapshots / aria_snapshot_rows. Rollback puts a copy
+// back in place; the message counter is left alone so decay
+// schedules and stored messages keep lining up.
+// ===============================================
+
+const SNAPSHOT_PAGE_SIZE = 500;
+const SNAPSHOT_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Captured and restored in this order
+const SNAPSHOT_KINDS = {
+  token: { table: 'aria_token_stats', key: 'token' },
+  pair: { table: 'aria_word_pairs', key: 'pattern_key' },
+  archive: { table: 'aria_pair_archive', key: 'pattern_key' }
+};
+
+// Resurrection (decay → short) counts as a promotion in diffs
+const TIER_RANK = { decay: 0, short: 1, medium: 2, long: 3 };
+
+const SNAPSHOT_COLUMNS = [
+  'name', 'auto', 'message_index', 'token_count', 'pair_count',
+  'archive_count', 'created_at', 'completed_at'
+];
+
+// Keyset pages, so rows written meanwhile can't shift a page boundary
+async function* selectPagesByKey(table, key, filters = {}, columns = undefined) {
+  let last = null;
+  
+  for (;;) {
+    const rows = await getStorage().select(table, {
+      filters: last === null ? filters : { ...filters, [key]: { gt: last } },
+      columns,
+      order: { [key]: 'asc' },
+      limit: SNAPSHOT_PAGE_SIZE
+    });
+    if (rows.length > 0) yield rows;
+    if (rows.length < SNAPSHOT_PAGE_SIZE) return;
+    last = rows[rows.length - 1][key];
+  }
+}
+
+// jsonb comes back parsed, SQLite hands back the text
+function parseJsonColumn(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// SQLite hands booleans back as 0/1
+function toSnapshotInfo(row) {
+  const info = Object.fromEntries(SNAPSHOT_COLUMNS.map(column => [column, row[column] ?? null]));
+  return { ...info, auto: Boolean(row.auto) };
+}
+
+async function findSnapshot(name) {
+  const snapshot = await getStorage().selectOne('aria_snapshots', { name });
+  if (!snapshot) {
+    throw new Error(`Snapshot "${name}" not found`);
+  }
+  return snapshot;
+}
+
+export async function listSnapshots() {
+  const snapshots = await getStorage().select('aria_snapshots', {
+    columns: SNAPSHOT_COLUMNS,
+    order: { message_index: 'desc', created_at: 'desc' }
+  });
+  return snapshots.map(toSnapshotInfo);
+}
+
+export async function createSnapshot(name, options = {}) {
+  const { auto = false } = options;
+  const db = getStorage();
+  
+  if (!SNAPSHOT_NAME.test(name || '')) {
+    throw new Error('Snapshot names are 1-64 letters, digits, ".", "_" or "-" (starting with a letter or digit)');
+  }
+  if (await db.selectOne('aria_snapshots', { name })) {
+    throw new Error(`Snapshot "${name}" already exists`);
+  }
+  
+  const messageIndex = options.messageIndex ?? await getCurrentMessageIndex();
+  console.log(`\n📸 Snapshot "${name}" at message #${messageIndex}...`);
+  
+  const snapshotId = uuidv4();
+  await db.insert('aria_snapshots', { id: snapshotId, name, auto, message_index: messageIndex });
+  
+  const counts = { token: 0, pair: 0, archive: 0 };
+  for (const [kind, { table, key }] of Object.entries(SNAPSHOT_KINDS)) {
+    for await (const rows of selectPagesByKey(table, key)) {
+      await db.insert('aria_snapshot_rows', rows.map(row => ({
+        id: uuidv4(),
+        snapshot_id: snapshotId,
+        kind,
+        row_key: row[key],
+        data: toExportRow(kind === 'token' ? 'token' : 'pair', row)
+      })));
+      counts[kind] += rows.length;
+    }
+  }
+  
+  const [snapshot] = await db.update('aria_snapshots', { id: snapshotId }, {
+    token_count: counts.token,
+    pair_count: counts.pair,
+    archive_count: counts.archive,
+    global_stats: toExportRow('global', await getGlobalStats()),
+    completed_at: new Date().toISOString()
+  });
+  
+  console.log(`   ✅ ${counts.token} tokens, ${counts.pair} pairs, ${counts.archive} archived`);
+  return toSnapshotInfo(snapshot);
+}
+
+export async function deleteSnapshot(name) {
+  const db = getStorage();
+  const snapshot = await findSnapshot(name);
+  
+  const rows = await db.remove('aria_snapshot_rows', { snapshot_id: snapshot.id });
+  await db.remove('aria_snapshots', { id: snapshot.id });
+  
+  return { name, rows };
+}
+
+// Scheduled snapshot "auto-<index>"; only the newest `keep` auto ones stay
+export async function createAutoSnapshot(options = {}) {
+  const { keep = CONFIG.SNAPSHOTS.KEEP } = options;
+  const db = getStorage();
+  const messageIndex = options.messageIndex ?? await getCurrentMessageIndex();
+  
+  // A replace import can wind the counter back onto an existing name
+  const name = `auto-${messageIndex}`;
+  const snapshot = await db.selectOne('aria_snapshots', { name })
+    ? null
+    : await createSnapshot(name, { auto: true, messageIndex });
+  
+  const autos = await db.select('aria_snapshots', {
+    filters: { auto: true },
+    columns: ['name'],
+    order: { message_index: 'desc', created_at: 'desc' }
+  });
+  for (const { name: expired } of autos.slice(Math.max(keep, 1))) {
+    await deleteSnapshot(expired);
+    console.log(`   🗑️ Pruned snapshot "${expired}"`);
+  }
+  
+  return snapshot;
+}
+
+// token → category and pattern_key → tier, from a snapshot or (no name) live memory
+async function loadSnapshotView(name) {
+  const view = { tokens: new Map(), pairs: new Map() };
+  
+  if (!name) {
+    view.source = { name: null, messageIndex: await getCurrentMessageIndex() };
+    for await (const rows of selectPagesByKey('aria_token_stats', 'token', {}, ['token', 'category'])) {
+      for (const row of rows) view.tokens.set(row.token, row.category);
+    }
+    for await (const rows of selectPagesByKey('aria_word_pairs', 'pattern_key', {}, ['pattern_key', 'tier'])) {
+      for (const row of rows) view.pairs.set(row.pattern_key, row.tier);
+    }
+    return view;
+  }
+  
+  const snapshot = await findSnapshot(name);
+  view.source = { name, messageIndex: snapshot.message_index };
+  
+  for (const kind of ['token', 'pair']) {
+    const filters = { snapshot_id: snapshot.id, kind };
+    for await (const rows of selectPagesByKey('aria_snapshot_rows', 'row_key', filters, ['row_key', 'data'])) {
+      for (const row of rows) {
+        const data = parseJsonColumn(row.data);
+        if (kind === 'token') {
+          view.tokens.set(row.row_key, data.category);
+        } else {
+          view.pairs.set(row.row_key, data.tier);
+        }
+      }
+    }
+  }
+  return view;
+}
+
+// What changed from one snapshot to another (or to live memory).
+// Archived pairs count as gone. Lists are cut at `limit`; the
+// summary has the full counts.
+export async function diffSnapshots(fromName, toName = null, options = {}) {
+  const { limit = 100 } = options;
+  const from = await loadSnapshotView(fromName);
+  const to = await loadSnapshotView(toName);
+  
+  const changes = { categoryChanged: [], created: [], promoted: [], decayed: [], removed: [] };
+  let tokensCreated = 0;
+  
+  for (const [token, category] of to.tokens) {
+    const before = from.tokens.get(token);
+    if (before === undefined) {
+      tokensCreated++;
+    } else if (before !== category) {
+      changes.categoryChanged.push({ token, from: before, to: category });
+    }
+  }
+  
+  for (const [patternKey, tier] of to.pairs) {
+    const before = from.pairs.get(patternKey);
+    if (before === undefined) {
+      changes.created.push({ pattern_key: patternKey, tier });
+    } else if (tier === 'decay' && before !== 'decay') {
+      changes.decayed.push({ pattern_key: patternKey, from: before });
+    } else if (TIER_RANK[tier] > TIER_RANK[before]) {
+      changes.promoted.push({ pattern_key: patternKey, from: before, to: tier });
+    }
+  }
+  
+  for (const [patternKey, tier] of from.pairs) {
+    if (!to.pairs.has(patternKey)) {
+      changes.removed.push({ pattern_key: patternKey, tier });
+    }
+  }
+  
+  const summary = {
+    tokensCreated,
+    tokensRemoved: [...from.tokens.keys()].filter(token => !to.tokens.has(token)).length
+  };
+  for (const [change, items] of Object.entries(changes)) {
+    summary[change] = items.length;
+    changes[change] = items.slice(0, limit);
+  }
+  
+  return { from: from.source, to: to.source, summary, ...changes };
+}
+
+// Replaces token stats, pairs, the archive and global stats with the
+// snapshot's copy. Takes a "before-rollback-..." snapshot first unless
+// backup is false.
+export async function rollbackToSnapshot(name, options = {}) {
+  const { backup = true } = options;
+  const db = getStorage();
+  const snapshot = await findSnapshot(name);
+  
+  if (!snapshot.completed_at) {
+    throw new Error(`Snapshot "${name}" is incomplete and cannot be restored`);
+  }
+  
+  const backupName = backup ? `before-rollback-${Date.now()}` : null;
+  if (backupName) {
+    await createSnapshot(backupName);
+  }
+  
+  console.log(`\n⏪ Rolling back to snapshot "${name}" (message #${snapshot.message_index})...`);
+  
+  // One batch, so a failed rollback leaves memory as it was. Empty
+  // filters still carry the namespace, an equality filter.
+  const kinds = Object.entries(SNAPSHOT_KINDS);
+  const operations = [...kinds].reverse().map(([, { table }]) => ({ type: 'remove', table, filters: {} }));
+  
+  const restored = { token: 0, pair: 0, archive: 0 };
+  for (const [kind, { table }] of kinds) {
+    const filters = { snapshot_id: snapshot.id, kind };
+    for await (const rows of selectPagesByKey('aria_snapshot_rows', 'row_key', filters, ['row_key', 'data'])) {
+      operations.push({ type: 'insert', table, rows: rows.map(row => ({ ...parseJsonColumn(row.data), id: uuidv4() })) });
+      restored[kind] += rows.length;
+    }
+  }
+  
+  const { updated_at, ...globalStats } = parseJsonColumn(snapshot.global_stats) || {};
+  operations.push({
+    type: 'upsert',
+    table: 'aria_global_stats',
+    rows: [{ ...globalStats, id: 1, updated_at: new Date().toISOString() }],
+    onConflict: 'namespace'
+  });
+  await db.batch(operations);
+  
+  console.log(`   ✅ ${restored.token} tokens, ${restored.pair} pairs, ${restored.archive} archived`);
+  return {
+    name,
+    messageIndex: snapshot.message_index,
+    backup: backupName,
+    tokens: restored.token,
+    pairs: restored.pair,
+    archived: restored.archive
+  };
+}
+
+// ===============================================
+// MIGRATION: SORTED PAIRS → DIRECTED PAIRS
+// Rebuilds word order for legacy rows from the purgatory log
+// ===============================================
+
+const REBUILD_PAGE_SIZE = 1000;
+
+async function selectAllPages(table, options) {
+  const rows = [];
+  for (let offset = 0; ; offset += REBUILD_PAGE_SIZE) {
+    const page = await getStorage().select(table, { ...options, limit: REBUILD_PAGE_SIZE, offset });
+    rows.push(...page);
+    if (page.length < REBUILD_PAGE_SIZE) return rows;
+  }
+}
+
+// Counts a→b and b→a occurrences for every legacy key, replaying
+// each logged message's tokens in position order
+async function countDirectionsFromPurgatory(legacyKeys) {
+  const counts = new Map();
+  let currentIndex = null;
+  let previous = null;
+  
+  for (let offset = 0; ; offset += REBUILD_PAGE_SIZE) {
+    const page = await getStorage().select('aria_purgatory', {
+      columns: ['word', 'position', 'message_index'],
+      order: { message_index: 'asc', position: 'asc' },
+      limit: REBUILD_PAGE_SIZE,
+      offset
+    });
+    
+    for (const row of page) {
+      if (row.message_index !== currentIndex) {
+        currentIndex = row.message_index;
+        previous = null;
+      }
+      
+      if (previous && previous.position === row.position - 1 && previous.word !== row.word) {
+        const legacyKey = generateLegacyPatternKey(previous.word, row.word);
+        if (legacyKeys.has(legacyKey)) {
+          const directedKey = generatePatternKey(previous.word, row.word);
+          counts.set(directedKey, (counts.get(directedKey) || 0) + 1);
+        }
+      }
+      previous = row;
+    }
+    
+    if (page.length < REBUILD_PAGE_SIZE) break;
+  }
+  
+  return counts;
+}
+
+// Share of a legacy row that belongs to one direction
+function splitLegacyPair(legacy, tokenA, tokenB, share) {
+  const strength = legacy.strength * share;
+  return {
+    pattern_key: generatePatternKey(tokenA, tokenB),
+    token_a: tokenA,
+    token_b: tokenB,
+    directed: true,
+    frequency: Math.max(1, Math.round(legacy.frequency * share)),
+    strength,
+    reinforcement_count: Math.max(1, Math.round(legacy.reinforcement_count * share)),
+    decay_count: legacy.decay_count,
+    tier: legacy.tier === 'decay' ? 'decay' : getTierForScore(strength),
+    decay_at_message: legacy.decay_at_message,
+    last_seen_message_index: legacy.last_seen_message_index
+  };
+}
+
+// Folds a rebuilt/imported row into the row already stored under its key
+function mergePairRows(existing, rebuilt) {
+  const strength = Math.min(CONFIG.REINFORCEMENT.maxScore, existing.strength + rebuilt.strength);
+  return {
+    frequency: existing.frequency + rebuilt.frequency,
+    strength,
+    reinforcement_count: existing.reinforcement_count + rebuilt.reinforcement_count,
+    decay_count: existing.decay_count + rebuilt.decay_count,
+    graveyard_count: (existing.graveyard_count || 0) + (rebuilt.graveyard_count || 0),
+    resurrection_count: (existing.resurrection_count || 0) + (rebuilt.resurrection_count || 0),
+    tier: getTierForScore(strength),
+    decay_at_message: Math.max(existing.decay_at_message, rebuilt.decay_at_message),
+    last_seen_message_index: Math.max(existing.last_seen_message_index, rebuilt.last_seen_message_index),
+    updated_at: new Date().toISOString()
+  };
+}
+
+export async function rebuildDirectedPairs(options = {}) {
+  const { dryRun = false } = options;
+  const db = getStorage();
+  
+  console.log(`\n🔀 Rebuilding directed pairs${dryRun ? ' (dry run)' : ''}...`);
+  
+  const legacyPairs = await selectAllPages('aria_word_pairs', {
+    filters: { directed: false },
+    order: { id: 'asc' }
+  });
+  
+  const report = {
+    legacyPairs: legacyPairs.length,
+    split: 0,
+    oneDirection: 0,
+    noEvidence: 0,
+    created: 0,
+    merged: 0,
+    dryRun
+  };
+  
+  if (legacyPairs.length === 0) {
+    console.log('   No legacy pairs to rebuild');
+    return report;
+  }
+  
+  const counts = await countDirectionsFromPurgatory(new Set(legacyPairs.map(p => p.pattern_key)));
+  
+  // Category patterns are recomputed from current token categories
+  const categoryMap = new Map();
+  const tokens = legacyPairs.flatMap(p => [p.token_a, p.token_b]);
+  for (const stat of await getTokenStatsMany(tokens, ['token', 'category'])) {
+    categoryMap.set(stat.token, stat.category || 'unclassified');
+  }
+  
+  for (const legacy of legacyPairs) {
+    const forward = counts.get(generatePatternKey(legacy.token_a, legacy.token_b)) || 0;
+    const backward = counts.get(generatePatternKey(legacy.token_b, legacy.token_a)) || 0;
+    const total = forward + backward;
+    
+    const rebuilt = [];
+    if (total === 0) {
+      // Never logged in purgatory: keep the stored orientation
+      report.noEvidence++;
+      rebuilt.push(splitLegacyPair(legacy, legacy.token_a, legacy.token_b, 1));
+    } else {
+      if (forward > 0 && backward > 0) report.split++;
+      else report.oneDirection++;
+      if (forward > 0) rebuilt.push(splitLegacyPair(legacy, legacy.token_a, legacy.token_b, forward / total));
+      if (backward > 0) rebuilt.push(splitLegacyPair(legacy, legacy.token_b, legacy.token_a, backward / total));
+    }
+    
+    for (const pair of rebuilt) {
+      pair.category_pattern = `${categoryMap.get(pair.token_a) || 'unclassified'}->${categoryMap.get(pair.token_b) || 'unclassified'}`;
+      
+      const existing = await db.selectOne('aria_word_pairs', { pattern_key: pair.pattern_key });
+      if (existing) {
+        report.merged++;
+        if (!dryRun) {
+          await db.update('aria_word_pairs', { id: existing.id }, mergePairRows(existing, pair));
+        }
+      } else {
+        report.created++;
+        if (!dryRun) {
+          await db.insert('aria_word_pairs', { id: uuidv4(), ...pair });
+        }
+      }
+    }
+    
+    if (!dryRun) {
+      await db.remove('aria_word_pairs', { id: legacy.id });
+    }
+  }
+  
+  console.log(`   ✅ ${report.legacyPairs} legacy pairs → ${report.created} created, ${report.merged} merged`);
+  console.log(`      ${report.split} split both ways, ${report.oneDirection} one-way, ${report.noEvidence} without purgatory evidence`);
+  
+  return report;
+}
+
+// ===============================================
+// MIGRATION: v1 TIER TABLES → aria_word_pairs
+// aria_short/medium/long, aria_decay and aria_phrases become
+// undirected legacy pairs; run rebuildDirectedPairs() afterwards
+// to recover their word order from the purgatory log.
+// ===============================================
+
+// Strongest tier first, so a key found in several tables keeps its best copy
+const LEGACY_TIER_TABLES = [
+  ['aria_long', 'long'],
+  ['aria_medium', 'medium'],
+  ['aria_short', 'short']
+];
+
+const LEGACY_TABLES = ['aria_phrases', 'aria_decay', 'aria_long', 'aria_medium', 'aria_short'];
+
+async function selectLegacyTable(table, report) {
+  try {
+    const rows = await selectAllPages(table, { order: { id: 'asc' } });
+    report.tables[table] = rows.length;
+    return rows;
+  } catch (error) {
+    // Already dropped, or never created on this deployment
+    report.tables[table] = 0;
+    report.missingTables.push(table);
+    return [];
+  }
+}
+
+function legacyPairFromV1(word1, word2, fields) {
+  const [tokenA, tokenB] = [word1.toLowerCase(), word2.toLowerCase()].sort();
+  return {
+    pattern_key: generateLegacyPatternKey(tokenA, tokenB),
+    token_a: tokenA,
+    token_b: tokenB,
+    directed: false,
+    frequency: Math.max(1, fields.reinforcement_count || 0),
+    strength: fields.correlation_score,
+    reinforcement_count: fields.reinforcement_count || 0,
+    decay_count: fields.decay_count || 0,
+    tier: fields.tier,
+    decay_at_message: fields.decay_at_message ?? 0,
+    last_seen_message_index: fields.last_seen_message_index ?? 0
+  };
+}
+
+// Later sighting wins, then the higher score
+function isNewerLegacyPair(candidate, current) {
+  if (candidate.last_seen_message_index !== current.last_seen_message_index) {
+    return candidate.last_seen_message_index > current.last_seen_message_index;
+  }
+  return candidate.strength > current.strength;
+}
+
+async function dropLegacyTables(storage) {
+  if (typeof storage.runScript !== 'function') {
+    throw new Error(`Storage "${storage.kind}" cannot drop tables — use the postgres (DATABASE_URL) or sqlite adapter`);
+  }
+  await storage.runScript(LEGACY_TABLES.map(table => `DROP TABLE IF EXISTS ${table};`).join('\n'));
+}
+
+export async function importLegacyTiers(options = {}) {
+  const { dryRun = false, dropLegacy = false, schemaStorage = getStorage() } = options;
+  const db = getStorage();
+  
+  console.log(`\n📦 Importing v1 tier tables${dryRun ? ' (dry run)' : ''}...`);
+  
+  const report = {
+    tables: {},
+    missingTables: [],
+    candidates: 0,
+    duplicates: 0,
+    phrasePairs: 0,
+    created: 0,
+    merged: 0,
+    verified: null,
+    dropped: false,
+    dryRun
+  };
+  
+  const candidates = new Map();
+  const offer = (pair) => {
+    const current = candidates.get(pair.pattern_key);
+    if (current) {
+      report.duplicates++;
+      if (!isNewerLegacyPair(pair, current)) return;
+    }
+    candidates.set(pair.pattern_key, pair);
+  };
+  
+  // 1. Active tiers keep their tier, counts and decay schedule
+  for (const [table, tier] of LEGACY_TIER_TABLES) {
+    for (const row of await selectLegacyTable(table, report)) {
+      offer(legacyPairFromV1(row.word1, row.word2, { ...row, tier }));
+    }
+  }
+  
+  // 2. Graveyard rows only where the pair was not re-learned later.
+  // v1 kept no message index for a burial: count it from now, so
+  // compaction gives imported pairs the full ARCHIVE_AFTER_MESSAGES
+  const messageIndex = await getCurrentMessageIndex();
+  for (const row of await selectLegacyTable('aria_decay', report)) {
+    const pair = {
+      ...legacyPairFromV1(row.word1, row.word2, { ...row, tier: 'decay' }),
+      graveyard_count: 1,
+      decayed_at_message: messageIndex,
+      decayed_from: row.decayed_from ?? null
+    };
+    const current = candidates.get(pair.pattern_key);
+    if (current && current.tier !== 'decay') {
+      report.duplicates++;
+      continue;
+    }
+    offer(pair);
+  }
+  
+  // 3. Phrases contribute their adjacent pairs that no tier table had
+  for (const row of await selectLegacyTable('aria_phrases', report)) {
+    const words = Array.isArray(row.words) ? row.words : JSON.parse(row.words || '[]');
+    for (let i = 0; i < words.length - 1; i++) {
+      if (!words[i] || !words[i + 1] || words[i] === words[i + 1]) continue;
+      
+      const pair = legacyPairFromV1(words[i], words[i + 1], row);
+      if (!candidates.has(pair.pattern_key)) {
+        report.phrasePairs++;
+        candidates.set(pair.pattern_key, pair);
+      }
+    }
+  }
+  
+  report.candidates = candidates.size;
+  
+  if (candidates.size === 0) {
+    console.log('   No v1 rows to import');
+  }
+  
+  // Category patterns come from current token categories
+  const categoryMap = new Map();
+  const pairs = [...candidates.values()];
+  for (const stat of await getTokenStatsMany(pairs.flatMap(p => [p.token_a, p.token_b]), ['token', 'category'])) {
+    categoryMap.set(stat.token, stat.category || 'unclassified');
+  }
+  
+  for (let start = 0; start < pairs.length; start += REBUILD_PAGE_SIZE) {
+    const page = pairs.slice(start, start + REBUILD_PAGE_SIZE);
+    const existingRows = await db.select('aria_word_pairs', {
+      filters: { pattern_key: { in: page.map(p => p.pattern_key) } }
+    });
+    const existing = new Map(existingRows.map(row => [row.pattern_key, row]));
+    
+    const operations = [];
+    const inserts = [];
+    
+    for (const pair of page) {
+      pair.category_pattern = `${categoryMap.get(pair.token_a) || 'unclassified'}->${categoryMap.get(pair.token_b) || 'unclassified'}`;
+      
+      const current = existing.get(pair.pattern_key);
+      if (current) {
+        // A v2.0 legacy row with the same sorted key: add the v1 counts to it
+        report.merged++;
+        operations.push({
+          type: 'update',
+          table: 'aria_word_pairs',
+          filters: { id: current.id },
+          patch: mergePairRows(current, pair)
+        });
+      } else {
+        report.created++;
+        inserts.push({ id: uuidv4(), ...pair });
+      }
+    }
+    
+    if (inserts.length > 0) {
+      operations.unshift({ type: 'insert', table: 'aria_word_pairs', rows: inserts });
+    }
+    if (!dryRun && operations.length > 0) {
+      await db.batch(operations);
+    }
+  }
+  
+  console.log(`   ✅ ${report.candidates} pairs from v1 → ${report.created} created, ${report.merged} merged`);
+  console.log(`      ${report.duplicates} duplicate keys collapsed, ${report.phrasePairs} pairs taken from phrases`);
+  
+  if (dryRun) return report;
+  
+  // Every imported key must be readable from aria_word_pairs before anything is dropped
+  let found = 0;
+  const keys = [...candidates.keys()];
+  for (let start = 0; start < keys.length; start += REBUILD_PAGE_SIZE) {
+    found += await db.count('aria_word_pairs', {
+      pattern_key: { in: keys.slice(start, start + REBUILD_PAGE_SIZE) }
+    });
+  }
+  report.verified = found === keys.length;
+  
+  if (dropLegacy) {
+    if (!report.verified) {
+      throw new Error(`Import verification failed (${found}/${keys.length} pairs found) — legacy tables kept`);
+    }
+    await dropLegacyTables(schemaStorage);
+    report.dropped = true;
+    console.log(`   🗑️ Dropped ${LEGACY_TABLES.join(', ')}`);
+  }
+  
+  return report;
 }
 
 // ===============================================
@@ -1203,9 +2623,28 @@ export default {
   getMemoryContext,
   searchByWord,
   getTokenStats,
+  getTokenStatsMany,
+  getTokenHistory,
+  getCategoryChanges,
+  explainTokenScores,
   getTokensByCategory,
   getTopPairs,
   getEmergentChains,
+  getDirectedPairs,
+  rebuildDirectedPairs,
+  importLegacyTiers,
+  pruneTokenPositions,
+  compactGraveyard,
+  getGraveyard,
+  restoreGraveyardPairs,
+  streamMemoryRecords,
+  importMemoryRecords,
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  createAutoSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot,
   // Legacy exports
   getClusterLinks,
   getClusterNeighbors,
@@ -10,12 +10,12 @@
 // =============================================
 
 import 'dotenv/config';
-import { createClient } from '@supabase/supabase-js';
 import {
   getMemoryStats,
   getMemoryContext,
   searchByWord,
   getTokenStats,
+  getTokenStatsMany,
   getTokensByCategory,
   getTopPairs,
   getEmergentChains,
@@ -23,60 +23,28 @@ import {
   getTopClusterLinks,
   searchClustersByWord
 } from './ariaCorrelator.js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+import { withNamespace } from './ariaStorage.js';
+import { tokenize } from './ariaTokenizer.js';
+import { config } from './ariaConfig.js';
 
 // ===============================================
 // CONFIGURATION
 // ===============================================
 
-const GENERATION_CONFIG = {
-  maxWords: 12,              // Maximum words in response
-  minWords: 3,               // Minimum words for valid response
-  maxAttempts: 10,           // Max graph walk attempts
-  strengthThreshold: 0.01,   // Minimum pair strength to follow
-  randomnessFactor: 0.25,    // Chance to pick non-top option
-  
-  // Category transition preferences
-  // What categories tend to follow what
-  categoryTransitions: {
-    stable: ['modifier', 'transition', 'structural'],
-    modifier: ['stable', 'structural'],
-    transition: ['stable', 'modifier', 'structural'],
-    structural: ['stable', 'modifier', 'transition'],
-    unclassified: ['stable', 'modifier', 'transition', 'structural']
-  },
-  
-  // Category weights for starting word selection
-  startingWeights: {
-    stable: 1.5,       // Prefer starting with stable (nouns)
-    transition: 1.0,   // Verbs OK
-    modifier: 0.7,     // Less likely to start with modifiers
-    structural: 0.3,   // Rarely start with structural words
-    unclassified: 0.5
-  }
-};
+// maxWords, category transitions, starting weights... (ariaConfig.js)
+const GENERATION_CONFIG = config.generator;
 
-// ===============================================
-// TOKENIZATION
-// ===============================================
-
-function extractWords(text) {
-  return text
-    .toLowerCase()
-    .replace(/[^\w\s'-]/g, ' ')
-    .split(/\s+/)
-    .filter(w => w.length >= 2);
-}
+// Candidate edges kept per walk step in a trace
+const TRACE_CANDIDATES = 10;
 
 // ===============================================
 // BUILD WORD GRAPH FROM PAIRS
 // ===============================================
 
-async function buildWordGraph(pairs) {
+// Pairs are directed (token_a → token_b). Walking 'forward' follows
+// message order; 'backward' follows edges against it. Legacy
+// undirected pairs contribute edges both ways.
+async function buildWordGraph(pairs, direction = 'forward') {
   const graph = new Map();
   
   // FIX 2: Extract all unique tokens from pairs
@@ -86,21 +54,15 @@ async function buildWordGraph(pairs) {
     if (pair.token_b) allTokens.add(pair.token_b);
   }
   
-  // FIX 2: Batch-fetch all token stats with single Supabase query
+  // FIX 2: Batch-fetch all token stats with single storage query
   const tokenArray = Array.from(allTokens);
   const categoryMap = new Map();
+  const subclusterMap = new Map();
   
-  if (tokenArray.length > 0) {
-    const { data: tokenStats } = await supabase
-      .from('aria_token_stats')
-      .select('token, category')
-      .in('token', tokenArray);
-    
-    if (tokenStats) {
-      for (const stat of tokenStats) {
-        categoryMap.set(stat.token, stat.category || 'unclassified');
-      }
-    }
+  const tokenStats = await getTokenStatsMany(tokenArray, ['token', 'category', 'subcluster']);
+  for (const stat of tokenStats) {
+    categoryMap.set(stat.token, stat.category || 'unclassified');
+    subclusterMap.set(stat.token, stat.subcluster ?? null);
   }
   
   // FIX 2: Build graph without per-pair async calls
@@ -114,26 +76,36 @@ async function buildWordGraph(pairs) {
     // Get categories from batch-fetched map
     const catA = categoryMap.get(token_a) || 'unclassified';
     const catB = categoryMap.get(token_b) || 'unclassified';
+    const subA = subclusterMap.get(token_a) ?? null;
+    const subB = subclusterMap.get(token_b) ?? null;
     
-    // Add edges in both directions
     if (!graph.has(token_a)) {
-      graph.set(token_a, { edges: [], category: catA });
+      graph.set(token_a, { edges: [], category: catA, subcluster: subA });
     }
     if (!graph.has(token_b)) {
-      graph.set(token_b, { edges: [], category: catB });
+      graph.set(token_b, { edges: [], category: catB, subcluster: subB });
     }
     
-    graph.get(token_a).edges.push({
-      word: token_b,
-      weight: strength,
-      category: catB
-    });
+    const addForward = !pair.directed || direction === 'forward';
+    const addBackward = !pair.directed || direction === 'backward';
+    
+    if (addForward) {
+      graph.get(token_a).edges.push({
+        word: token_b,
+        weight: strength,
+        category: catB,
+        subcluster: subB
+      });
+    }
     
-    graph.get(token_b).edges.push({
-      word: token_a,
-      weight: strength,
-      category: catA
-    });
+    if (addBackward) {
+      graph.get(token_b).edges.push({
+        word: token_a,
+        weight: strength,
+        category: catA,
+        subcluster: subA
+      });
+    }
   }
   
   // Sort edges by weight
@@ -148,11 +120,16 @@ async function buildWordGraph(pairs) {
 // CATEGORY-AWARE EDGE SELECTION
 // ===============================================
 
-function selectNextWord(edges, currentCategory, visited, lastCategory) {
+// step (traces only) gets the best scored candidates and the index
+// picked among them (null when every neighbour was visited)
+function selectNextWord(edges, currentCategory, visited, lastCategory, currentSubcluster = null, step = null) {
   // Filter out visited words
   const available = edges.filter(e => !visited.has(e.word));
   
-  if (available.length === 0) return null;
+  if (available.length === 0) {
+    if (step) Object.assign(step, { available: 0, candidates: [], chosen: null });
+    return null;
+  }
   
   // Get preferred next categories
   const preferredCategories = GENERATION_CONFIG.categoryTransitions[lastCategory] || 
@@ -167,6 +144,11 @@ function selectNextWord(edges, currentCategory, visited, lastCategory) {
       score *= 1.5;
     }
     
+    // Stay in (bias > 1) or leave (bias < 1) the current subcluster
+    if (currentSubcluster && edge.subcluster === currentSubcluster) {
+      score *= GENERATION_CONFIG.subclusterBias;
+    }
+    
     // Add randomness
     score *= (1 + Math.random() * GENERATION_CONFIG.randomnessFactor);
     
@@ -181,6 +163,13 @@ function selectNextWord(edges, currentCategory, visited, lastCategory) {
                     Math.random() < 0.8 ? Math.min(1, scored.length - 1) :
                     Math.min(2, scored.length - 1);
   
+  if (step) {
+    step.available = scored.length;
+    step.candidates = scored.slice(0, TRACE_CANDIDATES)
+      .map(({ word, category, weight, score }) => ({ word, category, weight, score }));
+    step.chosen = pickIndex;
+  }
+  
   return scored[pickIndex];
 }
 
@@ -188,7 +177,8 @@ function selectNextWord(edges, currentCategory, visited, lastCategory) {
 // WALK THE WORD GRAPH
 // ===============================================
 
-async function walkGraph(graph, startWord, maxLength, keywords = [], retried = false, retrySet = null) {
+// walkTrace (optional) collects { steps, recoveries, stop }
+async function walkGraph(graph, startWord, maxLength, keywords = [], retried = false, retrySet = null, walkTrace = null) {
   // FIX 3: Initialize retrySet if not provided (persists through recursive fallback attempts)
   if (!retrySet) {
     retrySet = new Set();
@@ -206,9 +196,11 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
         // FIX 3: Add altStart to retrySet to prevent infinite loops
         retrySet.add(altStart);
         console.log(`   🔄 Dead-end recovery: "${startWord}" → "${altStart}"`);
-        return walkGraph(graph, altStart, maxLength, keywords, true, retrySet);
+        walkTrace?.recoveries.push({ at: startWord, to: altStart, reason: 'start word not in graph' });
+        return walkGraph(graph, altStart, maxLength, keywords, true, retrySet, walkTrace);
       }
     }
+    if (walkTrace) walkTrace.stop = `"${startWord}" is not in the graph`;
     return [startWord];
   }
   
@@ -228,6 +220,7 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
           console.log(`   🔄 Dead-end at "${current}", recovering with "${altStart}"`);
           // Continue from alternative instead of full restart
           if (!visited.has(altStart)) {
+            walkTrace?.recoveries.push({ at: current, to: altStart, reason: 'no outgoing edges' });
             path.push(altStart);
             visited.add(altStart);
             current = altStart;
@@ -236,10 +229,13 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
           }
         }
       }
+      if (walkTrace) walkTrace.stop = `dead end at "${current}"`;
       break;
     }
     
-    const next = selectNextWord(node.edges, node.category, visited, lastCategory);
+    const step = walkTrace ? { from: current } : null;
+    const next = selectNextWord(node.edges, node.category, visited, lastCategory, node.subcluster, step);
+    if (step) walkTrace.steps.push(step);
     
     if (!next || next.weight < GENERATION_CONFIG.strengthThreshold) {
       // Dead-end recovery on no valid next word
@@ -249,6 +245,7 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
           // FIX 3: Add altStart to retrySet to prevent infinite loops
           retrySet.add(altStart);
           console.log(`   🔄 No valid edges from "${current}", trying "${altStart}"`);
+          walkTrace?.recoveries.push({ at: current, to: altStart, reason: next ? 'edge below strengthThreshold' : 'every neighbour visited' });
           path.push(altStart);
           visited.add(altStart);
           current = altStart;
@@ -257,6 +254,7 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
           continue;
         }
       }
+      if (walkTrace) walkTrace.stop = next ? `edge from "${current}" below strengthThreshold` : `every neighbour of "${current}" visited`;
       break;
     }
     
@@ -266,6 +264,7 @@ async function walkGraph(graph, startWord, maxLength, keywords = [], retried = f
     current = next.word;
   }
   
+  if (walkTrace && !walkTrace.stop) walkTrace.stop = 'maxWords reached';
   return path;
 }
 
@@ -320,7 +319,9 @@ async function findAlternativeStart(graph, excludeWord, keywords, visited = new
 // FIND BEST STARTING WORD
 // ===============================================
 
-async function findBestStartWord(keywords, graph) {
+// startTrace (optional) receives the chosen word's score, how it was
+// found and, for keywords, the scores of the others
+async function findBestStartWord(keywords, graph, startTrace = null) {
   // Priority 1: Keywords that exist in graph
   const keywordsInGraph = keywords.filter(k => graph.has(k));
   
@@ -340,6 +341,7 @@ async function findBestStartWord(keywords, graph) {
     }
     
     scored.sort((a, b) => b.score - a.score);
+    if (startTrace) Object.assign(startTrace, { word: scored[0].word, score: scored[0].score, source: 'keyword', candidates: scored });
     return scored[0].word;
   }
   
@@ -354,7 +356,10 @@ async function findBestStartWord(keywords, graph) {
     }
   }
   
-  if (bestWord) return bestWord;
+  if (bestWord) {
+    if (startTrace) Object.assign(startTrace, { word: bestWord, score: bestScore, source: 'most connected stable word' });
+    return bestWord;
+  }
   
   // Priority 3: Any word with most connections
   for (const [word, node] of graph) {
@@ -365,7 +370,9 @@ async function findBestStartWord(keywords, graph) {
   }
   
   // Guarantee fallback - never return null if graph has nodes
-  return bestWord || Array.from(graph.keys())[0];
+  const fallback = bestWord || Array.from(graph.keys())[0];
+  if (startTrace) Object.assign(startTrace, { word: fallback, score: bestScore, source: 'most connected word' });
+  return fallback;
 }
 
 // ===============================================
@@ -373,12 +380,12 @@ async function findBestStartWord(keywords, graph) {
 // Build longer phrases from overlapping pairs
 // ===============================================
 
-async function discoverEmergentPhrases(keywords, maxPhrases = 3) {
+async function discoverEmergentPhrases(keywords, maxPhrases = 3, direction = 'forward') {
   const phrases = [];
   
   for (const keyword of keywords.slice(0, 5)) {
     // Get chains starting from this keyword
-    const chains = await getEmergentChains(keyword, 5);
+    const chains = await getEmergentChains(keyword, 5, { direction });
     
     for (const chain of chains) {
       if (chain.length >= 2) {
@@ -399,8 +406,38 @@ async function discoverEmergentPhrases(keywords, maxPhrases = 3) {
 // GENERATE RESPONSE
 // ===============================================
 
+// options: namespace, maxLength, direction ('forward' | 'backward'),
+// trace. With trace set the result is { response, trace }: the
+// keywords, every method tried with its output or the reason it was
+// passed over, the graph walk's start word, steps and recoveries,
+// and the method whose output was used.
 export async function generateResponse(userMessage, options = {}) {
-  const { maxLength = 150 } = options;
+  const { namespace, ...rest } = options;
+  if (namespace) {
+    return withNamespace(namespace, () => generateResponse(userMessage, rest));
+  }
+  
+  const { maxLength = 150, direction = 'forward' } = options;
+  
+  // What each method did and why it was passed over; returned with
+  // the response when options.trace is set
+  const trace = { message: userMessage, direction, memory: null, keywords: [], methods: [], method: null };
+  const attempt = method => {
+    const entry = { method, output: null, reason: null };
+    trace.methods.push(entry);
+    return entry;
+  };
+  const finish = response => {
+    const used = trace.methods.find(entry => entry.method === trace.method);
+    if (used) used.reason = null;
+    trace.response = response;
+    return options.trace ? { response, trace } : response;
+  };
+  // Output a later method may still replace
+  const tooShort = (text, minimum) => {
+    const count = text.split(' ').length;
+    return count < minimum ? `${count} word${count === 1 ? '' : 's'}, fewer than ${minimum}` : null;
+  };
   
   console.log(`\n╔════════════════════════════════════════════════╗`);
   console.log(`║ ARIA GENERATING: "${userMessage.substring(0, 30)}..."`);
@@ -410,26 +447,30 @@ export async function generateResponse(userMessage, options = {}) {
   const stats = await getMemoryStats();
   const totalPairs = stats.tiers.short + stats.tiers.medium + stats.tiers.long;
   
+  trace.memory = { pairs: totalPairs, tokens: stats.tokens };
   console.log(`📊 Memory: ${totalPairs} pairs, ${stats.tokens} tokens`);
   console.log(`   Categories: S:${stats.categories.stable} T:${stats.categories.transition} M:${stats.categories.modifier} St:${stats.categories.structural}`);
   
   // Empty memory = silence
   if (totalPairs === 0) {
     console.log(`   ⚠️ No memory - returning silence`);
-    return "...";
+    trace.reason = 'no pairs in memory';
+    return finish("...");
   }
   
-  // Extract keywords from input
-  const keywords = extractWords(userMessage);
+  // Extract keywords with the learner's tokenizer so they match stored tokens
+  const keywords = tokenize(userMessage);
+  trace.keywords = keywords;
   console.log(`   Keywords: ${keywords.slice(0, 5).join(', ')}${keywords.length > 5 ? '...' : ''}`);
   
   let response = '';
   
   // ===== METHOD 1: Try emergent phrase discovery =====
   console.log(`\n🌱 Attempting emergent phrase discovery...`);
+  const emergent = attempt('emergent');
   
   try {
-    const emergentPhrases = await discoverEmergentPhrases(keywords);
+    const emergentPhrases = await discoverEmergentPhrases(keywords, 3, direction);
     
     if (emergentPhrases.length > 0) {
       console.log(`   Found ${emergentPhrases.length} emergent phrases`);
@@ -449,18 +490,28 @@ export async function generateResponse(userMessage, options = {}) {
         if (usedWords.size >= GENERATION_CONFIG.maxWords) break;
       }
       
+      emergent.phrases = emergentPhrases.map(phrase => phrase.words.join(' '));
       if (fragments.length > 0) {
         response = fragments.join(' ');
+        trace.method = 'emergent';
+        emergent.output = response;
+        emergent.reason = tooShort(response, GENERATION_CONFIG.minWords);
         console.log(`   ✅ Emergent: "${response}"`);
+      } else {
+        emergent.reason = 'every phrase overlapped words already used';
       }
+    } else {
+      emergent.reason = 'no chains start from the keywords';
     }
   } catch (error) {
+    emergent.reason = `error: ${error.message}`;
     console.log(`   ⚠️ Emergent discovery error: ${error.message}`);
   }
   
   // ===== METHOD 2: Graph walking =====
   if (!response || response.split(' ').length < GENERATION_CONFIG.minWords) {
     console.log(`\n📈 Attempting graph walk...`);
+    const walk = attempt('graphWalk');
     
     try {
       // Get relevant pairs
@@ -486,30 +537,48 @@ export async function generateResponse(userMessage, options = {}) {
       });
       
       console.log(`   Building graph from ${uniquePairs.length} pairs`);
+      walk.pairs = uniquePairs.length;
+      walk.reason = 'no pairs to build a graph from';
       
       if (uniquePairs.length > 0) {
         // Build word graph
-        const graph = await buildWordGraph(uniquePairs);
+        const graph = await buildWordGraph(uniquePairs, direction);
         console.log(`   Graph: ${graph.size} words`);
+        walk.graphSize = graph.size;
+        walk.reason = `no pair reaches strengthThreshold (${GENERATION_CONFIG.strengthThreshold})`;
         
         if (graph.size > 0) {
           // Find best starting word
-          const startWord = await findBestStartWord(keywords, graph);
+          walk.start = {};
+          const startWord = await findBestStartWord(keywords, graph, walk.start);
           
           if (startWord) {
             console.log(`   Starting from: "${startWord}"`);
             
             // Walk the graph (pass keywords for dead-end recovery)
-            const path = await walkGraph(graph, startWord, GENERATION_CONFIG.maxWords, keywords);
+            Object.assign(walk, { steps: [], recoveries: [], stop: null });
+            const path = await walkGraph(graph, startWord, GENERATION_CONFIG.maxWords, keywords, false, null, walk);
+            
+            // A backward walk ends where the sentence starts - read it in order
+            if (direction === 'backward') {
+              path.reverse();
+            }
             
+            walk.path = path;
             if (path.length >= GENERATION_CONFIG.minWords) {
               response = path.join(' ');
+              trace.method = 'graphWalk';
+              walk.output = response;
+              walk.reason = null;
               console.log(`   ✅ Graph walk: "${response}"`);
+            } else {
+              walk.reason = `path ${tooShort(path.join(' '), GENERATION_CONFIG.minWords)} (${walk.stop})`;
             }
           }
         }
       }
     } catch (error) {
+      walk.reason = `error: ${error.message}`;
       console.log(`   ⚠️ Graph walk error: ${error.message}`);
     }
   }
@@ -517,6 +586,7 @@ export async function generateResponse(userMessage, options = {}) {
   // ===== METHOD 3: Category-based composition =====
   if (!response || response.split(' ').length < GENERATION_CONFIG.minWords) {
     console.log(`\n🏷️ Attempting category-based composition...`);
+    const composition = attempt('composition');
     
     try {
       const fragments = [];
@@ -532,6 +602,8 @@ export async function generateResponse(userMessage, options = {}) {
         
         const baseToken = relevantStable.length > 0 ? relevantStable[0] : stableTokens[0];
         
+        composition.base = baseToken.token;
+        
         // Find pairs for this token
         const pairs = await searchByWord(baseToken.token);
         
@@ -544,17 +616,9 @@ export async function generateResponse(userMessage, options = {}) {
         )];
         
         const categoryMap = new Map();
-        if (otherTokens.length > 0) {
-          const { data: tokenStats } = await supabase
-            .from('aria_token_stats')
-            .select('token, category')
-            .in('token', otherTokens);
-          
-          if (tokenStats) {
-            for (const stat of tokenStats) {
-              categoryMap.set(stat.token, stat.category || 'unclassified');
-            }
-          }
+        const tokenStats = await getTokenStatsMany(otherTokens, ['token', 'category']);
+        for (const stat of tokenStats) {
+          categoryMap.set(stat.token, stat.category || 'unclassified');
         }
         
         // FIX 1: Filter pairs by dynamically fetched category (not category_pattern)
@@ -627,9 +691,15 @@ export async function generateResponse(userMessage, options = {}) {
       
       if (fragments.length > 0) {
         response = fragments.join(' ');
+        trace.method = 'composition';
+        composition.output = response;
+        composition.reason = tooShort(response, 2);
         console.log(`   ✅ Category composition: "${response}"`);
+      } else {
+        composition.reason = 'no stable tokens';
       }
     } catch (error) {
+      composition.reason = `error: ${error.message}`;
       console.log(`   ⚠️ Category composition error: ${error.message}`);
     }
   }
@@ -637,6 +707,7 @@ export async function generateResponse(userMessage, options = {}) {
   // ===== METHOD 4: Raw pair fallback =====
   if (!response || response.split(' ').length < 2) {
     console.log(`\n🔗 Falling back to raw pairs...`);
+    const raw = attempt('rawPairs');
     
     try {
       const topPairs = await getTopPairs({ limit: 5 });
@@ -655,9 +726,15 @@ export async function generateResponse(userMessage, options = {}) {
           .map(p => `${p.token_a} ${p.token_b}`)
           .join(' ');
         
+        trace.method = 'rawPairs';
+        raw.output = response;
+        raw.related = relevantPairs.length > 0;
         console.log(`   ✅ Raw pairs: "${response}"`);
+      } else {
+        raw.reason = 'no pairs';
       }
     } catch (error) {
+      raw.reason = `error: ${error.message}`;
       console.log(`   ⚠️ Raw pair error: ${error.message}`);
     }
   }
@@ -665,8 +742,9 @@ export async function generateResponse(userMessage, options = {}) {
   // ===== FINAL CLEANUP =====
   if (!response) {
     console.log(`   ⚠️ No response generated`);
-    return "...";
+    return finish("...");
   }
+  trace.raw = response;
   
   // Clean up response
   response = response
@@ -690,7 +768,7 @@ export async function generateResponse(userMessage, options = {}) {
   
   console.log(`\n✨ FINAL: "${response}"`);
   
-  return response || "...";
+  return finish(response || "...");
 }
 
 // ===============================================
@@ -698,7 +776,7 @@ export async function generateResponse(userMessage, options = {}) {
 // ===============================================
 
 export async function queryMemory(query) {
-  const keywords = extractWords(query);
+  const keywords = tokenize(query);
   
   const results = [];
   for (const keyword of keywords) {
@@ -746,7 +824,7 @@ export async function queryMemory(query) {
 
 export async function buildMemoryContext(userMessage) {
   const stats = await getMemoryStats();
-  const keywords = extractWords(userMessage || '');
+  const keywords = tokenize(userMessage || '');
   const topMemory = await getMemoryContext({ limit: 30 });
   
   let context = `═══════════════════════════════════════\n`;
@@ -0,0 +1,257 @@
+// ariaIngest.js
+// =============================================
+// ARIA - BULK INGESTION
+// =============================================
+// Feeds text through processMessage without going through
+// aria_messages and the poller. Two kinds of input:
+// - A corpus, split into messages by line, paragraph (blank-line
+//   separated) or sentence. Every message carries the byte offset
+//   where it ends, so an interrupted run can pick up right after the
+//   last one learned (ingest.js).
+// - Batches of structured messages from other services, as a JSON
+//   array or NDJSON, each with its own author (POST /api/ingest).
+// =============================================
+
+import { createInterface } from 'readline';
+import { Readable } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { setImmediate as nextTurn } from 'timers/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { processMessage } from './ariaCorrelator.js';
+
+export const INGEST_SPLITS = ['lines', 'paragraphs', 'sentences'];
+
+// Separators between messages. A match that reaches the end of the
+// text read so far may still grow, so it is only used once more
+// input (or the end of input) arrives.
+const SEPARATORS = {
+  lines: /\r?\n/g,
+  paragraphs: /\r?\n[ \t]*\r?\n\s*/g,
+  // Hard-wrapped lines are joined; blank lines always end a sentence
+  sentences: /(?<=[.!?…])\s+|\r?\n[ \t]*\r?\n\s*/g
+};
+
+function toMessageText(raw) {
+  return raw.replace(/\s+/g, ' ').trim();
+}
+
+// ===============================================
+// SPLITTING
+// ===============================================
+
+// Yields { text, end } for every non-empty message in chunks (strings
+// or Buffers); end is the byte offset just past the message and its
+// separator, counted from options.offset (where chunks start)
+export async function* splitSegments(chunks, options = {}) {
+  const { split = 'lines', offset = 0 } = options;
+  if (!SEPARATORS[split]) {
+    throw new Error(`Unknown split "${split}" (expected ${INGEST_SPLITS.join(', ')})`);
+  }
+
+  const separator = new RegExp(SEPARATORS[split].source, 'g');
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  let position = offset;
+
+  function* drain(final) {
+    separator.lastIndex = 0;
+    let start = 0;
+    let match;
+
+    while ((match = separator.exec(pending)) !== null) {
+      const end = match.index + match[0].length;
+      if (!final && end === pending.length) break;
+
+      const raw = pending.slice(start, end);
+      position += Buffer.byteLength(raw);
+      const text = toMessageText(raw);
+      if (text) yield { text, end: position };
+      start = end;
+    }
+
+    pending = pending.slice(start);
+    if (final && pending) {
+      position += Buffer.byteLength(pending);
+      const text = toMessageText(pending);
+      if (text) yield { text, end: position };
+      pending = '';
+    }
+  }
+
+  for await (const chunk of chunks) {
+    pending += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    yield* drain(false);
+  }
+  pending += decoder.end();
+  yield* drain(true);
+}
+
+// ===============================================
+// LEARNING
+// ===============================================
+
+function emptyTotals() {
+  return { messages: 0, learned: 0, skipped: 0, newPairs: 0, reinforced: 0, categorized: 0 };
+}
+
+// Runs every segment through processMessage in order. options:
+//   userId     attribution (source weights apply; default "ingest")
+//   namespace  learn into this namespace instead of the active one
+//   signal     AbortSignal; stops after the message in progress
+//   onMessage  ({ segment, result, totals }) after each message —
+//              segment.end is safe to checkpoint from then on
+export async function ingestSegments(segments, options = {}) {
+  const { userId = 'ingest', namespace, signal = null, onMessage = null } = options;
+  const totals = emptyTotals();
+  let lastEnd = null;
+
+  for await (const segment of segments) {
+    if (signal?.aborted) break;
+
+    const result = await processMessage(segment.text, uuidv4(), userId, { namespace });
+    totals.messages++;
+    if (result.processed) {
+      totals.learned++;
+      totals.newPairs += result.newPairs || 0;
+      totals.reinforced += result.reinforced || 0;
+      totals.categorized += result.categorized || 0;
+    } else {
+      totals.skipped++;
+    }
+    lastEnd = segment.end;
+
+    if (onMessage) {
+      await onMessage({ segment, result, totals });
+    }
+
+    // Synchronous storage (SQLite) never returns to the event loop on
+    // its own; give signals and other requests a turn between messages
+    await nextTurn();
+  }
+
+  return { ...totals, end: lastEnd, aborted: Boolean(signal?.aborted) };
+}
+
+// ===============================================
+// BATCHES
+// ===============================================
+
+export const MAX_BATCH_MESSAGES = Number(process.env.ARIA_INGEST_MAX_BATCH ?? 1000);
+
+// Yields one parsed value per non-blank NDJSON line; a line that
+// isn't valid JSON yields an Error instead, so one bad line doesn't
+// sink the rest of the stream
+export async function* parseNdjson(input) {
+  const lines = createInterface({ input: Readable.from(input), crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (text.trim() === '') continue;
+    try {
+      yield JSON.parse(text);
+    } catch (error) {
+      yield new Error(`Line ${line} is not valid JSON (${error.message})`);
+    }
+  }
+}
+
+// { content, userId, timestamp, externalId } from one batch entry.
+// timestamp (ISO string or epoch ms) is optional and handed back
+// normalized; externalId is only echoed, to match up results
+export function parseBatchMessage(entry) {
+  if (entry instanceof Error) throw entry;
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    throw new Error('Message must be an object');
+  }
+
+  const { content, timestamp = null } = entry;
+  const userId = entry.userId ?? entry.user_id;
+  const externalId = entry.externalId ?? entry.external_id ?? null;
+
+  if (typeof content !== 'string' || content.trim() === '') {
+    throw new Error('content must be a non-empty string');
+  }
+  if ((typeof userId !== 'string' && typeof userId !== 'number') || String(userId).trim() === '') {
+    throw new Error('userId is required');
+  }
+
+  let time = null;
+  if (timestamp !== null) {
+    time = new Date(timestamp);
+    if (!['string', 'number'].includes(typeof timestamp) || Number.isNaN(time.getTime())) {
+      throw new Error(`Invalid timestamp "${timestamp}"`);
+    }
+  }
+
+  return {
+    content,
+    userId: String(userId).trim(),
+    timestamp: time ? time.toISOString() : null,
+    externalId: externalId === null ? null : String(externalId)
+  };
+}
+
+// Learns every entry of a batch (raw objects, or Errors from
+// parseNdjson) and reports on each one. An entry that fails
+// validation or learning is reported and the batch carries on.
+// options: namespace, signal, onResult ({ result, totals })
+export async function ingestBatch(entries, options = {}) {
+  const { namespace, signal = null, onResult = null } = options;
+  const totals = { ...emptyTotals(), failed: 0 };
+  const results = onResult ? null : [];
+  let index = 0;
+
+  for await (const entry of entries) {
+    if (signal?.aborted) break;
+
+    const result = { index: index++, externalId: entry?.externalId ?? entry?.external_id ?? null };
+    try {
+      const message = parseBatchMessage(entry);
+      result.externalId = message.externalId;
+      result.timestamp = message.timestamp;
+
+      const learned = await processMessage(message.content, uuidv4(), message.userId, { namespace });
+      result.processed = learned.processed;
+      result.newPairs = learned.newPairs || 0;
+      result.reinforced = learned.reinforced || 0;
+      result.categorized = learned.categorized || 0;
+      if (learned.messageIndex) result.messageIndex = learned.messageIndex;
+      if (learned.source) result.source = learned.source;
+      if (learned.reason) result.reason = learned.reason;
+
+      totals.messages++;
+      if (learned.processed) {
+        totals.learned++;
+        totals.newPairs += result.newPairs;
+        totals.reinforced += result.reinforced;
+        totals.categorized += result.categorized;
+      } else {
+        totals.skipped++;
+      }
+    } catch (error) {
+      result.processed = false;
+      result.error = error.message;
+      totals.messages++;
+      totals.failed++;
+    }
+
+    if (onResult) {
+      await onResult({ result, totals });
+    } else {
+      results.push(result);
+    }
+    await nextTurn();
+  }
+
+  return { totals, results, aborted: Boolean(signal?.aborted) };
+}
+
+export default {
+  INGEST_SPLITS,
+  MAX_BATCH_MESSAGES,
+  splitSegments,
+  ingestSegments,
+  parseNdjson,
+  parseBatchMessage,
+  ingestBatch
+};
@@ -0,0 +1,314 @@
+// ariaLexicons.js
+// =============================================
+// ARIA - TEMPORAL AND CONTRAST LEXICONS
+// =============================================
+// The two word lists the correlator checks while learning:
+//   temporal markers  "then", "now", "later"... — a neighbour of one
+//                     counts toward temporal_adj_count (transition)
+//   contrast pairs    "good"/"bad", "hot"/"cold"... — both halves in
+//                     one message count toward contrast_pair_count
+//                     (modifier)
+// Stored in aria_temporal_markers and aria_contrast_pairs (seeded by
+// migrations 003 and 013), shared by every namespace and cached here.
+// After an edit, the two counters of the tokens it affects can be
+// recounted from the aria_purgatory word log.
+// =============================================
+
+import { getStorage } from './ariaStorage.js';
+import { tokenize, normalizeToken } from './ariaTokenizer.js';
+import { config } from './ariaConfig.js';
+
+const TEMPORAL_TABLE = 'aria_temporal_markers';
+const CONTRAST_TABLE = 'aria_contrast_pairs';
+
+// Other processes (the ingest CLI, other servers) edit the same
+// tables, so the cache is re-read after this long
+const CACHE_TTL_MS = Number(process.env.ARIA_LEXICON_CACHE_MS ?? 60000);
+
+const RECOUNT_PAGE_SIZE = 1000;
+
+// Stored the way the tokenizer hands words to the correlator
+function toLexiconWord(value, label) {
+  const tokens = typeof value === 'string' ? tokenize(value) : [];
+  if (tokens.length !== 1) {
+    throw new Error(`${label} must be a single word (got ${JSON.stringify(value)})`);
+  }
+  return tokens[0];
+}
+
+// A contrast pair is stored once, alphabetically
+function toContrastPair(pair) {
+  if (!Array.isArray(pair) || pair.length !== 2) {
+    throw new Error('A contrast pair must be two words, e.g. ["good", "bad"]');
+  }
+  const words = pair.map(word => toLexiconWord(word, 'Contrast word'));
+  if (words[0] === words[1]) {
+    throw new Error(`A word can't contrast with itself ("${words[0]}")`);
+  }
+  return words.sort();
+}
+
+// ===============================================
+// CACHE
+// ===============================================
+
+let cache = null;
+
+function buildLexicons(markerRows, pairRows) {
+  const contrast = new Map();
+  for (const { word_a: a, word_b: b } of pairRows) {
+    if (!contrast.has(a)) contrast.set(a, new Set());
+    if (!contrast.has(b)) contrast.set(b, new Set());
+    contrast.get(a).add(b);
+    contrast.get(b).add(a);
+  }
+  return {
+    temporal: new Set(markerRows.map(row => row.marker)),
+    // A word can have several opposites ("old": "new", "young")
+    contrast
+  };
+}
+
+// { temporal: Set, contrast: Map<word, Set> }. A failed read keeps
+// the lists already cached, so learning never stops on it.
+export async function getLexicons() {
+  if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+    return cache.lexicons;
+  }
+
+  try {
+    const db = getStorage();
+    const [markerRows, pairRows] = await Promise.all([
+      db.select(TEMPORAL_TABLE, { columns: ['marker'] }),
+      db.select(CONTRAST_TABLE, { columns: ['word_a', 'word_b'] })
+    ]);
+    cache = { lexicons: buildLexicons(markerRows, pairRows), loadedAt: Date.now() };
+  } catch (error) {
+    console.error('   ❌ Lexicon read error:', error.message);
+    cache = { lexicons: cache?.lexicons ?? buildLexicons([], []), loadedAt: Date.now() };
+  }
+  return cache.lexicons;
+}
+
+// Forces the next getLexicons() to read the tables again
+export function clearLexiconCache() {
+  cache = null;
+}
+
+// ===============================================
+// TEMPORAL MARKERS
+// ===============================================
+
+export async function listTemporalMarkers() {
+  const rows = await getStorage().select(TEMPORAL_TABLE, { order: { marker: 'asc' } });
+  return rows.map(row => row.marker);
+}
+
+// markers: a word or a list of words. options.recompute recounts
+// temporal_adj_count in the current namespace afterwards.
+export async function addTemporalMarkers(markers, options = {}) {
+  const words = [...new Set([].concat(markers).map(marker => toLexiconWord(marker, 'Temporal marker')))];
+  if (words.length === 0) {
+    throw new Error('Temporal marker must be a single word (got none)');
+  }
+
+  const db = getStorage();
+  const existing = new Set((await db.select(TEMPORAL_TABLE, { filters: { marker: { in: words } } })).map(row => row.marker));
+  const added = words.filter(word => !existing.has(word));
+  if (added.length > 0) {
+    await db.insert(TEMPORAL_TABLE, added.map(marker => ({ marker })));
+    clearLexiconCache();
+    console.log(`🕐 Temporal markers added: ${added.join(', ')}`);
+  }
+
+  const recount = options.recompute && added.length > 0
+    ? await recomputeLexiconStats({ markers: added })
+    : null;
+  return { added, recount };
+}
+
+export async function removeTemporalMarker(marker, options = {}) {
+  const word = toLexiconWord(marker, 'Temporal marker');
+  const removed = await getStorage().remove(TEMPORAL_TABLE, { marker: word });
+  if (removed === 0) {
+    throw new Error(`Temporal marker "${word}" not found`);
+  }
+  clearLexiconCache();
+  console.log(`🕐 Temporal marker removed: ${word}`);
+
+  const recount = options.recompute ? await recomputeLexiconStats({ markers: [word] }) : null;
+  return { removed: word, recount };
+}
+
+// ===============================================
+// CONTRAST PAIRS
+// ===============================================
+
+export async function listContrastPairs() {
+  const rows = await getStorage().select(CONTRAST_TABLE, { order: { word_a: 'asc', word_b: 'asc' } });
+  return rows.map(row => [row.word_a, row.word_b]);
+}
+
+// pairs: [["good", "bad"], ...]. options.recompute recounts
+// contrast_pair_count in the current namespace afterwards.
+export async function addContrastPairs(pairs, options = {}) {
+  if (!Array.isArray(pairs) || pairs.length === 0) {
+    throw new Error('A contrast pair must be two words, e.g. ["good", "bad"]');
+  }
+  const wanted = new Map(pairs.map(toContrastPair).map(pair => [pair.join('|'), pair]));
+
+  const db = getStorage();
+  const existing = await db.select(CONTRAST_TABLE, {
+    filters: { word_a: { in: [...new Set([...wanted.values()].map(pair => pair[0]))] } }
+  });
+  for (const row of existing) {
+    wanted.delete(`${row.word_a}|${row.word_b}`);
+  }
+
+  const added = [...wanted.values()];
+  if (added.length > 0) {
+    await db.insert(CONTRAST_TABLE, added.map(([a, b]) => ({ word_a: a, word_b: b })));
+    clearLexiconCache();
+    console.log(`↔️ Contrast pairs added: ${added.map(pair => pair.join('/')).join(', ')}`);
+  }
+
+  const recount = options.recompute && added.length > 0
+    ? await recomputeLexiconStats({ contrastWords: added.flat() })
+    : null;
+  return { added, recount };
+}
+
+export async function removeContrastPair(pair, options = {}) {
+  const [a, b] = toContrastPair(pair);
+  const removed = await getStorage().remove(CONTRAST_TABLE, { word_a: a, word_b: b });
+  if (removed === 0) {
+    throw new Error(`Contrast pair "${a}/${b}" not found`);
+  }
+  clearLexiconCache();
+  console.log(`↔️ Contrast pair removed: ${a}/${b}`);
+
+  const recount = options.recompute ? await recomputeLexiconStats({ contrastWords: [a, b] }) : null;
+  return { removed: [a, b], recount };
+}
+
+// ===============================================
+// RECOUNT
+// ===============================================
+
+// Yields each logged message of the current namespace as
+// { segments, weight }. Rows logged before migration 013 have no
+// segment or weight: the message is one segment at weight 1.
+async function* loggedMessages() {
+  let current = null;
+  for (let offset = 0; ; offset += RECOUNT_PAGE_SIZE) {
+    const page = await getStorage().select('aria_purgatory', {
+      columns: ['word', 'position', 'message_index', 'segment', 'weight'],
+      order: { message_index: 'asc', position: 'asc' },
+      limit: RECOUNT_PAGE_SIZE,
+      offset
+    });
+
+    for (const row of page) {
+      if (current && current.index !== row.message_index) {
+        yield current.message;
+        current = null;
+      }
+      if (!current) {
+        current = { index: row.message_index, segmentKey: undefined, message: { segments: [], weight: Number(row.weight ?? 1) } };
+      }
+      const segmentKey = row.segment ?? 0;
+      if (segmentKey !== current.segmentKey) {
+        current.message.segments.push([]);
+        current.segmentKey = segmentKey;
+      }
+      current.message.segments.at(-1).push(row.word);
+    }
+
+    if (page.length < RECOUNT_PAGE_SIZE) break;
+  }
+  if (current) yield current.message;
+}
+
+// Recounts, in the current namespace, the counters a lexicon edit
+// changes, using the lists as they are now and the same rules as
+// learning (once per token per message, scaled by the message weight):
+//   markers        temporal_adj_count of every token logged within
+//                  ADJACENCY_WINDOW of one of these words
+//   contrastWords  contrast_pair_count of these words
+// Only messages in aria_purgatory are counted; scores and categories
+// catch up the next time each token is learned.
+export async function recomputeLexiconStats(options = {}) {
+  const { markers = [], contrastWords = [] } = options;
+  const changedMarkers = new Set(markers.map(normalizeToken));
+  const { temporal, contrast } = await getLexicons();
+  const window = config.correlator.ADJACENCY_WINDOW;
+
+  const temporalTokens = new Set();
+  const temporalCounts = new Map();
+  const contrastCounts = new Map(contrastWords.map(word => [normalizeToken(word), 0]));
+  let messages = 0;
+
+  for await (const { segments, weight } of loggedMessages()) {
+    messages++;
+    const seenTemporal = new Set();
+
+    for (const tokens of segments) {
+      tokens.forEach((token, i) => {
+        for (let j = Math.max(0, i - window); j <= Math.min(tokens.length - 1, i + window); j++) {
+          if (j === i) continue;
+          if (changedMarkers.has(tokens[j])) temporalTokens.add(token);
+          if (temporal.has(tokens[j])) seenTemporal.add(token);
+        }
+      });
+    }
+    for (const token of seenTemporal) {
+      temporalCounts.set(token, (temporalCounts.get(token) || 0) + weight);
+    }
+
+    if (contrastCounts.size > 0) {
+      const words = new Set(segments.flat());
+      for (const word of contrastCounts.keys()) {
+        if (words.has(word) && [...(contrast.get(word) || [])].some(opposite => words.has(opposite))) {
+          contrastCounts.set(word, contrastCounts.get(word) + weight);
+        }
+      }
+    }
+  }
+
+  const updates = new Map();
+  for (const token of temporalTokens) {
+    updates.set(token, { temporal_adj_count: temporalCounts.get(token) || 0 });
+  }
+  for (const [token, count] of contrastCounts) {
+    updates.set(token, { ...updates.get(token), contrast_pair_count: count });
+  }
+
+  const db = getStorage();
+  const existing = updates.size > 0
+    ? await db.select('aria_token_stats', { columns: ['token'], filters: { token: { in: [...updates.keys()] } } })
+    : [];
+  const now = new Date().toISOString();
+  if (existing.length > 0) {
+    await db.batch(existing.map(({ token }) => ({
+      type: 'update',
+      table: 'aria_token_stats',
+      filters: { token },
+      patch: { ...updates.get(token), updated_at: now }
+    })));
+  }
+
+  console.log(`🔁 Lexicon recount: ${existing.length} tokens from ${messages} logged messages`);
+  return { messages, tokens: existing.map(row => row.token).sort() };
+}
+
+export default {
+  getLexicons,
+  clearLexiconCache,
+  listTemporalMarkers,
+  addTemporalMarkers,
+  removeTemporalMarker,
+  listContrastPairs,
+  addContrastPairs,
+  removeContrastPair,
+  recomputeLexiconStats
+};
@@ -0,0 +1,245 @@
+// ariaMigrations.js
+// =============================================
+// ARIA - SCHEMA MIGRATIONS
+// =============================================
+// Numbered SQL files live in migrations/<dialect>/NNN_name.sql, each
+// with a "-- migrate:up" and a "-- migrate:down" section. Applied
+// versions are recorded in aria_schema_migrations, in the same
+// transaction as the migration itself.
+//
+// Dialects:
+//   postgres — postgres adapter (DATABASE_URL); Supabase projects are
+//              migrated through their Postgres connection string
+//   sqlite   — sqlite adapter
+// The memory adapter has no schema and is always current.
+// =============================================
+
+import { readdirSync, readFileSync } from 'fs';
+
+const MIGRATIONS_ROOT = new URL('./migrations/', import.meta.url);
+
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.sql$/;
+const SECTION_MARKER = /^--\s*migrate:(up|down)\s*$/m;
+
+export const SCHEMA_TABLE = 'aria_schema_migrations';
+
+const SCHEMA_TABLE_SQL = {
+  postgres: `CREATE TABLE IF NOT EXISTS ${SCHEMA_TABLE} (
+  version integer PRIMARY KEY,
+  name text NOT NULL,
+  applied_at timestamptz DEFAULT now()
+);`,
+  sqlite: `CREATE TABLE IF NOT EXISTS ${SCHEMA_TABLE} (
+  version integer PRIMARY KEY,
+  name text NOT NULL,
+  applied_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);`
+};
+
+// Which migration set a storage kind reads its version against
+const DIALECTS = {
+  postgres: 'postgres',
+  supabase: 'postgres',
+  sqlite: 'sqlite'
+};
+
+export function getDialect(storage) {
+  return DIALECTS[storage.kind] || null;
+}
+
+// ===============================================
+// MIGRATION FILES
+// ===============================================
+
+function parseMigration(fileName, text) {
+  const [, version, name] = fileName.match(MIGRATION_FILE);
+  const parts = text.split(SECTION_MARKER);
+
+  const sections = {};
+  for (let i = 1; i < parts.length; i += 2) {
+    sections[parts[i]] = parts[i + 1].trim();
+  }
+
+  if (!sections.up) {
+    throw new Error(`Migration ${fileName} has no "-- migrate:up" section`);
+  }
+
+  return {
+    version: Number(version),
+    name,
+    fileName,
+    up: sections.up,
+    down: sections.down || ''
+  };
+}
+
+export function loadMigrations(dialect) {
+  const directory = new URL(`${dialect}/`, MIGRATIONS_ROOT);
+
+  return readdirSync(directory)
+    .filter(fileName => MIGRATION_FILE.test(fileName))
+    .map(fileName => parseMigration(fileName, readFileSync(new URL(fileName, directory), 'utf8')))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Every up section plus its version record, for creating a brand-new
+// database in one go (the SQLite adapter does this on first open)
+export function buildFullSchema(dialect) {
+  const migrations = loadMigrations(dialect);
+  return [
+    SCHEMA_TABLE_SQL[dialect],
+    ...migrations.map(migration => `${migration.up}\n\n${recordSql(migration)}`)
+  ].join('\n\n');
+}
+
+// ===============================================
+// STATUS
+// ===============================================
+
+// SQLite, Postgres and PostgREST each word a missing table differently
+const MISSING_TABLE = /no such table|does not exist|could not find the table/i;
+
+async function getAppliedVersions(storage) {
+  try {
+    const rows = await storage.select(SCHEMA_TABLE, { order: { version: 'asc' } });
+    return rows.map(row => Number(row.version));
+  } catch (error) {
+    // No tracking table yet: nothing has been applied through the runner.
+    // Anything else (a dropped connection, bad credentials) must not read as
+    // an empty database, or migrate up would re-run every migration.
+    if (MISSING_TABLE.test(error.message)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+export async function getSchemaStatus(storage) {
+  const dialect = getDialect(storage);
+
+  if (!dialect) {
+    return { dialect: null, current: null, latest: null, applied: [], pending: [], upToDate: true };
+  }
+
+  const migrations = loadMigrations(dialect);
+  const applied = await getAppliedVersions(storage);
+  const pending = migrations.filter(migration => !applied.includes(migration.version));
+
+  return {
+    dialect,
+    current: applied.length > 0 ? Math.max(...applied) : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: pending.map(({ version, name }) => ({ version, name })),
+    upToDate: pending.length === 0
+  };
+}
+
+// Throws when the schema is behind the migrations shipped with this build
+export async function assertSchemaCurrent(storage) {
+  const status = await getSchemaStatus(storage);
+
+  if (!status.upToDate) {
+    const pending = status.pending.map(m => `${String(m.version).padStart(3, '0')}_${m.name}`).join(', ');
+    throw new Error(`Schema is behind (at ${status.current}, needs ${status.latest}). Pending: ${pending}`);
+  }
+
+  return status;
+}
+
+// ===============================================
+// APPLY / ROLL BACK
+// ===============================================
+
+function requireRunner(storage) {
+  const dialect = getDialect(storage);
+
+  if (!dialect || typeof storage.runScript !== 'function') {
+    throw new Error(`Storage "${storage.kind}" cannot run migrations — use the postgres (DATABASE_URL) or sqlite adapter`);
+  }
+
+  return dialect;
+}
+
+function recordSql(migration) {
+  return `INSERT INTO ${SCHEMA_TABLE} (version, name) VALUES (${migration.version}, '${migration.name}');`;
+}
+
+function forgetSql(migration) {
+  return `DELETE FROM ${SCHEMA_TABLE} WHERE version = ${migration.version};`;
+}
+
+export async function migrateUp(storage, options = {}) {
+  const { to = Infinity } = options;
+  const dialect = requireRunner(storage);
+
+  await storage.runScript(SCHEMA_TABLE_SQL[dialect]);
+  const applied = await getAppliedVersions(storage);
+
+  const pending = loadMigrations(dialect)
+    .filter(migration => !applied.includes(migration.version) && migration.version <= to);
+
+  for (const migration of pending) {
+    console.log(`   ⬆️ ${migration.fileName}`);
+    await storage.runScript(`${migration.up}\n\n${recordSql(migration)}`);
+  }
+
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+// Rolls back the newest `steps` migrations, or everything above `to`
+export async function migrateDown(storage, options = {}) {
+  const { steps = 1, to = null } = options;
+  const dialect = requireRunner(storage);
+
+  await storage.runScript(SCHEMA_TABLE_SQL[dialect]);
+  const applied = await getAppliedVersions(storage);
+
+  const candidates = loadMigrations(dialect)
+    .filter(migration => applied.includes(migration.version))
+    .reverse();
+
+  const rollback = to === null
+    ? candidates.slice(0, steps)
+    : candidates.filter(migration => migration.version > to);
+
+  for (const migration of rollback) {
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.fileName} has no "-- migrate:down" section`);
+    }
+    console.log(`   ⬇️ ${migration.fileName}`);
+    await storage.runScript(`${migration.down}\n\n${forgetSql(migration)}`);
+  }
+
+  return rollback.map(({ version, name }) => ({ version, name }));
+}
+
+// Marks migrations up to `version` as applied without running them —
+// for databases set up by pasting the SQL files in by hand
+export async function baselineSchema(storage, version) {
+  const dialect = requireRunner(storage);
+
+  await storage.runScript(SCHEMA_TABLE_SQL[dialect]);
+  const applied = await getAppliedVersions(storage);
+
+  const marked = loadMigrations(dialect)
+    .filter(migration => migration.version <= version && !applied.includes(migration.version));
+
+  if (marked.length > 0) {
+    await storage.runScript(marked.map(recordSql).join('\n'));
+  }
+
+  return marked.map(({ version: v, name }) => ({ version: v, name }));
+}
+
+export default {
+  SCHEMA_TABLE,
+  getDialect,
+  loadMigrations,
+  buildFullSchema,
+  getSchemaStatus,
+  assertSchemaCurrent,
+  migrateUp,
+  migrateDown,
+  baselineSchema
+};
@@ -0,0 +1,123 @@
+// ariaPreprocess.js
+// =============================================
+// ARIA - PRE-LEARNING NORMALIZATION
+// =============================================
+// Runs in front of processMessage so chat noise never becomes tokens
+// and pairs. Stages, in order:
+//   codeBlocks  drop ``` / ~~~ fenced blocks
+//   quotes      drop quoted reply lines ("> ...")
+//   urls        https://... and www.... → <url>
+//   emails      name@host.tld → <email>
+//   triggers    drop "@aria", "hey aria", ... (server.triggers.mentions)
+//   commands    drop a leading "/aria" or "/a" (server.triggers.commands)
+//   mentions    @someone and <@123> → <mention>
+//   numbers     42, 3.5, 1,000 → <num>
+// Every stage is on unless switched off in ARIA_PREPROCESS_SKIP
+// (comma-separated names) or per call.
+// =============================================
+
+import { config } from './ariaConfig.js';
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Not glued to a preceding letter or digit ("maria," is not a trigger)
+const WORD_START = String.raw`(?<![\p{L}\p{N}_])`;
+const WORD_END = String.raw`(?![\p{L}\p{N}_])`;
+
+// Rebuilt whenever the configured trigger lists change
+let triggerPatterns = { key: null };
+
+function getTriggerPatterns() {
+  const { mentions, commands } = config.server.triggers;
+  const key = JSON.stringify([mentions, commands]);
+  if (triggerPatterns.key !== key) {
+    triggerPatterns = {
+      key,
+      mentions: new RegExp(`${WORD_START}(?:${mentions.map(escapeRegExp).join('|')})`, 'giu'),
+      commands: new RegExp(String.raw`^\s*(?:${commands.map(escapeRegExp).join('|')})(?=\s|$)`, 'iu')
+    };
+  }
+  return triggerPatterns;
+}
+
+// A fence runs to its closing fence, or to the end of the message
+const CODE_BLOCK = /(^|\n)[ \t]*(```|~~~)[^\n]*\n[\s\S]*?(?:\n[ \t]*\2[ \t]*(?=\n|$)|$)/g;
+const QUOTED_LINE = /^[ \t]*>.*$/gm;
+// Trailing sentence punctuation is left outside the URL
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+?(?=[.,!?;:)\]]*(?:\s|$))/giu;
+const EMAIL_PATTERN = /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}-]+(?:\.[\p{L}\p{N}-]+)*\.\p{L}{2,}/gu;
+const MENTION_PATTERN = new RegExp(String.raw`<@!?\d+>|${WORD_START}@[\p{L}\p{N}_]+(?:[.-][\p{L}\p{N}_]+)*`, 'gu');
+const NUMBER_PATTERN = new RegExp(String.raw`${WORD_START}\p{N}+(?:[.,]\p{N}+)*${WORD_END}`, 'gu');
+
+// ===============================================
+// STAGES
+// ===============================================
+
+// Each stage takes and returns text; dropped text leaves a line
+// break behind so it also ends the sentence around it
+export const STAGES = {
+  codeBlocks: text => text.replace(CODE_BLOCK, '$1\n'),
+  quotes: text => text.replace(QUOTED_LINE, ''),
+  urls: text => text.replace(URL_PATTERN, ' <url> '),
+  emails: text => text.replace(EMAIL_PATTERN, ' <email> '),
+  triggers: text => text.replace(getTriggerPatterns().mentions, ' '),
+  commands: text => text.replace(getTriggerPatterns().commands, ''),
+  mentions: text => text.replace(MENTION_PATTERN, ' <mention> '),
+  numbers: text => text.replace(NUMBER_PATTERN, ' <num> ')
+};
+
+export const PREPROCESS_STAGES = Object.keys(STAGES);
+
+const SKIPPED = (process.env.ARIA_PREPROCESS_SKIP || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+for (const name of SKIPPED) {
+  if (!STAGES[name]) {
+    console.warn(`⚠️ ARIA_PREPROCESS_SKIP: unknown stage "${name}" (expected ${PREPROCESS_STAGES.join(', ')})`);
+  }
+}
+
+export const PREPROCESS_DEFAULTS = Object.fromEntries(
+  PREPROCESS_STAGES.map(name => [name, !SKIPPED.includes(name)])
+);
+
+// ===============================================
+// PIPELINE
+// ===============================================
+
+// stages: { urls: false, ... } on top of the defaults, or false to
+// learn the text exactly as written
+export function preprocessMessage(text, stages = {}) {
+  if (stages === false) return text;
+
+  const enabled = { ...PREPROCESS_DEFAULTS, ...stages };
+  for (const name of Object.keys(stages)) {
+    if (!STAGES[name]) {
+      throw new Error(`Unknown preprocessing stage "${name}" (expected ${PREPROCESS_STAGES.join(', ')})`);
+    }
+  }
+
+  let result = String(text ?? '');
+  for (const name of PREPROCESS_STAGES) {
+    if (enabled[name]) {
+      result = STAGES[name](result);
+    }
+  }
+
+  return result
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ ?\n ?/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default {
+  STAGES,
+  PREPROCESS_STAGES,
+  PREPROCESS_DEFAULTS,
+  preprocessMessage
+};
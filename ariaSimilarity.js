@@ -0,0 +1,134 @@
+// ariaSimilarity.js
+// =============================================
+// ARIA - DISTRIBUTIONAL SIMILARITY
+// =============================================
+// Every token keeps a compact profile of the words seen around it
+// (aria_token_stats.neighbors): its heaviest left and right
+// neighbours within ADJACENCY_WINDOW, counted like the other token
+// counters (source weights apply):
+//   { "l": { "the": 12, "a": 4 }, "r": { "is": 9, "was": 3 } }
+// Only NEIGHBORS.PROFILE_SIZE words are kept per side, so a profile
+// stays small however often the token is seen.
+// Tokens with similar profiles fill the same slots in sentences:
+// similarity is the cosine of two profiles, with left and right
+// neighbours kept apart.
+// =============================================
+
+import { getStorage } from './ariaStorage.js';
+import { normalizeToken } from './ariaTokenizer.js';
+
+export const PROFILE_SIDES = ['l', 'r'];
+
+const LOOKUP_CHUNK = 200;
+
+// ===============================================
+// PROFILES
+// ===============================================
+
+// jsonb comes back parsed, SQLite hands back the text
+export function parseNeighborProfile(value) {
+  const profile = typeof value === 'string' ? JSON.parse(value) : value;
+  return { l: { ...profile?.l }, r: { ...profile?.r } };
+}
+
+// Adds { l: Map(word → count), r: Map } to a profile and keeps the
+// size heaviest words per side (ties keep the words already there)
+export function mergeNeighborProfile(profile, additions, size) {
+  const merged = parseNeighborProfile(profile);
+  for (const side of PROFILE_SIDES) {
+    const counts = merged[side];
+    for (const [word, count] of additions[side] || []) {
+      counts[word] = Math.round(((counts[word] || 0) + count) * 1000) / 1000;
+    }
+    merged[side] = Object.fromEntries(Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, size));
+  }
+  return merged;
+}
+
+// { similarity, shared } of two parsed profiles; shared counts the
+// neighbours (per side) both have
+export function profileSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let shared = 0;
+  for (const side of PROFILE_SIDES) {
+    for (const [word, count] of Object.entries(a[side])) {
+      normA += count * count;
+      if (b[side][word] !== undefined) {
+        dot += count * b[side][word];
+        shared++;
+      }
+    }
+    for (const count of Object.values(b[side])) {
+      normB += count * count;
+    }
+  }
+  const similarity = normA > 0 && normB > 0 ? Math.min(1, dot / Math.sqrt(normA * normB)) : 0;
+  return { similarity, shared };
+}
+
+// ===============================================
+// QUERIES
+// ===============================================
+
+async function selectTokens(tokens, columns, filters = {}) {
+  const rows = [];
+  for (let i = 0; i < tokens.length; i += LOOKUP_CHUNK) {
+    rows.push(...await getStorage().select('aria_token_stats', {
+      columns,
+      filters: { ...filters, token: { in: tokens.slice(i, i + LOOKUP_CHUNK) } }
+    }));
+  }
+  return rows;
+}
+
+// Tokens whose profiles look most like this one's, best first.
+// Candidates are the tokens seen in the same slots: the right-hand
+// neighbours of its left neighbours and the left-hand neighbours of
+// its right neighbours. options: limit, minOccurrences, minShared
+export async function findSimilarTokens(token, options = {}) {
+  const { limit = 10, minOccurrences = 1, minShared = 1 } = options;
+  const word = normalizeToken(token);
+
+  const target = await getStorage().selectOne('aria_token_stats', { token: word });
+  if (!target) {
+    throw new Error(`Token "${word}" not found`);
+  }
+  const profile = parseNeighborProfile(target.neighbors);
+
+  const neighbors = [...new Set([...Object.keys(profile.l), ...Object.keys(profile.r)])];
+  const candidates = new Set();
+  for (const row of await selectTokens(neighbors, ['token', 'neighbors'])) {
+    const around = parseNeighborProfile(row.neighbors);
+    if (profile.l[row.token] !== undefined) Object.keys(around.r).forEach(candidate => candidates.add(candidate));
+    if (profile.r[row.token] !== undefined) Object.keys(around.l).forEach(candidate => candidates.add(candidate));
+  }
+  candidates.delete(word);
+
+  const rows = await selectTokens([...candidates], ['token', 'neighbors', 'category', 'total_occurrences'], {
+    total_occurrences: { gte: minOccurrences }
+  });
+  const similar = rows
+    .map(row => ({
+      token: row.token,
+      ...profileSimilarity(profile, parseNeighborProfile(row.neighbors)),
+      category: row.category,
+      total_occurrences: row.total_occurrences
+    }))
+    .filter(row => row.shared >= minShared && row.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || b.total_occurrences - a.total_occurrences)
+    .slice(0, limit);
+
+  return { token: word, category: target.category, profile, similar };
+}
+
+export default {
+  PROFILE_SIDES,
+  parseNeighborProfile,
+  mergeNeighborProfile,
+  profileSimilarity,
+  findSimilarTokens
+};
@@ -0,0 +1,123 @@
+// ariaSources.js
+// =============================================
+// ARIA - PER-SOURCE LEARNING WEIGHTS
+// =============================================
+// How much a message teaches depends on who wrote it. Each user id,
+// role or bot id can carry a multiplier that scales pair
+// reinforcement and token stat increments:
+//   2    — a trusted curator teaches twice as fast
+//   0.2  — a noisy bot still contributes, just faintly
+//   0    — not learned from at all
+// Lookup order: the author's own entry (user or bot), then their
+// role, then the default for humans or bots.
+// =============================================
+
+import { getStorage } from './ariaStorage.js';
+
+export const SOURCE_TYPES = ['user', 'role', 'bot'];
+
+export const SOURCE_DEFAULTS = {
+  user: Number(process.env.ARIA_DEFAULT_USER_WEIGHT ?? 1),
+  // Unlisted bots are ignored, as before weights existed
+  bot: Number(process.env.ARIA_DEFAULT_BOT_WEIGHT ?? 0)
+};
+
+export const MAX_SOURCE_WEIGHT = 10;
+
+const TABLE = 'aria_source_weights';
+
+function assertSourceType(type) {
+  if (!SOURCE_TYPES.includes(type)) {
+    throw new Error(`Invalid source type "${type}" (expected ${SOURCE_TYPES.join(', ')})`);
+  }
+}
+
+function assertSource(type, id) {
+  assertSourceType(type);
+  if (typeof id !== 'string' || id.trim() === '') {
+    throw new Error('Source id is required');
+  }
+}
+
+// ===============================================
+// REGISTRY
+// ===============================================
+
+export async function listSourceWeights(options = {}) {
+  const { type = null } = options;
+  if (type !== null) {
+    assertSourceType(type);
+  }
+
+  return getStorage().select(TABLE, {
+    filters: type ? { source_type: type } : {},
+    order: { source_type: 'asc', source_id: 'asc' }
+  });
+}
+
+export async function setSourceWeight(type, id, weight, options = {}) {
+  assertSource(type, id);
+  const value = Number(weight);
+  if (weight === null || weight === '' || !Number.isFinite(value) || value < 0 || value > MAX_SOURCE_WEIGHT) {
+    throw new Error(`Weight must be a number from 0 to ${MAX_SOURCE_WEIGHT}`);
+  }
+
+  const now = new Date().toISOString();
+  const [row] = await getStorage().upsert(TABLE, {
+    source_type: type,
+    source_id: id.trim(),
+    weight: value,
+    note: options.note ?? null,
+    updated_at: now
+  }, { onConflict: ['source_type', 'source_id'] });
+
+  console.log(`⚖️ ${type}:${id.trim()} weight → ${value}`);
+  return row;
+}
+
+export async function removeSourceWeight(type, id) {
+  assertSource(type, id);
+  const removed = await getStorage().remove(TABLE, { source_type: type, source_id: id.trim() });
+  if (removed === 0) {
+    throw new Error(`Source weight ${type}:${id} not found`);
+  }
+  return removed;
+}
+
+// ===============================================
+// RESOLUTION
+// ===============================================
+
+// { weight, source } for one message's author; source names the
+// entry that decided it ("user:42", "role:curator", "default:bot")
+export async function resolveSourceWeight(author = {}) {
+  const { userId = null, botId = null, role = null } = author;
+  const own = botId ? ['bot', botId] : userId ? ['user', userId] : null;
+
+  const branches = [];
+  if (own) branches.push({ source_type: own[0], source_id: String(own[1]) });
+  if (role) branches.push({ source_type: 'role', source_id: String(role) });
+
+  const rows = branches.length > 0
+    ? await getStorage().select(TABLE, { filters: { $or: branches } })
+    : [];
+  const find = (type, id) => rows.find(row => row.source_type === type && row.source_id === String(id));
+
+  const match = (own && find(own[0], own[1])) || (role && find('role', role));
+  if (match) {
+    return { weight: Number(match.weight), source: `${match.source_type}:${match.source_id}` };
+  }
+
+  const kind = botId ? 'bot' : 'user';
+  return { weight: SOURCE_DEFAULTS[kind], source: `default:${kind}` };
+}
+
+export default {
+  SOURCE_TYPES,
+  SOURCE_DEFAULTS,
+  MAX_SOURCE_WEIGHT,
+  listSourceWeights,
+  setSourceWeight,
+  removeSourceWeight,
+  resolveSourceWeight
+};
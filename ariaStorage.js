@@ -0,0 +1,253 @@
+// ariaStorage.js
+// =============================================
+// ARIA - PLUGGABLE STORAGE
+// =============================================
+// Every table ARIA touches goes through a storage adapter, so the
+// correlator, generator and server never talk to a database client
+// directly. Adapters:
+//   supabase — Supabase REST client (original deployment)
+//   postgres — direct Postgres connection (DATABASE_URL)
+//   sqlite   — single SQLite file (laptops, air-gapped boxes)
+//   memory   — pure in-memory tables (tests, throwaway sessions)
+//
+// Selected with ARIA_STORAGE. When unset, Supabase is used if
+// SUPABASE_URL is configured, then Postgres if DATABASE_URL is,
+// otherwise memory.
+//
+// Learned state is kept per namespace (a room, channel or tenant).
+// getStorage() hands out a view scoped to the namespace of the
+// current call chain — see withNamespace().
+// =============================================
+
+import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+import { createSupabaseAdapter } from './adapters/supabaseAdapter.js';
+import { createPostgresAdapter } from './adapters/postgresAdapter.js';
+import { createSqliteAdapter } from './adapters/sqliteAdapter.js';
+import { createMemoryAdapter } from './adapters/memoryAdapter.js';
+
+// ===============================================
+// ADAPTER INTERFACE
+// ===============================================
+//
+// Filters are plain objects keyed by column:
+//   { token: 'weather' }                 equality (null → IS NULL)
+//   { tier: { neq: 'decay' } }           neq, lt, lte, gt, gte
+//   { token: { in: ['a', 'b'] } }        membership
+//   { $or: [{ token_a: 'x' }, { token_b: 'x' }] }
+//
+// Order is an object of column → 'asc' | 'desc', applied in key order.
+//
+// Every adapter returns plain row objects and implements:
+//   select(table, { filters, columns, order, limit, offset }) → rows
+//   selectOne(table, filters)                                 → row | null
+//   count(table, filters)                                     → number
+//   insert(table, rowOrRows)                                  → inserted rows
+//   upsert(table, rowOrRows, { onConflict, increment, greatest }) → written rows
+//   increment(table, filters, { increments, greatest, patch }) → updated rows
+//   update(table, filters, patch)                             → updated rows
+//   remove(table, filters)                                    → removed count
+//   batch(operations)                                         → one result per op
+//   incrementMessageCounter(namespace = 'default')            → new index
+//   close()
+//
+// upsert inserts rows, or overwrites every supplied column except
+// id/created_at when the onConflict column(s) already match. Rows
+// in one call should carry the same columns. Counters are combined
+// on the database side so concurrent writers never lose counts:
+//   increment: [col]   stored + supplied (rows carry deltas)
+//   greatest:  [col]   larger of stored and supplied
+//
+// batch applies a list of writes all-or-nothing, in order:
+//   { type: 'insert', table, rows }
+//   { type: 'upsert', table, rows, onConflict, increment, greatest }
+//   { type: 'increment', table, filters, increments, greatest, patch }
+//   { type: 'update', table, filters, patch }   (equality filters)
+//   { type: 'remove', table, filters }          (equality filters)
+
+export const STORAGE_KINDS = ['supabase', 'postgres', 'sqlite', 'memory'];
+
+const ADAPTER_FACTORIES = {
+  supabase: createSupabaseAdapter,
+  postgres: createPostgresAdapter,
+  sqlite: createSqliteAdapter,
+  memory: createMemoryAdapter
+};
+
+// ===============================================
+// CONFIGURATION
+// ===============================================
+
+export function resolveStorageConfig(env = process.env) {
+  let kind = env.ARIA_STORAGE?.trim().toLowerCase();
+
+  if (!kind) {
+    if (env.SUPABASE_URL) kind = 'supabase';
+    else if (env.DATABASE_URL) kind = 'postgres';
+    else kind = 'memory';
+  }
+
+  return {
+    kind,
+    supabaseUrl: env.SUPABASE_URL,
+    supabaseKey: env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY,
+    connectionString: env.DATABASE_URL,
+    sqlitePath: env.ARIA_SQLITE_PATH || './aria.sqlite'
+  };
+}
+
+// The adapter comes back scoped to the default namespace, so callers
+// that predate namespaces keep their single-space view
+export function createStorage(config = resolveStorageConfig()) {
+  const factory = ADAPTER_FACTORIES[config.kind];
+
+  if (!factory) {
+    throw new Error(`Unknown ARIA_STORAGE "${config.kind}" (expected one of: ${STORAGE_KINDS.join(', ')})`);
+  }
+
+  return scopeStorage(factory(config), DEFAULT_NAMESPACE);
+}
+
+// ===============================================
+// NAMESPACES
+// ===============================================
+//
+// Every table below has a namespace column, and its unique keys
+// include it. aria_global_stats and aria_message_counter hold one row
+// per namespace (keyed by namespace, id is always 1), so { id: 1 }
+// still means "the row" inside a scoped view.
+
+export const DEFAULT_NAMESPACE = 'default';
+
+const NAMESPACE_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+export const NAMESPACED_TABLES = new Set([
+  'aria_token_stats',
+  'aria_word_pairs',
+  'aria_pair_archive',
+  'aria_token_positions',
+  'aria_purgatory',
+  'aria_global_stats',
+  'aria_message_counter',
+  'aria_snapshots',
+  'aria_contrast_candidates',
+  'aria_subclusters',
+  'aria_category_history'
+]);
+
+const namespaceContext = new AsyncLocalStorage();
+
+// Lower-cased namespace, or the default for null / empty input
+export function normalizeNamespace(value) {
+  const namespace = String(value ?? '').trim().toLowerCase() || DEFAULT_NAMESPACE;
+
+  if (!NAMESPACE_PATTERN.test(namespace)) {
+    throw new Error(`Invalid namespace "${value}" (1-64 of a-z, 0-9, "_" or "-", starting with a letter or digit)`);
+  }
+  return namespace;
+}
+
+export function getNamespace() {
+  return namespaceContext.getStore() ?? DEFAULT_NAMESPACE;
+}
+
+// Runs fn with getStorage() scoped to namespace, including everything
+// fn awaits. Nested calls switch to the inner namespace.
+export function withNamespace(namespace, fn) {
+  return namespaceContext.run(normalizeNamespace(namespace), fn);
+}
+
+// Adapter wrapper that adds the namespace to filters, rows and
+// conflict keys of namespaced tables; other tables pass through
+function scopeStorage(adapter, namespace) {
+  adapter = adapter.unscoped ?? adapter;
+  const scoped = table => NAMESPACED_TABLES.has(table);
+
+  const scopeFilters = (table, filters = {}) => scoped(table) ? { ...filters, namespace } : filters;
+  // Default-namespace rows leave the column to its database default,
+  // which also keeps writes working on a schema from before 010
+  const scopeRows = (table, rows) => {
+    if (!scoped(table)) return rows;
+    return [].concat(rows).map(({ namespace: ignored, ...row }) =>
+      namespace === DEFAULT_NAMESPACE ? row : { ...row, namespace });
+  };
+  const scopeConflict = (table, onConflict) => scoped(table)
+    ? [...new Set(['namespace', ...[].concat(onConflict)])]
+    : onConflict;
+
+  function scopeOperation(operation) {
+    const { table } = operation;
+    switch (operation.type) {
+      case 'insert':
+        return { ...operation, rows: scopeRows(table, operation.rows || []) };
+      case 'upsert':
+        return {
+          ...operation,
+          rows: scopeRows(table, operation.rows || []),
+          onConflict: scopeConflict(table, operation.onConflict)
+        };
+      default:
+        return { ...operation, filters: scopeFilters(table, operation.filters) };
+    }
+  }
+
+  return {
+    ...adapter,
+    unscoped: adapter,
+    namespace,
+    select: (table, options = {}) => adapter.select(table, { ...options, filters: scopeFilters(table, options.filters) }),
+    selectOne: (table, filters) => adapter.selectOne(table, scopeFilters(table, filters)),
+    count: (table, filters) => adapter.count(table, scopeFilters(table, filters)),
+    insert: (table, rowOrRows) => adapter.insert(table, scopeRows(table, rowOrRows)),
+    upsert: (table, rowOrRows, options = {}) => adapter.upsert(table, scopeRows(table, rowOrRows), {
+      ...options,
+      onConflict: scopeConflict(table, options.onConflict)
+    }),
+    increment: (table, filters, changes) => adapter.increment(table, scopeFilters(table, filters), changes),
+    update: (table, filters, patch) => adapter.update(table, scopeFilters(table, filters), patch),
+    remove: (table, filters) => adapter.remove(table, scopeFilters(table, filters)),
+    batch: operations => adapter.batch(operations.map(scopeOperation)),
+    incrementMessageCounter: () => adapter.incrementMessageCounter(namespace)
+  };
+}
+
+// ===============================================
+// SHARED INSTANCE
+// ===============================================
+
+let storage = null;
+let scopedViews = new Map();
+
+// The shared adapter, scoped to the current namespace
+export function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+
+  const namespace = getNamespace();
+  if (!scopedViews.has(namespace)) {
+    scopedViews.set(namespace, scopeStorage(storage, namespace));
+  }
+  return scopedViews.get(namespace);
+}
+
+// Swap the shared adapter (tests, CLI tools). Returns the previous one.
+export function setStorage(adapter) {
+  const previous = storage;
+  storage = adapter;
+  scopedViews = new Map();
+  return previous;
+}
+
+export default {
+  getStorage,
+  setStorage,
+  createStorage,
+  resolveStorageConfig,
+  getNamespace,
+  withNamespace,
+  normalizeNamespace,
+  STORAGE_KINDS,
+  DEFAULT_NAMESPACE,
+  NAMESPACED_TABLES
+};
@@ -0,0 +1,322 @@
+// ariaSubclusters.js
+// =============================================
+// ARIA - EMERGENT SUBCATEGORIES
+// =============================================
+// The five categories are broad: "stable" holds animals, places and
+// foods alike. Inside each category, tokens whose neighbour profiles
+// (ariaSimilarity.js) look alike are grouped into subclusters:
+//   1. one sweep over the category's most frequent tokens: each joins
+//      the closest cluster centre (cosine ≥ MIN_SIMILARITY) or starts
+//      a cluster of its own
+//   2. up to PASSES rounds of recomputing the centres and reassigning
+//      every token, until nothing moves
+//   3. clusters smaller than MIN_SIZE are dissolved; their tokens stay
+//      unclustered
+// Nothing names the groups, so each gets a generated id
+// ("stable-3f9a2c1b"). A rerun keeps the id of the old cluster that
+// holds at least half of a new one's tokens, so ids survive small
+// shifts. The id goes on aria_token_stats.subcluster (read by the
+// generator) and each cluster is summarized in aria_subclusters.
+// =============================================
+
+import { v4 as uuidv4 } from 'uuid';
+import { getStorage, getNamespace } from './ariaStorage.js';
+import { PLACEHOLDERS } from './ariaTokenizer.js';
+import { config, CATEGORY_NAMES } from './ariaConfig.js';
+import { PROFILE_SIDES, parseNeighborProfile, profileSimilarity } from './ariaSimilarity.js';
+
+// Unclassified tokens haven't settled in a category yet
+export const CLUSTERED_CATEGORIES = CATEGORY_NAMES.filter(name => name !== 'unclassified');
+
+const TABLE = 'aria_subclusters';
+// Tokens and centre words kept on each aria_subclusters row
+const SUMMARY_SIZE = 10;
+
+function checkCategory(category) {
+  if (!CLUSTERED_CATEGORIES.includes(category)) {
+    throw new Error(`Invalid category "${category}" (expected ${CLUSTERED_CATEGORIES.join(', ')})`);
+  }
+}
+
+// jsonb comes back parsed, SQLite hands back the text
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// ===============================================
+// CLUSTERING
+// ===============================================
+
+// Profiles scaled to length 1, so a frequent token doesn't outweigh
+// the rest of its cluster; null for a token without neighbours
+function unitProfile(profile) {
+  let norm = 0;
+  for (const side of PROFILE_SIDES) {
+    for (const count of Object.values(profile[side])) norm += count * count;
+  }
+  if (norm === 0) return null;
+  norm = Math.sqrt(norm);
+  return Object.fromEntries(PROFILE_SIDES.map(side => [
+    side,
+    Object.fromEntries(Object.entries(profile[side]).map(([word, count]) => [word, count / norm]))
+  ]));
+}
+
+function addToCentre(centre, unit) {
+  for (const side of PROFILE_SIDES) {
+    for (const [word, value] of Object.entries(unit[side])) {
+      centre[side][word] = (centre[side][word] || 0) + value;
+    }
+  }
+  return centre;
+}
+
+function centreOf(units) {
+  return units.reduce(addToCentre, { l: {}, r: {} });
+}
+
+function closestCentre(unit, centres, minSimilarity) {
+  let best = -1;
+  let bestSimilarity = 0;
+  centres.forEach((centre, index) => {
+    const { similarity } = profileSimilarity(unit, centre);
+    if (similarity >= minSimilarity && similarity > bestSimilarity) {
+      best = index;
+      bestSimilarity = similarity;
+    }
+  });
+  return best;
+}
+
+// tokens: [{ unit }], most frequent first → [[token index, ...]] of
+// the clusters that reach MIN_SIZE
+function groupTokens(tokens, settings) {
+  let groups = [];
+  const centres = [];
+  const assignment = tokens.map((entry, i) => {
+    const index = closestCentre(entry.unit, centres, settings.MIN_SIMILARITY);
+    if (index === -1) {
+      groups.push([i]);
+      centres.push(centreOf([entry.unit]));
+      return groups.length - 1;
+    }
+    groups[index].push(i);
+    addToCentre(centres[index], entry.unit);
+    return index;
+  });
+
+  for (let pass = 0; pass < settings.PASSES; pass++) {
+    const passCentres = groups.map(members => centreOf(members.map(member => tokens[member].unit)));
+    const next = groups.map(() => []);
+    let moved = 0;
+    tokens.forEach((entry, i) => {
+      const index = closestCentre(entry.unit, passCentres, settings.MIN_SIMILARITY);
+      if (index !== assignment[i]) moved++;
+      assignment[i] = index;
+      if (index !== -1) next[index].push(i);
+    });
+    groups = next;
+    if (moved === 0) break;
+  }
+
+  return groups.filter(members => members.length >= settings.MIN_SIZE);
+}
+
+// Reuses the id of the old cluster holding at least half of a new
+// one's tokens (biggest clusters choose first), else makes one up
+function assignIds(category, groups, tokens) {
+  const taken = new Set();
+  const ids = new Map();
+  let kept = 0;
+  for (const members of [...groups].sort((a, b) => b.length - a.length)) {
+    const counts = new Map();
+    for (const i of members) {
+      const previous = tokens[i].previous;
+      if (previous && !taken.has(previous)) counts.set(previous, (counts.get(previous) || 0) + 1);
+    }
+    const [best, count = 0] = [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0] || [];
+    if (best && count * 2 >= members.length) {
+      taken.add(best);
+      ids.set(members, best);
+      kept++;
+    } else {
+      ids.set(members, `${category}-${uuidv4().slice(0, 8)}`);
+    }
+  }
+  return { ids, kept };
+}
+
+function summarize(members, tokens) {
+  const units = members.map(i => tokens[i].unit);
+  const centre = centreOf(units);
+  const cohesion = units.reduce((sum, unit) => sum + profileSimilarity(unit, centre).similarity, 0) / units.length;
+  const profile = Object.fromEntries(PROFILE_SIDES.map(side => [
+    side,
+    Object.fromEntries(Object.entries(centre[side])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, SUMMARY_SIZE)
+      .map(([word, value]) => [word, Math.round(value / units.length * 1000) / 1000]))
+  ]));
+  return {
+    members: members.slice(0, SUMMARY_SIZE).map(i => tokens[i].token),
+    profile,
+    cohesion: Math.round(cohesion * 1000) / 1000
+  };
+}
+
+// ===============================================
+// RUNS
+// ===============================================
+
+// Regroups one category of the current namespace and stores the
+// result. options: messageIndex (recorded on the cluster rows)
+export async function clusterCategory(category, options = {}) {
+  checkCategory(category);
+  const { messageIndex = null } = options;
+  const settings = config.correlator.SUBCLUSTERS;
+  const db = getStorage();
+
+  const rows = await db.select('aria_token_stats', {
+    columns: ['token', 'neighbors', 'subcluster'],
+    filters: { category, total_occurrences: { gte: settings.MIN_OCCURRENCES } },
+    order: { total_occurrences: 'desc', token: 'asc' },
+    limit: settings.MAX_TOKENS + PLACEHOLDERS.length
+  });
+  const tokens = rows
+    .filter(row => !PLACEHOLDERS.includes(row.token))
+    .slice(0, settings.MAX_TOKENS)
+    .map(row => ({ token: row.token, previous: row.subcluster ?? null, unit: unitProfile(parseNeighborProfile(row.neighbors)) }))
+    .filter(entry => entry.unit !== null);
+
+  const groups = groupTokens(tokens, settings);
+  const { ids, kept } = assignIds(category, groups, tokens);
+  const assigned = new Map();
+  for (const members of groups) {
+    for (const i of members) assigned.set(tokens[i].token, ids.get(members));
+  }
+
+  // Tokens still carrying an old id of this category: dropped out of
+  // a cluster, below MIN_OCCURRENCES now, or moved to another category
+  const previousIds = (await db.select(TABLE, { columns: ['cluster_id'], filters: { category } })).map(row => row.cluster_id);
+  const stale = previousIds.length > 0
+    ? await db.select('aria_token_stats', { columns: ['token', 'subcluster'], filters: { subcluster: { in: previousIds } } })
+    : [];
+
+  const changes = new Map();
+  for (const row of [...tokens.map(entry => ({ token: entry.token, subcluster: entry.previous })), ...stale]) {
+    const subcluster = assigned.get(row.token) ?? null;
+    if (subcluster !== (row.subcluster ?? null)) changes.set(row.token, subcluster);
+  }
+
+  const now = new Date().toISOString();
+  const clusterRows = groups.map(members => ({
+    cluster_id: ids.get(members),
+    category,
+    size: members.length,
+    ...summarize(members, tokens),
+    message_index: messageIndex,
+    updated_at: now
+  }));
+  const current = new Set(clusterRows.map(row => row.cluster_id));
+  const removed = previousIds.filter(id => !current.has(id));
+
+  const operations = [];
+  if (clusterRows.length > 0) {
+    operations.push({ type: 'upsert', table: TABLE, rows: clusterRows, onConflict: ['cluster_id'] });
+  }
+  // Batched removes take equality filters only
+  for (const id of removed) {
+    operations.push({ type: 'remove', table: TABLE, filters: { cluster_id: id } });
+  }
+  for (const [token, subcluster] of changes) {
+    operations.push({ type: 'update', table: 'aria_token_stats', filters: { token }, patch: { subcluster } });
+  }
+  if (operations.length > 0) {
+    await db.batch(operations);
+  }
+
+  return {
+    category,
+    tokens: tokens.length,
+    clusters: clusterRows.length,
+    clustered: assigned.size,
+    kept,
+    removed: removed.length,
+    moved: changes.size
+  };
+}
+
+// Every category but unclassified, one after the other
+export async function clusterAllCategories(options = {}) {
+  const results = [];
+  for (const category of CLUSTERED_CATEGORIES) {
+    results.push(await clusterCategory(category, options));
+  }
+  console.log(`🧩 Subclusters: ${results.map(result => `${result.category} ${result.clusters}`).join(', ')} ` +
+    `(${results.reduce((sum, result) => sum + result.moved, 0)} tokens moved)`);
+  return { categories: results };
+}
+
+// Namespaces with a run in progress
+const running = new Set();
+
+// Starts clusterAllCategories in the background for the current
+// namespace; the correlator calls this every SUBCLUSTERS.INTERVAL
+// messages. Returns the run, or null while one is still going.
+export function scheduleSubclustering(options = {}) {
+  const namespace = getNamespace();
+  if (running.has(namespace)) {
+    console.log(`🧩 Subclustering "${namespace}" is still running, skipped`);
+    return null;
+  }
+
+  running.add(namespace);
+  return clusterAllCategories(options)
+    .catch(error => {
+      console.error('   ❌ Subclustering error:', error.message);
+      return null;
+    })
+    .finally(() => running.delete(namespace));
+}
+
+// ===============================================
+// QUERIES
+// ===============================================
+
+// The category's subclusters, biggest first. options.tokens lists
+// every member (most frequent first) instead of the top SUMMARY_SIZE
+export async function listSubclusters(category, options = {}) {
+  checkCategory(category);
+  const db = getStorage();
+  const rows = await db.select(TABLE, { filters: { category }, order: { size: 'desc', cluster_id: 'asc' } });
+  const clusters = rows.map(row => ({
+    id: row.cluster_id,
+    size: row.size,
+    members: parseJson(row.members),
+    profile: parseJson(row.profile),
+    cohesion: row.cohesion,
+    message_index: row.message_index,
+    updated_at: row.updated_at
+  }));
+
+  if (options.tokens && clusters.length > 0) {
+    const members = await db.select('aria_token_stats', {
+      columns: ['token', 'subcluster'],
+      filters: { subcluster: { in: clusters.map(cluster => cluster.id) } },
+      order: { total_occurrences: 'desc', token: 'asc' }
+    });
+    for (const cluster of clusters) {
+      cluster.tokens = members.filter(row => row.subcluster === cluster.id).map(row => row.token);
+    }
+  }
+
+  return { category, clusters };
+}
+
+export default {
+  CLUSTERED_CATEGORIES,
+  clusterCategory,
+  clusterAllCategories,
+  scheduleSubclustering,
+  listSubclusters
+};
@@ -0,0 +1,126 @@
+// ariaTokenizer.js
+// =============================================
+// ARIA - TOKENIZER
+// =============================================
+// The one place text becomes tokens. The correlator learns from
+// these tokens and the generator looks keywords up with them, so
+// both always agree on what a word is.
+// - Letters and digits of any script (café, naïve, мир, 東京)
+// - Apostrophes and hyphens inside a word: keep, split or strip
+// - Numbers and emoji: keep or drop
+// - A minimum length in characters ("I" and "a" pass at 1)
+// - Placeholders written by ariaPreprocess.js (<url>, <num>...) are
+//   tokens of their own
+// Defaults come from ARIA_TOKEN_* env vars; every function takes an
+// options object that overrides them.
+// =============================================
+
+export const TOKENIZER_MODES = {
+  apostrophes: ['keep', 'split', 'strip'],
+  hyphens: ['keep', 'split', 'strip'],
+  numbers: ['keep', 'drop'],
+  emoji: ['keep', 'drop']
+};
+
+export const TOKENIZER_DEFAULTS = {
+  apostrophes: process.env.ARIA_TOKEN_APOSTROPHES || 'keep',   // don't | don t | dont
+  hyphens: process.env.ARIA_TOKEN_HYPHENS || 'keep',           // well-known | well known | wellknown
+  numbers: process.env.ARIA_TOKEN_NUMBERS || 'keep',
+  emoji: process.env.ARIA_TOKEN_EMOJI || 'drop',
+  minLength: Number(process.env.ARIA_TOKEN_MIN_LENGTH || 1)
+};
+
+// Class tokens that stand in for a URL, email, mention or number
+export const PLACEHOLDERS = ['<url>', '<email>', '<mention>', '<num>'];
+
+// A word: letters, marks and digits, joined by single inner
+// apostrophes or hyphens (quotes and dashes around words don't count)
+const WORD = String.raw`[\p{L}\p{M}\p{N}]+(?:['-][\p{L}\p{M}\p{N}]+)*`;
+// A pictograph with its variation selector, skin tone and ZWJ parts,
+// or a two-letter flag
+const EMOJI = String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic}\uFE0F?)*|\p{Regional_Indicator}{2}`;
+// 3.5 and 1,000 stay one token
+const DECIMAL = String.raw`\p{N}+(?:[.,]\p{N}+)+`;
+const PLACEHOLDER = PLACEHOLDERS.join('|');
+const TOKEN = new RegExp(`(${PLACEHOLDER})|(${EMOJI})|${DECIMAL}|${WORD}`, 'gu');
+const NUMBER = /^\p{N}+(?:[.,'-]\p{N}+)*$/u;
+
+// Typographic apostrophes are stored as the ASCII one
+const APOSTROPHES = /[’ʼ‘]/g;
+
+// Sentence and clause ends (followed by whitespace or the end of the
+// text, so "3.5" and "e.g.x" stay whole) and line breaks. Commas are
+// left alone: they split lists far more often than clauses.
+const SEGMENT_BOUNDARY = /[.!?;:…。！？]+["'”’)\]]*(?=\s|$)|[\r\n]+/u;
+
+function resolveOptions(options) {
+  const resolved = { ...TOKENIZER_DEFAULTS, ...options };
+  for (const [name, modes] of Object.entries(TOKENIZER_MODES)) {
+    if (!modes.includes(resolved[name])) {
+      throw new Error(`Invalid tokenizer ${name} "${resolved[name]}" (expected ${modes.join(', ')})`);
+    }
+  }
+  // NaN would compare false and keep every token, so a typo fails loudly
+  if (!Number.isInteger(resolved.minLength) || resolved.minLength < 1) {
+    throw new Error(`Invalid tokenizer minLength "${resolved.minLength}" (expected a positive integer)`);
+  }
+  return resolved;
+}
+
+// Lowercased NFC with ASCII apostrophes: how a stored token looks
+export function normalizeToken(text) {
+  return String(text).normalize('NFC').toLowerCase().replace(APOSTROPHES, "'");
+}
+
+function applyJoiner(word, joiner, mode) {
+  if (mode === 'keep' || !word.includes(joiner)) return [word];
+  return mode === 'split' ? word.split(joiner) : [word.split(joiner).join('')];
+}
+
+// ===============================================
+// TOKENIZE
+// ===============================================
+
+export function tokenize(text, options = {}) {
+  const config = resolveOptions(options);
+  const tokens = [];
+
+  for (const [match, placeholder, emoji] of normalizeToken(text).matchAll(TOKEN)) {
+    if (placeholder) {
+      tokens.push(placeholder);
+      continue;
+    }
+    if (emoji) {
+      if (config.emoji === 'keep') tokens.push(emoji);
+      continue;
+    }
+
+    const words = applyJoiner(match, "'", config.apostrophes)
+      .flatMap(word => applyJoiner(word, '-', config.hyphens));
+
+    for (const word of words) {
+      if (config.numbers === 'drop' && NUMBER.test(word)) continue;
+      if ([...word].length < config.minLength) continue;
+      tokens.push(word);
+    }
+  }
+
+  return tokens;
+}
+
+// Token lists for each sentence or clause, empty ones dropped
+export function segment(text, options = {}) {
+  return String(text)
+    .split(SEGMENT_BOUNDARY)
+    .map(part => tokenize(part, options))
+    .filter(tokens => tokens.length > 0);
+}
+
+export default {
+  PLACEHOLDERS,
+  TOKENIZER_MODES,
+  TOKENIZER_DEFAULTS,
+  normalizeToken,
+  tokenize,
+  segment
+};
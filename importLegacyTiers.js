@@ -0,0 +1,52 @@
+// importLegacyTiers.js
+// =============================================
+// ARIA - v1 TIER TABLE IMPORT (one-shot)
+// =============================================
+// Copies aria_short/medium/long, aria_decay and aria_phrases into
+// aria_word_pairs, keeping tiers, reinforcement counts and decay
+// schedules. Imported rows are undirected, so follow with the
+// directed pair rebuild:
+//   npm run legacy:import -- --dry-run
+//   npm run legacy:import
+//   npm run pairs:rebuild
+//   npm run legacy:import -- --drop-legacy   (verify, then drop v1 tables)
+//
+// Dropping on Supabase goes through DATABASE_URL, like npm run migrate.
+// =============================================
+
+import { importLegacyTiers } from './ariaCorrelator.js';
+import { getStorage, createStorage, resolveStorageConfig } from './ariaStorage.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const dropLegacy = process.argv.includes('--drop-legacy');
+
+function createSchemaStorage() {
+  const config = resolveStorageConfig();
+
+  if (config.kind !== 'supabase') return getStorage();
+
+  if (!config.connectionString) {
+    throw new Error('Dropping legacy tables on Supabase needs DATABASE_URL (Settings → Database → Connection string)');
+  }
+  return createStorage({ ...config, kind: 'postgres' });
+}
+
+async function run() {
+  const schemaStorage = dropLegacy && !dryRun ? createSchemaStorage() : getStorage();
+
+  try {
+    const report = await importLegacyTiers({ dryRun, dropLegacy, schemaStorage });
+    console.log('');
+    console.log(JSON.stringify(report, null, 2));
+  } finally {
+    if (schemaStorage !== getStorage()) {
+      await schemaStorage.close();
+    }
+    await getStorage().close();
+  }
+}
+
+run().catch(error => {
+  console.error('Legacy tier import failed:', error.message);
+  process.exit(1);
+});
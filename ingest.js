@@ -0,0 +1,243 @@
+// ingest.js
+// =============================================
+// ARIA - BULK INGESTION CLI
+// =============================================
+//   npm run ingest -- corpus.txt                      one message per line
+//   npm run ingest -- books/ --split sentences        every .txt / .md below
+//   npm run ingest -- notes.md --split paragraphs
+//   cat chat.log | npm run ingest -- --user curator   stdin (or "-")
+//   npm run ingest -- corpus.txt --namespace room-42
+//
+// Options:
+//   --split lines|paragraphs|sentences   how input becomes messages
+//   --user <id>          author for source weights (default: ingest)
+//   --namespace <name>   learn into this namespace
+//   --ext txt,md         file types picked up inside directories
+//   --checkpoint <file>  resume offsets (default: .aria-ingest.json)
+//   --restart            ignore saved offsets and start over
+//   --verbose            keep the per-message learning log
+//
+// The byte offset after the last learned message is saved every few
+// seconds and on Ctrl+C; running the same command again resumes
+// there. Finished files are skipped unless they have grown since.
+// Runs against ARIA_STORAGE, like the server.
+// =============================================
+
+import { createReadStream } from 'fs';
+import { readFile, writeFile, rename, readdir, stat } from 'fs/promises';
+import { resolve, relative, extname, join } from 'path';
+import { getStorage, normalizeNamespace } from './ariaStorage.js';
+import { INGEST_SPLITS, splitSegments, ingestSegments } from './ariaIngest.js';
+
+const args = process.argv.slice(2);
+const VALUE_OPTIONS = ['split', 'user', 'namespace', 'ext', 'checkpoint'];
+
+const PROGRESS_INTERVAL_MS = 2000;
+const CHECKPOINT_INTERVAL_MS = 5000;
+
+function readOption(name, fallback = null) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+// Paths are whatever isn't a flag or a flag's value
+const inputs = args.filter((arg, index) =>
+  !arg.startsWith('--') && !VALUE_OPTIONS.some(name => args[index - 1] === `--${name}`));
+
+const log = console.log.bind(console);
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ===============================================
+// CHECKPOINTS
+// ===============================================
+
+async function loadCheckpoints(path) {
+  try {
+    const saved = JSON.parse(await readFile(path, 'utf8'));
+    return saved.sources || {};
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw new Error(`Unreadable checkpoint file ${path}: ${error.message}`);
+  }
+}
+
+// Written beside the target and renamed, so a crash never leaves half a file
+async function saveCheckpoints(path, sources) {
+  const temporary = `${path}.tmp`;
+  await writeFile(temporary, `${JSON.stringify({ version: 1, sources }, null, 2)}\n`);
+  await rename(temporary, path);
+}
+
+// ===============================================
+// INPUTS
+// ===============================================
+
+async function collectFiles(path, extensions) {
+  const info = await stat(path);
+  if (!info.isDirectory()) return [path];
+
+  const files = [];
+  const entries = await readdir(path, { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) continue;
+    const child = join(path, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await collectFiles(child, extensions));
+    } else if (extensions.includes(extname(entry.name).slice(1).toLowerCase())) {
+      files.push(child);
+    }
+  }
+  return files;
+}
+
+// stdin can't seek, so resuming re-reads and drops what was learned
+async function* skipBytes(stream, count) {
+  let remaining = count;
+  for await (const chunk of stream) {
+    if (remaining >= chunk.length) {
+      remaining -= chunk.length;
+      continue;
+    }
+    yield remaining > 0 ? chunk.subarray(remaining) : chunk;
+    remaining = 0;
+  }
+}
+
+// ===============================================
+// RUN
+// ===============================================
+
+async function ingestSource(source, context) {
+  const { label, key, size, open } = source;
+  const { checkpoints, checkpointPath, options, signal } = context;
+
+  const saved = options.restart ? null : checkpoints[key];
+  let offset = saved?.offset || 0;
+  if (size !== null && offset > size) {
+    log(`   ⚠️ ${label} is smaller than its checkpoint - starting over`);
+    offset = 0;
+  }
+  if (size !== null && saved?.done && offset === size) {
+    log(`   ⏭️ ${label} already ingested`);
+    return null;
+  }
+  if (offset > 0) {
+    log(`   ↪️ ${label}: resuming at ${formatBytes(offset)}`);
+  }
+
+  const state = { offset, messages: offset > 0 ? saved.messages || 0 : 0 };
+  const checkpoint = async (done = false) => {
+    checkpoints[key] = { offset: state.offset, size, messages: state.messages, done, updatedAt: new Date().toISOString() };
+    await saveCheckpoints(checkpointPath, checkpoints);
+  };
+
+  const startedAt = Date.now();
+  let lastProgress = startedAt;
+  let lastCheckpoint = startedAt;
+
+  const result = await ingestSegments(splitSegments(open(offset), { split: options.split, offset }), {
+    userId: options.user,
+    namespace: options.namespace,
+    signal,
+    onMessage: async ({ segment, totals }) => {
+      state.offset = segment.end;
+      state.messages++;
+      const now = Date.now();
+
+      if (now - lastProgress >= PROGRESS_INTERVAL_MS) {
+        const rate = totals.messages / ((now - startedAt) / 1000);
+        const share = size ? ` ${((state.offset / size) * 100).toFixed(1)}% (${formatBytes(state.offset)} / ${formatBytes(size)})` : ` ${formatBytes(state.offset)}`;
+        log(`   📥 ${label}: ${totals.messages} messages${share}, ${rate.toFixed(1)} msg/s`);
+        lastProgress = now;
+      }
+      if (now - lastCheckpoint >= CHECKPOINT_INTERVAL_MS) {
+        await checkpoint();
+        lastCheckpoint = now;
+      }
+    }
+  });
+
+  await checkpoint(!result.aborted);
+
+  const seconds = (Date.now() - startedAt) / 1000;
+  log(`   ✅ ${label}: ${result.learned} learned, ${result.skipped} skipped, ` +
+    `${result.newPairs} new pairs, ${result.reinforced} reinforced ` +
+    `(${seconds.toFixed(1)}s, ${(result.messages / Math.max(seconds, 0.001)).toFixed(1)} msg/s)`);
+  return result;
+}
+
+async function run() {
+  const options = {
+    split: readOption('split', 'lines'),
+    user: readOption('user', 'ingest'),
+    namespace: normalizeNamespace(readOption('namespace')),
+    restart: args.includes('--restart')
+  };
+  if (!INGEST_SPLITS.includes(options.split)) {
+    throw new Error(`--split must be one of ${INGEST_SPLITS.join(', ')}`);
+  }
+  const extensions = readOption('ext', 'txt,md').split(',').map(ext => ext.trim().replace(/^\./, '').toLowerCase());
+  const checkpointPath = resolve(readOption('checkpoint', '.aria-ingest.json'));
+
+  const sources = [];
+  if (inputs.length === 0 || inputs.includes('-')) {
+    sources.push({
+      label: 'stdin',
+      key: `${options.namespace}|stdin`,
+      size: null,
+      open: offset => skipBytes(process.stdin, offset)
+    });
+  }
+  for (const input of inputs.filter(input => input !== '-')) {
+    for (const file of await collectFiles(resolve(input), extensions)) {
+      sources.push({
+        label: relative(process.cwd(), file) || file,
+        key: `${options.namespace}|${file}`,
+        size: (await stat(file)).size,
+        open: offset => createReadStream(file, { start: offset })
+      });
+    }
+  }
+  if (sources.length === 0) {
+    throw new Error('No input files found');
+  }
+
+  const controller = new AbortController();
+  process.on('SIGINT', () => {
+    if (controller.signal.aborted) process.exit(130);
+    log('\n   ⏸️ Stopping after the current message (Ctrl+C again to quit now)...');
+    controller.abort();
+  });
+
+  // processMessage logs every step of every message
+  if (!args.includes('--verbose')) {
+    console.log = () => {};
+  }
+
+  log(`\n📚 Ingesting ${sources.length} source(s) by ${options.split} as "${options.user}" into "${options.namespace}"`);
+  const context = { checkpoints: await loadCheckpoints(checkpointPath), checkpointPath, options, signal: controller.signal };
+
+  try {
+    for (const source of sources) {
+      if (controller.signal.aborted) break;
+      await ingestSource(source, context);
+    }
+  } finally {
+    await getStorage().close();
+  }
+
+  if (controller.signal.aborted) {
+    log(`   💾 Progress saved to ${relative(process.cwd(), checkpointPath)} - run the same command to resume`);
+    process.exitCode = 130;
+  }
+}
+
+run().catch(error => {
+  console.error('Ingest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+// memoryBundle.js
+// =============================================
+// ARIA - MEMORY EXPORT / IMPORT CLI
+// =============================================
+//   npm run memory:export                              NDJSON bundle
+//   npm run memory:export -- --format json --out aria.json
+//   npm run memory:export -- --format csv --table pairs --out pairs.csv
+//   npm run memory:import -- aria-memory.ndjson        merge (default)
+//   npm run memory:import -- aria.json --mode replace
+//   npm run memory:import -- aria.json --dry-run       report only
+//   npm run memory:export -- --namespace room-42       one namespace
+//                                                      (default: "default")
+//
+// Runs against ARIA_STORAGE, like the server.
+// =============================================
+
+import { createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { getStorage, withNamespace } from './ariaStorage.js';
+import { EXPORT_FORMATS, serializeBundle, importBundleFile } from './ariaBundle.js';
+
+const args = process.argv.slice(2);
+const command = args[0];
+
+function readOption(name, fallback = null) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? fallback : args[index + 1];
+}
+
+async function exportBundle() {
+  const format = readOption('format', 'ndjson');
+  const table = readOption('table');
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`--format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const out = readOption('out', `aria-${table || 'memory'}-${stamp}.${EXPORT_FORMATS[format].extension}`);
+
+  await pipeline(Readable.from(serializeBundle(format, { table })), createWriteStream(out));
+  console.log(`📤 Exported ${format} to ${out}`);
+}
+
+async function importBundle() {
+  const path = args[1];
+  if (!path || path.startsWith('--')) {
+    throw new Error('import needs a bundle file (e.g. import aria-memory.ndjson)');
+  }
+
+  const report = await importBundleFile(path, {
+    mode: readOption('mode', 'merge'),
+    dryRun: args.includes('--dry-run')
+  });
+  console.log('');
+  console.log(JSON.stringify(report, null, 2));
+}
+
+async function run() {
+  try {
+    await withNamespace(readOption('namespace'), async () => {
+      switch (command) {
+        case 'export':
+          await exportBundle();
+          break;
+        case 'import':
+          await importBundle();
+          break;
+        default:
+          throw new Error(`Unknown command "${command}" (expected export or import)`);
+      }
+    });
+  } finally {
+    await getStorage().close();
+  }
+}
+
+run().catch(error => {
+  console.error('Memory bundle failed:', error.message);
+  process.exit(1);
+});
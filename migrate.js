@@ -0,0 +1,106 @@
+// migrate.js
+// =============================================
+// ARIA - MIGRATION CLI
+// =============================================
+//   npm run migrate                      apply every pending migration
+//   npm run migrate -- up --to 4         apply up to version 4
+//   npm run migrate -- down              roll back the newest migration
+//   npm run migrate -- down --steps 2    roll back the newest two
+//   npm run migrate -- down --to 3       roll back everything above 3
+//   npm run migrate -- status            show applied / pending versions
+//   npm run migrate -- baseline 4        mark 001-004 applied without
+//                                        running them (hand-pasted SQL)
+//
+// Runs against ARIA_STORAGE. Supabase projects are migrated through
+// their Postgres connection string, so set DATABASE_URL as well.
+// =============================================
+
+import { createStorage, resolveStorageConfig } from './ariaStorage.js';
+import {
+  getSchemaStatus,
+  migrateUp,
+  migrateDown,
+  baselineSchema
+} from './ariaMigrations.js';
+
+const args = process.argv.slice(2);
+const command = args[0] && !args[0].startsWith('--') ? args[0] : 'up';
+
+function readOption(name) {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+
+  const value = Number(args[index + 1]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`--${name} needs a whole number`);
+  }
+  return value;
+}
+
+function createMigrationStorage() {
+  const config = resolveStorageConfig();
+
+  if (config.kind === 'supabase') {
+    if (!config.connectionString) {
+      throw new Error('Migrating a Supabase project needs DATABASE_URL (Settings → Database → Connection string)');
+    }
+    return createStorage({ ...config, kind: 'postgres' });
+  }
+
+  return createStorage(config);
+}
+
+function printList(label, migrations) {
+  if (migrations.length === 0) {
+    console.log(`   ${label}: none`);
+    return;
+  }
+  for (const migration of migrations) {
+    console.log(`   ${label}: ${String(migration.version).padStart(3, '0')}_${migration.name}`);
+  }
+}
+
+async function run() {
+  const storage = createMigrationStorage();
+  console.log(`\n🗂️ Migrations (${storage.kind}) — ${command}`);
+
+  try {
+    switch (command) {
+      case 'up':
+        printList('applied', await migrateUp(storage, { to: readOption('to') ?? Infinity }));
+        break;
+
+      case 'down': {
+        const to = readOption('to');
+        printList('rolled back', await migrateDown(storage, { to, steps: readOption('steps') ?? 1 }));
+        break;
+      }
+
+      case 'baseline': {
+        const version = Number(args[1]);
+        if (!Number.isInteger(version)) {
+          throw new Error('baseline needs the version the database is already at (e.g. baseline 4)');
+        }
+        printList('marked', await baselineSchema(storage, version));
+        break;
+      }
+
+      case 'status':
+        break;
+
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down, status or baseline)`);
+    }
+
+    const status = await getSchemaStatus(storage);
+    console.log(`   schema version: ${status.current} / ${status.latest}`);
+    printList('pending', status.pending);
+  } finally {
+    await storage.close();
+  }
+}
+
+run().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
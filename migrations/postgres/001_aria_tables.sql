@@ -3,6 +3,8 @@
 -- Pure word correlation system (no POS, no grammar)
 -- =============================================
 
+-- migrate:up
+
 -- 1. ARIA PURGATORY (temporary word holding)
 CREATE TABLE IF NOT EXISTS aria_purgatory (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -231,5 +233,26 @@ CREATE POLICY "Service manages aria_decay" ON aria_decay FOR ALL USING (true);
 CREATE POLICY "Service manages aria_messages" ON aria_messages FOR ALL USING (true);
 
 -- Allow authenticated users to insert messages
-CREATE POLICY "Auth users insert aria_messages" ON aria_messages 
-  FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+-- (auth.role() only exists on Supabase; plain Postgres skips this policy)
+DO $$
+BEGIN
+  IF to_regprocedure('auth.role()') IS NOT NULL THEN
+    CREATE POLICY "Auth users insert aria_messages" ON aria_messages
+      FOR INSERT WITH CHECK (auth.role() = 'authenticated');
+  END IF;
+END $$;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_messages;
+DROP TABLE IF EXISTS aria_message_counter;
+DROP TABLE IF EXISTS aria_decay;
+DROP TABLE IF EXISTS aria_phrases;
+DROP TABLE IF EXISTS aria_long;
+DROP TABLE IF EXISTS aria_medium;
+DROP TABLE IF EXISTS aria_short;
+DROP TABLE IF EXISTS aria_purgatory;
+
+DROP FUNCTION IF EXISTS aria_update_timestamp();
+DROP FUNCTION IF EXISTS aria_get_message_index();
+DROP FUNCTION IF EXISTS aria_increment_message_counter();
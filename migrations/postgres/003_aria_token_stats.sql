@@ -4,6 +4,8 @@
 -- Implements behavioral category emergence
 -- =============================================
 
+-- migrate:up
+
 -- 1. TOKEN STATISTICS TABLE
 -- Tracks behavioral patterns to derive categories
 CREATE TABLE IF NOT EXISTS aria_token_stats (
@@ -227,3 +229,14 @@ CREATE POLICY "Service manages aria_temporal_markers" ON aria_temporal_markers F
 -- 3. Two-word pairs are the ONLY direct correlations
 -- 4. Longer phrases emerge from overlapping pairs
 -- =============================================
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_temporal_markers;
+DROP TABLE IF EXISTS aria_token_positions;
+DROP TABLE IF EXISTS aria_global_stats;
+DROP TABLE IF EXISTS aria_word_pairs;
+DROP TABLE IF EXISTS aria_token_stats;
+
+DROP FUNCTION IF EXISTS aria_get_global_stats();
+DROP FUNCTION IF EXISTS aria_update_global_stats(integer, integer, float, integer);
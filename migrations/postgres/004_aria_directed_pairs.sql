@@ -0,0 +1,40 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 004: Directed Word Pairs
+-- Word order is kept: "weather is" ≠ "is weather"
+-- =============================================
+
+-- migrate:up
+
+-- 1. DIRECTION FLAG
+-- Existing rows were keyed by sorted tokens ("is_weather") and lost
+-- their word order, so they start out undirected. Rows created from
+-- now on are keyed "tokenA->tokenB" in message order.
+ALTER TABLE aria_word_pairs ADD COLUMN IF NOT EXISTS directed boolean NOT NULL DEFAULT false;
+ALTER TABLE aria_word_pairs ALTER COLUMN directed SET DEFAULT true;
+
+COMMENT ON COLUMN aria_word_pairs.pattern_key IS
+  'tokenA->tokenB in message order (legacy undirected rows: tokenA_tokenB sorted)';
+
+-- 2. DIRECTIONAL LOOKUPS
+-- Forward walks look up by token_a, backward walks by token_b
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_token_a ON aria_word_pairs(token_a);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_token_b ON aria_word_pairs(token_b);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_undirected ON aria_word_pairs(directed) WHERE directed = false;
+
+-- =============================================
+-- MIGRATION COMPLETE
+-- =============================================
+-- Then rebuild word order for the legacy rows from aria_purgatory:
+--   npm run pairs:rebuild -- --dry-run   (report only)
+--   npm run pairs:rebuild
+-- =============================================
+
+-- migrate:down
+-- Directed "a->b" keys stay as they are; only the flag and indexes go.
+
+DROP INDEX IF EXISTS idx_aria_word_pairs_undirected;
+DROP INDEX IF EXISTS idx_aria_word_pairs_token_b;
+DROP INDEX IF EXISTS idx_aria_word_pairs_token_a;
+COMMENT ON COLUMN aria_word_pairs.pattern_key IS NULL;
+ALTER TABLE aria_word_pairs DROP COLUMN IF EXISTS directed;
@@ -0,0 +1,125 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 005: Batched Writes
+-- One RPC applies a whole message's writes in one transaction
+-- =============================================
+
+-- migrate:up
+
+-- 1. BATCH RPC
+-- operations is a JSON array of:
+--   { "type": "insert", "table": "...", "rows": [...] }
+--   { "type": "upsert", "table": "...", "rows": [...], "onConflict": ["col"] }
+--   { "type": "update", "table": "...", "filters": { "col": value }, "patch": {...} }
+--   { "type": "remove", "table": "...", "filters": { "col": value } }
+-- Filters are equality only. Rows in one operation should share the
+-- same columns: a column missing from one row is written as NULL.
+-- Any failure raises and rolls back every operation in the call.
+-- Returns one entry per operation: written rows, or the removed count.
+CREATE OR REPLACE FUNCTION aria_apply_batch(operations jsonb)
+RETURNS jsonb AS $$
+DECLARE
+  op jsonb;
+  tbl text;
+  statement text;
+  col_list text;
+  set_list text;
+  conflict_list text;
+  where_list text;
+  affected jsonb;
+  results jsonb := '[]'::jsonb;
+BEGIN
+  FOR op IN SELECT value FROM jsonb_array_elements(operations) LOOP
+    tbl := op->>'table';
+
+    IF tbl IS NULL OR tbl NOT LIKE 'aria\_%' THEN
+      RAISE EXCEPTION 'aria_apply_batch: "%" is not an ARIA table', tbl;
+    END IF;
+
+    IF op->>'type' IN ('insert', 'upsert') THEN
+      IF COALESCE(jsonb_array_length(op->'rows'), 0) = 0 THEN
+        results := results || jsonb_build_array('[]'::jsonb);
+        CONTINUE;
+      END IF;
+
+      SELECT string_agg(quote_ident(key), ', ')
+      INTO col_list
+      FROM (
+        SELECT DISTINCT jsonb_object_keys(row_data) AS key
+        FROM jsonb_array_elements(op->'rows') AS rows(row_data)
+      ) keys;
+
+      statement := format(
+        'INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_recordset(NULL::%I, $1)',
+        tbl, col_list, col_list, tbl
+      );
+
+      IF op->>'type' = 'upsert' THEN
+        SELECT string_agg(quote_ident(value), ', ')
+        INTO conflict_list
+        FROM jsonb_array_elements_text(op->'onConflict');
+
+        SELECT string_agg(format('%1$I = EXCLUDED.%1$I', key), ', ')
+        INTO set_list
+        FROM (
+          SELECT DISTINCT jsonb_object_keys(row_data) AS key
+          FROM jsonb_array_elements(op->'rows') AS rows(row_data)
+        ) keys
+        WHERE key NOT IN ('id', 'created_at')
+          AND NOT (op->'onConflict' ? key);
+
+        statement := statement || format(
+          ' ON CONFLICT (%s) %s',
+          conflict_list,
+          CASE WHEN set_list IS NULL THEN 'DO NOTHING' ELSE 'DO UPDATE SET ' || set_list END
+        );
+      END IF;
+
+      EXECUTE format(
+        'WITH written AS (%s RETURNING *) SELECT COALESCE(jsonb_agg(to_jsonb(written)), ''[]''::jsonb) FROM written',
+        statement
+      ) INTO affected USING op->'rows';
+
+    ELSIF op->>'type' IN ('update', 'remove') THEN
+      SELECT string_agg(format('%1$I = (jsonb_populate_record(NULL::%2$I, $2)).%1$I', key, tbl), ' AND ')
+      INTO where_list
+      FROM jsonb_object_keys(op->'filters') AS key;
+
+      IF where_list IS NULL THEN
+        RAISE EXCEPTION 'aria_apply_batch: % on % needs filters', op->>'type', tbl;
+      END IF;
+
+      IF op->>'type' = 'update' THEN
+        SELECT string_agg(format('%1$I = (jsonb_populate_record(NULL::%2$I, $1)).%1$I', key, tbl), ', ')
+        INTO set_list
+        FROM jsonb_object_keys(op->'patch') AS key;
+
+        EXECUTE format(
+          'WITH written AS (UPDATE %I SET %s WHERE %s RETURNING *) SELECT COALESCE(jsonb_agg(to_jsonb(written)), ''[]''::jsonb) FROM written',
+          tbl, set_list, where_list
+        ) INTO affected USING op->'patch', op->'filters';
+      ELSE
+        EXECUTE format(
+          'WITH removed AS (DELETE FROM %I WHERE %s RETURNING 1) SELECT to_jsonb(count(*)) FROM removed',
+          tbl, where_list
+        ) INTO affected USING NULL::jsonb, op->'filters';
+      END IF;
+
+    ELSE
+      RAISE EXCEPTION 'aria_apply_batch: unsupported operation "%"', op->>'type';
+    END IF;
+
+    results := results || jsonb_build_array(affected);
+  END LOOP;
+
+  RETURN results;
+END;
+$$ LANGUAGE plpgsql;
+
+-- =============================================
+-- MIGRATION COMPLETE
+-- =============================================
+
+-- migrate:down
+
+DROP FUNCTION IF EXISTS aria_apply_batch(jsonb);
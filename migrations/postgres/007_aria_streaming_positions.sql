@@ -0,0 +1,72 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 007: Streaming Positional Statistics
+-- Mean and variance come from running sums on aria_token_stats
+-- =============================================
+
+-- migrate:up
+
+-- 1. RUNNING SUMS
+-- Added to per occurrence like the other counters. relative_* track
+-- position / (message length - 1) for ARIA_NORMALIZE_POSITIONS.
+ALTER TABLE aria_token_stats
+  ADD COLUMN IF NOT EXISTS position_count integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS position_sum double precision DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS position_sum_sq double precision DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS relative_position_sum double precision DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS relative_position_sum_sq double precision DEFAULT 0;
+
+ALTER TABLE aria_global_stats
+  ADD COLUMN IF NOT EXISTS max_relative_variance double precision DEFAULT 0;
+
+-- 2. BACKFILL FROM THE POSITION LOG
+-- Every logged message is complete, so its last position gives its length.
+-- From here on the log is pruned to ARIA_POSITION_RETENTION messages.
+WITH message_lengths AS (
+  SELECT message_index, MAX(position) AS last_position
+  FROM aria_token_positions
+  GROUP BY message_index
+),
+position_sums AS (
+  SELECT
+    p.token,
+    COUNT(*) AS n,
+    SUM(p.position) AS s,
+    SUM(p.position * p.position) AS sq,
+    SUM(CASE WHEN l.last_position > 0 THEN p.position::double precision / l.last_position ELSE 0 END) AS rs,
+    SUM(CASE WHEN l.last_position > 0 THEN (p.position::double precision / l.last_position) ^ 2 ELSE 0 END) AS rsq
+  FROM aria_token_positions p
+  JOIN message_lengths l USING (message_index)
+  GROUP BY p.token
+)
+UPDATE aria_token_stats t
+SET position_count = ps.n,
+    position_sum = ps.s,
+    position_sum_sq = ps.sq,
+    relative_position_sum = ps.rs,
+    relative_position_sum_sq = ps.rsq,
+    positional_variance = CASE
+      WHEN ps.n > 1 THEN GREATEST(0, ps.sq::double precision / ps.n - (ps.s::double precision / ps.n) ^ 2)
+      ELSE 0
+    END
+FROM position_sums ps
+WHERE ps.token = t.token;
+
+UPDATE aria_global_stats
+SET max_relative_variance = COALESCE((
+  SELECT MAX(relative_position_sum_sq / position_count - (relative_position_sum / position_count) ^ 2)
+  FROM aria_token_stats
+  WHERE position_count > 1
+), 0)
+WHERE id = 1;
+
+-- migrate:down
+
+ALTER TABLE aria_global_stats DROP COLUMN IF EXISTS max_relative_variance;
+
+ALTER TABLE aria_token_stats
+  DROP COLUMN IF EXISTS relative_position_sum_sq,
+  DROP COLUMN IF EXISTS relative_position_sum,
+  DROP COLUMN IF EXISTS position_sum_sq,
+  DROP COLUMN IF EXISTS position_sum,
+  DROP COLUMN IF EXISTS position_count;
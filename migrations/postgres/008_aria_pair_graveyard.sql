@@ -0,0 +1,66 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 008: Pair Graveyard Lifecycle
+-- Decayed pairs are resurrected when seen again and archived
+-- once they have been dead long enough
+-- =============================================
+
+-- migrate:up
+
+-- 1. DECAY HISTORY ON PAIRS
+-- Kept when a pair is resurrected, so a row remembers how often it died
+ALTER TABLE aria_word_pairs
+  ADD COLUMN IF NOT EXISTS graveyard_count integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS decayed_at_message integer,
+  ADD COLUMN IF NOT EXISTS resurrection_count integer DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS resurrected_at_message integer;
+
+-- Pairs already in the graveyard died around their last decay check
+UPDATE aria_word_pairs
+SET graveyard_count = 1,
+    decayed_at_message = decay_at_message
+WHERE tier = 'decay';
+
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_graveyard
+  ON aria_word_pairs(decayed_at_message) WHERE tier = 'decay';
+
+-- 2. ARCHIVE
+-- Compacted graveyard rows: counts and history, no tier or schedule
+CREATE TABLE IF NOT EXISTS aria_pair_archive (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  pattern_key text UNIQUE NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed boolean NOT NULL DEFAULT true,
+  frequency integer DEFAULT 0,
+  strength float DEFAULT 0,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 0,
+  decay_count integer DEFAULT 0,
+  graveyard_count integer DEFAULT 0,
+  resurrection_count integer DEFAULT 0,
+  decayed_at_message integer,
+  last_seen_message_index integer NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  archived_at_message integer NOT NULL,
+  archived_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_pair_archive_token_a ON aria_pair_archive(token_a);
+CREATE INDEX IF NOT EXISTS idx_aria_pair_archive_token_b ON aria_pair_archive(token_b);
+
+ALTER TABLE aria_pair_archive ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_pair_archive" ON aria_pair_archive FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_pair_archive" ON aria_pair_archive FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_pair_archive;
+
+DROP INDEX IF EXISTS idx_aria_word_pairs_graveyard;
+
+ALTER TABLE aria_word_pairs
+  DROP COLUMN IF EXISTS resurrected_at_message,
+  DROP COLUMN IF EXISTS resurrection_count,
+  DROP COLUMN IF EXISTS decayed_at_message,
+  DROP COLUMN IF EXISTS graveyard_count;
@@ -0,0 +1,50 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 009: Named Memory Snapshots
+-- Copies of token stats, pairs, the pair archive and global stats
+-- that memory can be compared against and rolled back to
+-- =============================================
+
+-- migrate:up
+
+-- 1. SNAPSHOTS
+-- completed_at stays NULL until every row is copied; rollback
+-- refuses incomplete snapshots
+CREATE TABLE IF NOT EXISTS aria_snapshots (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text UNIQUE NOT NULL,
+  auto boolean NOT NULL DEFAULT false,
+  message_index integer NOT NULL,
+  token_count integer,
+  pair_count integer,
+  archive_count integer,
+  global_stats jsonb,
+  created_at timestamptz DEFAULT now(),
+  completed_at timestamptz
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_snapshots_auto ON aria_snapshots(auto, message_index);
+
+-- 2. SNAPSHOT ROWS
+-- One row per token (kind 'token'), pair ('pair') or archived pair
+-- ('archive'), stored as it was exported
+CREATE TABLE IF NOT EXISTS aria_snapshot_rows (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  snapshot_id uuid NOT NULL REFERENCES aria_snapshots(id) ON DELETE CASCADE,
+  kind text NOT NULL,
+  row_key text NOT NULL,
+  data jsonb NOT NULL,
+  UNIQUE(snapshot_id, kind, row_key)
+);
+
+ALTER TABLE aria_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE aria_snapshot_rows ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_snapshots" ON aria_snapshots FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_snapshots" ON aria_snapshots FOR ALL USING (true);
+CREATE POLICY "Anyone can read aria_snapshot_rows" ON aria_snapshot_rows FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_snapshot_rows" ON aria_snapshot_rows FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_snapshot_rows;
+DROP TABLE IF EXISTS aria_snapshots;
@@ -0,0 +1,217 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 010: Namespaces
+-- Learned state is kept per room, channel or tenant. Existing rows
+-- become the 'default' namespace.
+-- =============================================
+
+-- migrate:up
+
+-- 1. NAMESPACE COLUMNS
+ALTER TABLE aria_token_stats ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_word_pairs ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_pair_archive ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_token_positions ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_purgatory ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_global_stats ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_message_counter ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_snapshots ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+
+-- Which room a chat message was posted in; the poller learns into it
+ALTER TABLE aria_messages ADD COLUMN IF NOT EXISTS namespace text NOT NULL DEFAULT 'default';
+
+-- 2. KEYS PER NAMESPACE
+ALTER TABLE aria_token_stats DROP CONSTRAINT IF EXISTS aria_token_stats_token_key;
+ALTER TABLE aria_token_stats ADD CONSTRAINT aria_token_stats_namespace_token_key UNIQUE (namespace, token);
+
+ALTER TABLE aria_word_pairs DROP CONSTRAINT IF EXISTS aria_word_pairs_pattern_key_key;
+ALTER TABLE aria_word_pairs ADD CONSTRAINT aria_word_pairs_namespace_pattern_key_key UNIQUE (namespace, pattern_key);
+
+ALTER TABLE aria_pair_archive DROP CONSTRAINT IF EXISTS aria_pair_archive_pattern_key_key;
+ALTER TABLE aria_pair_archive ADD CONSTRAINT aria_pair_archive_namespace_pattern_key_key UNIQUE (namespace, pattern_key);
+
+ALTER TABLE aria_snapshots DROP CONSTRAINT IF EXISTS aria_snapshots_name_key;
+ALTER TABLE aria_snapshots ADD CONSTRAINT aria_snapshots_namespace_name_key UNIQUE (namespace, name);
+
+-- One global stats row and one counter per namespace; id stays 1
+ALTER TABLE aria_global_stats DROP CONSTRAINT IF EXISTS aria_global_stats_pkey;
+ALTER TABLE aria_global_stats ADD PRIMARY KEY (namespace);
+
+ALTER TABLE aria_message_counter DROP CONSTRAINT IF EXISTS aria_message_counter_pkey;
+ALTER TABLE aria_message_counter ADD PRIMARY KEY (namespace);
+
+-- 3. INDEXES
+DROP INDEX IF EXISTS idx_aria_snapshots_auto;
+CREATE INDEX IF NOT EXISTS idx_aria_snapshots_auto ON aria_snapshots(namespace, auto, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_token_positions_namespace ON aria_token_positions(namespace, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_purgatory_namespace ON aria_purgatory(namespace, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_messages_namespace ON aria_messages(namespace, created_at DESC);
+
+-- 4. COUNTER FUNCTIONS
+-- A namespace's first message creates its counter row
+DROP FUNCTION IF EXISTS aria_increment_message_counter();
+CREATE OR REPLACE FUNCTION aria_increment_message_counter(p_namespace text DEFAULT 'default')
+RETURNS int AS $$
+  INSERT INTO aria_message_counter (id, namespace, current_index)
+  VALUES (1, p_namespace, 1)
+  ON CONFLICT (namespace) DO UPDATE
+  SET current_index = aria_message_counter.current_index + 1,
+      last_updated = now()
+  RETURNING current_index;
+$$ LANGUAGE sql;
+
+DROP FUNCTION IF EXISTS aria_get_message_index();
+CREATE OR REPLACE FUNCTION aria_get_message_index(p_namespace text DEFAULT 'default')
+RETURNS int AS $$
+  SELECT COALESCE(
+    (SELECT current_index FROM aria_message_counter WHERE namespace = p_namespace),
+    0
+  );
+$$ LANGUAGE sql;
+
+-- The 003 global stats helpers predate namespaces: they read and
+-- write the default namespace only
+CREATE OR REPLACE FUNCTION aria_update_global_stats(
+  add_contexts integer DEFAULT 0,
+  add_adj_windows integer DEFAULT 0,
+  new_max_variance float DEFAULT NULL,
+  add_tokens integer DEFAULT 0
+)
+RETURNS void AS $$
+BEGIN
+  UPDATE aria_global_stats
+  SET
+    total_contexts_seen = total_contexts_seen + add_contexts,
+    total_adj_windows = total_adj_windows + add_adj_windows,
+    max_positional_variance = GREATEST(max_positional_variance, COALESCE(new_max_variance, max_positional_variance)),
+    total_tokens_seen = total_tokens_seen + add_tokens,
+    updated_at = now()
+  WHERE namespace = 'default';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION aria_get_global_stats()
+RETURNS TABLE (
+  total_contexts_seen integer,
+  total_adj_windows integer,
+  max_positional_variance float,
+  total_tokens_seen integer
+) AS $$
+BEGIN
+  RETURN QUERY SELECT
+    g.total_contexts_seen,
+    g.total_adj_windows,
+    g.max_positional_variance,
+    g.total_tokens_seen
+  FROM aria_global_stats g WHERE g.namespace = 'default';
+END;
+$$ LANGUAGE plpgsql;
+
+-- migrate:down
+
+-- Only the default namespace fits the single-space schema
+DELETE FROM aria_snapshots WHERE namespace <> 'default';
+DELETE FROM aria_token_stats WHERE namespace <> 'default';
+DELETE FROM aria_word_pairs WHERE namespace <> 'default';
+DELETE FROM aria_pair_archive WHERE namespace <> 'default';
+DELETE FROM aria_token_positions WHERE namespace <> 'default';
+DELETE FROM aria_purgatory WHERE namespace <> 'default';
+DELETE FROM aria_global_stats WHERE namespace <> 'default';
+DELETE FROM aria_message_counter WHERE namespace <> 'default';
+
+CREATE OR REPLACE FUNCTION aria_update_global_stats(
+  add_contexts integer DEFAULT 0,
+  add_adj_windows integer DEFAULT 0,
+  new_max_variance float DEFAULT NULL,
+  add_tokens integer DEFAULT 0
+)
+RETURNS void AS $$
+BEGIN
+  UPDATE aria_global_stats
+  SET
+    total_contexts_seen = total_contexts_seen + add_contexts,
+    total_adj_windows = total_adj_windows + add_adj_windows,
+    max_positional_variance = GREATEST(max_positional_variance, COALESCE(new_max_variance, max_positional_variance)),
+    total_tokens_seen = total_tokens_seen + add_tokens,
+    updated_at = now()
+  WHERE id = 1;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION aria_get_global_stats()
+RETURNS TABLE (
+  total_contexts_seen integer,
+  total_adj_windows integer,
+  max_positional_variance float,
+  total_tokens_seen integer
+) AS $$
+BEGIN
+  RETURN QUERY SELECT
+    g.total_contexts_seen,
+    g.total_adj_windows,
+    g.max_positional_variance,
+    g.total_tokens_seen
+  FROM aria_global_stats g WHERE g.id = 1;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS aria_get_message_index(text);
+CREATE OR REPLACE FUNCTION aria_get_message_index()
+RETURNS int AS $$
+DECLARE
+  idx int;
+BEGIN
+  SELECT current_index INTO idx FROM aria_message_counter WHERE id = 1;
+  RETURN COALESCE(idx, 0);
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS aria_increment_message_counter(text);
+CREATE OR REPLACE FUNCTION aria_increment_message_counter()
+RETURNS int AS $$
+DECLARE
+  new_index int;
+BEGIN
+  UPDATE aria_message_counter
+  SET current_index = current_index + 1,
+      last_updated = now()
+  WHERE id = 1
+  RETURNING current_index INTO new_index;
+
+  RETURN new_index;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP INDEX IF EXISTS idx_aria_messages_namespace;
+DROP INDEX IF EXISTS idx_aria_purgatory_namespace;
+DROP INDEX IF EXISTS idx_aria_token_positions_namespace;
+DROP INDEX IF EXISTS idx_aria_snapshots_auto;
+CREATE INDEX IF NOT EXISTS idx_aria_snapshots_auto ON aria_snapshots(auto, message_index);
+
+ALTER TABLE aria_message_counter DROP CONSTRAINT IF EXISTS aria_message_counter_pkey;
+ALTER TABLE aria_message_counter ADD PRIMARY KEY (id);
+
+ALTER TABLE aria_global_stats DROP CONSTRAINT IF EXISTS aria_global_stats_pkey;
+ALTER TABLE aria_global_stats ADD PRIMARY KEY (id);
+
+ALTER TABLE aria_snapshots DROP CONSTRAINT IF EXISTS aria_snapshots_namespace_name_key;
+ALTER TABLE aria_snapshots ADD CONSTRAINT aria_snapshots_name_key UNIQUE (name);
+
+ALTER TABLE aria_pair_archive DROP CONSTRAINT IF EXISTS aria_pair_archive_namespace_pattern_key_key;
+ALTER TABLE aria_pair_archive ADD CONSTRAINT aria_pair_archive_pattern_key_key UNIQUE (pattern_key);
+
+ALTER TABLE aria_word_pairs DROP CONSTRAINT IF EXISTS aria_word_pairs_namespace_pattern_key_key;
+ALTER TABLE aria_word_pairs ADD CONSTRAINT aria_word_pairs_pattern_key_key UNIQUE (pattern_key);
+
+ALTER TABLE aria_token_stats DROP CONSTRAINT IF EXISTS aria_token_stats_namespace_token_key;
+ALTER TABLE aria_token_stats ADD CONSTRAINT aria_token_stats_token_key UNIQUE (token);
+
+ALTER TABLE aria_messages DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_snapshots DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_message_counter DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_global_stats DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_purgatory DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_token_positions DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_pair_archive DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_word_pairs DROP COLUMN IF EXISTS namespace;
+ALTER TABLE aria_token_stats DROP COLUMN IF EXISTS namespace;
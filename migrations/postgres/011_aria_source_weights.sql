@@ -0,0 +1,56 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 011: Per-Source Learning Weights
+-- A multiplier per user, role or bot id. Weighted messages add
+-- fractional amounts to token counters, so those become floats.
+-- =============================================
+
+-- migrate:up
+
+-- 1. SOURCE WEIGHTS
+-- Shared by every namespace: an author is trusted (or not) everywhere
+CREATE TABLE IF NOT EXISTS aria_source_weights (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  source_type text NOT NULL CHECK (source_type IN ('user', 'role', 'bot')),
+  source_id text NOT NULL,
+  weight double precision NOT NULL CHECK (weight >= 0),
+  note text,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(source_type, source_id)
+);
+
+ALTER TABLE aria_source_weights ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_source_weights" ON aria_source_weights FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_source_weights" ON aria_source_weights FOR ALL USING (true);
+
+-- 2. AUTHOR ROLE
+-- Set by the chat app (e.g. 'curator'); matched against role weights
+ALTER TABLE aria_messages ADD COLUMN IF NOT EXISTS user_role text;
+
+-- 3. FRACTIONAL TOKEN COUNTERS
+ALTER TABLE aria_token_stats
+  ALTER COLUMN total_occurrences TYPE double precision,
+  ALTER COLUMN context_count TYPE double precision,
+  ALTER COLUMN bridge_count TYPE double precision,
+  ALTER COLUMN temporal_adj_count TYPE double precision,
+  ALTER COLUMN adjacent_to_stable TYPE double precision,
+  ALTER COLUMN contrast_pair_count TYPE double precision,
+  ALTER COLUMN standalone_count TYPE double precision,
+  ALTER COLUMN position_count TYPE double precision;
+
+-- migrate:down
+
+ALTER TABLE aria_token_stats
+  ALTER COLUMN total_occurrences TYPE integer USING round(total_occurrences)::integer,
+  ALTER COLUMN context_count TYPE integer USING round(context_count)::integer,
+  ALTER COLUMN bridge_count TYPE integer USING round(bridge_count)::integer,
+  ALTER COLUMN temporal_adj_count TYPE integer USING round(temporal_adj_count)::integer,
+  ALTER COLUMN adjacent_to_stable TYPE integer USING round(adjacent_to_stable)::integer,
+  ALTER COLUMN contrast_pair_count TYPE integer USING round(contrast_pair_count)::integer,
+  ALTER COLUMN standalone_count TYPE integer USING round(standalone_count)::integer,
+  ALTER COLUMN position_count TYPE integer USING round(position_count)::integer;
+
+ALTER TABLE aria_messages DROP COLUMN IF EXISTS user_role;
+
+DROP TABLE IF EXISTS aria_source_weights;
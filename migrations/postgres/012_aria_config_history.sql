@@ -0,0 +1,28 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 012: Configuration History
+-- One row per runtime configuration change (PUT /api/config or an
+-- edit to the config file), with every setting's old and new value.
+-- =============================================
+
+-- migrate:up
+
+-- Shared by every namespace, like the configuration itself
+CREATE TABLE IF NOT EXISTS aria_config_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  actor text,
+  source text NOT NULL CHECK (source IN ('api', 'file')),
+  changes jsonb NOT NULL,
+  note text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_config_history_created ON aria_config_history(created_at DESC);
+
+ALTER TABLE aria_config_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_config_history" ON aria_config_history FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_config_history" ON aria_config_history FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_config_history;
@@ -0,0 +1,44 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 013: Editable Lexicons
+-- Contrast pairs move out of the correlator into a table, next to
+-- the temporal markers seeded by 003. The purgatory log keeps each
+-- word's sentence segment and the message's source weight, so the
+-- counters a lexicon edit changes can be recounted from it.
+-- =============================================
+
+-- migrate:up
+
+-- 1. CONTRAST PAIRS
+-- Shared by every namespace; each pair stored once, alphabetically
+CREATE TABLE IF NOT EXISTS aria_contrast_pairs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  word_a text NOT NULL,
+  word_b text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE(word_a, word_b),
+  CHECK (word_a < word_b)
+);
+
+INSERT INTO aria_contrast_pairs (word_a, word_b) VALUES
+  ('bad', 'good'), ('big', 'small'), ('cold', 'hot'), ('fast', 'slow'),
+  ('new', 'old'), ('high', 'low'), ('dark', 'light'), ('happy', 'sad'),
+  ('strong', 'weak'), ('hard', 'soft'), ('loud', 'quiet'), ('clean', 'dirty'),
+  ('poor', 'rich'), ('dangerous', 'safe'), ('empty', 'full'), ('long', 'short'),
+  ('thick', 'thin'), ('narrow', 'wide'), ('deep', 'shallow'), ('old', 'young')
+ON CONFLICT (word_a, word_b) DO NOTHING;
+
+ALTER TABLE aria_contrast_pairs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_contrast_pairs" ON aria_contrast_pairs FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_contrast_pairs" ON aria_contrast_pairs FOR ALL USING (true);
+
+-- 2. RECOUNT DETAILS IN THE WORD LOG
+ALTER TABLE aria_purgatory ADD COLUMN IF NOT EXISTS segment integer;
+ALTER TABLE aria_purgatory ADD COLUMN IF NOT EXISTS weight double precision;
+
+-- migrate:down
+
+ALTER TABLE aria_purgatory DROP COLUMN IF EXISTS weight;
+ALTER TABLE aria_purgatory DROP COLUMN IF EXISTS segment;
+
+DROP TABLE IF EXISTS aria_contrast_pairs;
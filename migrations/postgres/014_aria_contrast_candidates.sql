@@ -0,0 +1,38 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 014: Contrast Pair Candidates
+-- Pairs of tokens with near-identical neighbours that are rarely
+-- adjacent, found per namespace by ariaContrasts.js and kept for
+-- review. Approved pairs are copied into aria_contrast_pairs.
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_contrast_candidates (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace text NOT NULL DEFAULT 'default',
+  word_a text NOT NULL,
+  word_b text NOT NULL,
+  confidence double precision NOT NULL DEFAULT 0,
+  similarity double precision NOT NULL DEFAULT 0,
+  shared_contexts integer NOT NULL DEFAULT 0,
+  adjacent_count double precision NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  message_index integer,
+  reviewed_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(namespace, word_a, word_b),
+  CHECK (word_a < word_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_contrast_candidates_confidence
+  ON aria_contrast_candidates(namespace, status, confidence DESC);
+
+ALTER TABLE aria_contrast_candidates ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_contrast_candidates" ON aria_contrast_candidates FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_contrast_candidates" ON aria_contrast_candidates FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_contrast_candidates;
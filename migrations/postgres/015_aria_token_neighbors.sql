@@ -0,0 +1,15 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 015: Neighbour Profiles
+-- Each token's heaviest left and right neighbours, kept compact as
+-- { "l": { word: count }, "r": { word: count } } for the similarity
+-- API (ariaSimilarity.js). Filled in as tokens are seen again.
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_token_stats ADD COLUMN IF NOT EXISTS neighbors jsonb;
+
+-- migrate:down
+
+ALTER TABLE aria_token_stats DROP COLUMN IF EXISTS neighbors;
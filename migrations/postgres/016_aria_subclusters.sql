@@ -0,0 +1,43 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 016: Subclusters
+-- Groups of tokens inside a category with alike neighbour profiles,
+-- found per namespace by ariaSubclusters.js. Each token row carries
+-- the generated id of its group (null = unclustered); each group is
+-- summarized here with its most frequent tokens and centre.
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_token_stats ADD COLUMN IF NOT EXISTS subcluster text;
+
+CREATE INDEX IF NOT EXISTS idx_aria_token_stats_subcluster
+  ON aria_token_stats(namespace, subcluster);
+
+CREATE TABLE IF NOT EXISTS aria_subclusters (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace text NOT NULL DEFAULT 'default',
+  cluster_id text NOT NULL,
+  category text NOT NULL,
+  size integer NOT NULL DEFAULT 0,
+  members jsonb NOT NULL DEFAULT '[]',
+  profile jsonb NOT NULL DEFAULT '{}',
+  cohesion double precision NOT NULL DEFAULT 0,
+  message_index integer,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  UNIQUE(namespace, cluster_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_subclusters_category
+  ON aria_subclusters(namespace, category, size DESC);
+
+ALTER TABLE aria_subclusters ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_subclusters" ON aria_subclusters FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_subclusters" ON aria_subclusters FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_subclusters;
+DROP INDEX IF EXISTS idx_aria_token_stats_subcluster;
+ALTER TABLE aria_token_stats DROP COLUMN IF EXISTS subcluster;
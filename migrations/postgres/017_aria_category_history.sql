@@ -0,0 +1,38 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 017: Category History
+-- Every confirmed category switch ('change') and a score sample every
+-- CATEGORY_HISTORY.SAMPLE_EVERY occurrences ('sample'), so a token's
+-- classification can be followed over time. Per namespace.
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_category_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  namespace text NOT NULL DEFAULT 'default',
+  token text NOT NULL,
+  message_index integer NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('change', 'sample')),
+  old_category text NOT NULL,
+  new_category text NOT NULL,
+  stability_score double precision NOT NULL DEFAULT 0,
+  transition_score double precision NOT NULL DEFAULT 0,
+  dependency_score double precision NOT NULL DEFAULT 0,
+  structural_score double precision NOT NULL DEFAULT 0,
+  total_occurrences double precision NOT NULL DEFAULT 0,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_category_history_token
+  ON aria_category_history(namespace, token, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_category_history_kind
+  ON aria_category_history(namespace, kind, message_index DESC);
+
+ALTER TABLE aria_category_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY "Anyone can read aria_category_history" ON aria_category_history FOR SELECT USING (true);
+CREATE POLICY "Service manages aria_category_history" ON aria_category_history FOR ALL USING (true);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_category_history;
@@ -0,0 +1,17 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM
+-- Migration 018: Tier Before Burial
+-- The tier a graveyard pair was buried from (short|medium|long),
+-- kept through compaction. Set on burial and by the v1 import
+-- (aria_decay.decayed_from); older graveyard rows stay null.
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_word_pairs ADD COLUMN IF NOT EXISTS decayed_from text;
+ALTER TABLE aria_pair_archive ADD COLUMN IF NOT EXISTS decayed_from text;
+
+-- migrate:down
+
+ALTER TABLE aria_pair_archive DROP COLUMN IF EXISTS decayed_from;
+ALTER TABLE aria_word_pairs DROP COLUMN IF EXISTS decayed_from;
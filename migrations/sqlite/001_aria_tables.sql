@@ -0,0 +1,123 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 001: Messages, purgatory and v1 tier tables
+-- SQLite translation of migrations/postgres/001_aria_tables.sql
+-- =============================================
+
+-- migrate:up
+
+-- 1. MESSAGES + MESSAGE COUNTER
+CREATE TABLE IF NOT EXISTS aria_messages (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  user_id text,
+  user_email text,
+  bot_id text DEFAULT NULL,
+  content text NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_messages_bot ON aria_messages(bot_id);
+CREATE INDEX IF NOT EXISTS idx_aria_messages_created ON aria_messages(created_at);
+
+CREATE TABLE IF NOT EXISTS aria_message_counter (
+  id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  current_index integer NOT NULL DEFAULT 0,
+  last_updated text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+INSERT OR IGNORE INTO aria_message_counter (id, current_index) VALUES (1, 0);
+
+-- 2. PURGATORY (legacy per-message word log)
+CREATE TABLE IF NOT EXISTS aria_purgatory (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  word text NOT NULL,
+  position integer NOT NULL,
+  message_id text,
+  message_index integer NOT NULL,
+  user_id text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_purgatory_word ON aria_purgatory(word);
+CREATE INDEX IF NOT EXISTS idx_aria_purgatory_message ON aria_purgatory(message_index);
+
+-- 3. LEGACY v1 TIER TABLES
+CREATE TABLE IF NOT EXISTS aria_short (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  word1 text NOT NULL,
+  word2 text NOT NULL,
+  correlation_score real NOT NULL DEFAULT 0,
+  reinforcement_count integer NOT NULL DEFAULT 1,
+  decay_count integer NOT NULL DEFAULT 0,
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS aria_medium (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  word1 text NOT NULL,
+  word2 text NOT NULL,
+  correlation_score real NOT NULL DEFAULT 0,
+  reinforcement_count integer NOT NULL DEFAULT 1,
+  decay_count integer NOT NULL DEFAULT 0,
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS aria_long (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  word1 text NOT NULL,
+  word2 text NOT NULL,
+  correlation_score real NOT NULL DEFAULT 0,
+  reinforcement_count integer NOT NULL DEFAULT 1,
+  decay_count integer NOT NULL DEFAULT 0,
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS aria_phrases (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  phrase_key text UNIQUE NOT NULL,
+  words text NOT NULL,                          -- JSON array
+  source_correlations text NOT NULL,            -- JSON array
+  correlation_score real NOT NULL DEFAULT 0,
+  reinforcement_count integer NOT NULL DEFAULT 1,
+  decay_count integer NOT NULL DEFAULT 0,
+  decay_at_message integer NOT NULL,
+  tier text NOT NULL DEFAULT 'short' CHECK (tier IN ('short', 'medium', 'long')),
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS aria_decay (
+  id text PRIMARY KEY,
+  pattern_key text NOT NULL,
+  word1 text NOT NULL,
+  word2 text NOT NULL,
+  correlation_score real NOT NULL,
+  reinforcement_count integer NOT NULL DEFAULT 0,
+  decay_count integer NOT NULL DEFAULT 0,
+  decayed_from text NOT NULL,
+  decayed_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_messages;
+DROP TABLE IF EXISTS aria_message_counter;
+DROP TABLE IF EXISTS aria_decay;
+DROP TABLE IF EXISTS aria_phrases;
+DROP TABLE IF EXISTS aria_long;
+DROP TABLE IF EXISTS aria_medium;
+DROP TABLE IF EXISTS aria_short;
+DROP TABLE IF EXISTS aria_purgatory;
@@ -0,0 +1,109 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 003: Token Statistics & Two-Word Pairs
+-- SQLite translation of migrations/postgres/003_aria_token_stats.sql
+-- =============================================
+
+-- migrate:up
+
+-- 1. TOKEN STATISTICS
+CREATE TABLE IF NOT EXISTS aria_token_stats (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  token text UNIQUE NOT NULL,
+  total_occurrences integer DEFAULT 0,
+  context_count integer DEFAULT 0,
+  unique_adjacency_count integer DEFAULT 0,
+  positional_variance real DEFAULT 0,
+  bridge_count integer DEFAULT 0,
+  temporal_adj_count integer DEFAULT 0,
+  adjacent_to_stable integer DEFAULT 0,
+  contrast_pair_count integer DEFAULT 0,
+  standalone_count integer DEFAULT 0,
+  stability_score real DEFAULT 0,
+  transition_score real DEFAULT 0,
+  dependency_score real DEFAULT 0,
+  structural_score real DEFAULT 0,
+  category text DEFAULT 'unclassified' CHECK (
+    category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_category text DEFAULT NULL CHECK (
+    pending_category IS NULL OR pending_category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_count integer DEFAULT 0,
+  last_message_index integer DEFAULT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_token_stats_category ON aria_token_stats(category);
+CREATE INDEX IF NOT EXISTS idx_aria_token_stats_occurrences ON aria_token_stats(total_occurrences DESC);
+
+-- 2. TWO-WORD PAIRS
+CREATE TABLE IF NOT EXISTS aria_word_pairs (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  frequency integer DEFAULT 1,
+  strength real DEFAULT 0.01,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 1,
+  decay_count integer DEFAULT 0,
+  tier text DEFAULT 'short' CHECK (tier IN ('short', 'medium', 'long', 'decay')),
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_strength ON aria_word_pairs(strength DESC);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_tier ON aria_word_pairs(tier);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_tokens ON aria_word_pairs(token_a, token_b);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_decay ON aria_word_pairs(decay_at_message);
+
+-- 3. GLOBAL STATISTICS
+CREATE TABLE IF NOT EXISTS aria_global_stats (
+  id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  total_contexts_seen integer DEFAULT 0,
+  total_adj_windows integer DEFAULT 0,
+  max_positional_variance real DEFAULT 1,
+  total_tokens_seen integer DEFAULT 0,
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+INSERT OR IGNORE INTO aria_global_stats (id, total_contexts_seen, total_adj_windows, max_positional_variance, total_tokens_seen)
+VALUES (1, 0, 0, 1, 0);
+
+-- 4. TOKEN POSITION HISTORY
+CREATE TABLE IF NOT EXISTS aria_token_positions (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  token text NOT NULL,
+  position integer NOT NULL,
+  message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_token_positions_token ON aria_token_positions(token);
+CREATE INDEX IF NOT EXISTS idx_aria_token_positions_message ON aria_token_positions(message_index);
+
+-- 5. TEMPORAL MARKERS
+CREATE TABLE IF NOT EXISTS aria_temporal_markers (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  marker text UNIQUE NOT NULL
+);
+
+INSERT OR IGNORE INTO aria_temporal_markers (marker) VALUES
+  ('then'), ('now'), ('before'), ('after'), ('when'),
+  ('while'), ('during'), ('until'), ('since'), ('already'),
+  ('soon'), ('later'), ('earlier'), ('yesterday'), ('today'),
+  ('tomorrow'), ('always'), ('never'), ('once'), ('first'),
+  ('last'), ('next'), ('finally'), ('eventually'), ('immediately'),
+  ('suddenly'), ('gradually'), ('recently'), ('formerly'), ('meanwhile');
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_temporal_markers;
+DROP TABLE IF EXISTS aria_token_positions;
+DROP TABLE IF EXISTS aria_global_stats;
+DROP TABLE IF EXISTS aria_word_pairs;
+DROP TABLE IF EXISTS aria_token_stats;
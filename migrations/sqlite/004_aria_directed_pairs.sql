@@ -0,0 +1,20 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 004: Directed Word Pairs
+-- SQLite translation of migrations/postgres/004_aria_directed_pairs.sql
+-- =============================================
+
+-- migrate:up
+
+-- Existing rows are legacy sorted-key pairs (0). SQLite cannot change a
+-- column default afterwards, so new pairs always set directed explicitly.
+ALTER TABLE aria_word_pairs ADD COLUMN directed integer NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_token_a ON aria_word_pairs(token_a);
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_token_b ON aria_word_pairs(token_b);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_aria_word_pairs_token_b;
+DROP INDEX IF EXISTS idx_aria_word_pairs_token_a;
+ALTER TABLE aria_word_pairs DROP COLUMN directed;
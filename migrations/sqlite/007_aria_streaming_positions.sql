@@ -0,0 +1,63 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 007: Streaming Positional Statistics
+-- SQLite translation of migrations/postgres/007_aria_streaming_positions.sql
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_token_stats ADD COLUMN position_count integer DEFAULT 0;
+ALTER TABLE aria_token_stats ADD COLUMN position_sum real DEFAULT 0;
+ALTER TABLE aria_token_stats ADD COLUMN position_sum_sq real DEFAULT 0;
+ALTER TABLE aria_token_stats ADD COLUMN relative_position_sum real DEFAULT 0;
+ALTER TABLE aria_token_stats ADD COLUMN relative_position_sum_sq real DEFAULT 0;
+
+ALTER TABLE aria_global_stats ADD COLUMN max_relative_variance real DEFAULT 0;
+
+WITH message_lengths AS (
+  SELECT message_index, MAX(position) AS last_position
+  FROM aria_token_positions
+  GROUP BY message_index
+),
+position_sums AS (
+  SELECT
+    p.token,
+    COUNT(*) AS n,
+    SUM(p.position) AS s,
+    SUM(p.position * p.position) AS sq,
+    SUM(CASE WHEN l.last_position > 0 THEN CAST(p.position AS real) / l.last_position ELSE 0 END) AS rs,
+    SUM(CASE WHEN l.last_position > 0 THEN (CAST(p.position AS real) / l.last_position) * (CAST(p.position AS real) / l.last_position) ELSE 0 END) AS rsq
+  FROM aria_token_positions p
+  JOIN message_lengths l ON l.message_index = p.message_index
+  GROUP BY p.token
+)
+UPDATE aria_token_stats
+SET position_count = ps.n,
+    position_sum = ps.s,
+    position_sum_sq = ps.sq,
+    relative_position_sum = ps.rs,
+    relative_position_sum_sq = ps.rsq,
+    positional_variance = CASE
+      WHEN ps.n > 1 THEN MAX(0, CAST(ps.sq AS real) / ps.n - (CAST(ps.s AS real) / ps.n) * (CAST(ps.s AS real) / ps.n))
+      ELSE 0
+    END
+FROM position_sums ps
+WHERE ps.token = aria_token_stats.token;
+
+UPDATE aria_global_stats
+SET max_relative_variance = COALESCE((
+  SELECT MAX(relative_position_sum_sq / position_count - (relative_position_sum / position_count) * (relative_position_sum / position_count))
+  FROM aria_token_stats
+  WHERE position_count > 1
+), 0)
+WHERE id = 1;
+
+-- migrate:down
+
+ALTER TABLE aria_global_stats DROP COLUMN max_relative_variance;
+
+ALTER TABLE aria_token_stats DROP COLUMN relative_position_sum_sq;
+ALTER TABLE aria_token_stats DROP COLUMN relative_position_sum;
+ALTER TABLE aria_token_stats DROP COLUMN position_sum_sq;
+ALTER TABLE aria_token_stats DROP COLUMN position_sum;
+ALTER TABLE aria_token_stats DROP COLUMN position_count;
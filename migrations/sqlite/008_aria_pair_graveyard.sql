@@ -0,0 +1,54 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 008: Pair Graveyard Lifecycle
+-- SQLite translation of migrations/postgres/008_aria_pair_graveyard.sql
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_word_pairs ADD COLUMN graveyard_count integer DEFAULT 0;
+ALTER TABLE aria_word_pairs ADD COLUMN decayed_at_message integer;
+ALTER TABLE aria_word_pairs ADD COLUMN resurrection_count integer DEFAULT 0;
+ALTER TABLE aria_word_pairs ADD COLUMN resurrected_at_message integer;
+
+UPDATE aria_word_pairs
+SET graveyard_count = 1,
+    decayed_at_message = decay_at_message
+WHERE tier = 'decay';
+
+CREATE INDEX IF NOT EXISTS idx_aria_word_pairs_graveyard
+  ON aria_word_pairs(decayed_at_message) WHERE tier = 'decay';
+
+CREATE TABLE IF NOT EXISTS aria_pair_archive (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed integer NOT NULL DEFAULT 1,
+  frequency integer DEFAULT 0,
+  strength real DEFAULT 0,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 0,
+  decay_count integer DEFAULT 0,
+  graveyard_count integer DEFAULT 0,
+  resurrection_count integer DEFAULT 0,
+  decayed_at_message integer,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  archived_at_message integer NOT NULL,
+  archived_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_pair_archive_token_a ON aria_pair_archive(token_a);
+CREATE INDEX IF NOT EXISTS idx_aria_pair_archive_token_b ON aria_pair_archive(token_b);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_pair_archive;
+
+DROP INDEX IF EXISTS idx_aria_word_pairs_graveyard;
+
+ALTER TABLE aria_word_pairs DROP COLUMN resurrected_at_message;
+ALTER TABLE aria_word_pairs DROP COLUMN resurrection_count;
+ALTER TABLE aria_word_pairs DROP COLUMN decayed_at_message;
+ALTER TABLE aria_word_pairs DROP COLUMN graveyard_count;
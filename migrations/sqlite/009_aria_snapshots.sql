@@ -0,0 +1,36 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 009: Named Memory Snapshots
+-- SQLite translation of migrations/postgres/009_aria_snapshots.sql
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_snapshots (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  name text UNIQUE NOT NULL,
+  auto integer NOT NULL DEFAULT 0,
+  message_index integer NOT NULL,
+  token_count integer,
+  pair_count integer,
+  archive_count integer,
+  global_stats text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  completed_at text
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_snapshots_auto ON aria_snapshots(auto, message_index);
+
+CREATE TABLE IF NOT EXISTS aria_snapshot_rows (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  snapshot_id text NOT NULL REFERENCES aria_snapshots(id) ON DELETE CASCADE,
+  kind text NOT NULL,
+  row_key text NOT NULL,
+  data text NOT NULL,
+  UNIQUE(snapshot_id, kind, row_key)
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_snapshot_rows;
+DROP TABLE IF EXISTS aria_snapshots;
@@ -0,0 +1,363 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 010: Namespaces
+-- SQLite translation of migrations/postgres/010_aria_namespaces.sql
+-- =============================================
+
+-- migrate:up
+
+-- 1. TOKEN STATS, PAIRS AND ARCHIVE
+-- SQLite can't drop an inline UNIQUE, so these tables are rebuilt
+-- with (namespace, key) as the unique key
+
+CREATE TABLE aria_token_stats_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  token text NOT NULL,
+  total_occurrences integer DEFAULT 0,
+  context_count integer DEFAULT 0,
+  unique_adjacency_count integer DEFAULT 0,
+  positional_variance real DEFAULT 0,
+  position_count integer DEFAULT 0,
+  position_sum real DEFAULT 0,
+  position_sum_sq real DEFAULT 0,
+  relative_position_sum real DEFAULT 0,
+  relative_position_sum_sq real DEFAULT 0,
+  bridge_count integer DEFAULT 0,
+  temporal_adj_count integer DEFAULT 0,
+  adjacent_to_stable integer DEFAULT 0,
+  contrast_pair_count integer DEFAULT 0,
+  standalone_count integer DEFAULT 0,
+  stability_score real DEFAULT 0,
+  transition_score real DEFAULT 0,
+  dependency_score real DEFAULT 0,
+  structural_score real DEFAULT 0,
+  category text DEFAULT 'unclassified' CHECK (
+    category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_category text DEFAULT NULL CHECK (
+    pending_category IS NULL OR pending_category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_count integer DEFAULT 0,
+  last_message_index integer DEFAULT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(namespace, token)
+);
+INSERT INTO aria_token_stats_new (id, token, total_occurrences, context_count, unique_adjacency_count, positional_variance, position_count, position_sum, position_sum_sq, relative_position_sum, relative_position_sum_sq, bridge_count, temporal_adj_count, adjacent_to_stable, contrast_pair_count, standalone_count, stability_score, transition_score, dependency_score, structural_score, category, pending_category, pending_count, last_message_index, created_at, updated_at)
+SELECT id, token, total_occurrences, context_count, unique_adjacency_count, positional_variance, position_count, position_sum, position_sum_sq, relative_position_sum, relative_position_sum_sq, bridge_count, temporal_adj_count, adjacent_to_stable, contrast_pair_count, standalone_count, stability_score, transition_score, dependency_score, structural_score, category, pending_category, pending_count, last_message_index, created_at, updated_at FROM aria_token_stats;
+DROP TABLE aria_token_stats;
+ALTER TABLE aria_token_stats_new RENAME TO aria_token_stats;
+CREATE INDEX idx_aria_token_stats_category ON aria_token_stats(category);
+CREATE INDEX idx_aria_token_stats_occurrences ON aria_token_stats(total_occurrences DESC);
+
+CREATE TABLE aria_word_pairs_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  pattern_key text NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed integer NOT NULL DEFAULT 0,
+  frequency integer DEFAULT 1,
+  strength real DEFAULT 0.01,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 1,
+  decay_count integer DEFAULT 0,
+  tier text DEFAULT 'short' CHECK (tier IN ('short', 'medium', 'long', 'decay')),
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  graveyard_count integer DEFAULT 0,
+  decayed_at_message integer,
+  resurrection_count integer DEFAULT 0,
+  resurrected_at_message integer,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(namespace, pattern_key)
+);
+INSERT INTO aria_word_pairs_new (id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, tier, decay_at_message, last_seen_message_index, graveyard_count, decayed_at_message, resurrection_count, resurrected_at_message, created_at, updated_at)
+SELECT id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, tier, decay_at_message, last_seen_message_index, graveyard_count, decayed_at_message, resurrection_count, resurrected_at_message, created_at, updated_at FROM aria_word_pairs;
+DROP TABLE aria_word_pairs;
+ALTER TABLE aria_word_pairs_new RENAME TO aria_word_pairs;
+CREATE INDEX idx_aria_word_pairs_strength ON aria_word_pairs(strength DESC);
+CREATE INDEX idx_aria_word_pairs_tier ON aria_word_pairs(tier);
+CREATE INDEX idx_aria_word_pairs_tokens ON aria_word_pairs(token_a, token_b);
+CREATE INDEX idx_aria_word_pairs_decay ON aria_word_pairs(decay_at_message);
+CREATE INDEX idx_aria_word_pairs_token_a ON aria_word_pairs(token_a);
+CREATE INDEX idx_aria_word_pairs_token_b ON aria_word_pairs(token_b);
+CREATE INDEX idx_aria_word_pairs_graveyard
+  ON aria_word_pairs(decayed_at_message) WHERE tier = 'decay';
+
+CREATE TABLE aria_pair_archive_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  pattern_key text NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed integer NOT NULL DEFAULT 1,
+  frequency integer DEFAULT 0,
+  strength real DEFAULT 0,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 0,
+  decay_count integer DEFAULT 0,
+  graveyard_count integer DEFAULT 0,
+  resurrection_count integer DEFAULT 0,
+  decayed_at_message integer,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  archived_at_message integer NOT NULL,
+  archived_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(namespace, pattern_key)
+);
+INSERT INTO aria_pair_archive_new (id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, graveyard_count, resurrection_count, decayed_at_message, last_seen_message_index, created_at, archived_at_message, archived_at)
+SELECT id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, graveyard_count, resurrection_count, decayed_at_message, last_seen_message_index, created_at, archived_at_message, archived_at FROM aria_pair_archive;
+DROP TABLE aria_pair_archive;
+ALTER TABLE aria_pair_archive_new RENAME TO aria_pair_archive;
+CREATE INDEX idx_aria_pair_archive_token_a ON aria_pair_archive(token_a);
+CREATE INDEX idx_aria_pair_archive_token_b ON aria_pair_archive(token_b);
+
+-- 2. ONE GLOBAL STATS ROW AND ONE COUNTER PER NAMESPACE (id stays 1)
+
+CREATE TABLE aria_global_stats_new (
+  namespace text PRIMARY KEY DEFAULT 'default',
+  id integer NOT NULL DEFAULT 1 CHECK (id = 1),
+  total_contexts_seen integer DEFAULT 0,
+  total_adj_windows integer DEFAULT 0,
+  max_positional_variance real DEFAULT 1,
+  max_relative_variance real DEFAULT 0,
+  total_tokens_seen integer DEFAULT 0,
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_global_stats_new (id, total_contexts_seen, total_adj_windows, max_positional_variance, max_relative_variance, total_tokens_seen, updated_at)
+SELECT id, total_contexts_seen, total_adj_windows, max_positional_variance, max_relative_variance, total_tokens_seen, updated_at FROM aria_global_stats;
+DROP TABLE aria_global_stats;
+ALTER TABLE aria_global_stats_new RENAME TO aria_global_stats;
+
+CREATE TABLE aria_message_counter_new (
+  namespace text PRIMARY KEY DEFAULT 'default',
+  id integer NOT NULL DEFAULT 1 CHECK (id = 1),
+  current_index integer NOT NULL DEFAULT 0,
+  last_updated text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_message_counter_new (id, current_index, last_updated)
+SELECT id, current_index, last_updated FROM aria_message_counter;
+DROP TABLE aria_message_counter;
+ALTER TABLE aria_message_counter_new RENAME TO aria_message_counter;
+
+-- 3. SNAPSHOTS
+-- Rows are copied to a table that references the new snapshots
+-- table; renaming it afterwards carries the reference along
+
+CREATE TABLE aria_snapshots_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  name text NOT NULL,
+  auto integer NOT NULL DEFAULT 0,
+  message_index integer NOT NULL,
+  token_count integer,
+  pair_count integer,
+  archive_count integer,
+  global_stats text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  completed_at text,
+  UNIQUE(namespace, name)
+);
+INSERT INTO aria_snapshots_new (id, name, auto, message_index, token_count, pair_count, archive_count, global_stats, created_at, completed_at)
+SELECT id, name, auto, message_index, token_count, pair_count, archive_count, global_stats, created_at, completed_at FROM aria_snapshots;
+CREATE TABLE aria_snapshot_rows_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  snapshot_id text NOT NULL REFERENCES aria_snapshots_new(id) ON DELETE CASCADE,
+  kind text NOT NULL,
+  row_key text NOT NULL,
+  data text NOT NULL,
+  UNIQUE(snapshot_id, kind, row_key)
+);
+INSERT INTO aria_snapshot_rows_new (id, snapshot_id, kind, row_key, data)
+SELECT id, snapshot_id, kind, row_key, data FROM aria_snapshot_rows;
+DROP TABLE aria_snapshot_rows;
+DROP TABLE aria_snapshots;
+ALTER TABLE aria_snapshots_new RENAME TO aria_snapshots;
+ALTER TABLE aria_snapshot_rows_new RENAME TO aria_snapshot_rows;
+CREATE INDEX idx_aria_snapshots_auto ON aria_snapshots(namespace, auto, message_index);
+
+-- 4. LOGS AND MESSAGES
+ALTER TABLE aria_token_positions ADD COLUMN namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_purgatory ADD COLUMN namespace text NOT NULL DEFAULT 'default';
+ALTER TABLE aria_messages ADD COLUMN namespace text NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_aria_token_positions_namespace ON aria_token_positions(namespace, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_purgatory_namespace ON aria_purgatory(namespace, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_messages_namespace ON aria_messages(namespace, created_at);
+
+-- migrate:down
+
+-- Only the default namespace fits the single-space schema
+DROP INDEX IF EXISTS idx_aria_messages_namespace;
+DROP INDEX IF EXISTS idx_aria_purgatory_namespace;
+DROP INDEX IF EXISTS idx_aria_token_positions_namespace;
+
+DELETE FROM aria_token_positions WHERE namespace <> 'default';
+DELETE FROM aria_purgatory WHERE namespace <> 'default';
+
+ALTER TABLE aria_messages DROP COLUMN namespace;
+ALTER TABLE aria_purgatory DROP COLUMN namespace;
+ALTER TABLE aria_token_positions DROP COLUMN namespace;
+
+CREATE TABLE aria_snapshots_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  name text UNIQUE NOT NULL,
+  auto integer NOT NULL DEFAULT 0,
+  message_index integer NOT NULL,
+  token_count integer,
+  pair_count integer,
+  archive_count integer,
+  global_stats text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  completed_at text
+);
+INSERT INTO aria_snapshots_new (id, name, auto, message_index, token_count, pair_count, archive_count, global_stats, created_at, completed_at)
+SELECT id, name, auto, message_index, token_count, pair_count, archive_count, global_stats, created_at, completed_at FROM aria_snapshots
+WHERE namespace = 'default';
+CREATE TABLE aria_snapshot_rows_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  snapshot_id text NOT NULL REFERENCES aria_snapshots_new(id) ON DELETE CASCADE,
+  kind text NOT NULL,
+  row_key text NOT NULL,
+  data text NOT NULL,
+  UNIQUE(snapshot_id, kind, row_key)
+);
+INSERT INTO aria_snapshot_rows_new (id, snapshot_id, kind, row_key, data)
+SELECT id, snapshot_id, kind, row_key, data FROM aria_snapshot_rows
+WHERE snapshot_id IN (SELECT id FROM aria_snapshots_new);
+DROP TABLE aria_snapshot_rows;
+DROP TABLE aria_snapshots;
+ALTER TABLE aria_snapshots_new RENAME TO aria_snapshots;
+ALTER TABLE aria_snapshot_rows_new RENAME TO aria_snapshot_rows;
+CREATE INDEX idx_aria_snapshots_auto ON aria_snapshots(auto, message_index);
+
+CREATE TABLE aria_message_counter_new (
+  id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  current_index integer NOT NULL DEFAULT 0,
+  last_updated text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_message_counter_new (id, current_index, last_updated)
+SELECT id, current_index, last_updated FROM aria_message_counter
+WHERE namespace = 'default';
+DROP TABLE aria_message_counter;
+ALTER TABLE aria_message_counter_new RENAME TO aria_message_counter;
+
+CREATE TABLE aria_global_stats_new (
+  id integer PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  total_contexts_seen integer DEFAULT 0,
+  total_adj_windows integer DEFAULT 0,
+  max_positional_variance real DEFAULT 1,
+  max_relative_variance real DEFAULT 0,
+  total_tokens_seen integer DEFAULT 0,
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_global_stats_new (id, total_contexts_seen, total_adj_windows, max_positional_variance, max_relative_variance, total_tokens_seen, updated_at)
+SELECT id, total_contexts_seen, total_adj_windows, max_positional_variance, max_relative_variance, total_tokens_seen, updated_at FROM aria_global_stats
+WHERE namespace = 'default';
+DROP TABLE aria_global_stats;
+ALTER TABLE aria_global_stats_new RENAME TO aria_global_stats;
+
+CREATE TABLE aria_pair_archive_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed integer NOT NULL DEFAULT 1,
+  frequency integer DEFAULT 0,
+  strength real DEFAULT 0,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 0,
+  decay_count integer DEFAULT 0,
+  graveyard_count integer DEFAULT 0,
+  resurrection_count integer DEFAULT 0,
+  decayed_at_message integer,
+  last_seen_message_index integer NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  archived_at_message integer NOT NULL,
+  archived_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_pair_archive_new (id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, graveyard_count, resurrection_count, decayed_at_message, last_seen_message_index, created_at, archived_at_message, archived_at)
+SELECT id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, graveyard_count, resurrection_count, decayed_at_message, last_seen_message_index, created_at, archived_at_message, archived_at FROM aria_pair_archive
+WHERE namespace = 'default';
+DROP TABLE aria_pair_archive;
+ALTER TABLE aria_pair_archive_new RENAME TO aria_pair_archive;
+CREATE INDEX idx_aria_pair_archive_token_a ON aria_pair_archive(token_a);
+CREATE INDEX idx_aria_pair_archive_token_b ON aria_pair_archive(token_b);
+
+CREATE TABLE aria_word_pairs_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  pattern_key text UNIQUE NOT NULL,
+  token_a text NOT NULL,
+  token_b text NOT NULL,
+  directed integer NOT NULL DEFAULT 0,
+  frequency integer DEFAULT 1,
+  strength real DEFAULT 0.01,
+  category_pattern text DEFAULT 'unclassified->unclassified',
+  reinforcement_count integer DEFAULT 1,
+  decay_count integer DEFAULT 0,
+  tier text DEFAULT 'short' CHECK (tier IN ('short', 'medium', 'long', 'decay')),
+  decay_at_message integer NOT NULL,
+  last_seen_message_index integer NOT NULL,
+  graveyard_count integer DEFAULT 0,
+  decayed_at_message integer,
+  resurrection_count integer DEFAULT 0,
+  resurrected_at_message integer,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_word_pairs_new (id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, tier, decay_at_message, last_seen_message_index, graveyard_count, decayed_at_message, resurrection_count, resurrected_at_message, created_at, updated_at)
+SELECT id, pattern_key, token_a, token_b, directed, frequency, strength, category_pattern, reinforcement_count, decay_count, tier, decay_at_message, last_seen_message_index, graveyard_count, decayed_at_message, resurrection_count, resurrected_at_message, created_at, updated_at FROM aria_word_pairs
+WHERE namespace = 'default';
+DROP TABLE aria_word_pairs;
+ALTER TABLE aria_word_pairs_new RENAME TO aria_word_pairs;
+CREATE INDEX idx_aria_word_pairs_strength ON aria_word_pairs(strength DESC);
+CREATE INDEX idx_aria_word_pairs_tier ON aria_word_pairs(tier);
+CREATE INDEX idx_aria_word_pairs_tokens ON aria_word_pairs(token_a, token_b);
+CREATE INDEX idx_aria_word_pairs_decay ON aria_word_pairs(decay_at_message);
+CREATE INDEX idx_aria_word_pairs_token_a ON aria_word_pairs(token_a);
+CREATE INDEX idx_aria_word_pairs_token_b ON aria_word_pairs(token_b);
+CREATE INDEX idx_aria_word_pairs_graveyard
+  ON aria_word_pairs(decayed_at_message) WHERE tier = 'decay';
+
+CREATE TABLE aria_token_stats_new (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  token text UNIQUE NOT NULL,
+  total_occurrences integer DEFAULT 0,
+  context_count integer DEFAULT 0,
+  unique_adjacency_count integer DEFAULT 0,
+  positional_variance real DEFAULT 0,
+  position_count integer DEFAULT 0,
+  position_sum real DEFAULT 0,
+  position_sum_sq real DEFAULT 0,
+  relative_position_sum real DEFAULT 0,
+  relative_position_sum_sq real DEFAULT 0,
+  bridge_count integer DEFAULT 0,
+  temporal_adj_count integer DEFAULT 0,
+  adjacent_to_stable integer DEFAULT 0,
+  contrast_pair_count integer DEFAULT 0,
+  standalone_count integer DEFAULT 0,
+  stability_score real DEFAULT 0,
+  transition_score real DEFAULT 0,
+  dependency_score real DEFAULT 0,
+  structural_score real DEFAULT 0,
+  category text DEFAULT 'unclassified' CHECK (
+    category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_category text DEFAULT NULL CHECK (
+    pending_category IS NULL OR pending_category IN ('stable', 'transition', 'modifier', 'structural', 'unclassified')
+  ),
+  pending_count integer DEFAULT 0,
+  last_message_index integer DEFAULT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+INSERT INTO aria_token_stats_new (id, token, total_occurrences, context_count, unique_adjacency_count, positional_variance, position_count, position_sum, position_sum_sq, relative_position_sum, relative_position_sum_sq, bridge_count, temporal_adj_count, adjacent_to_stable, contrast_pair_count, standalone_count, stability_score, transition_score, dependency_score, structural_score, category, pending_category, pending_count, last_message_index, created_at, updated_at)
+SELECT id, token, total_occurrences, context_count, unique_adjacency_count, positional_variance, position_count, position_sum, position_sum_sq, relative_position_sum, relative_position_sum_sq, bridge_count, temporal_adj_count, adjacent_to_stable, contrast_pair_count, standalone_count, stability_score, transition_score, dependency_score, structural_score, category, pending_category, pending_count, last_message_index, created_at, updated_at FROM aria_token_stats
+WHERE namespace = 'default';
+DROP TABLE aria_token_stats;
+ALTER TABLE aria_token_stats_new RENAME TO aria_token_stats;
+CREATE INDEX idx_aria_token_stats_category ON aria_token_stats(category);
+CREATE INDEX idx_aria_token_stats_occurrences ON aria_token_stats(total_occurrences DESC);
@@ -0,0 +1,28 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 011: Per-Source Learning Weights
+-- SQLite translation of migrations/postgres/011_aria_source_weights.sql
+-- Integer columns already keep fractional values, so the token
+-- counters need no change here.
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_source_weights (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  source_type text NOT NULL CHECK (source_type IN ('user', 'role', 'bot')),
+  source_id text NOT NULL,
+  weight real NOT NULL CHECK (weight >= 0),
+  note text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(source_type, source_id)
+);
+
+ALTER TABLE aria_messages ADD COLUMN user_role text;
+
+-- migrate:down
+
+ALTER TABLE aria_messages DROP COLUMN user_role;
+
+DROP TABLE IF EXISTS aria_source_weights;
@@ -0,0 +1,22 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 012: Configuration History
+-- SQLite translation of migrations/postgres/012_aria_config_history.sql
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_config_history (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  actor text,
+  source text NOT NULL CHECK (source IN ('api', 'file')),
+  changes text NOT NULL,
+  note text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_config_history_created ON aria_config_history(created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_config_history;
@@ -0,0 +1,33 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 013: Editable Lexicons
+-- SQLite translation of migrations/postgres/013_aria_lexicons.sql
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_contrast_pairs (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  word_a text NOT NULL,
+  word_b text NOT NULL,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(word_a, word_b),
+  CHECK (word_a < word_b)
+);
+
+INSERT OR IGNORE INTO aria_contrast_pairs (word_a, word_b) VALUES
+  ('bad', 'good'), ('big', 'small'), ('cold', 'hot'), ('fast', 'slow'),
+  ('new', 'old'), ('high', 'low'), ('dark', 'light'), ('happy', 'sad'),
+  ('strong', 'weak'), ('hard', 'soft'), ('loud', 'quiet'), ('clean', 'dirty'),
+  ('poor', 'rich'), ('dangerous', 'safe'), ('empty', 'full'), ('long', 'short'),
+  ('thick', 'thin'), ('narrow', 'wide'), ('deep', 'shallow'), ('old', 'young');
+
+ALTER TABLE aria_purgatory ADD COLUMN segment integer;
+ALTER TABLE aria_purgatory ADD COLUMN weight real;
+
+-- migrate:down
+
+ALTER TABLE aria_purgatory DROP COLUMN weight;
+ALTER TABLE aria_purgatory DROP COLUMN segment;
+
+DROP TABLE IF EXISTS aria_contrast_pairs;
@@ -0,0 +1,32 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 014: Contrast Pair Candidates
+-- SQLite translation of migrations/postgres/014_aria_contrast_candidates.sql
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_contrast_candidates (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  word_a text NOT NULL,
+  word_b text NOT NULL,
+  confidence real NOT NULL DEFAULT 0,
+  similarity real NOT NULL DEFAULT 0,
+  shared_contexts integer NOT NULL DEFAULT 0,
+  adjacent_count real NOT NULL DEFAULT 0,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  message_index integer,
+  reviewed_at text,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(namespace, word_a, word_b),
+  CHECK (word_a < word_b)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_contrast_candidates_confidence
+  ON aria_contrast_candidates(namespace, status, confidence DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_contrast_candidates;
@@ -0,0 +1,13 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 015: Neighbour Profiles
+-- SQLite translation of migrations/postgres/015_aria_token_neighbors.sql
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_token_stats ADD COLUMN neighbors text;
+
+-- migrate:down
+
+ALTER TABLE aria_token_stats DROP COLUMN neighbors;
@@ -0,0 +1,36 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 016: Subclusters
+-- SQLite translation of migrations/postgres/016_aria_subclusters.sql
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_token_stats ADD COLUMN subcluster text;
+
+CREATE INDEX IF NOT EXISTS idx_aria_token_stats_subcluster
+  ON aria_token_stats(namespace, subcluster);
+
+CREATE TABLE IF NOT EXISTS aria_subclusters (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  cluster_id text NOT NULL,
+  category text NOT NULL,
+  size integer NOT NULL DEFAULT 0,
+  members text NOT NULL DEFAULT '[]',
+  profile text NOT NULL DEFAULT '{}',
+  cohesion real NOT NULL DEFAULT 0,
+  message_index integer,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE(namespace, cluster_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_subclusters_category
+  ON aria_subclusters(namespace, category, size DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_subclusters;
+DROP INDEX IF EXISTS idx_aria_token_stats_subcluster;
+ALTER TABLE aria_token_stats DROP COLUMN subcluster;
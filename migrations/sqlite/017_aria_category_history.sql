@@ -0,0 +1,32 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 017: Category History
+-- SQLite translation of migrations/postgres/017_aria_category_history.sql
+-- =============================================
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS aria_category_history (
+  id text PRIMARY KEY DEFAULT (lower(hex(randomblob(16)))),
+  namespace text NOT NULL DEFAULT 'default',
+  token text NOT NULL,
+  message_index integer NOT NULL,
+  kind text NOT NULL CHECK (kind IN ('change', 'sample')),
+  old_category text NOT NULL,
+  new_category text NOT NULL,
+  stability_score real NOT NULL DEFAULT 0,
+  transition_score real NOT NULL DEFAULT 0,
+  dependency_score real NOT NULL DEFAULT 0,
+  structural_score real NOT NULL DEFAULT 0,
+  total_occurrences real NOT NULL DEFAULT 0,
+  created_at text DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_aria_category_history_token
+  ON aria_category_history(namespace, token, message_index);
+CREATE INDEX IF NOT EXISTS idx_aria_category_history_kind
+  ON aria_category_history(namespace, kind, message_index DESC);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS aria_category_history;
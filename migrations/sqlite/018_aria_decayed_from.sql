@@ -0,0 +1,15 @@
+-- =============================================
+-- ARIA EMERGENT LINGUISTIC SYSTEM - SQLITE
+-- Migration 018: Tier Before Burial
+-- SQLite translation of migrations/postgres/018_aria_decayed_from.sql
+-- =============================================
+
+-- migrate:up
+
+ALTER TABLE aria_word_pairs ADD COLUMN decayed_from text;
+ALTER TABLE aria_pair_archive ADD COLUMN decayed_from text;
+
+-- migrate:down
+
+ALTER TABLE aria_pair_archive DROP COLUMN decayed_from;
+ALTER TABLE aria_word_pairs DROP COLUMN decayed_from;
@@ -0,0 +1,26 @@
+// rebuildDirectedPairs.js
+// =============================================
+// ARIA - DIRECTED PAIR REBUILD (one-shot)
+// =============================================
+// Splits legacy sorted-key pairs (directed = false) into directed
+// "tokenA->tokenB" rows, using the word order logged in aria_purgatory.
+// Run after 004_aria_directed_pairs.sql:
+//   npm run pairs:rebuild -- --dry-run
+//   npm run pairs:rebuild
+// =============================================
+
+import { rebuildDirectedPairs } from './ariaCorrelator.js';
+import { getStorage } from './ariaStorage.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+rebuildDirectedPairs({ dryRun })
+  .then(async report => {
+    console.log('');
+    console.log(JSON.stringify(report, null, 2));
+    await getStorage().close();
+  })
+  .catch(error => {
+    console.error('Directed pair rebuild failed:', error);
+    process.exit(1);
+  });
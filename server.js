@@ -11,17 +11,83 @@
 
 import 'dotenv/config';
 import express from 'express';
-import { createClient } from '@supabase/supabase-js';
+import { timingSafeEqual } from 'crypto';
+import { createWriteStream } from 'fs';
+import { rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  getStorage,
+  getNamespace,
+  withNamespace,
+  normalizeNamespace,
+  DEFAULT_NAMESPACE
+} from './ariaStorage.js';
+import { assertSchemaCurrent } from './ariaMigrations.js';
+import { STAGES } from './ariaPreprocess.js';
+import {
+  config,
+  getConfig,
+  getConfigSchema,
+  updateConfig,
+  getConfigHistory,
+  watchConfigFile
+} from './ariaConfig.js';
+import {
+  listSourceWeights,
+  setSourceWeight,
+  removeSourceWeight,
+  resolveSourceWeight
+} from './ariaSources.js';
+import {
+  listTemporalMarkers,
+  addTemporalMarkers,
+  removeTemporalMarker,
+  listContrastPairs,
+  addContrastPairs,
+  removeContrastPair,
+  recomputeLexiconStats
+} from './ariaLexicons.js';
+import { findSimilarTokens } from './ariaSimilarity.js';
+import { clusterAllCategories, listSubclusters } from './ariaSubclusters.js';
+import {
+  discoverContrastPairs,
+  listContrastCandidates,
+  reviewContrastCandidate
+} from './ariaContrasts.js';
+import {
+  MAX_BATCH_MESSAGES,
+  parseNdjson,
+  ingestBatch
+} from './ariaIngest.js';
+import {
+  EXPORT_FORMATS,
+  CSV_TABLES,
+  serializeBundle,
+  importBundleFile
+} from './ariaBundle.js';
 import {
   processMessage,
   getMemoryStats,
   getMemoryContext,
   searchByWord,
   getTokenStats,
+  getTokenHistory,
+  getCategoryChanges,
+  explainTokenScores,
   getTokensByCategory,
   getTopPairs,
   getEmergentChains,
+  getGraveyard,
+  restoreGraveyardPairs,
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot,
   getClusterLinks,
   getClusterNeighbors,
   searchClustersByWord,
@@ -35,12 +101,26 @@ import {
 } from './ariaGenerator.js';
 
 const app = express();
-app.use(express.json());
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_ANON_KEY
-);
+// Memory bundles are streamed to disk and ingest batches parse their
+// own (larger) bodies, so neither goes through the default parser
+const BUNDLE_IMPORT_PATH = '/api/memory/import';
+const INGEST_PATH = '/api/ingest';
+app.use(express.json({
+  type: req => ![BUNDLE_IMPORT_PATH, INGEST_PATH].includes(req.path) && Boolean(req.is('application/json'))
+}));
+
+// Every API call runs against one namespace (room, channel or tenant):
+// the X-Aria-Namespace header or ?namespace=, else the default one
+app.use('/api', (req, res, next) => {
+  let namespace;
+  try {
+    namespace = normalizeNamespace(req.get('X-Aria-Namespace') ?? req.query.namespace);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  withNamespace(namespace, next);
+});
 
 const PORT = process.env.PORT || 3002;
 
@@ -54,19 +134,11 @@ const ARIA = {
   fullName: 'Adaptive Resonance Intelligence Architecture',
   emoji: '✨',
   color: '#06b6d4',
-  
-  // Trigger patterns
-  triggers: {
-    mentions: ['@aria', 'aria,', 'hey aria', 'aria?', 'yo aria'],
-    commands: ['/aria', '/a'],
-    questions: true,
-  },
-  
-  // Response settings
-  responseDelay: 50,
-  maxResponseLength: 200,
 };
 
+// Triggers and response settings, live from ariaConfig.js
+const SETTINGS = config.server;
+
 // Track recent messages
 const recentlyProcessed = new Set();
 
@@ -79,20 +151,20 @@ function shouldAriaRespond(message, userEmail) {
   
   if (userEmail === null || userEmail === ARIA.id) return { respond: false };
   
-  for (const mention of ARIA.triggers.mentions) {
+  for (const mention of SETTINGS.triggers.mentions) {
     if (content.includes(mention.toLowerCase())) {
       return { respond: true, reason: 'mention' };
     }
   }
   
-  for (const cmd of ARIA.triggers.commands) {
+  for (const cmd of SETTINGS.triggers.commands) {
     if (content.startsWith(cmd.toLowerCase())) {
       return { respond: true, reason: 'command' };
     }
   }
   
-  if (ARIA.triggers.questions && content.includes('?')) {
-    if (Math.random() < 0.3) {
+  if (SETTINGS.triggers.questions && content.includes('?')) {
+    if (Math.random() < SETTINGS.triggers.questionChance) {
       return { respond: true, reason: 'question' };
     }
   }
@@ -104,19 +176,9 @@ function shouldAriaRespond(message, userEmail) {
 // CLEAN MESSAGE FOR ARIA
 // ===============================================
 
+// Same trigger and command stripping the learner gets (ariaPreprocess.js)
 function cleanMessageForAria(message) {
-  let cleaned = message;
-  
-  for (const mention of ARIA.triggers.mentions) {
-    cleaned = cleaned.replace(new RegExp(mention, 'gi'), '').trim();
-  }
-  
-  for (const cmd of ARIA.triggers.commands) {
-    if (cleaned.toLowerCase().startsWith(cmd)) {
-      cleaned = cleaned.slice(cmd.length).trim();
-    }
-  }
-  
+  const cleaned = STAGES.commands(STAGES.triggers(message)).replace(/\s+/g, ' ').trim();
   return cleaned || message;
 }
 
@@ -125,20 +187,18 @@ function cleanMessageForAria(message) {
 // ===============================================
 
 async function sendAriaResponse(responseText, replyToMessageId = null) {
-  const { data, error } = await supabase
-    .from('aria_messages')
-    .insert({
+  let data;
+  try {
+    [data] = await getStorage().insert('aria_messages', {
       id: uuidv4(),
       user_id: null,
       user_email: null,
       bot_id: ARIA.id,
-      content: responseText
-    })
-    .select()
-    .single();
-  
-  if (error) {
-    console.error('❌ Failed to send ARIA response:', error);
+      content: responseText,
+      namespace: getNamespace()
+    });
+  } catch (error) {
+    console.error('❌ Failed to send ARIA response:', error.message);
     return null;
   }
   
@@ -150,7 +210,19 @@ async function sendAriaResponse(responseText, replyToMessageId = null) {
 // MAIN MESSAGE HANDLER
 // ===============================================
 
+// Each message is learned into, and answered from, its room's namespace
 async function handleNewMessage(message) {
+  let namespace;
+  try {
+    namespace = normalizeNamespace(message.namespace);
+  } catch (error) {
+    console.error(`   ❌ Skipping message ${message.id}:`, error.message);
+    return;
+  }
+  return withNamespace(namespace, () => handleMessageInNamespace(message));
+}
+
+async function handleMessageInNamespace(message) {
   const messageId = message.id;
   
   if (recentlyProcessed.has(messageId)) return;
@@ -161,20 +233,28 @@ async function handleNewMessage(message) {
     arr.slice(0, 50).forEach(id => recentlyProcessed.delete(id));
   }
   
-  // Ignore bot messages
+  const userEmail = message.user_email;
+  const content = message.content;
+  
+  // Other bots (KIRA, ...) teach at their source weight but never get a reply
   if (message.bot_id) {
-    console.log(`⭐️ Ignoring bot message from: ${message.bot_id}`);
+    try {
+      const botResult = await processMessage(content, messageId, null, { botId: message.bot_id });
+      console.log(botResult.processed
+        ? `⭐️ Learned from bot ${message.bot_id} at weight ${botResult.weight}`
+        : `⭐️ Ignoring bot message from: ${message.bot_id} (${botResult.reason})`);
+    } catch (error) {
+      console.error('   ❌ Memory processing error:', error.message);
+    }
     return;
   }
   
-  const userEmail = message.user_email;
-  const content = message.content;
-  
-  console.log(`\n📨 New message from ${userEmail}: "${content.substring(0, 50)}..."`);
+  const room = getNamespace() === DEFAULT_NAMESPACE ? '' : ` in ${getNamespace()}`;
+  console.log(`\n📨 New message from ${userEmail}${room}: "${content.substring(0, 50)}..."`);
   
   // Step 1: Process for memory
   try {
-    const memoryResult = await processMessage(content, messageId, message.user_id);
+    const memoryResult = await processMessage(content, messageId, message.user_id, { role: message.user_role });
     if (memoryResult.processed) {
       console.log(`   📊 Memory: ${memoryResult.newPairs || 0} new pairs, ${memoryResult.reinforced || 0} reinforced`);
       console.log(`   🏷️ Categorized: ${memoryResult.categorized || 0} tokens`);
@@ -197,10 +277,10 @@ async function handleNewMessage(message) {
   try {
     const cleanedMessage = cleanMessageForAria(content);
     
-    await new Promise(resolve => setTimeout(resolve, ARIA.responseDelay));
+    await new Promise(resolve => setTimeout(resolve, SETTINGS.responseDelay));
     
     const response = await generateResponse(cleanedMessage, {
-      maxLength: ARIA.maxResponseLength
+      maxLength: SETTINGS.maxResponseLength
     });
     
     await sendAriaResponse(response, messageId);
@@ -220,25 +300,26 @@ let lastProcessedTime = null;
 
 async function pollForMessages() {
   try {
-    let query = supabase
-      .from('aria_messages')
-      .select('*')
-      .is('bot_id', null)
-      .order('created_at', { ascending: true })
-      .limit(10);
+    // Humans and other bots; never ARIA's own replies
+    const filters = { $or: [{ bot_id: null }, { bot_id: { neq: ARIA.id } }] };
     
     if (lastProcessedTime) {
-      query = query.gt('created_at', lastProcessedTime);
+      filters.created_at = { gt: lastProcessedTime };
     }
     
-    const { data: messages, error } = await query;
-    
-    if (error) {
+    let messages;
+    try {
+      messages = await getStorage().select('aria_messages', {
+        filters,
+        order: { created_at: 'asc' },
+        limit: 10
+      });
+    } catch (error) {
       console.error('❌ Poll error:', error.message);
       return;
     }
     
-    if (messages && messages.length > 0) {
+    if (messages.length > 0) {
       for (const msg of messages) {
         if (msg.id === lastProcessedId) continue;
         
@@ -259,6 +340,28 @@ function startPolling() {
   console.log('✅ Polling active');
 }
 
+// ===============================================
+// ADMIN AUTH
+// ===============================================
+
+const ADMIN_TOKEN = process.env.ARIA_ADMIN_TOKEN || '';
+
+// "Authorization: Bearer <ARIA_ADMIN_TOKEN>"; without a token set the
+// admin routes stay closed
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Admin API disabled (set ARIA_ADMIN_TOKEN)' });
+  }
+  
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const supplied = Buffer.from(scheme === 'Bearer' && token ? token : '');
+  const expected = Buffer.from(ADMIN_TOKEN);
+  if (supplied.length !== expected.length || !timingSafeEqual(supplied, expected)) {
+    return res.status(401).json({ error: 'Admin token required' });
+  }
+  next();
+}
+
 // ===============================================
 // API ENDPOINTS - CORE
 // ===============================================
@@ -282,7 +385,7 @@ app.get('/api/aria', (req, res) => {
     fullName: ARIA.fullName,
     emoji: ARIA.emoji,
     color: ARIA.color,
-    triggers: ARIA.triggers,
+    triggers: SETTINGS.triggers,
     system: 'Emergent Linguistic System',
     categories: ['stable', 'transition', 'modifier', 'structural']
   });
@@ -302,6 +405,50 @@ app.get('/api/memory/stats', async (req, res) => {
   }
 });
 
+// Export learned state (?format=ndjson|json|csv, csv needs ?table=tokens|pairs)
+app.get('/api/memory/export', async (req, res) => {
+  const { format = 'ndjson', table } = req.query;
+  
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({ error: 'Invalid format', validFormats: Object.keys(EXPORT_FORMATS) });
+  }
+  if (format === 'csv' && !CSV_TABLES[table]) {
+    return res.status(400).json({ error: 'CSV export needs a table', validTables: Object.keys(CSV_TABLES) });
+  }
+  
+  const stamp = new Date().toISOString().slice(0, 10);
+  // attachment() guesses a type from the extension, so set ours after it
+  res.attachment(`aria-${format === 'csv' ? table : 'memory'}-${stamp}.${EXPORT_FORMATS[format].extension}`);
+  res.type(EXPORT_FORMATS[format].contentType);
+  
+  try {
+    await pipeline(Readable.from(serializeBundle(format, { table })), res);
+  } catch (error) {
+    // Headers are gone once streaming started; the client sees a cut-off body
+    console.error('❌ Memory export failed:', error.message);
+  }
+});
+
+// Import a bundle (NDJSON or JSON body, ?mode=merge|replace, ?dryRun=true).
+// replace wipes the namespace's tokens and pairs, so admin only
+app.post(BUNDLE_IMPORT_PATH, requireAdmin, async (req, res) => {
+  const { mode = 'merge', dryRun } = req.query;
+  if (!['merge', 'replace'].includes(mode)) {
+    return res.status(400).json({ error: 'Invalid mode', validModes: ['merge', 'replace'] });
+  }
+  
+  const upload = join(tmpdir(), `aria-import-${uuidv4()}`);
+  try {
+    await pipeline(req, createWriteStream(upload));
+    const report = await importBundleFile(upload, { mode, dryRun: dryRun === 'true' });
+    res.json(report);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  } finally {
+    await rm(upload, { force: true });
+  }
+});
+
 // Search memory
 app.get('/api/memory/search', async (req, res) => {
   try {
@@ -347,6 +494,40 @@ app.get('/api/tokens/:token', async (req, res) => {
   }
 });
 
+// Tokens used in the same slots (?limit=10&minOccurrences=1&minShared=1)
+app.get('/api/tokens/:token/similar', async (req, res) => {
+  try {
+    const { limit = 10, minOccurrences = 1, minShared = 1 } = req.query;
+    res.json(await findSimilarTokens(req.params.token, {
+      limit: parseInt(limit),
+      minOccurrences: parseFloat(minOccurrences),
+      minShared: parseInt(minShared)
+    }));
+  } catch (error) {
+    res.status(/not found/.test(error.message) ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Each score broken into its terms, the category test and inertia state
+app.get('/api/tokens/:token/explain', async (req, res) => {
+  try {
+    res.json(await explainTokenScores(req.params.token));
+  } catch (error) {
+    res.status(/not found/.test(error.message) ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Category switches and score samples, oldest first (?kind=change|sample&limit=&offset=)
+app.get('/api/tokens/:token/history', async (req, res) => {
+  try {
+    const { kind = null, limit = 100, offset = 0 } = req.query;
+    res.json(await getTokenHistory(req.params.token, { kind, limit: parseInt(limit), offset: parseInt(offset) }));
+  } catch (error) {
+    const status = /not found/.test(error.message) ? 404 : /Invalid kind/.test(error.message) ? 400 : 500;
+    res.status(status).json({ error: error.message });
+  }
+});
+
 // Get tokens by category
 app.get('/api/tokens/category/:category', async (req, res) => {
   try {
@@ -378,6 +559,34 @@ app.get('/api/categories', async (req, res) => {
   }
 });
 
+// Recent category switches across tokens (?category=&limit=&offset=)
+app.get('/api/categories/changes', async (req, res) => {
+  try {
+    const { category = null, limit = 50, offset = 0 } = req.query;
+    res.json({ changes: await getCategoryChanges({ category, limit: parseInt(limit), offset: parseInt(offset) }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Emergent subclusters of a category, biggest first (?tokens=true for every member)
+app.get('/api/categories/:category/clusters', async (req, res) => {
+  try {
+    res.json(await listSubclusters(req.params.category, { tokens: req.query.tokens === 'true' }));
+  } catch (error) {
+    res.status(/Invalid category/.test(error.message) ? 400 : 500).json({ error: error.message });
+  }
+});
+
+// Regroup every category now instead of waiting for SUBCLUSTERS.INTERVAL
+app.post('/api/categories/clusters', requireAdmin, async (req, res) => {
+  try {
+    res.json(await clusterAllCategories());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===============================================
 // API ENDPOINTS - WORD PAIRS
 // ===============================================
@@ -410,20 +619,130 @@ app.get('/api/pairs/search', async (req, res) => {
   }
 });
 
+// ===============================================
+// API ENDPOINTS - GRAVEYARD
+// ===============================================
+
+// List decayed pairs (?archived=true for compacted ones, ?word= to filter)
+app.get('/api/graveyard', async (req, res) => {
+  try {
+    const { limit = 50, offset = 0, word, archived } = req.query;
+    const graveyard = await getGraveyard({
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      word: word || null,
+      archived: archived === 'true'
+    });
+    res.json(graveyard);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Restore pairs from the graveyard or the archive
+app.post('/api/graveyard/restore', requireAdmin, async (req, res) => {
+  try {
+    const { patternKeys, strength } = req.body;
+    if (!Array.isArray(patternKeys) || patternKeys.length === 0) {
+      return res.status(400).json({ error: 'patternKeys array required' });
+    }
+    if (strength !== undefined && !(typeof strength === 'number' && strength > 0 && strength <= 1)) {
+      return res.status(400).json({ error: 'strength must be a number in (0, 1]' });
+    }
+    const result = await restoreGraveyardPairs(patternKeys, { strength });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===============================================
+// API ENDPOINTS - SNAPSHOTS
+// ===============================================
+
+// Snapshot errors are plain Errors; map the expected ones to a status
+function snapshotErrorStatus(error) {
+  if (/not found/.test(error.message)) return 404;
+  if (/already exists/.test(error.message)) return 409;
+  if (/Snapshot names|incomplete/.test(error.message)) return 400;
+  return 500;
+}
+
+app.get('/api/snapshots', async (req, res) => {
+  try {
+    res.json({ snapshots: await listSnapshots() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Take a named snapshot: { "name": "before-import" }
+app.post('/api/snapshots', requireAdmin, async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name required' });
+    }
+    res.status(201).json(await createSnapshot(name));
+  } catch (error) {
+    res.status(snapshotErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// What changed between two snapshots (?from=a&to=b, no "to" = live memory)
+app.get('/api/snapshots/diff', async (req, res) => {
+  try {
+    const { from, to, limit = 100 } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'from query parameter required' });
+    }
+    res.json(await diffSnapshots(from, to || null, { limit: parseInt(limit) }));
+  } catch (error) {
+    res.status(snapshotErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Restore a snapshot ({ "backup": false } skips the safety snapshot)
+app.post('/api/snapshots/:name/rollback', requireAdmin, async (req, res) => {
+  try {
+    const result = await rollbackToSnapshot(req.params.name, { backup: req.body?.backup !== false });
+    res.json(result);
+  } catch (error) {
+    res.status(snapshotErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Delete a snapshot
+app.delete('/api/snapshots/:name', requireAdmin, async (req, res) => {
+  try {
+    res.json(await deleteSnapshot(req.params.name));
+  } catch (error) {
+    res.status(snapshotErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 // ===============================================
 // API ENDPOINTS - EMERGENT PHRASES
 // ===============================================
 
-// Get emergent chains from a word
+// Get emergent chains from a word (?direction=forward|backward)
 app.get('/api/chains/:word', async (req, res) => {
   try {
     const { word } = req.params;
-    const { maxLength = 5 } = req.query;
+    const { maxLength = 5, direction = 'forward' } = req.query;
+    
+    if (!['forward', 'backward'].includes(direction)) {
+      return res.status(400).json({
+        error: 'Invalid direction',
+        validDirections: ['forward', 'backward']
+      });
+    }
     
-    const chains = await getEmergentChains(word, parseInt(maxLength));
+    const chains = await getEmergentChains(word, parseInt(maxLength), { direction });
     
     res.json({
       startWord: word,
+      direction,
       chains: chains.map(c => ({
         words: c,
         phrase: c.join(' ')
@@ -441,11 +760,22 @@ app.get('/api/chains/:word', async (req, res) => {
 // Chat with ARIA directly
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, history } = req.body;
+    const { message, history, direction = 'forward', debug = false } = req.body;
     if (!message) {
       return res.status(400).json({ error: 'Message required' });
     }
-    const response = await generateResponse(message, { history });
+    if (!['forward', 'backward'].includes(direction)) {
+      return res.status(400).json({
+        error: 'Invalid direction',
+        validDirections: ['forward', 'backward']
+      });
+    }
+    // debug: true (the boolean) adds the generator's trace of how it got there
+    if (debug === true) {
+      const { response, trace } = await generateResponse(message, { history, direction, trace: true });
+      return res.json({ response, bot: ARIA.name, trace });
+    }
+    const response = await generateResponse(message, { history, direction });
     res.json({ response, bot: ARIA.name });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -467,6 +797,272 @@ app.post('/api/aria/respond', async (req, res) => {
   }
 });
 
+// ===============================================
+// API ENDPOINTS - INGESTION
+// ===============================================
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+// Learn from other services' text (forums, tickets...) without the chat
+// table: nothing is stored as a message and ARIA never answers.
+//   application/json      [{ content, userId, timestamp, externalId }]
+//                         or { messages: [...] } → one JSON report
+//   application/x-ndjson  one message per line, streamed → one result
+//                         per line as each is learned, then { totals }
+app.post(INGEST_PATH, express.json({ limit: '5mb' }), async (req, res) => {
+  const namespace = getNamespace();
+  
+  if (req.is(NDJSON_TYPES)) {
+    // Stop learning if the caller goes away mid-stream
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    res.type('application/x-ndjson');
+    try {
+      const { totals, aborted } = await ingestBatch(parseNdjson(req), {
+        namespace,
+        signal: controller.signal,
+        onResult: ({ result }) => { res.write(`${JSON.stringify(result)}\n`); }
+      });
+      if (!aborted) {
+        console.log(`📥 Ingested ${totals.messages} messages into "${namespace}" (${totals.learned} learned, ${totals.failed} failed)`);
+      }
+      res.end(`${JSON.stringify({ namespace, totals })}\n`);
+    } catch (error) {
+      // Results may already be out; the error goes last in the stream
+      res.end(`${JSON.stringify({ error: error.message })}\n`);
+    }
+    return;
+  }
+  
+  if (!req.is('application/json')) {
+    return res.status(415).json({ error: 'Send application/json or application/x-ndjson' });
+  }
+  
+  const messages = Array.isArray(req.body) ? req.body : req.body?.messages;
+  if (!Array.isArray(messages)) {
+    return res.status(400).json({ error: 'Body must be an array of messages or { "messages": [...] }' });
+  }
+  if (messages.length > MAX_BATCH_MESSAGES) {
+    return res.status(413).json({ error: `At most ${MAX_BATCH_MESSAGES} messages per JSON batch (stream NDJSON for more)` });
+  }
+  
+  try {
+    const { totals, results } = await ingestBatch(messages, { namespace });
+    console.log(`📥 Ingested ${totals.messages} messages into "${namespace}" (${totals.learned} learned, ${totals.failed} failed)`);
+    res.json({ namespace, totals, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===============================================
+// API ENDPOINTS - ADMIN: SOURCE WEIGHTS
+// ===============================================
+
+function sourceErrorStatus(error) {
+  if (/not found/.test(error.message)) return 404;
+  if (/Invalid source type|Source id|Weight must/.test(error.message)) return 400;
+  return 500;
+}
+
+// List weights (?type=user|role|bot)
+app.get('/api/admin/sources', requireAdmin, async (req, res) => {
+  try {
+    res.json({ sources: await listSourceWeights({ type: req.query.type || null }) });
+  } catch (error) {
+    res.status(sourceErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Effective weight for an author (?userId=&botId=&role=)
+app.get('/api/admin/sources/resolve', requireAdmin, async (req, res) => {
+  try {
+    const { userId, botId, role } = req.query;
+    res.json(await resolveSourceWeight({ userId, botId, role }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Set a weight: { "weight": 2, "note": "curator" }
+app.put('/api/admin/sources/:type/:id', requireAdmin, async (req, res) => {
+  try {
+    const { weight, note } = req.body || {};
+    res.json(await setSourceWeight(req.params.type, req.params.id, weight, { note }));
+  } catch (error) {
+    res.status(sourceErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.delete('/api/admin/sources/:type/:id', requireAdmin, async (req, res) => {
+  try {
+    await removeSourceWeight(req.params.type, req.params.id);
+    res.json({ removed: `${req.params.type}:${req.params.id}` });
+  } catch (error) {
+    res.status(sourceErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// ===============================================
+// API ENDPOINTS - ADMIN: CONFIGURATION
+// ===============================================
+
+function configErrorStatus(error) {
+  if (/Unknown setting|must be|must not|must only|set by environment/.test(error.message)) return 400;
+  return 500;
+}
+
+// Live settings, the config file's own settings and env-pinned paths
+app.get('/api/config', requireAdmin, (req, res) => {
+  res.json(getConfig());
+});
+
+app.get('/api/config/schema', requireAdmin, (req, res) => {
+  res.json({ settings: getConfigSchema() });
+});
+
+// Change settings: { "correlator": { "CATEGORY_THRESHOLD": 0.2 }, "note": "..." }
+// (null resets a setting); X-Aria-Actor names who made the change
+app.put('/api/config', requireAdmin, async (req, res) => {
+  try {
+    const { note = null, ...patch } = req.body || {};
+    const result = await updateConfig(patch, { actor: req.get('X-Aria-Actor') || 'admin', note });
+    res.json({ ...result, config: getConfig().config });
+  } catch (error) {
+    res.status(configErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Audit trail, newest first (?limit=&offset=)
+app.get('/api/config/history', requireAdmin, async (req, res) => {
+  try {
+    const { limit = 50, offset = 0 } = req.query;
+    res.json({ history: await getConfigHistory({ limit: parseInt(limit), offset: parseInt(offset) }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===============================================
+// API ENDPOINTS - LEXICONS
+// Shared by every namespace; edits need the admin token.
+// recompute recounts the affected token counters in the
+// request's namespace only.
+// ===============================================
+
+function lexiconErrorStatus(error) {
+  if (/not found/.test(error.message)) return 404;
+  if (/must be|can't contrast/.test(error.message)) return 400;
+  return 500;
+}
+
+app.get('/api/lexicons/temporal', async (req, res) => {
+  try {
+    res.json({ markers: await listTemporalMarkers() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add markers: { "markers": ["afterwards"], "recompute": true }
+app.post('/api/lexicons/temporal', requireAdmin, async (req, res) => {
+  try {
+    const { markers, recompute = false } = req.body || {};
+    res.json(await addTemporalMarkers(markers ?? [], { recompute: Boolean(recompute) }));
+  } catch (error) {
+    res.status(lexiconErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.delete('/api/lexicons/temporal/:marker', requireAdmin, async (req, res) => {
+  try {
+    res.json(await removeTemporalMarker(req.params.marker, { recompute: req.query.recompute === 'true' }));
+  } catch (error) {
+    res.status(lexiconErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.get('/api/lexicons/contrast', async (req, res) => {
+  try {
+    res.json({ pairs: await listContrastPairs() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add pairs: { "pairs": [["early", "late"]], "recompute": true }
+app.post('/api/lexicons/contrast', requireAdmin, async (req, res) => {
+  try {
+    const { pairs, recompute = false } = req.body || {};
+    res.json(await addContrastPairs(pairs, { recompute: Boolean(recompute) }));
+  } catch (error) {
+    res.status(lexiconErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.delete('/api/lexicons/contrast/:a/:b', requireAdmin, async (req, res) => {
+  try {
+    const { a, b } = req.params;
+    res.json(await removeContrastPair([a, b], { recompute: req.query.recompute === 'true' }));
+  } catch (error) {
+    res.status(lexiconErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+// Recount in another namespace after an edit:
+// { "markers": ["afterwards"], "contrastWords": ["early", "late"] }
+app.post('/api/lexicons/recompute', requireAdmin, async (req, res) => {
+  try {
+    const { markers = [], contrastWords = [] } = req.body || {};
+    if (!Array.isArray(markers) || !Array.isArray(contrastWords)) {
+      return res.status(400).json({ error: 'markers and contrastWords must be arrays of words' });
+    }
+    res.json(await recomputeLexiconStats({ markers, contrastWords }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===============================================
+// API ENDPOINTS - CONTRAST DISCOVERY
+// ===============================================
+
+function contrastErrorStatus(error) {
+  if (/not found/.test(error.message)) return 404;
+  if (/Invalid status|must be|can't contrast/.test(error.message)) return 400;
+  return 500;
+}
+
+// Candidates with their confidence (?status=pending|approved|rejected&limit=&offset=)
+app.get('/api/contrasts', async (req, res) => {
+  try {
+    const { status = null, limit = 50, offset = 0 } = req.query;
+    res.json({ candidates: await listContrastCandidates({ status, limit: parseInt(limit), offset: parseInt(offset) }) });
+  } catch (error) {
+    res.status(contrastErrorStatus(error)).json({ error: error.message });
+  }
+});
+
+app.post('/api/contrasts/discover', requireAdmin, async (req, res) => {
+  try {
+    res.json(await discoverContrastPairs());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Review: { "status": "approved", "recompute": true }
+app.put('/api/contrasts/:a/:b', requireAdmin, async (req, res) => {
+  try {
+    const { status, recompute = false } = req.body || {};
+    const { a, b } = req.params;
+    res.json(await reviewContrastCandidate([a, b], status, { recompute: Boolean(recompute) }));
+  } catch (error) {
+    res.status(contrastErrorStatus(error)).json({ error: error.message });
+  }
+});
+
 // ===============================================
 // API ENDPOINTS - LEGACY CLUSTER COMPATIBILITY
 // ===============================================
@@ -543,48 +1139,40 @@ async function startup() {
   console.log('╚═══════════════════════════════════════════════════════════╝');
   console.log('');
 
-  // Check Supabase connection
-  const { data, error } = await supabase
-    .from('aria_messages')
-    .select('id')
-    .limit(1);
+  // Check storage connection
+  const db = getStorage();
   
-  if (error) {
-    console.error('❌ Supabase connection failed:', error.message);
+  try {
+    await db.select('aria_messages', { columns: ['id'], limit: 1 });
+  } catch (error) {
+    console.error(`❌ Storage (${db.kind}) connection failed:`, error.message);
     console.log('');
     console.log('Make sure you have:');
-    console.log('1. Run migrations/001_aria_tables.sql');
-    console.log('2. Run migrations/003_aria_token_stats.sql');
-    console.log('3. Set SUPABASE_URL and SUPABASE_ANON_KEY');
+    console.log('1. Set ARIA_STORAGE and its credentials (SUPABASE_URL + key, DATABASE_URL or ARIA_SQLITE_PATH)');
+    console.log('2. Run npm run migrate (Supabase: with DATABASE_URL set)');
     console.log('');
     process.exit(1);
   }
   
-  console.log('✅ Supabase connected');
-  
-  // Check new tables
-  const { error: tokenError } = await supabase
-    .from('aria_token_stats')
-    .select('id')
-    .limit(1);
-  
-  if (tokenError && tokenError.message.includes('does not exist')) {
-    console.log('⚠️  aria_token_stats table not found');
-    console.log('   Run migrations/003_aria_token_stats.sql');
-  } else {
-    console.log('✅ Token statistics ready');
+  console.log(`✅ Storage connected (${db.kind})`);
+  if (db.kind === 'memory') {
+    console.log('⚠️  In-memory storage - learned memory is lost on restart');
   }
   
-  const { error: pairsError } = await supabase
-    .from('aria_word_pairs')
-    .select('id')
-    .limit(1);
-  
-  if (pairsError && pairsError.message.includes('does not exist')) {
-    console.log('⚠️  aria_word_pairs table not found');
-    console.log('   Run migrations/003_aria_token_stats.sql');
-  } else {
-    console.log('✅ Word pairs ready');
+  // Refuse to run against an out-of-date schema
+  try {
+    const schema = await assertSchemaCurrent(db);
+    if (schema.dialect) {
+      console.log(`✅ Schema version ${schema.current}`);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.log('');
+    console.log('Run npm run migrate (Supabase: with DATABASE_URL set).');
+    console.log('Database set up by pasting the SQL files by hand?');
+    console.log('Mark what is already there first: npm run migrate -- baseline <version>');
+    console.log('');
+    process.exit(1);
   }
   
   // Show memory stats
@@ -609,6 +1197,12 @@ async function startup() {
   }
   console.log('');
 
+  // Hand edits to the config file apply while running
+  watchConfigFile();
+  const pinned = Object.keys(getConfig().environment).length;
+  console.log(`⚙️ Config: ${getConfig().file}${pinned ? ` (${pinned} settings from environment)` : ''}`);
+  console.log('');
+
   // Start polling
   startPolling();
   console.log('');
@@ -618,9 +1212,9 @@ async function startup() {
     console.log(`🌐 API server running on port ${PORT}`);
     console.log('');
     console.log('ARIA responds to:');
-    console.log(`   Mentions: ${ARIA.triggers.mentions.join(', ')}`);
-    console.log(`   Commands: ${ARIA.triggers.commands.join(', ')}`);
-    console.log(`   Questions: ${ARIA.triggers.questions ? 'Yes (30% chance)' : 'No'}`);
+    console.log(`   Mentions: ${SETTINGS.triggers.mentions.join(', ')}`);
+    console.log(`   Commands: ${SETTINGS.triggers.commands.join(', ')}`);
+    console.log(`   Questions: ${SETTINGS.triggers.questions ? `Yes (${Math.round(SETTINGS.triggers.questionChance * 100)}% chance)` : 'No'}`);
     console.log('');
     console.log('API Endpoints:');
     console.log('   Core:');
@@ -630,18 +1224,60 @@ async function startup() {
     console.log('     GET  /api/memory/stats          - Memory statistics');
     console.log('     GET  /api/memory/search?q=word  - Search memory');
     console.log('     GET  /api/memory/context        - Full memory context');
+    console.log('     GET  /api/memory/export         - Export bundle (?format=ndjson|json|csv)');
+    console.log('     POST /api/memory/import         - Import bundle (?mode=merge|replace, admin)');
+    console.log('   Ingestion:');
+    console.log('     POST /api/ingest                - Learn a JSON or NDJSON batch');
     console.log('   Tokens:');
     console.log('     GET  /api/tokens/:token         - Get token stats');
+    console.log('     GET  /api/tokens/:token/similar - Tokens used in the same slots');
+    console.log('     GET  /api/tokens/:token/history - Category switches + score samples');
+    console.log('     GET  /api/tokens/:token/explain - Score terms, category test, inertia');
     console.log('     GET  /api/tokens/category/:cat  - Get tokens by category');
     console.log('     GET  /api/categories            - Analyze all categories');
+    console.log('     GET  /api/categories/changes    - Recent category switches');
+    console.log('     GET  /api/categories/:cat/clusters - Emergent subclusters');
+    console.log('     POST /api/categories/clusters   - Regroup every category (admin)');
     console.log('   Pairs:');
     console.log('     GET  /api/pairs                 - Get top pairs');
     console.log('     GET  /api/pairs/search?q=word   - Search pairs');
+    console.log('   Graveyard:');
+    console.log('     GET  /api/graveyard             - Decayed pairs (?archived=true)');
+    console.log('     POST /api/graveyard/restore     - Restore pairs by pattern key (admin)');
+    console.log('   Snapshots:');
+    console.log('     GET  /api/snapshots             - List snapshots');
+    console.log('     POST /api/snapshots             - Take a named snapshot (admin)');
+    console.log('     GET  /api/snapshots/diff        - Compare snapshots (?from=&to=)');
+    console.log('     POST /api/snapshots/:name/rollback - Restore a snapshot (admin)');
+    console.log('     DELETE /api/snapshots/:name     - Delete a snapshot (admin)');
     console.log('   Emergent:');
-    console.log('     GET  /api/chains/:word          - Get emergent chains');
+    console.log('     GET  /api/chains/:word          - Get emergent chains (?direction=backward)');
     console.log('   Chat:');
-    console.log('     POST /api/chat                  - Chat with ARIA');
+    console.log('     POST /api/chat                  - Chat with ARIA ({ debug: true } for a trace)');
     console.log('     POST /api/aria/respond          - Force ARIA response');
+    console.log(`   Admin${ADMIN_TOKEN ? '' : ' (disabled - set ARIA_ADMIN_TOKEN)'}:`);
+    console.log('     GET  /api/admin/sources         - Source weights (?type=user|role|bot)');
+    console.log('     GET  /api/admin/sources/resolve - Effective weight (?userId=&botId=&role=)');
+    console.log('     PUT  /api/admin/sources/:type/:id - Set a weight');
+    console.log('     DELETE /api/admin/sources/:type/:id - Remove a weight');
+    console.log('     GET  /api/config                - Live configuration');
+    console.log('     GET  /api/config/schema         - Settings, limits and defaults');
+    console.log('     PUT  /api/config                - Change settings (applied at once)');
+    console.log('     GET  /api/config/history        - Configuration changes');
+    console.log('   Lexicons:');
+    console.log('     GET  /api/lexicons/temporal     - Temporal markers');
+    console.log('     POST /api/lexicons/temporal     - Add markers (admin)');
+    console.log('     DELETE /api/lexicons/temporal/:marker - Remove a marker (admin)');
+    console.log('     GET  /api/lexicons/contrast     - Contrast pairs');
+    console.log('     POST /api/lexicons/contrast     - Add pairs (admin)');
+    console.log('     DELETE /api/lexicons/contrast/:a/:b - Remove a pair (admin)');
+    console.log('     POST /api/lexicons/recompute    - Recount affected tokens (admin)');
+    console.log('     GET  /api/contrasts             - Discovered contrast pairs + confidence');
+    console.log('     POST /api/contrasts/discover    - Look for new candidates (admin)');
+    console.log('     PUT  /api/contrasts/:a/:b       - Approve or reject a candidate (admin)');
+    console.log('   Namespaces:');
+    console.log('     X-Aria-Namespace header or ?namespace= on any /api route');
+    console.log(`     (defaults to "${DEFAULT_NAMESPACE}")`);
     console.log('');
     console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
     console.log(`✨ ${ARIA.name} is online and learning...`);
@@ -0,0 +1,99 @@
+// snapshot.js
+// =============================================
+// ARIA - SNAPSHOT CLI
+// =============================================
+//   npm run snapshot -- list
+//   npm run snapshot -- create before-import
+//   npm run snapshot -- diff before-import               vs live memory
+//   npm run snapshot -- diff before-import auto-5000
+//   npm run snapshot -- rollback before-import           takes a
+//                                                        before-rollback-*
+//                                                        snapshot first
+//   npm run snapshot -- rollback before-import --no-backup
+//   npm run snapshot -- delete before-import
+//   npm run snapshot -- list --namespace room-42       another namespace
+//                                                      (default: "default")
+//
+// Runs against ARIA_STORAGE, like the server.
+// =============================================
+
+import { getStorage, withNamespace } from './ariaStorage.js';
+import {
+  listSnapshots,
+  createSnapshot,
+  deleteSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot
+} from './ariaCorrelator.js';
+
+const args = process.argv.slice(2);
+const command = args[0] || 'list';
+const namespaceIndex = args.indexOf('--namespace');
+const namespace = namespaceIndex === -1 ? null : args[namespaceIndex + 1];
+// Positional names, skipping flags and the --namespace value
+const names = args.filter((arg, index) => index > 0 && !arg.startsWith('--') && index !== namespaceIndex + 1);
+
+function requireName(usage) {
+  if (!names[0]) {
+    throw new Error(`${command} needs a snapshot name (e.g. ${usage})`);
+  }
+  return names[0];
+}
+
+function printSnapshots(snapshots) {
+  if (snapshots.length === 0) {
+    console.log('   none');
+    return;
+  }
+  for (const snapshot of snapshots) {
+    const state = snapshot.completed_at ? '' : ' (incomplete)';
+    console.log(`   ${snapshot.auto ? '⏱️' : '📸'} ${snapshot.name} — message #${snapshot.message_index}, ` +
+      `${snapshot.token_count ?? '?'} tokens, ${snapshot.pair_count ?? '?'} pairs${state}`);
+  }
+}
+
+async function run() {
+  try {
+    await withNamespace(namespace, async () => {
+      switch (command) {
+        case 'list':
+          console.log('\n📸 Snapshots');
+          printSnapshots(await listSnapshots());
+          break;
+
+        case 'create':
+          await createSnapshot(requireName('create before-import'));
+          break;
+
+        case 'diff':
+          console.log(JSON.stringify(await diffSnapshots(requireName('diff before-import'), names[1] || null), null, 2));
+          break;
+
+        case 'rollback': {
+          const result = await rollbackToSnapshot(requireName('rollback before-import'), {
+            backup: !args.includes('--no-backup')
+          });
+          if (result.backup) {
+            console.log(`   💾 Previous state saved as "${result.backup}"`);
+          }
+          break;
+        }
+
+        case 'delete':
+          await deleteSnapshot(requireName('delete before-import'));
+          console.log(`   🗑️ Deleted "${names[0]}"`);
+          break;
+
+        default:
+          throw new Error(`Unknown command "${command}" (expected list, create, diff, rollback or delete)`);
+      }
+    });
+  } finally {
+    await getStorage().close();
+  }
+}
+
+run().catch(error => {
+  console.error('Snapshot failed:', error.message);
+  process.exit(1);
+});
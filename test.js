@@ -11,9 +11,24 @@ import {
   getMemoryContext,
   searchByWord,
   getTokenStats,
+  getTokenHistory,
+  getCategoryChanges,
+  explainTokenScores,
   getTokensByCategory,
   getTopPairs,
   getEmergentChains,
+  rebuildDirectedPairs,
+  importLegacyTiers,
+  pruneTokenPositions,
+  compactGraveyard,
+  getGraveyard,
+  restoreGraveyardPairs,
+  listSnapshots,
+  createSnapshot,
+  createAutoSnapshot,
+  diffSnapshots,
+  rollbackToSnapshot,
+  importMemoryRecords,
   getClusterLinks,
   getClusterNeighbors,
   searchClustersByWord,
@@ -25,7 +40,42 @@ import {
   buildMemoryContext,
   analyzeCategories
 } from './ariaGenerator.js';
+import { getStorage, setStorage, createStorage, withNamespace } from './ariaStorage.js';
+import { assertEqualityFilters } from './adapters/supabaseAdapter.js';
+import { serializeBundle, importBundleFile } from './ariaBundle.js';
+import { splitSegments, ingestSegments, parseNdjson, ingestBatch } from './ariaIngest.js';
+import { tokenize, segment } from './ariaTokenizer.js';
+import { STAGES, preprocessMessage } from './ariaPreprocess.js';
+import { config, loadConfig, getConfig, updateConfig, getConfigHistory, watchConfigFile } from './ariaConfig.js';
+import {
+  clearLexiconCache,
+  listTemporalMarkers,
+  addTemporalMarkers,
+  removeTemporalMarker,
+  listContrastPairs,
+  addContrastPairs,
+  removeContrastPair
+} from './ariaLexicons.js';
+import { discoverContrastPairs, scheduleContrastDiscovery, listContrastCandidates, reviewContrastCandidate } from './ariaContrasts.js';
+import { findSimilarTokens } from './ariaSimilarity.js';
+import { clusterAllCategories, scheduleSubclustering, listSubclusters } from './ariaSubclusters.js';
+import {
+  listSourceWeights,
+  setSourceWeight,
+  removeSourceWeight,
+  resolveSourceWeight
+} from './ariaSources.js';
+import {
+  loadMigrations,
+  getSchemaStatus,
+  assertSchemaCurrent,
+  migrateUp,
+  migrateDown
+} from './ariaMigrations.js';
 import { v4 as uuidv4 } from 'uuid';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 const TEST_USER_ID = uuidv4();
 
@@ -58,6 +108,25 @@ const TEST_MESSAGES = [
   'The house has beautiful weather views'
 ];
 
+// Runs fn against a fresh in-memory store, restoring the shared one afterwards
+async function withMemoryStorage(fn) {
+  const previous = setStorage(createStorage({ kind: 'memory' }));
+  try {
+    return await fn(getStorage());
+  } finally {
+    setStorage(previous);
+  }
+}
+
+// Collects a serialized export into one string
+async function exportToString(format, options) {
+  let text = '';
+  for await (const chunk of serializeBundle(format, options)) {
+    text += chunk;
+  }
+  return text;
+}
+
 async function runTests() {
   console.log('');
   console.log('╔════════════════════════════════════════════════════════════╗');
@@ -404,6 +473,2176 @@ async function runTests() {
     failed++;
   }
 
+  // ============================================
+  // SECTION 9: STORAGE ADAPTERS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🗄️ SECTION 9: STORAGE ADAPTERS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const sqliteDir = mkdtempSync(join(tmpdir(), 'aria-test-'));
+  const adapterConfigs = [
+    { kind: 'memory' },
+    { kind: 'sqlite', sqlitePath: join(sqliteDir, 'contract.sqlite') }
+  ];
+
+  // Test 16: Adapter contract
+  for (const config of adapterConfigs) {
+    console.log(`\n🗄️ Test 16: Adapter Contract (${config.kind})`);
+    const adapter = createStorage(config);
+    try {
+      const stamp = (offset) => new Date(Date.UTC(2024, 0, 1, 0, 0, offset)).toISOString();
+      await adapter.insert('aria_word_pairs', [
+        { pattern_key: 'a_b', token_a: 'a', token_b: 'b', strength: 0.5, tier: 'medium', decay_at_message: 10, last_seen_message_index: 1 },
+        { pattern_key: 'b_c', token_a: 'b', token_b: 'c', strength: 0.2, tier: 'short', decay_at_message: 5, last_seen_message_index: 1 },
+        { pattern_key: 'c_d', token_a: 'c', token_b: 'd', strength: 0.005, tier: 'decay', decay_at_message: 1, last_seen_message_index: 1 }
+      ]);
+      await adapter.insert('aria_messages', [
+        { content: 'first', created_at: stamp(1) },
+        { content: 'second', created_at: stamp(2) },
+        { content: 'from bot', bot_id: 'kira', created_at: stamp(3) }
+      ]);
+
+      const checks = [];
+      const withB = await adapter.select('aria_word_pairs', {
+        filters: { $or: [{ token_a: 'b' }, { token_b: 'b' }], tier: { neq: 'decay' } },
+        order: { strength: 'desc' }
+      });
+      checks.push(['$or + neq + order', withB.map(p => p.pattern_key).join(',') === 'a_b,b_c']);
+
+      const due = await adapter.select('aria_word_pairs', { filters: { decay_at_message: { lte: 5 } } });
+      checks.push(['lte', due.length === 2]);
+
+      const some = await adapter.select('aria_word_pairs', { filters: { pattern_key: { in: ['a_b', 'c_d'] } }, columns: ['pattern_key'] });
+      checks.push(['in + columns', some.length === 2 && Object.keys(some[0]).join() === 'pattern_key']);
+
+      checks.push(['count', await adapter.count('aria_word_pairs', { tier: { neq: 'decay' } }) === 2]);
+
+      const [updated] = await adapter.update('aria_word_pairs', { pattern_key: 'b_c' }, { strength: 0.3 });
+      checks.push(['update returns row', updated?.strength === 0.3]);
+
+      let duplicateRejected = false;
+      try {
+        await adapter.insert('aria_word_pairs', { pattern_key: 'a_b', token_a: 'a', token_b: 'b', decay_at_message: 1, last_seen_message_index: 1 });
+      } catch (error) {
+        duplicateRejected = true;
+      }
+      checks.push(['unique pattern_key', duplicateRejected]);
+
+      checks.push(['remove', await adapter.remove('aria_word_pairs', { tier: 'decay' }) === 1]);
+
+      const human = await adapter.select('aria_messages', {
+        filters: { bot_id: null, created_at: { gt: stamp(1) } },
+        order: { created_at: 'asc' }
+      });
+      checks.push(['null filter + gt', human.length === 1 && human[0].content === 'second']);
+
+      const [upserted] = await adapter.upsert('aria_word_pairs', [
+        { pattern_key: 'a_b', token_a: 'a', token_b: 'b', strength: 0.7, tier: 'medium', decay_at_message: 10, last_seen_message_index: 2 }
+      ], { onConflict: 'pattern_key' });
+      checks.push(['upsert overwrites', upserted?.strength === 0.7 && await adapter.count('aria_word_pairs', { pattern_key: 'a_b' }) === 1]);
+
+      let batchRejected = false;
+      try {
+        await adapter.batch([
+          { type: 'update', table: 'aria_word_pairs', filters: { pattern_key: 'b_c' }, patch: { strength: 0.9 } },
+          { type: 'insert', table: 'aria_word_pairs', rows: [{ pattern_key: 'a_b', token_a: 'a', token_b: 'b', decay_at_message: 1, last_seen_message_index: 1 }] }
+        ]);
+      } catch (error) {
+        batchRejected = true;
+      }
+      const untouched = await adapter.selectOne('aria_word_pairs', { pattern_key: 'b_c' });
+      checks.push(['batch rolls back', batchRejected && untouched?.strength === 0.3]);
+
+      const before = await adapter.selectOne('aria_word_pairs', { pattern_key: 'a_b' });
+      await adapter.upsert('aria_word_pairs', [
+        { pattern_key: 'a_b', token_a: 'a', token_b: 'b', frequency: 2, decay_at_message: 10, last_seen_message_index: 3 }
+      ], { onConflict: 'pattern_key', increment: ['frequency'] });
+      const [global] = await adapter.increment('aria_global_stats', { id: 1 }, {
+        increments: { total_contexts_seen: 3 },
+        greatest: { max_positional_variance: 0.5 }
+      });
+      const counted = await adapter.selectOne('aria_word_pairs', { pattern_key: 'a_b' });
+      checks.push(['counter increments', counted?.frequency === (before.frequency || 0) + 2 && global?.total_contexts_seen === 3 && global?.max_positional_variance === 1]);
+
+      const first = await adapter.incrementMessageCounter();
+      const second = await adapter.incrementMessageCounter();
+      checks.push(['message counter', second === first + 1]);
+
+      const failedChecks = checks.filter(([, ok]) => !ok).map(([name]) => name);
+      if (failedChecks.length === 0) {
+        console.log(`   ✅ ${checks.length} contract checks passed`);
+        passed++;
+      } else {
+        console.log(`   ❌ Failed checks: ${failedChecks.join(', ')}`);
+        failed++;
+      }
+    } catch (error) {
+      if (config.kind === 'sqlite' && error.message.includes('better-sqlite3')) {
+        console.log(`   ⚠️ Skipped: ${error.message}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Error: ${error.message}`);
+        failed++;
+      }
+    } finally {
+      await adapter.close();
+    }
+  }
+
+  // Test 17: Full pipeline on SQLite
+  console.log('\n🗄️ Test 17: Learning Pipeline on SQLite');
+  const sqliteAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(sqliteDir, 'pipeline.sqlite') });
+  const previousStorage = setStorage(sqliteAdapter);
+  try {
+    await processMessage('The weather is beautiful today', uuidv4(), TEST_USER_ID);
+    await processMessage('Beautiful weather today', uuidv4(), TEST_USER_ID);
+    const stats = await getMemoryStats();
+    const weather = await getTokenStats('weather');
+
+    if (stats.messagesProcessed === 2 && weather?.total_occurrences === 2 && stats.tiers.short > 0) {
+      console.log(`   ✅ SQLite memory: ${stats.tiers.short} short pairs, ${stats.tokens} tokens`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected SQLite state: ${JSON.stringify(stats)}`);
+      failed++;
+    }
+  } catch (error) {
+    if (error.message.includes('better-sqlite3')) {
+      console.log(`   ⚠️ Skipped: ${error.message}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(previousStorage);
+    await sqliteAdapter.close();
+    rmSync(sqliteDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 10: DIRECTED PAIRS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🔀 SECTION 10: DIRECTED PAIRS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 18: Word order is preserved
+  console.log('\n🔀 Test 18: Directed Pairs Preserve Word Order');
+  try {
+    await withMemoryStorage(async (db) => {
+      await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+      await processMessage('the weather is cold', uuidv4(), TEST_USER_ID);
+
+      const forwardPair = await db.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+      const reversePair = await db.selectOne('aria_word_pairs', { pattern_key: 'is->weather' });
+      const forwardChains = await getEmergentChains('weather', 3);
+      const backwardChains = await getEmergentChains('weather', 2, { direction: 'backward' });
+
+      const forwardOk = forwardChains.length > 0 && forwardChains.every(c => c[0] === 'weather' && c[1] === 'is');
+      const backwardOk = backwardChains.some(c => c.join(' ') === 'the weather');
+
+      if (forwardPair?.frequency === 2 && !reversePair && forwardOk && backwardOk) {
+        console.log(`   ✅ weather->is x${forwardPair.frequency}, forward: ${forwardChains.map(c => c.join(' ')).join(' | ')}`);
+        console.log(`      backward: ${backwardChains.map(c => c.join(' ')).join(' | ')}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected pairs/chains: ${JSON.stringify({ forwardPair, reversePair, forwardChains, backwardChains })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 19: Legacy sorted pairs are rebuilt from purgatory
+  console.log('\n🔀 Test 19: Rebuild Legacy Pairs From Purgatory');
+  try {
+    await withMemoryStorage(async (db) => {
+      await db.insert('aria_word_pairs', [
+        { pattern_key: 'is_weather', token_a: 'is', token_b: 'weather', directed: false, frequency: 4, strength: 0.4, reinforcement_count: 4, decay_count: 0, tier: 'medium', decay_at_message: 300, last_seen_message_index: 100, category_pattern: 'unclassified->unclassified' },
+        { pattern_key: 'blue_sky', token_a: 'blue', token_b: 'sky', directed: false, frequency: 1, strength: 0.02, reinforcement_count: 1, decay_count: 0, tier: 'short', decay_at_message: 150, last_seen_message_index: 100, category_pattern: 'unclassified->unclassified' }
+      ]);
+      // "weather is" three times, "is weather" once
+      const logged = [['weather', 'is'], ['weather', 'is'], ['weather', 'is'], ['is', 'weather']];
+      await db.insert('aria_purgatory', logged.flatMap((words, index) =>
+        words.map((word, position) => ({ word, position, message_index: index + 1 }))
+      ));
+
+      const dryRun = await rebuildDirectedPairs({ dryRun: true });
+      const untouched = await db.count('aria_word_pairs', { directed: false });
+      const report = await rebuildDirectedPairs();
+      const forward = await db.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+      const backward = await db.selectOne('aria_word_pairs', { pattern_key: 'is->weather' });
+      const unmatched = await db.selectOne('aria_word_pairs', { pattern_key: 'blue->sky' });
+      const remaining = await db.count('aria_word_pairs', { directed: false });
+
+      const ok = dryRun.created === 3 && untouched === 2 &&
+        report.split === 1 && report.noEvidence === 1 && remaining === 0 &&
+        forward?.frequency === 3 && Math.abs(forward.strength - 0.3) < 1e-9 &&
+        backward?.frequency === 1 && unmatched?.directed === true;
+
+      if (ok) {
+        console.log(`   ✅ is_weather → weather->is (${forward.strength.toFixed(2)}) + is->weather (${backward.strength.toFixed(2)})`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected rebuild: ${JSON.stringify({ dryRun, report, forward, backward, unmatched, remaining })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 11: BATCHED PIPELINE
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📦 SECTION 11: BATCHED PIPELINE');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 20: Storage round trips do not grow with message length
+  console.log('\n📦 Test 20: Round Trips per Message');
+  try {
+    await withMemoryStorage(async (db) => {
+      const calls = [];
+      for (const method of ['select', 'selectOne', 'count', 'insert', 'upsert', 'update', 'remove', 'batch']) {
+        const original = db[method];
+        db[method] = (...args) => {
+          calls.push(method);
+          return original(...args);
+        };
+      }
+
+      const countCalls = async (text) => {
+        calls.length = 0;
+        await processMessage(text, uuidv4(), TEST_USER_ID);
+        return calls.length;
+      };
+
+      await countCalls('warm up the memory first');
+      const shortCalls = await countCalls('the weather is nice');
+      const longCalls = await countCalls(
+        'the quick brown fox jumps over the lazy dog while the weather turns cold and the ' +
+        'children run home before the rain starts falling on the quiet little town tonight'
+      );
+      const batches = calls.filter(method => method === 'batch').length;
+      const words = await db.count('aria_token_positions');
+
+      if (shortCalls === longCalls && batches === 1 && words === 5 + 4 + 30) {
+        console.log(`   ✅ ${longCalls} storage calls for 4 and 30 words (1 batch write)`);
+        passed++;
+      } else {
+        console.log(`   ❌ Calls: short=${shortCalls} long=${longCalls} batches=${batches} positions=${words}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 12: CONCURRENCY
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('⚡ SECTION 12: CONCURRENCY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 21: Parallel messages keep exact counts
+  const concurrencyDir = mkdtempSync(join(tmpdir(), 'aria-concurrency-'));
+  const concurrencyConfigs = [
+    { kind: 'memory' },
+    { kind: 'sqlite', sqlitePath: join(concurrencyDir, 'concurrency.sqlite') }
+  ];
+
+  for (const config of concurrencyConfigs) {
+    console.log(`\n⚡ Test 21: Parallel Messages Keep Exact Totals (${config.kind})`);
+    const adapter = createStorage(config);
+    const previous = setStorage(adapter);
+    try {
+      const PARALLEL = 12;
+      await Promise.all(
+        Array.from({ length: PARALLEL }, () => processMessage('the weather is nice', uuidv4(), TEST_USER_ID))
+      );
+
+      const weather = await adapter.selectOne('aria_token_stats', { token: 'weather' });
+      const pair = await adapter.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+      const global = await adapter.selectOne('aria_global_stats', { id: 1 });
+      const counter = await adapter.selectOne('aria_message_counter', { id: 1 });
+
+      const totals = {
+        occurrences: weather?.total_occurrences,
+        contexts: weather?.context_count,
+        frequency: pair?.frequency,
+        reinforcements: pair?.reinforcement_count,
+        globalContexts: global?.total_contexts_seen,
+        globalTokens: global?.total_tokens_seen,
+        globalWindows: global?.total_adj_windows,
+        messageIndex: counter?.current_index
+      };
+      const expected = {
+        occurrences: PARALLEL,
+        contexts: PARALLEL,
+        frequency: PARALLEL,
+        reinforcements: PARALLEL,
+        globalContexts: PARALLEL,
+        globalTokens: PARALLEL * 4,
+        globalWindows: PARALLEL * 3,
+        messageIndex: PARALLEL
+      };
+
+      const wrong = Object.keys(expected).filter(key => totals[key] !== expected[key]);
+      if (wrong.length === 0) {
+        console.log(`   ✅ ${PARALLEL} parallel messages: every counter exact`);
+        passed++;
+      } else {
+        console.log(`   ❌ Lost updates: ${wrong.map(key => `${key}=${totals[key]} (expected ${expected[key]})`).join(', ')}`);
+        failed++;
+      }
+    } catch (error) {
+      if (config.kind === 'sqlite' && error.message.includes('better-sqlite3')) {
+        console.log(`   ⚠️ Skipped: ${error.message}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Error: ${error.message}`);
+        failed++;
+      }
+    } finally {
+      setStorage(previous);
+      await adapter.close();
+    }
+  }
+  rmSync(concurrencyDir, { recursive: true, force: true });
+
+  // ============================================
+  // SECTION 13: SCHEMA MIGRATIONS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🗂️ SECTION 13: SCHEMA MIGRATIONS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 22: Every migration can be rolled back
+  console.log('\n🗂️ Test 22: Migration Files Have Up and Down Sections');
+  try {
+    const files = ['postgres', 'sqlite'].flatMap(dialect => loadMigrations(dialect));
+    const missingDown = files.filter(migration => !migration.down).map(migration => migration.fileName);
+
+    if (files.length > 0 && missingDown.length === 0) {
+      console.log(`   ✅ ${files.length} migration files parsed`);
+      passed++;
+    } else {
+      console.log(`   ❌ Missing down sections: ${missingDown.join(', ')}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 23: Version tracking, rollback and re-apply on SQLite
+  console.log('\n🗂️ Test 23: Migrate Down and Up (sqlite)');
+  const migrationDir = mkdtempSync(join(tmpdir(), 'aria-migrations-'));
+  const migrationAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(migrationDir, 'migrations.sqlite') });
+  try {
+    const fresh = await getSchemaStatus(migrationAdapter);
+    const rolledBack = await migrateDown(migrationAdapter, { steps: 2 });
+    const behind = await getSchemaStatus(migrationAdapter);
+
+    let refused = false;
+    try {
+      await assertSchemaCurrent(migrationAdapter);
+    } catch (error) {
+      refused = true;
+    }
+
+    const reapplied = await migrateUp(migrationAdapter);
+    const current = await getSchemaStatus(migrationAdapter);
+    await migrationAdapter.insert('aria_word_pairs', {
+      pattern_key: 'a->b', token_a: 'a', token_b: 'b', directed: true, decay_at_message: 1, last_seen_message_index: 1
+    });
+
+    // Only a missing tracking table means "nothing applied"; other errors surface
+    const failingSelect = message => ({ kind: 'sqlite', select: async () => { throw new Error(message); } });
+    const untracked = await getSchemaStatus(failingSelect('no such table: aria_schema_migrations'));
+    let surfaced = false;
+    try {
+      await getSchemaStatus(failingSelect('database is locked'));
+    } catch (error) {
+      surfaced = error.message === 'database is locked';
+    }
+
+    if (fresh.upToDate && rolledBack.length === 2 && behind.current < fresh.latest &&
+        refused && reapplied.length === 2 && current.upToDate &&
+        untracked.current === 0 && surfaced) {
+      console.log(`   ✅ fresh at ${fresh.current}, down to ${behind.current} (refused), back to ${current.current}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected status: ${JSON.stringify({ fresh, behind, current, refused, untracked, surfaced })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (error.message.includes('better-sqlite3')) {
+      console.log(`   ⚠️ Skipped: ${error.message}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    await migrationAdapter.close();
+    rmSync(migrationDir, { recursive: true, force: true });
+  }
+
+  // Test 24: v1 tier tables are imported, verified and dropped
+  console.log('\n🗂️ Test 24: Import Legacy v1 Tier Tables (sqlite)');
+  const legacyDir = mkdtempSync(join(tmpdir(), 'aria-legacy-'));
+  const legacyAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(legacyDir, 'legacy.sqlite') });
+  const storageBeforeImport = setStorage(legacyAdapter);
+  try {
+    await legacyAdapter.insert('aria_medium', [
+      { pattern_key: 'is_weather', word1: 'is', word2: 'weather', correlation_score: 0.45, reinforcement_count: 9, decay_count: 1, decay_at_message: 420, last_seen_message_index: 120 }
+    ]);
+    await legacyAdapter.insert('aria_short', [
+      { pattern_key: 'is_weather', word1: 'is', word2: 'weather', correlation_score: 0.1, reinforcement_count: 2, decay_count: 0, decay_at_message: 150, last_seen_message_index: 40 },
+      { pattern_key: 'blue_sky', word1: 'blue', word2: 'sky', correlation_score: 0.12, reinforcement_count: 3, decay_count: 0, decay_at_message: 210, last_seen_message_index: 110 }
+    ]);
+    await legacyAdapter.insert('aria_decay', [
+      { id: uuidv4(), pattern_key: 'blue_sky', word1: 'blue', word2: 'sky', correlation_score: 0.01, reinforcement_count: 1, decay_count: 4, decayed_from: 'short' },
+      { id: uuidv4(), pattern_key: 'old_news', word1: 'old', word2: 'news', correlation_score: 0.02, reinforcement_count: 1, decay_count: 3, decayed_from: 'short' }
+    ]);
+    await legacyAdapter.insert('aria_phrases', [
+      { phrase_key: 'blue_sky_today', words: JSON.stringify(['blue', 'sky', 'today']), source_correlations: '[]', correlation_score: 0.2, reinforcement_count: 2, decay_at_message: 260, tier: 'short', last_seen_message_index: 115 }
+    ]);
+
+    // v1 burials carry no message index: they count as dead from the import on
+    await legacyAdapter.upsert('aria_message_counter', { id: 1, current_index: 6000 }, { onConflict: 'namespace' });
+
+    const dryRun = await importLegacyTiers({ dryRun: true });
+    const untouched = await legacyAdapter.count('aria_word_pairs');
+    const report = await importLegacyTiers({ dropLegacy: true });
+
+    const weather = await legacyAdapter.selectOne('aria_word_pairs', { pattern_key: 'is_weather' });
+    const sky = await legacyAdapter.selectOne('aria_word_pairs', { pattern_key: 'blue_sky' });
+    const news = await legacyAdapter.selectOne('aria_word_pairs', { pattern_key: 'news_old' });
+    const today = await legacyAdapter.selectOne('aria_word_pairs', { pattern_key: 'sky_today' });
+
+    let legacyGone = false;
+    try {
+      await legacyAdapter.count('aria_short');
+    } catch (error) {
+      legacyGone = true;
+    }
+
+    const compactedAtImport = await compactGraveyard({ messageIndex: 6000, olderThan: 5000 });
+    const compactedLater = await compactGraveyard({ messageIndex: 11000, olderThan: 5000 });
+    const newsArchived = await legacyAdapter.selectOne('aria_pair_archive', { pattern_key: 'news_old' });
+
+    const ok = dryRun.candidates === 4 && untouched === 0 &&
+      report.created === 4 && report.verified && report.dropped && legacyGone &&
+      weather?.tier === 'medium' && weather.reinforcement_count === 9 && weather.decay_at_message === 420 &&
+      sky?.tier === 'short' && sky.decay_at_message === 210 &&
+      news?.tier === 'decay' && news.decay_count === 3 &&
+      news.decayed_from === 'short' && news.decayed_at_message === 6000 && news.graveyard_count === 1 &&
+      compactedAtImport === 0 && compactedLater === 1 && newsArchived?.decayed_from === 'short' &&
+      today?.tier === 'short' && !today.directed;
+
+    if (ok) {
+      console.log(`   ✅ ${report.created} pairs imported (${report.duplicates} duplicates collapsed), v1 tables dropped`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected import: ${JSON.stringify({ dryRun, report, weather, sky, news, today, legacyGone, compactedAtImport, compactedLater, newsArchived })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (error.message.includes('better-sqlite3')) {
+      console.log(`   ⚠️ Skipped: ${error.message}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeImport);
+    await legacyAdapter.close();
+    rmSync(legacyDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 14: STREAMING POSITIONS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📐 SECTION 14: STREAMING POSITIONS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 25: Variance covers every occurrence and the log is pruned
+  console.log('\n📐 Test 25: Running Positional Variance + Pruning');
+  try {
+    await withMemoryStorage(async (db) => {
+      const seen = [];
+      for (let i = 0; i < 60; i++) {
+        const filler = Array.from({ length: i % 7 }, (_, j) => `w${j}`);
+        const words = i % 2 === 0 ? ['echo', ...filler] : [...filler, 'echo'];
+        seen.push(words.indexOf('echo'));
+        await processMessage(words.join(' '), uuidv4(), TEST_USER_ID);
+      }
+
+      const mean = seen.reduce((a, b) => a + b, 0) / seen.length;
+      const expected = seen.reduce((sum, p) => sum + (p - mean) ** 2, 0) / seen.length;
+      const echo = await getTokenStats('echo');
+
+      const removed = await pruneTokenPositions({ keepMessages: 5 });
+      const oldest = await db.select('aria_token_positions', { order: { message_index: 'asc' }, limit: 1 });
+
+      if (echo?.position_count === 60 && Math.abs(echo.positional_variance - expected) < 1e-9 &&
+          removed > 0 && oldest[0]?.message_index === 56) {
+        console.log(`   ✅ variance ${echo.positional_variance.toFixed(3)} over 60 occurrences, ${removed} old positions pruned`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected: ${JSON.stringify({ echo, expected, removed, oldest })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 26: Migration 007 backfills running sums from the position log
+  console.log('\n📐 Test 26: Backfill Running Sums From Position Log (sqlite)');
+  const backfillDir = mkdtempSync(join(tmpdir(), 'aria-backfill-'));
+  const backfillAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(backfillDir, 'backfill.sqlite') });
+  try {
+    await migrateDown(backfillAdapter, { to: 4 });
+    await backfillAdapter.insert('aria_token_stats', { id: uuidv4(), token: 'echo', total_occurrences: 3 });
+    // "echo" at 0 of 3 words, 2 of 3 and 1 of 2
+    const logged = [[0, 1], [2, 2], [1, 3]];
+    await backfillAdapter.insert('aria_token_positions', [
+      ...logged.map(([position, message_index]) => ({ id: uuidv4(), token: 'echo', position, message_index })),
+      { id: uuidv4(), token: 'w', position: 2, message_index: 1 },
+      { id: uuidv4(), token: 'w', position: 0, message_index: 2 }
+    ]);
+    await migrateUp(backfillAdapter);
+
+    const echo = await backfillAdapter.selectOne('aria_token_stats', { token: 'echo' });
+    const global = await backfillAdapter.selectOne('aria_global_stats', { id: 1 });
+    // raw 0,2,1 → variance 2/3; relative 0,1,1 → variance 2/9
+    const ok = echo?.position_count === 3 && echo.position_sum === 3 && echo.position_sum_sq === 5 &&
+      Math.abs(echo.positional_variance - 2 / 3) < 1e-9 &&
+      Math.abs(global.max_relative_variance - 2 / 9) < 1e-9;
+
+    if (ok) {
+      console.log(`   ✅ echo: n=${echo.position_count}, variance ${echo.positional_variance.toFixed(3)}, relative max ${global.max_relative_variance.toFixed(3)}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected backfill: ${JSON.stringify({ echo, global })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (error.message.includes('better-sqlite3')) {
+      console.log(`   ⚠️ Skipped: ${error.message}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    await backfillAdapter.close();
+    rmSync(backfillDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 15: GRAVEYARD
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🪦 SECTION 15: GRAVEYARD');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 27: Dead pairs are buried with history and resurrected when seen
+  console.log('\n🪦 Test 27: Burial and Resurrection');
+  try {
+    await withMemoryStorage(async (db) => {
+      const deadPair = (patternKey, tokenA, tokenB, changes) => ({
+        id: uuidv4(), pattern_key: patternKey, token_a: tokenA, token_b: tokenB, directed: true,
+        frequency: 4, reinforcement_count: 4, decay_count: 5, category_pattern: 'unclassified->unclassified',
+        last_seen_message_index: 0, resurrection_count: 0, ...changes
+      });
+      await db.insert('aria_word_pairs', [
+        deadPair('weather->is', 'weather', 'is', { strength: 0.005, tier: 'decay', decay_at_message: 0, graveyard_count: 1, decayed_at_message: 0 }),
+        deadPair('blue->sky', 'blue', 'sky', { strength: 0.0105, tier: 'short', decay_at_message: 0, graveyard_count: 0, decayed_at_message: null })
+      ]);
+
+      const result = await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+      const weather = await db.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+      const sky = await db.selectOne('aria_word_pairs', { pattern_key: 'blue->sky' });
+      const graveyard = await getGraveyard();
+
+      const ok = result.resurrected === 1 &&
+        weather.tier === 'short' && weather.resurrection_count === 1 && weather.resurrected_at_message === result.messageIndex &&
+        weather.decay_count === 5 && weather.graveyard_count === 1 && weather.frequency === 5 &&
+        sky.tier === 'decay' && sky.graveyard_count === 1 && sky.decayed_at_message === result.messageIndex && sky.decay_count === 6 &&
+        graveyard.total === 1 && graveyard.pairs[0].pattern_key === 'blue->sky';
+
+      if (ok) {
+        console.log(`   ✅ weather->is resurrected (${weather.strength.toFixed(3)}), blue->sky buried at #${sky.decayed_at_message}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected lifecycle: ${JSON.stringify({ result, weather, sky, graveyard })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 28: Long-dead pairs are archived, then resurrected or restored
+  console.log('\n🪦 Test 28: Compaction, Archive Resurrection and Restore (sqlite)');
+  const graveyardDir = mkdtempSync(join(tmpdir(), 'aria-graveyard-'));
+  const graveyardAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(graveyardDir, 'graveyard.sqlite') });
+  const storageBeforeGraveyard = setStorage(graveyardAdapter);
+  try {
+    const buried = (patternKey, tokenA, tokenB) => ({
+      id: uuidv4(), pattern_key: patternKey, token_a: tokenA, token_b: tokenB, directed: true,
+      frequency: 3, strength: 0.004, reinforcement_count: 3, decay_count: 7, tier: 'decay',
+      decay_at_message: 1, last_seen_message_index: 1, graveyard_count: 2, decayed_at_message: 2
+    });
+    await graveyardAdapter.insert('aria_word_pairs', [
+      buried('weather->is', 'weather', 'is'),
+      buried('old->news', 'old', 'news')
+    ]);
+
+    const archived = await compactGraveyard({ messageIndex: 50, olderThan: 10 });
+    const archive = await getGraveyard({ archived: true });
+    const leftInGraveyard = await graveyardAdapter.count('aria_word_pairs');
+
+    const result = await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+    const weather = await graveyardAdapter.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+
+    const restore = await restoreGraveyardPairs(['old->news', 'weather->is', 'no->such']);
+    const news = await graveyardAdapter.selectOne('aria_word_pairs', { pattern_key: 'old->news' });
+    const archiveLeft = await graveyardAdapter.count('aria_pair_archive');
+
+    const ok = archived === 2 && archive.total === 2 && leftInGraveyard === 0 &&
+      result.resurrected === 1 && weather?.tier === 'short' && weather.frequency === 4 &&
+      weather.decay_count === 7 && weather.graveyard_count === 2 && weather.resurrection_count === 1 &&
+      restore.restored.join() === 'old->news' && restore.alive.join() === 'weather->is' &&
+      restore.notFound.join() === 'no->such' &&
+      news?.tier === 'short' && news.decay_count === 7 && news.resurrection_count === 1 && archiveLeft === 0;
+
+    if (ok) {
+      console.log(`   ✅ ${archived} archived; weather->is came back from the archive, old->news restored`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected: ${JSON.stringify({ archived, archive, leftInGraveyard, result, weather, restore, news, archiveLeft })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (error.message.includes('better-sqlite3')) {
+      console.log(`   ⚠️ Skipped: ${error.message}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeGraveyard);
+    await graveyardAdapter.close();
+    rmSync(graveyardDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 16: MEMORY BUNDLES
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📦 SECTION 16: MEMORY BUNDLES');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  const bundleDir = mkdtempSync(join(tmpdir(), 'aria-bundle-'));
+  try {
+    // Test 29: NDJSON and JSON round trips, then a merge on top
+    console.log('\n📦 Test 29: Export, Replace and Merge Import');
+    try {
+      const bundles = await withMemoryStorage(async () => {
+        for (const message of ['the weather is nice', 'the weather is cold', 'the cat is nice']) {
+          await processMessage(message, uuidv4(), TEST_USER_ID);
+        }
+        return {
+          ndjson: await exportToString('ndjson'),
+          json: await exportToString('json'),
+          pair: await getStorage().selectOne('aria_word_pairs', { pattern_key: 'weather->is' }),
+          tokens: await getStorage().count('aria_token_stats'),
+          pairs: await getStorage().count('aria_word_pairs')
+        };
+      });
+      writeFileSync(join(bundleDir, 'memory.ndjson'), bundles.ndjson);
+      writeFileSync(join(bundleDir, 'memory.json'), bundles.json);
+
+      const imported = await withMemoryStorage(async (db) => {
+        const replaced = await importBundleFile(join(bundleDir, 'memory.ndjson'), { mode: 'replace' });
+        const afterReplace = {
+          tokens: await db.count('aria_token_stats'),
+          pairs: await db.count('aria_word_pairs'),
+          pair: await db.selectOne('aria_word_pairs', { pattern_key: 'weather->is' }),
+          counter: (await db.selectOne('aria_message_counter', { id: 1 })).current_index
+        };
+        const merged = await importBundleFile(join(bundleDir, 'memory.json'), { mode: 'merge' });
+        const afterMerge = await db.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+        return { replaced, afterReplace, merged, afterMerge, tokens: await db.count('aria_token_stats') };
+      });
+
+      const { replaced, afterReplace, merged, afterMerge } = imported;
+      const ok = afterReplace.tokens === bundles.tokens && afterReplace.pairs === bundles.pairs &&
+        replaced.pairs.created === bundles.pairs &&
+        afterReplace.pair.frequency === bundles.pair.frequency && afterReplace.pair.tier === bundles.pair.tier &&
+        afterReplace.counter === 3 &&
+        merged.pairs.merged === bundles.pairs && merged.tokens.created === 0 && imported.tokens === bundles.tokens &&
+        afterMerge.frequency === bundles.pair.frequency * 2 &&
+        afterMerge.reinforcement_count === bundles.pair.reinforcement_count * 2;
+
+      if (ok) {
+        console.log(`   ✅ ${bundles.tokens} tokens / ${bundles.pairs} pairs round-tripped; merge doubled weather->is to ${afterMerge.frequency} (${afterMerge.tier})`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected import: ${JSON.stringify({ bundles: { ...bundles, ndjson: undefined, json: undefined }, imported })}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+
+    // Test 30: Truncated bundles are refused before anything is written
+    console.log('\n📦 Test 30: Truncated Bundle Rejected');
+    try {
+      const ndjson = await withMemoryStorage(async () => {
+        await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+        return exportToString('ndjson');
+      });
+      const lines = ndjson.trimEnd().split('\n');
+      writeFileSync(join(bundleDir, 'truncated.ndjson'), [...lines.slice(0, 3), lines[lines.length - 1]].join('\n'));
+
+      const outcome = await withMemoryStorage(async (db) => {
+        await processMessage('a different message', uuidv4(), TEST_USER_ID);
+        const before = await db.count('aria_token_stats');
+        let message = null;
+        try {
+          await importBundleFile(join(bundleDir, 'truncated.ndjson'), { mode: 'replace' });
+        } catch (error) {
+          message = error.message;
+        }
+
+        // A record stream that breaks off after the wipe is rolled back
+        async function* brokenRecords() {
+          yield { type: 'token', data: { token: 'stray', total_occurrences: 1 } };
+          throw new Error('Bundle is incomplete: no end record');
+        }
+        let streamMessage = null;
+        try {
+          await importMemoryRecords(brokenRecords(), { mode: 'replace' });
+        } catch (error) {
+          streamMessage = error.message;
+        }
+        return {
+          message,
+          streamMessage,
+          before,
+          after: await db.count('aria_token_stats'),
+          stray: await db.selectOne('aria_token_stats', { token: 'stray' })
+        };
+      });
+
+      if (/incomplete/.test(outcome.message || '') && outcome.before === outcome.after && outcome.after > 0 &&
+        /incomplete.*restored from snapshot "before-import-\d+"/.test(outcome.streamMessage || '') &&
+        outcome.stray === null) {
+        console.log(`   ✅ Rejected: ${outcome.message}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Truncated bundle not handled: ${JSON.stringify(outcome)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+
+    // Test 31: CSV export for spreadsheets
+    console.log('\n📦 Test 31: CSV Export');
+    try {
+      const csv = await withMemoryStorage(async () => {
+        await processMessage('say "hello", world', uuidv4(), TEST_USER_ID);
+        return {
+          tokens: await exportToString('csv', { table: 'tokens' }),
+          pairs: await exportToString('csv', { table: 'pairs' }),
+          tokenCount: await getStorage().count('aria_token_stats')
+        };
+      });
+      const tokenLines = csv.tokens.trimEnd().split('\n');
+      const pairHeader = csv.pairs.split('\n')[0].split(',');
+
+      if (tokenLines[0].split(',').includes('token') && tokenLines.length === csv.tokenCount + 1 &&
+        pairHeader.includes('pattern_key') && pairHeader.includes('frequency') && !pairHeader.includes('id')) {
+        console.log(`   ✅ tokens.csv has ${tokenLines.length - 1} rows; pairs.csv columns: ${pairHeader.length}`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected CSV: ${JSON.stringify(csv)}`);
+        failed++;
+      }
+    } catch (error) {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    rmSync(bundleDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 17: SNAPSHOTS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📸 SECTION 17: SNAPSHOTS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 32: Spam after a snapshot shows up in the diff and is rolled back
+  console.log('\n📸 Test 32: Snapshot, Diff and Rollback');
+  try {
+    await withMemoryStorage(async (db) => {
+      for (const message of ['the weather is nice', 'the cat is nice']) {
+        await processMessage(message, uuidv4(), TEST_USER_ID);
+      }
+      await createSnapshot('clean');
+      const clean = {
+        tokens: await db.count('aria_token_stats'),
+        pair: await db.selectOne('aria_word_pairs', { pattern_key: 'is->nice' })
+      };
+
+      for (let i = 0; i < 4; i++) {
+        await processMessage('buy cheap pills now', uuidv4(), TEST_USER_ID);
+      }
+      const diff = await diffSnapshots('clean');
+      const rollback = await rollbackToSnapshot('clean');
+      const after = {
+        tokens: await db.count('aria_token_stats'),
+        spam: await db.selectOne('aria_word_pairs', { pattern_key: 'buy->cheap' }),
+        pair: await db.selectOne('aria_word_pairs', { pattern_key: 'is->nice' }),
+        counter: (await db.selectOne('aria_message_counter', { id: 1 })).current_index
+      };
+      const names = (await listSnapshots()).map(snapshot => snapshot.name);
+      let duplicate = null;
+      try {
+        await createSnapshot('clean');
+      } catch (error) {
+        duplicate = error.message;
+      }
+
+      // A rollback that fails on its last rows leaves memory untouched
+      await processMessage('buy cheap pills now', uuidv4(), TEST_USER_ID);
+      const tokensBeforeFailure = await db.count('aria_token_stats');
+      const { id: cleanId } = await db.selectOne('aria_snapshots', { name: 'clean' });
+      const archived = { pattern_key: 'dup->pair', token_a: 'dup', token_b: 'pair', frequency: 1 };
+      await db.insert('aria_snapshot_rows', ['dup-1', 'dup-2'].map(rowKey => ({
+        snapshot_id: cleanId, kind: 'archive', row_key: rowKey, data: archived
+      })));
+      let failedRollback = null;
+      try {
+        await rollbackToSnapshot('clean', { backup: false });
+      } catch (error) {
+        failedRollback = error.message;
+      }
+      const untouched = failedRollback !== null &&
+        await db.count('aria_token_stats') === tokensBeforeFailure &&
+        await db.selectOne('aria_word_pairs', { pattern_key: 'buy->cheap' }) !== null &&
+        await db.count('aria_pair_archive') === 0;
+
+      const ok = diff.summary.created === 3 && diff.created.some(pair => pair.pattern_key === 'buy->cheap') &&
+        diff.summary.tokensCreated === 4 && diff.from.name === 'clean' && diff.to.name === null &&
+        rollback.tokens === clean.tokens && after.tokens === clean.tokens && after.spam === null &&
+        after.pair.frequency === clean.pair.frequency && after.counter === 6 &&
+        names.includes(rollback.backup) && /already exists/.test(duplicate || '') && untouched;
+
+      if (ok) {
+        console.log(`   ✅ Diff saw ${diff.summary.created} spam pairs; rollback restored ${rollback.tokens} tokens (backup "${rollback.backup}")`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected snapshot flow: ${JSON.stringify({ clean, diff, rollback, after, names, duplicate, failedRollback, untouched })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 33: Promotions, the archive and auto-snapshot pruning on SQLite
+  console.log('\n📸 Test 33: Snapshot Diff, Archive Rollback and Auto Pruning (sqlite)');
+  const snapshotDir = mkdtempSync(join(tmpdir(), 'aria-snapshot-'));
+  const snapshotAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(snapshotDir, 'snapshot.sqlite') });
+  const storageBeforeSnapshots = setStorage(snapshotAdapter);
+  try {
+    await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+    await snapshotAdapter.insert('aria_pair_archive', {
+      id: uuidv4(), pattern_key: 'old->pair', token_a: 'old', token_b: 'pair', directed: true,
+      frequency: 3, last_seen_message_index: 0, archived_at_message: 1
+    });
+    await createSnapshot('first');
+
+    await snapshotAdapter.update('aria_word_pairs', { pattern_key: 'weather->is' }, { tier: 'medium', strength: 0.5 });
+    await snapshotAdapter.update('aria_word_pairs', { pattern_key: 'is->nice' }, { tier: 'decay', strength: 0.005 });
+    await snapshotAdapter.update('aria_token_stats', { token: 'weather' }, { category: 'stable' });
+    await snapshotAdapter.remove('aria_pair_archive', { pattern_key: 'old->pair' });
+    await createSnapshot('second');
+    const diff = await diffSnapshots('first', 'second');
+
+    await rollbackToSnapshot('first', { backup: false });
+    const archived = await snapshotAdapter.selectOne('aria_pair_archive', { pattern_key: 'old->pair' });
+    const weather = await snapshotAdapter.selectOne('aria_word_pairs', { pattern_key: 'weather->is' });
+
+    for (const messageIndex of [100, 200, 300]) {
+      await createAutoSnapshot({ messageIndex, keep: 2 });
+    }
+    const names = (await listSnapshots()).map(snapshot => snapshot.name);
+
+    const ok = diff.summary.promoted === 1 && diff.promoted[0].to === 'medium' &&
+      diff.summary.decayed === 1 && diff.decayed[0].pattern_key === 'is->nice' &&
+      diff.categoryChanged.some(change => change.token === 'weather' && change.to === 'stable') &&
+      archived?.frequency === 3 && weather.tier === 'short' && weather.directed === 1 &&
+      names.join(',') === 'auto-300,auto-200,second,first';
+
+    if (ok) {
+      console.log(`   ✅ ${diff.summary.promoted} promoted, ${diff.summary.decayed} decayed; archive restored; auto kept ${names.filter(n => n.startsWith('auto-')).join(', ')}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected snapshots: ${JSON.stringify({ diff, archived, weather, names })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (/better-sqlite3/.test(error.message)) {
+      console.log('   ⏭️ Skipped (better-sqlite3 not installed)');
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeSnapshots);
+    await snapshotAdapter.close();
+    rmSync(snapshotDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 18: NAMESPACES
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🏠 SECTION 18: NAMESPACES');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 34: Two rooms learn, count and answer independently
+  console.log('\n🏠 Test 34: Namespace Isolation');
+  try {
+    await withMemoryStorage(async (db) => {
+      await processMessage('the weather is nice', uuidv4(), TEST_USER_ID);
+      const cats = await processMessage('cats chase mice', uuidv4(), TEST_USER_ID, { namespace: 'room-a' });
+      await processMessage('cats chase mice', uuidv4(), TEST_USER_ID, { namespace: 'room-a' });
+      const dogs = await processMessage('dogs chase balls', uuidv4(), TEST_USER_ID, { namespace: 'Room-B' });
+
+      const inRoomA = await withNamespace('room-a', async () => ({
+        stats: await getMemoryStats(),
+        cats: await getTokenStats('cats'),
+        weather: await getTokenStats('weather'),
+        snapshot: await createSnapshot('clean')
+      }));
+      const silent = await generateResponse('cats chase', { namespace: 'empty-room' });
+      const defaultView = {
+        cats: await getTokenStats('cats'),
+        counter: (await db.selectOne('aria_message_counter', { id: 1 })).current_index,
+        pairs: await db.count('aria_word_pairs'),
+        snapshots: (await listSnapshots()).length
+      };
+      let invalid = null;
+      try {
+        await processMessage('hello there', uuidv4(), TEST_USER_ID, { namespace: 'no spaces' });
+      } catch (error) {
+        invalid = error.message;
+      }
+
+      const ok = cats.messageIndex === 1 && dogs.messageIndex === 1 &&
+        inRoomA.stats.messagesProcessed === 2 && inRoomA.cats?.total_occurrences === 2 && inRoomA.weather === null &&
+        silent === '...' && defaultView.cats === null && defaultView.counter === 1 && defaultView.pairs === 3 &&
+        defaultView.snapshots === 0 && /Invalid namespace/.test(invalid || '');
+
+      if (ok) {
+        console.log(`   ✅ room-a: ${inRoomA.stats.tokens} tokens over ${inRoomA.stats.messagesProcessed} messages; default kept ${defaultView.pairs} pairs`);
+        passed++;
+      } else {
+        console.log(`   ❌ Namespaces leaked: ${JSON.stringify({ cats, dogs, inRoomA, silent, defaultView, invalid })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 35: Migration 010 keeps existing memory as the default namespace
+  console.log('\n🏠 Test 35: Namespace Migration (sqlite)');
+  const namespaceDir = mkdtempSync(join(tmpdir(), 'aria-namespace-'));
+  const namespaceAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(namespaceDir, 'namespace.sqlite') });
+  const storageBeforeNamespaces = setStorage(namespaceAdapter);
+  try {
+    await migrateDown(namespaceAdapter, { to: 9 });
+    await namespaceAdapter.insert('aria_token_stats', { id: uuidv4(), token: 'weather', total_occurrences: 1 });
+    await namespaceAdapter.runScript('UPDATE aria_message_counter SET current_index = 1 WHERE id = 1');
+    await migrateUp(namespaceAdapter);
+
+    const room = await processMessage('the weather is cold', uuidv4(), TEST_USER_ID, { namespace: 'room-a' });
+    const next = await processMessage('the weather is warm', uuidv4(), TEST_USER_ID);
+    const roomWeather = await withNamespace('room-a', () => getTokenStats('weather'));
+    const defaultWeather = await getTokenStats('weather');
+    const roomStats = await withNamespace('room-a', () => getStorage().selectOne('aria_global_stats', { id: 1 }));
+
+    // Rolling back keeps only the default namespace
+    await migrateDown(namespaceAdapter, { to: 9 });
+    await migrateUp(namespaceAdapter);
+    const roomTokens = await withNamespace('room-a', () => getStorage().count('aria_token_stats'));
+    const kept = await getTokenStats('weather');
+
+    const ok = room.messageIndex === 1 && next.messageIndex === 2 &&
+      roomWeather?.total_occurrences === 1 && defaultWeather?.total_occurrences === 2 &&
+      roomStats?.total_contexts_seen === 1 && roomTokens === 0 && kept?.total_occurrences === 2;
+
+    if (ok) {
+      console.log(`   ✅ Existing memory became "default"; room-a started at message #${room.messageIndex}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected migration: ${JSON.stringify({ room, next, roomWeather, defaultWeather, roomStats, roomTokens, kept })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (/better-sqlite3/.test(error.message)) {
+      console.log('   ⏭️ Skipped (better-sqlite3 not installed)');
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeNamespaces);
+    await namespaceAdapter.close();
+    rmSync(namespaceDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 19: SOURCE WEIGHTS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('⚖️ SECTION 19: SOURCE WEIGHTS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 36: Curators teach faster, bots slower, unlisted bots not at all
+  console.log('\n⚖️ Test 36: Weighted Reinforcement by Author');
+  try {
+    await withMemoryStorage(async (db) => {
+      await setSourceWeight('user', 'curator', 2, { note: 'trusted' });
+      await setSourceWeight('role', 'mod', 0.5);
+      await setSourceWeight('user', 'mod-lead', 3);
+      await setSourceWeight('bot', 'kira', 0.25);
+
+      const plain = await processMessage('plain words', uuidv4(), TEST_USER_ID);
+      const curator = await processMessage('curated words', uuidv4(), 'curator');
+      const mod = await processMessage('moderated words', uuidv4(), 'someone', { role: 'mod' });
+      const lead = await processMessage('leading words', uuidv4(), 'mod-lead', { role: 'mod' });
+      const kira = await processMessage('kira words', uuidv4(), null, { botId: 'kira' });
+      const spam = await processMessage('spam words', uuidv4(), null, { botId: 'spambot' });
+
+      const strength = async key => (await db.selectOne('aria_word_pairs', { pattern_key: key }))?.strength;
+      const occurrences = async token => (await getTokenStats(token))?.total_occurrences;
+      const base = await strength('plain->words');
+      const counter = (await db.selectOne('aria_message_counter', { id: 1 })).current_index;
+
+      let invalid = null;
+      try {
+        await setSourceWeight('user', 'curator', -1);
+      } catch (error) {
+        invalid = error.message;
+      }
+      await removeSourceWeight('bot', 'kira');
+      const kiraAfter = await resolveSourceWeight({ botId: 'kira' });
+
+      const close = (a, b) => Math.abs(a - b) < 1e-9;
+      const ok = plain.weight === 1 && curator.weight === 2 && mod.source === 'role:mod' &&
+        lead.source === 'user:mod-lead' && kira.weight === 0.25 && !spam.processed &&
+        close(await strength('curated->words'), base * 2) && close(await strength('moderated->words'), base * 0.5) &&
+        close(await strength('kira->words'), base * 0.25) && await strength('spam->words') === undefined &&
+        await occurrences('curated') === 2 && await occurrences('kira') === 0.25 &&
+        counter === 5 && /Weight must/.test(invalid || '') &&
+        kiraAfter.weight === 0 && kiraAfter.source === 'default:bot' &&
+        (await listSourceWeights()).length === 3;
+
+      if (ok) {
+        console.log(`   ✅ curator x${curator.weight}, mod x${mod.weight}, kira x${kira.weight}; spambot skipped (${spam.reason})`);
+        passed++;
+      } else {
+        console.log(`   ❌ Unexpected weighting: ${JSON.stringify({ plain, curator, mod, lead, kira, spam, base, counter, invalid, kiraAfter })}`);
+        failed++;
+      }
+    });
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 37: Weights and fractional counters persist on SQLite
+  console.log('\n⚖️ Test 37: Source Weights on SQLite');
+  const weightsDir = mkdtempSync(join(tmpdir(), 'aria-weights-'));
+  const weightsAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(weightsDir, 'weights.sqlite') });
+  const storageBeforeWeights = setStorage(weightsAdapter);
+  try {
+    await setSourceWeight('bot', 'kira', 0.5);
+    await setSourceWeight('bot', 'kira', 0.3, { note: 'noisy' });
+    for (let i = 0; i < 3; i++) {
+      await processMessage('kira likes weather', uuidv4(), null, { botId: 'kira' });
+    }
+    const kira = await weightsAdapter.selectOne('aria_source_weights', { source_type: 'bot', source_id: 'kira' });
+    const likes = await getTokenStats('likes');
+    const pair = await weightsAdapter.selectOne('aria_word_pairs', { pattern_key: 'kira->likes' });
+
+    const ok = kira?.weight === 0.3 && kira.note === 'noisy' &&
+      Math.abs(likes?.total_occurrences - 0.9) < 1e-9 && Math.abs(likes.position_count - 0.9) < 1e-9 &&
+      pair?.frequency === 3;
+
+    if (ok) {
+      console.log(`   ✅ kira x${kira.weight}: "likes" seen ${likes.total_occurrences.toFixed(1)} times over 3 messages`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected SQLite weights: ${JSON.stringify({ kira, likes, pair })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (/better-sqlite3/.test(error.message)) {
+      console.log('   ⏭️ Skipped (better-sqlite3 not installed)');
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeWeights);
+    await weightsAdapter.close();
+    rmSync(weightsDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 20: BULK INGESTION
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📚 SECTION 20: BULK INGESTION');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 38: Split modes, byte offsets and characters cut across chunks
+  console.log('\n📚 Test 38: Splitting Input Into Messages');
+  try {
+    const corpus = 'The café opened. Naïve cats wait!\nThey sleep\n\nNew paragraph here.\n';
+    const bytes = Buffer.from(corpus);
+    // 5-byte chunks split "é" and "ï" in half
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 5) chunks.push(bytes.subarray(i, i + 5));
+
+    const collect = async (split, input = chunks, offset = 0) => {
+      const segments = [];
+      for await (const segment of splitSegments(input, { split, offset })) segments.push(segment);
+      return segments;
+    };
+    const lines = await collect('lines');
+    const paragraphs = await collect('paragraphs');
+    const sentences = await collect('sentences');
+    const resumed = await collect('sentences', [bytes.subarray(sentences[1].end)], sentences[1].end);
+
+    const ok = lines.map(s => s.text).join('|') === 'The café opened. Naïve cats wait!|They sleep|New paragraph here.' &&
+      paragraphs.map(s => s.text).join('|') === 'The café opened. Naïve cats wait! They sleep|New paragraph here.' &&
+      sentences.map(s => s.text).join('|') === 'The café opened.|Naïve cats wait!|They sleep|New paragraph here.' &&
+      bytes.subarray(0, sentences[0].end).toString() === 'The café opened. ' &&
+      lines[lines.length - 1].end === bytes.length &&
+      resumed.map(s => s.text).join('|') === 'They sleep|New paragraph here.' && resumed[1].end === bytes.length;
+
+    if (ok) {
+      console.log(`   ✅ ${lines.length} lines, ${paragraphs.length} paragraphs, ${sentences.length} sentences; resume at byte ${sentences[1].end}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected split: ${JSON.stringify({ lines, paragraphs, sentences, resumed })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // Test 39: An interrupted ingest resumed from its offset learns the same as one run
+  console.log('\n📚 Test 39: Interrupted Ingest Resumes Where It Stopped');
+  try {
+    const corpus = Buffer.from([
+      'the weather is nice today', 'the cat sat on the mat', 'the weather is cold',
+      'a cat likes the weather', 'the mat is warm today', 'nice cat'
+    ].join('\n'));
+    const snapshotOf = async (db) => (await db.select('aria_word_pairs', { order: { pattern_key: 'asc' } }))
+      .map(pair => `${pair.pattern_key}:${pair.frequency}`).join(',');
+
+    const single = await withMemoryStorage(async (db) => {
+      const result = await ingestSegments(splitSegments([corpus]), { userId: 'reader' });
+      return { result, pairs: await snapshotOf(db) };
+    });
+
+    const interrupted = await withMemoryStorage(async (db) => {
+      const controller = new AbortController();
+      const first = await ingestSegments(splitSegments([corpus]), {
+        userId: 'reader',
+        signal: controller.signal,
+        onMessage: ({ totals }) => {
+          if (totals.messages === 2) controller.abort();
+        }
+      });
+      const rest = await ingestSegments(splitSegments([corpus.subarray(first.end)], { offset: first.end }), { userId: 'reader' });
+      const namespaced = await ingestSegments(splitSegments(['solo words here']), { namespace: 'corpus' });
+      return {
+        first,
+        rest,
+        namespaced,
+        pairs: await snapshotOf(db),
+        counter: (await db.selectOne('aria_message_counter', { id: 1 })).current_index
+      };
+    });
+
+    const ok = single.result.messages === 6 && single.result.end === corpus.length &&
+      interrupted.first.aborted && interrupted.first.messages === 2 && interrupted.rest.messages === 4 &&
+      interrupted.pairs === single.pairs && interrupted.counter === 6 && interrupted.namespaced.learned === 1;
+
+    if (ok) {
+      console.log(`   ✅ Stopped after ${interrupted.first.messages}, resumed at byte ${interrupted.first.end}, same ${single.result.newPairs} pairs`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected ingest: ${JSON.stringify({ single, interrupted })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 21: INGESTION BATCHES
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📨 SECTION 21: INGESTION BATCHES');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 40: JSON and NDJSON batches report per message and skip the chat table
+  console.log('\n📨 Test 40: JSON And NDJSON Ingestion Batches');
+  try {
+    const outcome = await withMemoryStorage(async (db) => {
+      const json = await ingestBatch([
+        { content: 'the printer jams again', userId: 'helpdesk', timestamp: '2024-03-01T10:00:00Z', externalId: 'T-1' },
+        { content: 'the printer needs paper', user_id: 42, timestamp: 1709287200000, external_id: 7 },
+        { content: 'no author here', externalId: 'T-3' },
+        { content: 'bad time', userId: 'helpdesk', timestamp: 'yesterday-ish' }
+      ]);
+
+      // Split mid-line, with a blank line and a broken one
+      const ndjson = [
+        '{"content":"the printer works","userId":"forum","externalId":"P-1"}\n\n{"cont',
+        'ent":"printer jams daily","userId":"forum"}\nnot json\n'
+      ];
+      const streamed = [];
+      const stream = await ingestBatch(parseNdjson(ndjson), {
+        namespace: 'forum',
+        onResult: ({ result }) => { streamed.push(result); }
+      });
+
+      return {
+        json,
+        stream,
+        streamed,
+        messages: await db.count('aria_messages'),
+        printerJams: await db.selectOne('aria_word_pairs', { pattern_key: 'printer->jams' }),
+        forumPairs: await withNamespace('forum', () => getStorage().count('aria_word_pairs'))
+      };
+    });
+
+    const [first, second, noAuthor, badTime] = outcome.json.results;
+    const ok = outcome.json.totals.messages === 4 && outcome.json.totals.learned === 2 && outcome.json.totals.failed === 2 &&
+      first.processed && first.externalId === 'T-1' && first.timestamp === '2024-03-01T10:00:00.000Z' && first.newPairs === 3 &&
+      second.processed && second.externalId === '7' && second.reinforced === 1 && typeof second.categorized === 'number' &&
+      noAuthor.externalId === 'T-3' && /userId/.test(noAuthor.error) && /timestamp/.test(badTime.error) &&
+      outcome.stream.totals.learned === 2 && outcome.stream.totals.failed === 1 && outcome.stream.results === null &&
+      outcome.streamed.map(result => result.index).join(',') === '0,1,2' &&
+      outcome.streamed[0].externalId === 'P-1' && /Line 4/.test(outcome.streamed[2].error) &&
+      outcome.messages === 0 && outcome.printerJams?.frequency === 1 && outcome.forumPairs > 0;
+
+    if (ok) {
+      console.log(`   ✅ JSON: ${outcome.json.totals.learned} learned, ${outcome.json.totals.failed} rejected; NDJSON streamed ${outcome.streamed.length} results; chat table untouched`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected batches: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 22: SENTENCE SEGMENTS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('✂️ SECTION 22: SENTENCE SEGMENTS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 41: Pairs, adjacency and positions stay inside a sentence or clause
+  console.log('\n✂️ Test 41: Learning Within Sentence Boundaries');
+  try {
+    const text = 'The weather is nice today. The cat sleeps!\nwarm mat; the end';
+    const segments = segment(text);
+    const keepsDecimals = segment('it costs 3.5 coins, see "this." ok').map(segment => segment.join(' ')).join('|');
+
+    const outcome = await withMemoryStorage(async (db) => {
+      const result = await processMessage(text, uuidv4(), 'segments-user');
+      const token = async (name) => db.selectOne('aria_token_stats', { token: name });
+      return {
+        result,
+        pairs: (await db.select('aria_word_pairs', { order: { pattern_key: 'asc' } })).map(pair => pair.pattern_key),
+        the: await token('the'),
+        today: await token('today'),
+        global: await db.selectOne('aria_global_stats', { id: 1 }),
+        positions: await db.select('aria_token_positions', { filters: { token: 'the' } })
+      };
+    });
+
+    const ok = segments.map(segment => segment.join(' ')).join('|') === 'the weather is nice today|the cat sleeps|warm mat|the end' &&
+      keepsDecimals === 'it costs 3.5 coins see this|ok' &&
+      !outcome.pairs.includes('today->the') && !outcome.pairs.includes('sleeps->warm') && !outcome.pairs.includes('mat->the') &&
+      outcome.pairs.includes('the->end') && outcome.result.newPairs === 8 &&
+      outcome.the.total_occurrences === 3 && outcome.the.context_count === 1 && outcome.the.position_sum === 0 &&
+      outcome.today.unique_adjacency_count === 2 && outcome.today.relative_position_sum === 1 &&
+      outcome.global.total_contexts_seen === 1 && outcome.global.total_adj_windows === 8 &&
+      outcome.positions.every(row => row.position === 0);
+
+    if (ok) {
+      console.log(`   ✅ ${segments.length} segments, ${outcome.result.newPairs} pairs, none across a boundary`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected segments: ${JSON.stringify({ segments, keepsDecimals, outcome })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 23: TOKENIZER
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🔤 SECTION 23: TOKENIZER');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 42: Unicode words, configurable joiners/numbers/emoji, shared by learner and generator
+  console.log('\n🔤 Test 42: Unicode Tokenizer Options');
+  try {
+    const text = 'I don’t think the Café is naïve — Москва 東京 well-known 3.5 42 😀 "quoted"';
+    const defaults = tokenize(text);
+    const custom = tokenize(text, { apostrophes: 'split', hyphens: 'split', numbers: 'drop', emoji: 'keep', minLength: 2 });
+    const stripped = tokenize("don't well-known", { apostrophes: 'strip', hyphens: 'strip' });
+    let rejected = null;
+    try {
+      tokenize('x', { emoji: 'sometimes' });
+    } catch (error) {
+      rejected = error.message;
+    }
+    const badLengths = [];
+    for (const minLength of [Number('two'), 0, 1.5]) {
+      try {
+        tokenize('x', { minLength });
+      } catch (error) {
+        badLengths.push(error.message);
+      }
+    }
+
+    // A keyword typed with a different apostrophe and case still finds what was learned
+    const outcome = await withMemoryStorage(async () => {
+      await processMessage("Café crème isn't cheap", uuidv4(), 'unicode-user');
+      await processMessage("café crème isn't cheap", uuidv4(), 'unicode-user');
+      return {
+        cafe: await getTokenStats('CAFÉ'),
+        isnt: await getTokenStats('ISN’T'),
+        memory: await queryMemory('a café crème?')
+      };
+    });
+
+    const ok = defaults.join(' ') === "i don't think the café is naïve москва 東京 well-known 3.5 42 quoted" &&
+      custom.join(' ') === 'don think the café is naïve москва 東京 well known 😀 quoted' &&
+      stripped.join(' ') === 'dont wellknown' &&
+      /Invalid tokenizer emoji/.test(rejected) &&
+      badLengths.length === 3 && badLengths.every(message => /Invalid tokenizer minLength/.test(message)) &&
+      outcome.cafe?.total_occurrences === 2 && outcome.isnt?.total_occurrences === 2 &&
+      outcome.memory.keywords.join(' ') === 'a café crème' && outcome.memory.pairs.some(pair => pair.pattern_key === 'café->crème');
+
+    if (ok) {
+      console.log(`   ✅ ${defaults.length} default tokens, ${custom.length} with options; "CAFÉ" and "ISN’T" find learned tokens`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected tokens: ${JSON.stringify({ defaults, custom, stripped, rejected, outcome })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 24: PREPROCESSING
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧹 SECTION 24: PREPROCESSING');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 43: Each stage alone, toggles, and what processMessage ends up learning
+  console.log('\n🧹 Test 43: Pre-Learning Normalization Pipeline');
+  try {
+    const message = [
+      '/aria hey aria, see https://example.com/docs?page=2. Mail ops@example.org or ask @carol about 42 jobs',
+      '> an older message',
+      '```js',
+      'const secret = compute(1);',
+      '```',
+      'maria fixed it'
+    ].join('\n');
+
+    const stages = {
+      codeBlocks: STAGES.codeBlocks('before\n```\ncode here\n```\nafter'),
+      quotes: STAGES.quotes('> quoted\nreply'),
+      urls: STAGES.urls('read www.site.io/a, then (https://x.dev).'),
+      emails: STAGES.emails('write to a.b+c@mail.example.com'),
+      triggers: STAGES.triggers('Hey Aria, maria says yo aria'),
+      commands: STAGES.commands('/a what now /a'),
+      mentions: STAGES.mentions('thanks @dave.k and <@!123>'),
+      numbers: STAGES.numbers('2 cats, 3.5 kg, 1,000 mp3s')
+    };
+    const squash = text => text.replace(/\s+/g, ' ').trim();
+    const full = preprocessMessage(message);
+    const keepNumbers = preprocessMessage('42 jobs @carol', { numbers: false, mentions: false });
+    let rejected = null;
+    try {
+      preprocessMessage('x', { links: false });
+    } catch (error) {
+      rejected = error.message;
+    }
+
+    const outcome = await withMemoryStorage(async (db) => {
+      const learned = await processMessage(message, uuidv4(), 'pipeline-user');
+      const empty = await processMessage('@aria', uuidv4(), 'pipeline-user');
+      const raw = await processMessage('see https://example.com', uuidv4(), 'pipeline-user', { preprocess: false });
+      const tokens = (await db.select('aria_token_stats')).map(row => row.token);
+      return { learned, empty, raw, tokens };
+    });
+
+    const ok = squash(stages.codeBlocks) === 'before after' && squash(stages.quotes) === 'reply' &&
+      squash(stages.urls) === 'read <url> , then ( <url> ).' && squash(stages.emails) === 'write to <email>' &&
+      squash(stages.triggers) === ', maria says' && squash(stages.commands) === 'what now /a' &&
+      squash(stages.mentions) === 'thanks <mention> and <mention>' && squash(stages.numbers) === '<num> cats, <num> kg, <num> mp3s' &&
+      squash(full) === ', see <url> . Mail <email> or ask <mention> about <num> jobs maria fixed it' &&
+      keepNumbers === '42 jobs @carol' && /Unknown preprocessing stage "links"/.test(rejected) &&
+      outcome.learned.processed && outcome.empty.reason === 'Nothing left after preprocessing' &&
+      ['<url>', '<email>', '<mention>', '<num>', 'maria', 'https'].every(token => outcome.tokens.includes(token)) &&
+      !['aria', 'secret', 'older', 'carol', '42', 'docs'].some(token => outcome.tokens.includes(token));
+
+    if (ok) {
+      console.log(`   ✅ 8 stages; learned "${squash(full).slice(0, 40)}..."`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected preprocessing: ${JSON.stringify({ stages, full, keepNumbers, rejected, outcome })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 25: RUNTIME CONFIGURATION
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('⚙️ SECTION 25: RUNTIME CONFIGURATION');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 44: File + env layers, validation, live updates, file reload and history
+  console.log('\n⚙️ Test 44: Configuration Layers, Hot Reload and Audit');
+  const configDir = mkdtempSync(join(tmpdir(), 'aria-config-'));
+  const configFile = join(configDir, 'aria.config.json');
+  try {
+    writeFileSync(configFile, JSON.stringify({ correlator: { DECAY: { short: { rate: 0.2 } } } }));
+    const correlatorSection = config.correlator;
+    loadConfig({ file: configFile, env: { ARIA_SNAPSHOT_KEEP: '7', ARIA_CONFIG__GENERATOR__MAXWORDS: '9' } });
+    const layered = getConfig();
+
+    const outcome = await withMemoryStorage(async () => {
+      const errors = [];
+      for (const patch of [
+        { correlator: { CATEGORY_THRESHOLD: 2 } },
+        { correlator: { THRESHOLDS: { SHORT_MAX: 0.9 } } },
+        { generator: { colour: 'blue' } },
+        { correlator: { SNAPSHOTS: { KEEP: 3 } } }
+      ]) {
+        try {
+          await updateConfig(patch);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
+      const changed = await updateConfig({ correlator: { CATEGORY_THRESHOLD: 0.2 } }, { actor: 'tester', note: 'tighter' });
+      const thresholdLive = correlatorSection.CATEGORY_THRESHOLD;
+      const saved = JSON.parse(readFileSync(configFile, 'utf8'));
+      const unchanged = await updateConfig({ correlator: { CATEGORY_THRESHOLD: 0.2 } });
+      await updateConfig({ correlator: { CATEGORY_THRESHOLD: null } });
+
+      // A hand edit to the file is applied and recorded
+      const stop = watchConfigFile({ interval: 20 });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const current = JSON.parse(readFileSync(configFile, 'utf8'));
+      writeFileSync(configFile, JSON.stringify({ ...current, server: { triggers: { mentions: ['@bot'] } } }));
+      for (let i = 0; i < 50 && config.server.triggers.mentions[0] !== '@bot'; i++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+      stop();
+
+      return {
+        errors,
+        changed,
+        thresholdLive,
+        saved,
+        unchanged,
+        threshold: config.correlator.CATEGORY_THRESHOLD,
+        stripped: preprocessMessage('@bot hello'),
+        history: await getConfigHistory()
+      };
+    });
+
+    const [fileChange, reset, first] = outcome.history;
+    const ok = layered.config.correlator.DECAY.short.rate === 0.2 && layered.config.correlator.DECAY.short.interval === 50 &&
+      layered.config.correlator.SNAPSHOTS.KEEP === 7 && layered.config.generator.maxWords === 9 &&
+      layered.environment['generator.maxWords'] === 'ARIA_CONFIG__GENERATOR__MAXWORDS' &&
+      /CATEGORY_THRESHOLD must be a number from 0 to 1/.test(outcome.errors[0]) &&
+      /SHORT_MAX must be below MEDIUM_MAX/.test(outcome.errors[1]) &&
+      /Unknown setting generator.colour/.test(outcome.errors[2]) &&
+      /set by environment variable ARIA_SNAPSHOT_KEEP/.test(outcome.errors[3]) &&
+      outcome.changed.changes[0]?.path === 'correlator.CATEGORY_THRESHOLD' && outcome.changed.recorded &&
+      outcome.thresholdLive === 0.2 && outcome.saved.correlator.CATEGORY_THRESHOLD === 0.2 &&
+      outcome.saved.correlator.DECAY.short.rate === 0.2 && outcome.unchanged.changes.length === 0 &&
+      outcome.threshold === 0.15 && outcome.stripped === 'hello' &&
+      outcome.history.length === 3 && fileChange.source === 'file' &&
+      fileChange.changes.length === 1 && fileChange.changes[0].path === 'server.triggers.mentions' &&
+      reset.changes[0].to === 0.15 && first.actor === 'tester' && first.note === 'tighter' &&
+      first.changes[0].from === 0.15 && first.changes[0].to === 0.2;
+
+    if (ok) {
+      console.log(`   ✅ ${outcome.errors.length} bad changes refused; threshold 0.15 → 0.2 → 0.15 live; file edit reloaded; ${outcome.history.length} history rows`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected config: ${JSON.stringify({ layered, outcome })}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    loadConfig();
+    rmSync(configDir, { recursive: true, force: true });
+  }
+
+  // Test 45: History rows keep their change lists on SQLite
+  console.log('\n⚙️ Test 45: Configuration History on SQLite');
+  const historyDir = mkdtempSync(join(tmpdir(), 'aria-config-history-'));
+  const historyAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(historyDir, 'history.sqlite') });
+  const storageBeforeHistory = setStorage(historyAdapter);
+  try {
+    loadConfig({ file: join(historyDir, 'aria.config.json'), env: {} });
+    await updateConfig({ generator: { startingWeights: { stable: 2 } } }, { actor: 'tester' });
+    const [row] = await getConfigHistory();
+
+    const ok = row?.actor === 'tester' && row.source === 'api' &&
+      row.changes[0]?.path === 'generator.startingWeights.stable' && row.changes[0].from === 1.5 && row.changes[0].to === 2;
+
+    if (ok) {
+      console.log(`   ✅ ${row.changes[0].path}: ${row.changes[0].from} → ${row.changes[0].to} by ${row.actor}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected SQLite history: ${JSON.stringify(row)}`);
+      failed++;
+    }
+  } catch (error) {
+    if (/better-sqlite3/.test(error.message)) {
+      console.log('   ⏭️ Skipped (better-sqlite3 not installed)');
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    loadConfig();
+    setStorage(storageBeforeHistory);
+    await historyAdapter.close();
+    rmSync(historyDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 26: LEXICONS
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('📖 SECTION 26: LEXICONS');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 46: Editing markers and pairs changes learning and recounts the log
+  console.log('\n📖 Test 46: Temporal Markers and Contrast Pairs');
+  try {
+    const outcome = await withMemoryStorage(async () => {
+      clearLexiconCache();
+      const seeded = { markers: await listTemporalMarkers(), pairs: await listContrastPairs() };
+      const counts = async (...tokens) => Object.fromEntries(await Promise.all(tokens.map(async token => {
+        const stats = await getTokenStats(token);
+        return [token, [stats?.temporal_adj_count ?? null, stats?.contrast_pair_count ?? null]];
+      })));
+
+      await processMessage('we meet afterwards at noon', uuidv4(), 'user1');
+      await processMessage('it ended. afterwards we left', uuidv4(), 'user1');
+      await processMessage('early birds beat late owls', uuidv4(), 'user1');
+      await processMessage('old shoes and new shoes', uuidv4(), 'user1');
+      const before = await counts('we', 'meet', 'ended', 'left', 'early', 'old');
+
+      const markerAdded = await addTemporalMarkers(['Afterwards', 'soon'], { recompute: true });
+      const pairAdded = await addContrastPairs([['late', 'early'], ['good', 'bad']], { recompute: true });
+      const recounted = await counts('we', 'meet', 'ended', 'left', 'early', 'late', 'birds');
+
+      await processMessage('afterwards we rest', uuidv4(), 'user1');
+      const learned = await counts('rest');
+
+      const markerRemoved = await removeTemporalMarker('afterwards', { recompute: true });
+      const pairRemoved = await removeContrastPair(['early', 'late'], { recompute: true });
+      const reverted = await counts('we', 'meet', 'rest', 'early');
+
+      const errors = [];
+      for (const attempt of [
+        () => addTemporalMarkers('two words'),
+        () => addContrastPairs([['good', 'Good']]),
+        () => removeTemporalMarker('afterwards')
+      ]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
+      return { seeded, before, markerAdded, pairAdded, recounted, learned, markerRemoved, pairRemoved, reverted, errors };
+    });
+
+    const ok = outcome.seeded.markers.length === 30 && outcome.seeded.markers.includes('meanwhile') &&
+      outcome.seeded.pairs.length === 20 && outcome.seeded.pairs.some(([a, b]) => a === 'bad' && b === 'good') &&
+      outcome.before.meet[0] === 0 && outcome.before.early[1] === 0 &&
+      // "old" has two opposites; both count
+      outcome.before.old[1] === 1 &&
+      JSON.stringify(outcome.markerAdded.added) === '["afterwards"]' &&
+      JSON.stringify(outcome.pairAdded.added) === '[["early","late"]]' &&
+      outcome.markerAdded.recount.messages === 4 &&
+      outcome.recounted.we[0] === 2 && outcome.recounted.meet[0] === 1 && outcome.recounted.left[0] === 1 &&
+      // "ended" is in the sentence before the marker
+      outcome.recounted.ended[0] === 0 &&
+      outcome.recounted.early[1] === 1 && outcome.recounted.late[1] === 1 && outcome.recounted.birds[1] === 0 &&
+      outcome.learned.rest[0] === 1 &&
+      outcome.markerRemoved.removed === 'afterwards' && JSON.stringify(outcome.pairRemoved.removed) === '["early","late"]' &&
+      outcome.reverted.we[0] === 0 && outcome.reverted.meet[0] === 0 && outcome.reverted.rest[0] === 0 &&
+      outcome.reverted.early[1] === 0 &&
+      /must be a single word/.test(outcome.errors[0]) && /can't contrast with itself/.test(outcome.errors[1]) &&
+      /not found/.test(outcome.errors[2]);
+
+    if (ok) {
+      console.log(`   ✅ "afterwards" and early/late added and removed; "we" recounted 0 → 2 → 0; ${outcome.errors.length} bad edits refused`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected lexicon behavior: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    clearLexiconCache();
+  }
+
+  // Test 47: Seeded lexicons and weighted recounts on SQLite
+  console.log('\n📖 Test 47: Lexicons on SQLite');
+  const lexiconDir = mkdtempSync(join(tmpdir(), 'aria-lexicons-'));
+  const lexiconAdapter = createStorage({ kind: 'sqlite', sqlitePath: join(lexiconDir, 'lexicons.sqlite') });
+  const storageBeforeLexicons = setStorage(lexiconAdapter);
+  clearLexiconCache();
+  try {
+    await processMessage('we meet afterwards', uuidv4(), 'user1', { weight: 2 });
+    const { recount } = await addTemporalMarkers('afterwards', { recompute: true });
+    const meet = await getTokenStats('meet');
+    const pairs = await listContrastPairs();
+
+    const ok = pairs.length === 20 && (await listTemporalMarkers()).includes('afterwards') &&
+      JSON.stringify(recount.tokens) === '["meet","we"]' && meet?.temporal_adj_count === 2;
+
+    if (ok) {
+      console.log(`   ✅ ${pairs.length} seeded pairs; "meet" recounted at weight 2 → ${meet.temporal_adj_count}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected SQLite lexicons: ${JSON.stringify({ pairs: pairs.length, recount, meet })}`);
+      failed++;
+    }
+  } catch (error) {
+    if (/better-sqlite3/.test(error.message)) {
+      console.log('   ⏭️ Skipped (better-sqlite3 not installed)');
+    } else {
+      console.log(`   ❌ Error: ${error.message}`);
+      failed++;
+    }
+  } finally {
+    setStorage(storageBeforeLexicons);
+    clearLexiconCache();
+    await lexiconAdapter.close();
+    rmSync(lexiconDir, { recursive: true, force: true });
+  }
+
+  // ============================================
+  // SECTION 27: CONTRAST DISCOVERY
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('↔️ SECTION 27: CONTRAST DISCOVERY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 48: Interchangeable, non-adjacent tokens become reviewable candidates
+  console.log('\n↔️ Test 48: Contrast Candidates and Review');
+  try {
+    loadConfig({ env: {
+      ARIA_CONFIG__CORRELATOR__CONTRAST_DISCOVERY__INTERVAL: '0',
+      ARIA_CONFIG__CORRELATOR__CONTRAST_DISCOVERY__MIN_OCCURRENCES: '2'
+    } });
+    const outcome = await withMemoryStorage(async () => {
+      clearLexiconCache();
+      for (const text of [
+        'the water is warm today', 'the water is cool today',
+        'the soup is warm now', 'the soup is cool now',
+        'the film was good today', 'the film was bad today',
+        'the film was good now', 'the film was bad now',
+        'i like tea now', 'i like coffee now', 'i like tea today', 'i like coffee today',
+        'tea coffee'
+      ]) {
+        await processMessage(text, uuidv4(), 'user1');
+      }
+
+      const first = await discoverContrastPairs({ messageIndex: 13 });
+      const candidates = await listContrastCandidates({ limit: 500 });
+      const find = (a, b) => candidates.find(row => row.word_a === a && row.word_b === b);
+
+      const approved = await reviewContrastCandidate(['warm', 'cool'], 'approved');
+      const inLexicon = (await listContrastPairs()).some(([a, b]) => a === 'cool' && b === 'warm');
+      await processMessage('warm or cool', uuidv4(), 'user1');
+      const warm = await getTokenStats('warm');
+
+      const rejected = await reviewContrastCandidate(['cool', 'warm'], 'rejected');
+      const outOfLexicon = !(await listContrastPairs()).some(([a, b]) => a === 'cool' && b === 'warm');
+      // Scheduled runs don't overlap within a namespace
+      const run = scheduleContrastDiscovery();
+      const overlapping = scheduleContrastDiscovery();
+      const second = await run;
+      const afterRerun = (await listContrastCandidates({ status: 'rejected' }))
+        .find(row => row.word_a === 'cool' && row.word_b === 'warm');
+
+      const errors = [];
+      for (const attempt of [
+        () => reviewContrastCandidate(['cool', 'warm'], 'maybe'),
+        () => reviewContrastCandidate(['cold', 'warm'], 'approved')
+      ]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+
+      return {
+        first,
+        second,
+        overlapping,
+        coolWarm: find('cool', 'warm'),
+        goodBad: find('bad', 'good'),
+        teaCoffee: find('coffee', 'tea'),
+        ordered: candidates.every((row, i) => i === 0 || candidates[i - 1].confidence >= row.confidence),
+        approved,
+        inLexicon,
+        warmContrast: warm?.contrast_pair_count,
+        rejected,
+        outOfLexicon,
+        afterRerun,
+        errors
+      };
+    });
+
+    const ok = outcome.first.added > 0 &&
+      outcome.coolWarm?.status === 'pending' && outcome.coolWarm.confidence >= 0.5 && outcome.coolWarm.adjacent_count === 0 &&
+      outcome.coolWarm.message_index === 13 &&
+      // Already in the seeded lexicon
+      outcome.goodBad?.status === 'approved' &&
+      // Seen side by side too often
+      outcome.teaCoffee === undefined &&
+      outcome.ordered &&
+      outcome.approved.candidate.status === 'approved' && outcome.inLexicon && outcome.warmContrast === 1 &&
+      outcome.rejected.candidate.status === 'rejected' && outcome.outOfLexicon &&
+      outcome.afterRerun?.status === 'rejected' && outcome.second.refreshed > 0 && outcome.overlapping === null &&
+      /Invalid status "maybe"/.test(outcome.errors[0]) && /not found/.test(outcome.errors[1]);
+
+    if (ok) {
+      console.log(`   ✅ cool/warm found at ${outcome.coolWarm.confidence.toFixed(2)}, approved into the lexicon, then rejected; coffee/tea left out (adjacent)`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected contrast discovery: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    loadConfig();
+    clearLexiconCache();
+  }
+
+  // ============================================
+  // SECTION 28: DISTRIBUTIONAL SIMILARITY
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧭 SECTION 28: DISTRIBUTIONAL SIMILARITY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 49: Neighbour profiles and tokens ranked by shared contexts
+  console.log('\n🧭 Test 49: Neighbour Profiles and Similar Tokens');
+  try {
+    const outcome = await withMemoryStorage(async () => {
+      for (const text of [
+        'my cat sleeps all day', 'my dog sleeps all day',
+        'my cat eats fish', 'my dog eats meat',
+        'a bird sings. my cat eats', 'the weather is cold'
+      ]) {
+        await processMessage(text, uuidv4(), 'user1');
+      }
+      await processMessage('my cat sleeps', uuidv4(), 'user2', { weight: 0.5 });
+
+      const cat = await getTokenStats('cat');
+      const similar = await findSimilarTokens('Cat', { limit: 3 });
+      const frequent = await findSimilarTokens('cat', { minOccurrences: 3 });
+      let missing = null;
+      try {
+        await findSimilarTokens('unicorn');
+      } catch (error) {
+        missing = error.message;
+      }
+      return { profile: cat.neighbors, similar, frequent, missing };
+    });
+
+    const top = outcome.similar.similar[0];
+    const ok = outcome.profile.l.my === 3.5 && outcome.profile.r.sleeps === 1.5 && outcome.profile.r.eats === 2 &&
+      outcome.profile.r.all === 1 &&
+      // "a bird sings." ends before "my"
+      outcome.profile.l.sings === undefined &&
+      outcome.similar.token === 'cat' && top?.token === 'dog' && top.similarity > 0.8 && top.shared >= 4 &&
+      outcome.similar.similar.length <= 3 &&
+      outcome.similar.similar.every((row, i, rows) => i === 0 || rows[i - 1].similarity >= row.similarity) &&
+      !outcome.similar.similar.some(row => row.token === 'weather' || row.token === 'cat') &&
+      outcome.frequent.similar.every(row => row.total_occurrences >= 3) &&
+      /Token "unicorn" not found/.test(outcome.missing);
+
+    if (ok) {
+      console.log(`   ✅ "cat" ~ "${top.token}" ${top.similarity.toFixed(2)} over ${top.shared} shared neighbours; profile ${JSON.stringify(outcome.profile.r)}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected similarity: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 29: EMERGENT SUBCATEGORIES
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧩 SECTION 29: EMERGENT SUBCATEGORIES');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 50: Tokens grouped by neighbour profiles, ids kept across runs
+  console.log('\n🧩 Test 50: Subclusters Within a Category');
+  try {
+    const outcome = await withMemoryStorage(async (db) => {
+      // Batched writes must pass the Supabase adapter's filter check
+      const applyBatch = db.batch;
+      db.batch = operations => {
+        for (const operation of operations) {
+          if (operation.type !== 'insert' && operation.type !== 'upsert') assertEqualityFilters(operation.filters);
+        }
+        return applyBatch(operations);
+      };
+      const animal = { l: { the: 5, my: 3 }, r: { sleeps: 4, eats: 3 } };
+      const place = { l: { in: 5, to: 3 }, r: { tonight: 2 } };
+      const token = (name, neighbors, category = 'stable') => ({
+        token: name, category, total_occurrences: 10, neighbors
+      });
+      await db.insert('aria_token_stats', [
+        token('cat', animal), token('dog', { ...animal, r: { sleeps: 3, eats: 4 } }), token('bird', animal),
+        token('paris', place), token('london', place), token('rome', { ...place, r: { tonight: 1 } }),
+        token('idea', { l: { an: 5 }, r: { struck: 2 } }),
+        // Too rare to place anywhere
+        { ...token('fox', animal), total_occurrences: 2 }
+      ]);
+
+      const run = scheduleSubclustering();
+      const overlapping = scheduleSubclustering();
+      const first = await run;
+      const before = await listSubclusters('stable', { tokens: true });
+      const ids = Object.fromEntries((await db.select('aria_token_stats', { columns: ['token', 'subcluster'] }))
+        .map(row => [row.token, row.subcluster ?? null]));
+
+      // A new animal joins the same cluster; rome leaves the category
+      await db.insert('aria_token_stats', token('horse', animal));
+      await db.update('aria_token_stats', { token: 'rome' }, { category: 'modifier' });
+      const second = await clusterAllCategories();
+      const after = await listSubclusters('stable', { tokens: true });
+      const rome = await getTokenStats('rome');
+      const paris = await getTokenStats('paris');
+
+      let invalid = null;
+      try {
+        await listSubclusters('nouns');
+      } catch (error) {
+        invalid = error.message;
+      }
+      return { overlapping, first, before, ids, second, after, rome, paris, invalid };
+    });
+
+    const stable = result => result.categories.find(entry => entry.category === 'stable');
+    const animals = outcome.before.clusters.find(cluster => cluster.tokens.includes('cat'));
+    const places = outcome.before.clusters.find(cluster => cluster.tokens.includes('paris'));
+    const ok = outcome.overlapping === null &&
+      stable(outcome.first).clusters === 2 && stable(outcome.first).tokens === 7 &&
+      animals?.size === 3 && [...animals.tokens].sort().join() === 'bird,cat,dog' &&
+      /^stable-[0-9a-f]{8}$/.test(animals.id) && animals.cohesion > 0.9 && animals.profile.l.the > 0 &&
+      places?.size === 3 && places.id !== animals.id &&
+      outcome.ids.cat === animals.id && outcome.ids.paris === places.id &&
+      outcome.ids.idea === null && outcome.ids.fox === null &&
+      // Second run: the animal id survives, the two places left dissolve
+      stable(outcome.second).kept === 1 && stable(outcome.second).removed === 1 &&
+      outcome.after.clusters.length === 1 && outcome.after.clusters[0].id === animals.id &&
+      outcome.after.clusters[0].tokens.includes('horse') &&
+      (outcome.rome.subcluster ?? null) === null && (outcome.paris.subcluster ?? null) === null &&
+      /Invalid category "nouns"/.test(outcome.invalid);
+
+    if (ok) {
+      console.log(`   ✅ ${animals.id} [${animals.tokens.join(', ')}] kept after regrouping, places dissolved below MIN_SIZE`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected subclusters: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 30: CATEGORY HISTORY
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🕰️ SECTION 30: CATEGORY HISTORY');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 51: Confirmed switches and sampled scores per token
+  console.log('\n🕰️ Test 51: Category Timeline and Change Feed');
+  try {
+    loadConfig({ env: { ARIA_CONFIG__CORRELATOR__CATEGORY_HISTORY__SAMPLE_EVERY: '2' } });
+    const outcome = await withMemoryStorage(async () => {
+      const texts = ['the cat sleeps on the mat', 'the dog eats the food', 'a cat and a dog play', 'then the bird sings'];
+      for (let i = 0; i < 8; i++) {
+        await processMessage(texts[i % texts.length], uuidv4(), 'user1');
+      }
+      const the = await getTokenHistory('The');
+      const changes = await getCategoryChanges();
+      const toStable = await getCategoryChanges({ category: 'stable' });
+      const onlySamples = await getTokenHistory('the', { kind: 'sample', limit: 2 });
+      const stats = await getTokenStats('the');
+      const errors = [];
+      for (const attempt of [() => getTokenHistory('unicorn'), () => getTokenHistory('the', { kind: 'weekly' })]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      return { the, changes, toStable, onlySamples, stats, errors };
+    });
+
+    const { history } = outcome.the;
+    const switches = history.filter(row => row.kind === 'change');
+    const samples = history.filter(row => row.kind === 'sample');
+    const ok = outcome.the.token === 'the' && outcome.the.category === outcome.stats.category &&
+      history.every((row, i) => i === 0 || history[i - 1].message_index < row.message_index) &&
+      // Every switch is chained to the one before it and ends at the current category
+      switches.length > 0 && switches[0].old_category === 'unclassified' &&
+      switches.every((row, i) => i === 0 || switches[i - 1].new_category === row.old_category) &&
+      switches.at(-1).new_category === outcome.stats.category &&
+      switches.every(row => ['stability_score', 'transition_score', 'dependency_score', 'structural_score']
+        .every(score => typeof row[score] === 'number')) &&
+      // Sampled each time the count crosses a multiple of 2
+      samples.length > 0 && samples.every(row => row.old_category === row.new_category) &&
+      samples.every((row, i) => i === 0 || Math.floor(samples[i - 1].total_occurrences / 2) < Math.floor(row.total_occurrences / 2)) &&
+      outcome.onlySamples.history.length === 2 && outcome.onlySamples.history.every(row => row.kind === 'sample') &&
+      outcome.changes.length > 0 && outcome.changes.some(row => row.token === 'the') &&
+      outcome.changes.every((row, i, rows) => i === 0 || rows[i - 1].message_index >= row.message_index) &&
+      outcome.toStable.every(row => row.new_category === 'stable') &&
+      /Token "unicorn" not found/.test(outcome.errors[0]) && /Invalid kind "weekly"/.test(outcome.errors[1]);
+
+    if (ok) {
+      console.log(`   ✅ "the": ${switches.map(row => `#${row.message_index} ${row.old_category}→${row.new_category}`).join(', ')}; ${samples.length} samples, ${outcome.changes.length} switches in the feed`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected history: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  } finally {
+    loadConfig();
+  }
+
+  // ============================================
+  // SECTION 31: SCORE EXPLANATION
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🔬 SECTION 31: SCORE EXPLANATION');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 52: Scores broken into terms that add up to the stored ones
+  console.log('\n🔬 Test 52: Score Terms, Category Test and Inertia');
+  try {
+    const outcome = await withMemoryStorage(async () => {
+      const texts = ['the cat sleeps on the mat', 'the dog eats the food', 'a cat and a dog play', 'then the bird sings'];
+      for (let i = 0; i < 6; i++) {
+        await processMessage(texts[i % texts.length], uuidv4(), 'user1');
+      }
+      // Last seen in the final message, so its stored scores use today's globals
+      await processMessage('the cat sleeps', uuidv4(), 'user1');
+      const explained = await explainTokenScores('CAT');
+      const stats = await getTokenStats('cat');
+      let missing = null;
+      try {
+        await explainTokenScores('unicorn');
+      } catch (error) {
+        missing = error.message;
+      }
+      return { explained, stats, missing };
+    });
+
+    const { explained, stats } = outcome;
+    const names = score => explained.scores[score].terms.map(term => `${term.sign > 0 ? '+' : '-'}${term.name}`).join(' ');
+    const { candidates } = explained.assignment;
+    const best = Math.max(...Object.values(candidates).map(candidate => candidate.score));
+    const ok = explained.token === 'cat' && explained.category === stats.category &&
+      names('stability') === '+contextRatio +adjRatio -varianceRatio' &&
+      names('transition') === '+bridgeRatio +temporalRatio +varianceRatio' &&
+      names('dependency') === '+stableRatio +contrastRatio -standaloneRatio' &&
+      names('structural') === '+occurrenceRatio +temporalRatio -adjRatio -standaloneRatio -varianceRatio' &&
+      Object.values(explained.scores).every(score =>
+        score.value === score.stored &&
+        score.value === Math.max(0, Math.min(1, score.sum)) &&
+        score.terms.every(term => term.ratio === term.numerator.value / term.denominator.value)) &&
+      explained.scores.stability.terms[0].numerator.value === stats.context_count &&
+      explained.scores.stability.terms[0].denominator.name === 'total_contexts_seen' &&
+      explained.counters.total_occurrences === stats.total_occurrences &&
+      explained.global.total_contexts_seen > 0 &&
+      explained.assignment.enough_occurrences === (stats.total_occurrences >= explained.assignment.min_occurrences) &&
+      Object.values(candidates).every(candidate => candidate.above_threshold === candidate.score > explained.assignment.threshold) &&
+      (explained.assignment.result === 'unclassified' ||
+        candidates[explained.assignment.result].score === best) &&
+      explained.inertia.required === 3 &&
+      explained.inertia.pending_category === (stats.pending_category ?? null) &&
+      explained.inertia.remaining === (explained.assignment.result === stats.category ? 0
+        : 3 - (stats.pending_category === explained.assignment.result ? stats.pending_count : 0)) &&
+      /Token "unicorn" not found/.test(outcome.missing);
+
+    if (ok) {
+      const terms = explained.scores.stability.terms.map(term => `${term.name} ${term.ratio.toFixed(3)}`).join(', ');
+      console.log(`   ✅ "cat" ${explained.category} → ${explained.assignment.result}; stability ${explained.scores.stability.value.toFixed(3)} = ${terms}`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected explanation: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
+  // ============================================
+  // SECTION 32: GENERATION TRACE
+  // ============================================
+  console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  console.log('🧵 SECTION 32: GENERATION TRACE');
+  console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+
+  // Test 53: Methods tried, why they were passed over, and the walk
+  console.log('\n🧵 Test 53: Generation Trace');
+  try {
+    const outcome = await withMemoryStorage(async () => {
+      const silent = await generateResponse('anyone there', { trace: true });
+      for (const text of [
+        'the cat sleeps on the warm mat', 'the dog sleeps on the cold floor',
+        'a cat chases the small mouse', 'the mouse runs from the cat'
+      ]) {
+        await processMessage(text, uuidv4(), 'user1');
+      }
+      // No keyword is known, so no phrase can start from one
+      const traced = await generateResponse('zebra quantum', { trace: true });
+      const plain = await generateResponse('zebra quantum');
+      return { silent, traced, plain };
+    });
+
+    const { response, trace } = outcome.traced;
+    const used = trace.methods.find(entry => entry.method === trace.method);
+    const passedOver = trace.methods.slice(0, trace.methods.indexOf(used));
+    const walk = trace.methods.find(entry => entry.method === 'graphWalk');
+    const ok = outcome.silent.response === '...' && outcome.silent.trace.reason === 'no pairs in memory' &&
+      outcome.silent.trace.methods.length === 0 &&
+      typeof outcome.plain === 'string' &&
+      trace.keywords.join() === 'zebra,quantum' && trace.memory.pairs > 0 &&
+      trace.methods[0].method === 'emergent' && trace.methods[0].reason === 'no chains start from the keywords' &&
+      used && used.reason === null && trace.raw === used.output && trace.response === response &&
+      passedOver.every(entry => typeof entry.reason === 'string' && entry.reason.length > 0) &&
+      walk?.graphSize > 0 && walk.start.word && walk.start.source !== 'keyword' && walk.start.score > 0 &&
+      walk.steps.length > 0 && typeof walk.stop === 'string' &&
+      walk.steps.every(step => (step.chosen === null ? step.available === 0 : step.chosen < step.candidates.length) &&
+        step.candidates.every((candidate, i, list) => i === 0 || list[i - 1].score >= candidate.score)) &&
+      (walk.path[0] === walk.start.word || walk.recoveries.length > 0);
+
+    if (ok) {
+      console.log(`   ✅ "${response}" by ${trace.method}; passed over: ${passedOver.map(entry => `${entry.method} (${entry.reason})`).join(', ') || 'none'}; walk from "${walk.start.word}" in ${walk.steps.length} steps`);
+      passed++;
+    } else {
+      console.log(`   ❌ Unexpected trace: ${JSON.stringify(outcome)}`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`   ❌ Error: ${error.message}`);
+    failed++;
+  }
+
   // ============================================
   // SUMMARY
   // ============================================